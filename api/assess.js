@@ -0,0 +1,45 @@
+// Vercel serverless function for running a risk assessment
+// Returns the full assessment plus waterfall rows for every clinic score
+
+import { performComprehensiveAssessment } from '../src/assessments/riskAssessment.js';
+import { toWaterfallRows } from '../src/assessments/scoreLedger.js';
+
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // asOf (optional, YYYY-MM-DD): date postpartum timing is measured to
+    const { candidateData, asOf } = req.body || {};
+
+    if (!candidateData || typeof candidateData !== 'object') {
+      return res.status(400).json({ error: 'Candidate data is required' });
+    }
+
+    if (asOf !== undefined && isNaN(new Date(asOf).getTime())) {
+      return res.status(400).json({ error: 'asOf must be a valid date' });
+    }
+
+    const results = performComprehensiveAssessment(candidateData, { asOf });
+
+    const waterfalls = {
+      clinicTypes: Object.fromEntries(
+        ['strict', 'moderate', 'lenient'].map(type => [type, toWaterfallRows(results.clinicTypeAnalysis[type].ledger)])
+      ),
+      clinics: Object.fromEntries(
+        results.clinicRanking.map(clinic => [clinic.clinicId, toWaterfallRows(clinic.ledger)])
+      )
+    };
+
+    return res.status(200).json({ ...results, waterfalls });
+
+  } catch (error) {
+    console.error('Error processing assessment request:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
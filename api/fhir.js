@@ -0,0 +1,68 @@
+// Vercel serverless function for assessing a FHIR R4 Bundle
+// Imports the bundle's Patient, Conditions, Observations, MedicationStatements,
+// Procedures and Encounters, runs the assessment and returns it as a FHIR Bundle
+// (RiskAssessment, DetectedIssues and the PDF report as a DocumentReference).
+// Runs offline: nothing in the bundle is fetched or sent anywhere.
+
+import { performComprehensiveAssessment } from '../src/assessments/riskAssessment.js';
+import { importFhirBundle } from '../src/utils/fhirImporter.js';
+import { parseMedicalText } from '../src/utils/cascadingParser.js';
+import { exportAssessmentBundle } from '../src/utils/fhirExport.js';
+import { generateAssessmentReport } from '../src/utils/reportGenerator.js';
+
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // bundle: the FHIR Bundle to assess (or the body itself, when it is one)
+    // includeReport (default true): attach the PDF report as a DocumentReference
+    // asOf (optional, YYYY-MM-DD): date postpartum timing is measured to
+    const body = req.body || {};
+    const { bundle, includeReport = true, asOf } = body.resourceType === 'Bundle' ? { bundle: body } : body;
+
+    if (!bundle || typeof bundle !== 'object') {
+      return res.status(400).json({ error: 'A FHIR Bundle is required' });
+    }
+
+    if (asOf !== undefined && isNaN(new Date(asOf).getTime())) {
+      return res.status(400).json({ error: 'asOf must be a valid date' });
+    }
+
+    let record;
+    try {
+      record = importFhirBundle(bundle, { documentName: 'bundle.json' });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Layers 1-2, conflict resolution and the coded values; the bundle isn't sent to Claude
+    const candidateData = await parseMedicalText(record.text, {
+      useClaudeParser: false,
+      documentName: record.documentName,
+      codedRecords: [record]
+    });
+    const results = performComprehensiveAssessment(candidateData, { asOf });
+
+    const exported = exportAssessmentBundle(results, {
+      patientReference: record.patient.reference,
+      candidateName: record.patient.name || '',
+      report: includeReport
+        ? { data: generateAssessmentReport(results, { name: record.patient.name || undefined }).output('arraybuffer'), fileName: 'risk-assessment.pdf' }
+        : null,
+      unmapped: record.unmapped.map(entry => ({ ...entry, documentName: record.documentName }))
+    });
+
+    res.setHeader('Content-Type', 'application/fhir+json');
+    return res.status(200).send(JSON.stringify(exported));
+
+  } catch (error) {
+    console.error('Error processing FHIR request:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
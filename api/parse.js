@@ -79,11 +79,18 @@ IMPORTANT RULES:
    - If records only document through a certain week (e.g., "records through 35 weeks") but don't include delivery records, this is INCOMPLETE
    - Missing delivery/postpartum records should be noted as a documentation gap
    - This affects clinic approval likelihood even if no complications are documented
+11. Medications - ONLY medications the candidate is CURRENTLY taking:
+   - Do NOT include discontinued or past medications, allergies, or family members' medications
+   - Do NOT include medications limited to a previous pregnancy or delivery (e.g. insulin for GDM, labetalol for PIH, Pitocin, magnesium sulfate, epidural)
+12. Evidence - for every field you fill in, quote the passage of the records it came from:
+   - Quote VERBATIM, copied exactly from the records (a short phrase or sentence, not a paraphrase)
+   - Key each quote by the field path: "pregnancyHistory.numberOfCesareans", "pregnancyHistory.lastDeliveryDate", "pregnancyHistory.pregnancies[0]", "medicalConditions[hypertension]", "medications[<name>]"
+   - Use a list of quotes when a count comes from several passages (e.g. one quote per C-section)
 ${contextSection}
 Medical Records:
 ${deidentifiedText}
 
-FOCUS ON: We only need pregnancy/delivery history and pre-existing medical conditions from the records.
+FOCUS ON: We only need pregnancy/delivery history, pre-existing medical conditions and current medications from the records.
 DO NOT try to extract age, height, weight, or BMI from the medical records - those are entered separately by the user
 
 Return a JSON object with this EXACT structure (matches frontend expectations):
@@ -93,6 +100,19 @@ Return a JSON object with this EXACT structure (matches frontend expectations):
     "numberOfTermPregnancies": <number - count actual pregnancies/deliveries, NOT years or dates>,
     "numberOfCesareans": <number - count C-sections, NOT years>,
     "numberOfComplications": <number>,
+    "lastDeliveryDate": "<date of the most recent delivery as YYYY-MM-DD, or YYYY-MM if only the month is known, or null>",
+    "lastDeliveryMode": "<vaginal|cesarean - mode of the most recent delivery, or null>",
+    "pregnancies": [
+      {
+        "year": <year of delivery or loss, or null>,
+        "deliveryDate": "<YYYY-MM-DD or YYYY-MM, or null>",
+        "gestationalAgeWeeks": <weeks at delivery, e.g. 39.3, or null>,
+        "deliveryMode": "<vaginal|operative_vaginal|cesarean, or null - a VBAC is vaginal>",
+        "complications": ["<same categories as complications[].category>"],
+        "outcome": "<live_birth|stillbirth|miscarriage|termination|ectopic>",
+        "surrogacy": <true if this was a gestational carrier pregnancy>
+      }
+    ],
     "complications": [
       {
         "pregnancy": <which pregnancy number>,
@@ -105,13 +125,23 @@ Return a JSON object with this EXACT structure (matches frontend expectations):
   "medicalConditions": [
     "<ONLY confirmed ACTIVE chronic conditions - NOT pregnancy complications, NOT family history, NOT ruled out, NOT 'denies' statements. CRITICAL: Do NOT include conditions like cardiac_disease, kidney_disease, thyroid_disorder, asthma, cancer if they appear in 'denies' or 'no history of' or 'family history' context. Examples of ACTUAL conditions to include: hypertension (if currently diagnosed), diabetes (if currently diagnosed), hypothyroidism (if currently treated)>"
   ],
+  "medications": [
+    {
+      "name": "<medication name as written, brand or generic>",
+      "dose": "<e.g. 50 mg, or null>",
+      "frequency": "<e.g. daily, or null>"
+    }
+  ],
   "surgicalHistory": [
     "<procedures like cholecystectomy, tubal ligation, appendectomy, etc - NOT C-sections (those go in pregnancyHistory)>"
   ],
   "documentationGaps": [
     "<list any incomplete documentation issues or empty array if complete>"
   ],
-  "pregnancySummary": "A detailed chronological narrative of each pregnancy separated by \\n\\n"
+  "pregnancySummary": "A detailed chronological narrative of each pregnancy separated by \\n\\n",
+  "evidence": {
+    "<field path>": "<verbatim quote from the records>" or ["<quote>", "<quote>"]
+  }
 }
 
 Return ONLY the JSON object, no other text`;
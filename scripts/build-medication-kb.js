@@ -0,0 +1,143 @@
+/**
+ * Medication Knowledge Base Builder
+ * Builds src/data/medicationKnowledgeBase.json, the offline dataset used by
+ * assessments/medicationAssessment.js, from:
+ *
+ *   scripts/medication-curation.json   Curated entries: aliases, drug class,
+ *                                      pregnancy safety, whether a taper/switch
+ *                                      is needed before transfer, clinic and
+ *                                      MFM impact
+ *   data/mothertobaby-factsheets.json  Output of scrape-mothertobaby.js
+ *                                      (optional); excerpts are attached to the
+ *                                      entry whose `factSheet` slug matches
+ *
+ * Usage: npm run build:medications
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+
+const CURATION_PATH = path.join(__dirname, 'medication-curation.json');
+const FACT_SHEETS_PATH = path.join(ROOT, 'data', 'mothertobaby-factsheets.json');
+const OUTPUT_PATH = path.join(ROOT, 'src', 'data', 'medicationKnowledgeBase.json');
+
+const FACT_SHEET_BASE_URL = 'https://mothertobaby.org/fact-sheets/';
+const EXCERPT_LENGTH = 500;
+
+const ALLOWED_VALUES = {
+  pregnancySafety: ['compatible', 'caution', 'avoid', 'contraindicated'],
+  beforeTransfer: ['continue', 'taper', 'switch', 'stop'],
+  clinicImpact: ['none', 'review', 'off_before_transfer', 'decline'],
+  mfmImpact: ['none', 'recommended', 'required']
+};
+
+const REQUIRED_FIELDS = ['id', 'name', 'drugClass', 'pregnancyNotes', 'transferNotes', ...Object.keys(ALLOWED_VALUES)];
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function loadFactSheets() {
+  if (!fs.existsSync(FACT_SHEETS_PATH)) {
+    console.log('ℹ️  No scraped fact sheets found - building from curation only');
+    return new Map();
+  }
+  const sheets = readJson(FACT_SHEETS_PATH);
+  return new Map(sheets.map(sheet => {
+    const slug = sheet.slug || sheet.url.split('/fact-sheets/')[1]?.replace(/\/$/, '');
+    return [slug, sheet];
+  }));
+}
+
+function toExcerpt(text) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  if (!clean) return null;
+  return clean.length > EXCERPT_LENGTH ? `${clean.slice(0, EXCERPT_LENGTH).trim()}…` : clean;
+}
+
+function validateEntry(entry, errors) {
+  REQUIRED_FIELDS.forEach(field => {
+    if (entry[field] === undefined || entry[field] === '') {
+      errors.push(`${entry.id || '(no id)'}: missing ${field}`);
+    }
+  });
+  Object.entries(ALLOWED_VALUES).forEach(([field, allowed]) => {
+    if (entry[field] !== undefined && !allowed.includes(entry[field])) {
+      errors.push(`${entry.id}: ${field} must be one of ${allowed.join(', ')} (got "${entry[field]}")`);
+    }
+  });
+}
+
+function buildFactSheet(slug, sheets) {
+  if (!slug) return null;
+  const sheet = sheets.get(slug);
+  const factSheet = { slug, url: sheet?.url || `${FACT_SHEET_BASE_URL}${slug}/` };
+  if (sheet) {
+    factSheet.scrapedAt = sheet.scrapedAt;
+    factSheet.excerpts = {
+      usage: toExcerpt(sheet.usage),
+      pregnancy: toExcerpt(sheet.pregnancySafety),
+      birthDefects: toExcerpt(sheet.birthDefects)
+    };
+  }
+  return factSheet;
+}
+
+function main() {
+  const curation = readJson(CURATION_PATH);
+  const sheets = loadFactSheets();
+  const errors = [];
+  const seenAliases = new Map();
+
+  const medications = curation.medications.map(entry => {
+    validateEntry(entry, errors);
+
+    // Every name a record might use: generic name, id and brand/alternate names
+    const aliases = [...new Set([entry.name, entry.id, ...(entry.aliases || [])]
+      .map(alias => alias.toLowerCase().trim()))];
+    aliases.forEach(alias => {
+      if (seenAliases.has(alias) && seenAliases.get(alias) !== entry.id) {
+        errors.push(`${entry.id}: alias "${alias}" already used by ${seenAliases.get(alias)}`);
+      }
+      seenAliases.set(alias, entry.id);
+    });
+
+    return {
+      id: entry.id,
+      name: entry.name,
+      aliases,
+      drugClass: entry.drugClass,
+      psychotropic: Boolean(entry.psychotropic),
+      pregnancySafety: entry.pregnancySafety,
+      pregnancyNotes: entry.pregnancyNotes,
+      beforeTransfer: entry.beforeTransfer,
+      transferNotes: entry.transferNotes,
+      clinicImpact: entry.clinicImpact,
+      mfmImpact: entry.mfmImpact,
+      factSheet: buildFactSheet(entry.factSheet, sheets)
+    };
+  });
+
+  if (errors.length > 0) {
+    console.error(`❌ Medication curation has ${errors.length} error(s):`);
+    errors.forEach(error => console.error(`   - ${error}`));
+    process.exit(1);
+  }
+
+  const knowledgeBase = {
+    reviewed: curation.reviewed,
+    sources: curation.sources,
+    factSheetsScraped: medications.filter(medication => medication.factSheet?.scrapedAt).length,
+    medications
+  };
+
+  fs.writeFileSync(OUTPUT_PATH, `${JSON.stringify(knowledgeBase, null, 2)}\n`);
+  console.log(`✅ Built ${medications.length} medications (${knowledgeBase.factSheetsScraped} with scraped fact sheets)`);
+  console.log(`📁 Saved to: ${path.relative(ROOT, OUTPUT_PATH)}`);
+}
+
+main();
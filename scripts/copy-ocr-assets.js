@@ -0,0 +1,66 @@
+/**
+ * OCR Asset Copier
+ * Copies the Tesseract worker, WebAssembly engine and English model from
+ * node_modules into public/ocr/, where utils/pdfOcr.js loads them from, so
+ * scanned pages are read without fetching anything from a CDN:
+ *
+ *   public/ocr/worker.min.js               tesseract.js worker
+ *   public/ocr/core/tesseract-core-*.js    Engine builds (plain, SIMD, relaxed SIMD);
+ *                                          the worker picks the one the browser supports
+ *   public/ocr/lang/eng.traineddata.gz     English LSTM model
+ *
+ * Runs before `npm run dev` and `npm run build`; public/ocr/ is not committed.
+ *
+ * Usage: npm run ocr:assets
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+
+const NODE_MODULES = path.join(ROOT, 'node_modules');
+const OUTPUT_DIR = path.join(ROOT, 'public', 'ocr');
+
+// LSTM-only engine builds - pdfOcr.js runs Tesseract with OEM.LSTM_ONLY
+const CORE_FILES = [
+  'tesseract-core-lstm.wasm.js',
+  'tesseract-core-simd-lstm.wasm.js',
+  'tesseract-core-relaxedsimd-lstm.wasm.js'
+];
+
+const ASSETS = [
+  { from: path.join(NODE_MODULES, 'tesseract.js', 'dist', 'worker.min.js'), to: 'worker.min.js' },
+  ...CORE_FILES.map(file => ({ from: path.join(NODE_MODULES, 'tesseract.js-core', file), to: path.join('core', file) })),
+  {
+    from: path.join(NODE_MODULES, '@tesseract.js-data', 'eng', '4.0.0_best_int', 'eng.traineddata.gz'),
+    to: path.join('lang', 'eng.traineddata.gz')
+  }
+];
+
+function main() {
+  const missing = ASSETS.filter(asset => !fs.existsSync(asset.from));
+  if (missing.length > 0) {
+    console.error('❌ OCR assets not found - run npm install:');
+    missing.forEach(asset => console.error(`   - ${path.relative(ROOT, asset.from)}`));
+    process.exit(1);
+  }
+
+  let copied = 0;
+  ASSETS.forEach(asset => {
+    const target = path.join(OUTPUT_DIR, asset.to);
+    const source = fs.statSync(asset.from);
+    if (fs.existsSync(target) && fs.statSync(target).size === source.size) return;
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(asset.from, target);
+    copied++;
+  });
+
+  console.log(copied > 0
+    ? `✅ Copied ${copied} OCR asset(s) to ${path.relative(ROOT, OUTPUT_DIR)}`
+    : `✅ OCR assets up to date in ${path.relative(ROOT, OUTPUT_DIR)}`);
+}
+
+main();
@@ -0,0 +1,445 @@
+/**
+ * Parser Evaluation
+ * Measures precision and recall per field for each parser layer against the
+ * gold-standard records in eval/:
+ *
+ *   eval/records/<id>.txt            De-identified synthetic record
+ *   eval/expected/<id>.json          Expected structured output ({ description, fields })
+ *   eval/fixtures/claude/<id>.json   Recorded Claude response (the `data` /api/parse returns)
+ *   eval/baseline.json               Scores of the last accepted run
+ *
+ * Three parsers are scored: parsePregnancyMedicalText (Layer 1, mapped to the
+ * candidate fields by mergeParserResults), parseTextInput (Layer 2) and the
+ * merged cascade, with Claude answered from the recorded fixture. Records
+ * without a fixture run the cascade without Claude.
+ *
+ * A field is only scored for records whose expected output lists it. Single
+ * values score a true positive when they match; a wrong value is both a
+ * false positive and a false negative. Lists are scored per entry. Flags
+ * (true/false) score the true cases.
+ *
+ * The report compares each F1 with the baseline and exits with code 1 when
+ * one drops, so parser changes can be judged objectively.
+ *
+ * Usage: npm run eval [-- options]
+ *   --verbose           List every miss per record
+ *   --json              Print the scores as JSON instead of tables
+ *   --update-baseline   Save this run as eval/baseline.json
+ *   --record            Re-record the Claude fixtures through api/parse.js (needs CLAUDE_API_KEY)
+ *   --synthetic <n>     Score n generated records (src/utils/syntheticRecords.js) instead of eval/;
+ *                       not compared with the baseline
+ *   --seed <n>          First synthetic record's seed (default 1)
+ *   --noise <preset>    Synthetic noise: none, light or heavy (default light)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parsePregnancyMedicalText, mergeParserResults } from '../src/utils/pregnancyMedicalParser.js';
+import { parseTextInput } from '../src/utils/textParser.js';
+import { parseMedicalText } from '../src/utils/cascadingParser.js';
+import { deidentifyText } from '../src/utils/deidentify.js';
+import { lookupMedication } from '../src/assessments/medicationAssessment.js';
+import { generateSyntheticRecords } from '../src/utils/syntheticRecords.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+
+const EVAL_DIR = path.join(ROOT, 'eval');
+const RECORDS_DIR = path.join(EVAL_DIR, 'records');
+const EXPECTED_DIR = path.join(EVAL_DIR, 'expected');
+const CLAUDE_FIXTURES_DIR = path.join(EVAL_DIR, 'fixtures', 'claude');
+const BASELINE_PATH = path.join(EVAL_DIR, 'baseline.json');
+
+const PARSERS = {
+  PREGNANCY: 'pregnancy-parser',
+  TEXT: 'text-parser',
+  CASCADE: 'cascade'
+};
+
+const PARSER_LABELS = {
+  [PARSERS.PREGNANCY]: 'parsePregnancyMedicalText (Layer 1)',
+  [PARSERS.TEXT]: 'parseTextInput (Layer 2)',
+  [PARSERS.CASCADE]: 'parseMedicalText (cascade, Claude from fixtures)'
+};
+
+const ALL_PARSERS = Object.values(PARSERS);
+
+// F1 drops smaller than this are rounding, not regressions
+const REGRESSION_TOLERANCE = 0.001;
+
+const getPath = (data, fieldPath) => fieldPath.split('.').reduce((node, key) => node?.[key], data);
+
+const normalizeKey = value => String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Gestational age at each delivery, from the per-pregnancy timeline or the bound deliveries
+function getDeliveryWeeks(data) {
+  const deliveries = data.pregnancyHistory?.pregnancies?.length > 0
+    ? data.pregnancyHistory.pregnancies
+    : data.pregnancyHistory?.deliveries || [];
+  return deliveries
+    .map(delivery => delivery.gestationalAgeWeeks)
+    .filter(weeks => typeof weeks === 'number')
+    .map(weeks => Math.floor(weeks));
+}
+
+/**
+ * Fields scored, how to read them from a parser's output and which parsers
+ * produce them
+ * kind: value (single value), set (list of keys), flag (true/false)
+ */
+const FIELDS = [
+  { path: 'age', kind: 'value', parsers: [PARSERS.TEXT, PARSERS.CASCADE] },
+  { path: 'lifestyle.bmi', kind: 'value', parsers: [PARSERS.TEXT, PARSERS.CASCADE] },
+  { path: 'pregnancyHistory.numberOfTermPregnancies', kind: 'value', parsers: ALL_PARSERS },
+  { path: 'pregnancyHistory.numberOfCesareans', kind: 'value', parsers: ALL_PARSERS },
+  { path: 'pregnancyHistory.lastDeliveryDate', kind: 'value', parsers: [PARSERS.PREGNANCY, PARSERS.CASCADE] },
+  { path: 'pregnancyHistory.lastDeliveryMode', kind: 'value', parsers: [PARSERS.PREGNANCY, PARSERS.CASCADE] },
+  { path: 'deliveryGestationalAges', kind: 'set', parsers: [PARSERS.PREGNANCY, PARSERS.CASCADE], read: getDeliveryWeeks },
+  {
+    path: 'pregnancySpecificComplications',
+    kind: 'set',
+    parsers: [PARSERS.PREGNANCY, PARSERS.CASCADE],
+    read: data => Object.entries(data.pregnancySpecificComplications || {})
+      .filter(([, category]) => category.found)
+      .map(([name]) => name)
+  },
+  { path: 'medicalConditions', kind: 'set', parsers: [PARSERS.TEXT, PARSERS.CASCADE] },
+  {
+    path: 'medications',
+    kind: 'set',
+    parsers: [PARSERS.TEXT, PARSERS.CASCADE],
+    read: data => (data.medications || []).map(medication =>
+      medication.medicationId || lookupMedication(medication.name)?.id || medication.name
+    )
+  },
+  {
+    path: 'bloodPressureReadings',
+    kind: 'set',
+    parsers: [PARSERS.PREGNANCY, PARSERS.CASCADE],
+    read: data => (data.bloodPressureReadings || []).map(reading => `${reading.systolic}/${reading.diastolic}`)
+  },
+  {
+    path: 'labValues',
+    kind: 'set',
+    parsers: [PARSERS.PREGNANCY, PARSERS.CASCADE],
+    read: data => Object.keys(data.labValues || {})
+  },
+  { path: 'psychological.historyOfMajorDepression', kind: 'flag', parsers: [PARSERS.TEXT, PARSERS.CASCADE] },
+  { path: 'psychological.historyOfAnxietyDisorder', kind: 'flag', parsers: [PARSERS.TEXT, PARSERS.CASCADE] },
+  { path: 'lifestyle.currentSmoker', kind: 'flag', parsers: [PARSERS.TEXT, PARSERS.CASCADE] }
+];
+
+function parseArgs(argv) {
+  const valueOf = flag => (argv.includes(flag) ? argv[argv.indexOf(flag) + 1] : undefined);
+  return {
+    verbose: argv.includes('--verbose'),
+    json: argv.includes('--json'),
+    updateBaseline: argv.includes('--update-baseline'),
+    record: argv.includes('--record'),
+    synthetic: argv.includes('--synthetic') ? parseInt(valueOf('--synthetic'), 10) : null,
+    seed: parseInt(valueOf('--seed') ?? '1', 10),
+    noise: valueOf('--noise') || 'light'
+  };
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function loadRecords() {
+  return fs.readdirSync(RECORDS_DIR)
+    .filter(file => file.endsWith('.txt'))
+    .sort()
+    .map(file => {
+      const id = path.basename(file, '.txt');
+      const expectedPath = path.join(EXPECTED_DIR, `${id}.json`);
+      const fixturePath = path.join(CLAUDE_FIXTURES_DIR, `${id}.json`);
+      if (!fs.existsSync(expectedPath)) {
+        throw new Error(`${id}: no expected output at ${path.relative(ROOT, expectedPath)}`);
+      }
+      return {
+        id,
+        text: fs.readFileSync(path.join(RECORDS_DIR, file), 'utf8'),
+        expected: readJson(expectedPath),
+        claudeFixture: fs.existsSync(fixturePath) ? readJson(fixturePath) : null,
+        fixturePath
+      };
+    });
+}
+
+// Generated records carry their expected output; there are no Claude fixtures for them
+function loadSyntheticRecords({ synthetic, seed, noise }) {
+  return generateSyntheticRecords(synthetic, { seed, noise }).map(record => ({
+    id: record.id,
+    text: record.text,
+    expected: record.expected,
+    claudeFixture: null,
+    fixturePath: null
+  }));
+}
+
+// The parsers log every step; keep the report readable
+async function quietly(run) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return await run();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+// parseWithClaude() posts to /api/parse; answer with the recorded response instead
+async function withClaudeFixture(fixture, run) {
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async () => ({
+    ok: true,
+    status: 200,
+    json: async () => ({ success: true, data: fixture, claudeUsed: true })
+  });
+  try {
+    return await run();
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+async function runParsers(record) {
+  const userProvidedData = record.expected.userProvidedData || {};
+
+  const layer1 = mergeParserResults({}, parsePregnancyMedicalText(record.text));
+  const layer2 = parseTextInput(record.text);
+  const cascadeOptions = { useClaudeParser: Boolean(record.claudeFixture), userProvidedData };
+  const cascade = record.claudeFixture
+    ? await withClaudeFixture(record.claudeFixture, () => parseMedicalText(record.text, cascadeOptions))
+    : await parseMedicalText(record.text, cascadeOptions);
+
+  return {
+    [PARSERS.PREGNANCY]: layer1,
+    [PARSERS.TEXT]: layer2,
+    [PARSERS.CASCADE]: cascade
+  };
+}
+
+function valuesMatch(predicted, expected) {
+  if (typeof expected === 'number') return Number(predicted) === expected;
+  return normalizeKey(predicted) === normalizeKey(expected);
+}
+
+/**
+ * Score one field of one parser's output against the expected value
+ * @returns {Object} { tp, fp, fn, misses: [description] }
+ */
+function scoreField(field, output, expected) {
+  const predicted = field.read ? field.read(output) : getPath(output, field.path);
+  const score = { tp: 0, fp: 0, fn: 0, misses: [] };
+
+  if (field.kind === 'set') {
+    const want = new Set((expected || []).map(normalizeKey));
+    const got = new Set((predicted || []).map(normalizeKey));
+    got.forEach(key => {
+      if (want.has(key)) score.tp++;
+      else { score.fp++; score.misses.push(`unexpected ${key}`); }
+    });
+    want.forEach(key => {
+      if (!got.has(key)) { score.fn++; score.misses.push(`missed ${key}`); }
+    });
+    return score;
+  }
+
+  if (field.kind === 'flag') {
+    if (predicted === true && expected === true) score.tp++;
+    else if (predicted === true) { score.fp++; score.misses.push('flagged but expected false'); }
+    else if (expected === true) { score.fn++; score.misses.push('not flagged'); }
+    return score;
+  }
+
+  const hasPrediction = predicted !== null && predicted !== undefined && predicted !== '';
+  const hasExpected = expected !== null && expected !== undefined;
+  if (hasPrediction && hasExpected && valuesMatch(predicted, expected)) {
+    score.tp++;
+    return score;
+  }
+  if (hasPrediction) score.fp++;
+  if (hasExpected) score.fn++;
+  if (hasPrediction || hasExpected) score.misses.push(`got ${hasPrediction ? predicted : 'nothing'}, expected ${hasExpected ? expected : 'nothing'}`);
+  return score;
+}
+
+const ratio = (numerator, denominator) => (denominator === 0 ? null : numerator / denominator);
+
+function summarize({ tp, fp, fn }) {
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+  const f1 = precision === null || recall === null || precision + recall === 0
+    ? (tp + fp + fn === 0 ? null : 0)
+    : (2 * precision * recall) / (precision + recall);
+  const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+  return { tp, fp, fn, precision: round(precision), recall: round(recall), f1: round(f1) };
+}
+
+async function evaluate(records) {
+  const totals = Object.fromEntries(ALL_PARSERS.map(parser => [parser, {}]));
+  const misses = [];
+
+  for (const record of records) {
+    const outputs = await quietly(() => runParsers(record));
+    FIELDS.forEach(field => {
+      if (!(field.path in record.expected.fields)) return;
+      field.parsers.forEach(parser => {
+        const score = scoreField(field, outputs[parser], record.expected.fields[field.path]);
+        const total = totals[parser][field.path] || (totals[parser][field.path] = { tp: 0, fp: 0, fn: 0 });
+        total.tp += score.tp;
+        total.fp += score.fp;
+        total.fn += score.fn;
+        score.misses.forEach(miss => misses.push({ record: record.id, parser, field: field.path, miss }));
+      });
+    });
+  }
+
+  const scores = Object.fromEntries(ALL_PARSERS.map(parser => {
+    const fields = Object.fromEntries(Object.entries(totals[parser]).map(([fieldPath, total]) => [fieldPath, summarize(total)]));
+    const overall = Object.values(totals[parser]).reduce(
+      (sum, total) => ({ tp: sum.tp + total.tp, fp: sum.fp + total.fp, fn: sum.fn + total.fn }),
+      { tp: 0, fp: 0, fn: 0 }
+    );
+    return [parser, { overall: summarize(overall), fields }];
+  }));
+
+  return { scores, misses };
+}
+
+const formatScore = value => (value === null ? '  -  ' : value.toFixed(3));
+
+function formatDelta(current, previous) {
+  if (previous === undefined || previous === null || current === null) return '';
+  const delta = current - previous;
+  if (Math.abs(delta) < REGRESSION_TOLERANCE) return '';
+  return delta > 0 ? ` ▲ +${delta.toFixed(3)}` : ` ▼ ${delta.toFixed(3)}`;
+}
+
+function findRegressions(scores, baseline) {
+  if (!baseline) return [];
+  const regressions = [];
+  ALL_PARSERS.forEach(parser => {
+    const rows = { overall: scores[parser].overall, ...scores[parser].fields };
+    const previousRows = { overall: baseline.scores?.[parser]?.overall, ...baseline.scores?.[parser]?.fields };
+    Object.entries(rows).forEach(([fieldPath, row]) => {
+      const previous = previousRows[fieldPath]?.f1;
+      if (previous !== undefined && previous !== null && row.f1 !== null && previous - row.f1 >= REGRESSION_TOLERANCE) {
+        regressions.push(`${parser} ${fieldPath}: F1 ${previous.toFixed(3)} → ${row.f1.toFixed(3)}`);
+      }
+    });
+  });
+  return regressions;
+}
+
+function printReport(records, { scores, misses }, baseline, options) {
+  const withFixtures = records.filter(record => record.claudeFixture).length;
+  if (options.synthetic !== null) {
+    console.log(`📊 Parser evaluation: ${records.length} synthetic records (seeds ${options.seed}-${options.seed + records.length - 1}, ${options.noise} noise)`);
+  } else {
+    console.log(`📊 Parser evaluation: ${records.length} records (${withFixtures} with Claude fixtures)`);
+    if (!baseline) console.log('ℹ️  No baseline yet - run with --update-baseline to save one');
+  }
+
+  ALL_PARSERS.forEach(parser => {
+    console.log(`\n${PARSER_LABELS[parser]}`);
+    console.log(`  ${'Field'.padEnd(44)} ${'TP'.padStart(3)} ${'FP'.padStart(3)} ${'FN'.padStart(3)}  Prec.  Recall  F1`);
+    const rows = [...Object.entries(scores[parser].fields), ['overall (micro)', scores[parser].overall]];
+    rows.forEach(([fieldPath, row]) => {
+      const previous = fieldPath === 'overall (micro)'
+        ? baseline?.scores?.[parser]?.overall
+        : baseline?.scores?.[parser]?.fields?.[fieldPath];
+      console.log(
+        `  ${fieldPath.padEnd(44)} ${String(row.tp).padStart(3)} ${String(row.fp).padStart(3)} ${String(row.fn).padStart(3)}` +
+        `  ${formatScore(row.precision)}  ${formatScore(row.recall)}  ${formatScore(row.f1)}${formatDelta(row.f1, previous?.f1)}`
+      );
+    });
+  });
+
+  if (options.verbose && misses.length > 0) {
+    console.log('\nMisses:');
+    misses.forEach(({ record, parser, field, miss }) => console.log(`  ${record} · ${parser} · ${field}: ${miss}`));
+  }
+}
+
+// Call the serverless function directly and save what it returns for each record
+async function recordClaudeFixtures(records) {
+  if (!process.env.CLAUDE_API_KEY) {
+    console.error('❌ --record needs CLAUDE_API_KEY (see api/parse.js)');
+    process.exit(1);
+  }
+  const { default: handler } = await import('../api/parse.js');
+
+  for (const record of records) {
+    let status = 200;
+    let body = null;
+    const res = {
+      status: code => { status = code; return res; },
+      json: payload => { body = payload; return res; }
+    };
+    await quietly(() => handler({
+      method: 'POST',
+      body: {
+        medicalText: deidentifyText(record.text, ''),
+        candidateName: '',
+        userProvidedData: record.expected.userProvidedData || {}
+      }
+    }, res));
+
+    if (status !== 200 || !body?.success) {
+      console.error(`❌ ${record.id}: api/parse returned ${status} ${JSON.stringify(body)}`);
+      continue;
+    }
+    fs.writeFileSync(record.fixturePath, `${JSON.stringify(body.data, null, 2)}\n`);
+    console.log(`✅ Recorded ${path.relative(ROOT, record.fixturePath)}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.synthetic !== null) {
+    if (!(options.synthetic > 0)) throw new Error('--synthetic needs a record count');
+    if (options.updateBaseline || options.record) throw new Error('--update-baseline and --record only apply to eval/');
+  }
+  const records = options.synthetic !== null ? loadSyntheticRecords(options) : loadRecords();
+
+  if (options.record) {
+    await recordClaudeFixtures(records);
+    records.forEach(record => {
+      if (fs.existsSync(record.fixturePath)) record.claudeFixture = readJson(record.fixturePath);
+    });
+  }
+
+  const result = await evaluate(records);
+  const baseline = options.synthetic === null && fs.existsSync(BASELINE_PATH) ? readJson(BASELINE_PATH) : null;
+  const regressions = findRegressions(result.scores, baseline);
+
+  if (options.json) {
+    console.log(JSON.stringify({ records: records.length, scores: result.scores, regressions, misses: result.misses }, null, 2));
+  } else {
+    printReport(records, result, baseline, options);
+  }
+
+  if (options.updateBaseline) {
+    fs.writeFileSync(BASELINE_PATH, `${JSON.stringify({ records: records.map(record => record.id), scores: result.scores }, null, 2)}\n`);
+    console.log(`\n📁 Baseline saved to: ${path.relative(ROOT, BASELINE_PATH)}`);
+    return;
+  }
+
+  if (regressions.length > 0) {
+    console.error(`\n❌ ${regressions.length} regression(s) against the baseline:`);
+    regressions.forEach(regression => console.error(`   - ${regression}`));
+    process.exit(1);
+  }
+  if (baseline && !options.json) console.log('\n✅ No regressions against the baseline');
+}
+
+main().catch(error => {
+  console.error('❌ Evaluation failed:', error);
+  process.exit(1);
+});
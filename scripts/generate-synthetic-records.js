@@ -0,0 +1,74 @@
+/**
+ * Synthetic Record Generator
+ * Writes fully synthetic OB records (src/utils/syntheticRecords.js) to disk
+ * for demos, vendors and load tests, in the eval/ layout:
+ *
+ *   <out>/records/<id>.txt     Combined record, as App.jsx builds it from uploads
+ *   <out>/documents/<id>/      Each document on its own (prenatal summary,
+ *                              delivery summary, operative report, lab panel)
+ *   <out>/expected/<id>.json   Expected structured output
+ *   <out>/profiles/<id>.json   The candidate profile the record was generated from
+ *
+ * Usage: npm run generate:records [-- options]
+ *   --count <n>        Number of records (default 10)
+ *   --seed <n>         First record's seed (default 1); the same seed gives the same record
+ *   --noise <preset>   none, light or heavy (default light)
+ *   --out <dir>        Output directory (default synthetic-records/)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateSyntheticRecords, NOISE_PRESETS } from '../src/utils/syntheticRecords.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+
+const DEFAULT_OUTPUT_DIR = path.join(ROOT, 'synthetic-records');
+
+function parseArgs(argv) {
+  const valueOf = flag => (argv.includes(flag) ? argv[argv.indexOf(flag) + 1] : undefined);
+  return {
+    count: parseInt(valueOf('--count') ?? '10', 10),
+    seed: parseInt(valueOf('--seed') ?? '1', 10),
+    noise: valueOf('--noise') || 'light',
+    out: valueOf('--out') ? path.resolve(valueOf('--out')) : DEFAULT_OUTPUT_DIR
+  };
+}
+
+function writeJson(filePath, data) {
+  fs.writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!(options.count > 0)) {
+    console.error('❌ --count must be a positive number');
+    process.exit(1);
+  }
+  if (!NOISE_PRESETS[options.noise]) {
+    console.error(`❌ Unknown noise preset "${options.noise}" (use ${Object.keys(NOISE_PRESETS).join(', ')})`);
+    process.exit(1);
+  }
+
+  ['records', 'documents', 'expected', 'profiles'].forEach(dir => fs.mkdirSync(path.join(options.out, dir), { recursive: true }));
+
+  const records = generateSyntheticRecords(options.count, { seed: options.seed, noise: options.noise });
+  records.forEach(record => {
+    fs.writeFileSync(path.join(options.out, 'records', `${record.id}.txt`), `${record.text}\n`);
+    const documentsDir = path.join(options.out, 'documents', record.id);
+    fs.mkdirSync(documentsDir, { recursive: true });
+    record.documents.forEach(document => {
+      fs.writeFileSync(path.join(documentsDir, document.name.replace(/\.pdf$/, '.txt')), `${document.text}\n`);
+    });
+    writeJson(path.join(options.out, 'expected', `${record.id}.json`), record.expected);
+    writeJson(path.join(options.out, 'profiles', `${record.id}.json`), record.profile);
+  });
+
+  const bytes = records.reduce((sum, record) => sum + record.text.length, 0);
+  console.log(`✅ Generated ${records.length} synthetic records (seeds ${options.seed}-${options.seed + records.length - 1}, ${options.noise} noise)`);
+  console.log(`   ${Math.round(bytes / 1024)} KB of record text`);
+  console.log(`📁 Output: ${path.relative(process.cwd(), options.out) || '.'}`);
+}
+
+main();
@@ -1,11 +1,17 @@
 /**
  * MotherToBaby Fact Sheet Scraper
  * Scrapes all 275+ medication/exposure fact sheets
+ *
+ * Output (data/mothertobaby-factsheets.json) is merged into the bundled
+ * medication knowledge base by scripts/build-medication-kb.js.
  */
 
-const https = require('https');
-const fs = require('fs');
-const path = require('path');
+import https from 'https';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // List of all fact sheet URLs (will be populated)
 const FACT_SHEET_URLS = [
@@ -55,6 +61,7 @@ function extractFactSheetData(html, url) {
   // Simple HTML parsing (would use cheerio in production)
   const data = {
     name: medicationName,
+    slug: medicationSlug,
     url: url,
     scrapedAt: new Date().toISOString(),
     // Placeholder for extracted data
@@ -0,0 +1,330 @@
+/**
+ * Assessment Diff
+ * Compares two performComprehensiveAssessment outputs for the same candidate
+ * (e.g. before and after a missing delivery summary arrives) and reports
+ * what changed since the last review.
+ *
+ * Findings are matched by ruleId. Rules that fire once per item (medical
+ * conditions, positive tests) can repeat, so those fall back to matching
+ * on message. Each change is attributed to the changed input fields that
+ * the rule looked at (clinic and MFM ledgers record their inputs; ASRM
+ * findings are attributed by category).
+ */
+
+import { CRITERIA_CATEGORIES } from './riskAssessment.js';
+import { CLINIC_TIERS } from './clinicTypeAssessment.js';
+
+// Candidate data section(s) read by each ASRM category
+const CATEGORY_INPUTS = {
+  [CRITERIA_CATEGORIES.AGE]: 'age',
+  [CRITERIA_CATEGORIES.PREGNANCY_HISTORY]: 'pregnancyHistory',
+  [CRITERIA_CATEGORIES.MEDICAL]: ['medicalConditions', 'labValues', 'bloodPressureReadings'],
+  [CRITERIA_CATEGORIES.INFECTIOUS_DISEASE]: 'infectiousDiseaseTests',
+  // A psychotropic in the medication list counts as current psychotropic use
+  [CRITERIA_CATEGORIES.PSYCHOLOGICAL]: ['psychological', 'medications'],
+  [CRITERIA_CATEGORIES.MEDICATIONS]: 'medications',
+  [CRITERIA_CATEGORIES.LIFESTYLE]: 'lifestyle',
+  [CRITERIA_CATEGORIES.ENVIRONMENTAL]: 'environmental'
+};
+
+// Facts derived from candidate data before clinic rules run (see clinicTypeAssessment.js)
+const DERIVED_INPUTS = {
+  interval: [
+    'pregnancyHistory.lastDeliveryDate',
+    'pregnancyHistory.lastDeliveryMode',
+    'pregnancyHistory.monthsSinceLastDelivery',
+    'pregnancyHistory.numberOfCesareans',
+    'pregnancyHistory.pregnancies'
+  ],
+  timeline: ['pregnancyHistory.pregnancies', 'pregnancyHistory.deliveries'],
+  medicationReview: ['medications'],
+  labInterpretation: ['labValues', 'bloodPressureReadings'],
+  bloodPressureTrend: ['bloodPressureReadings', 'pregnancyHistory.lastDeliveryDate', 'pregnancyHistory.pregnancies']
+};
+
+// Bookkeeping fields that are not assessment inputs
+const IGNORED_INPUTS = ['name', 'parsingMetadata'];
+
+/**
+ * Flatten candidate data into { path: value }; arrays are kept whole
+ */
+function flattenInputs(value, prefix = '', out = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, child]) => {
+      if (!prefix && IGNORED_INPUTS.includes(key)) return;
+      flattenInputs(child, prefix ? `${prefix}.${key}` : key, out);
+    });
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * Input fields that differ between two candidate records
+ * @returns {Array} [{ field, before, after, added?, removed? }] - added/removed for list fields
+ */
+export function diffCandidateInputs(previousData = {}, currentData = {}) {
+  const before = flattenInputs(previousData);
+  const after = flattenInputs(currentData);
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+  return fields.reduce((changes, field) => {
+    const a = before[field];
+    const b = after[field];
+    if (JSON.stringify(a) === JSON.stringify(b)) return changes;
+
+    const change = { field, before: a, after: b };
+    if (Array.isArray(a) || Array.isArray(b)) {
+      const beforeItems = (a || []).map(item => JSON.stringify(item));
+      const afterItems = (b || []).map(item => JSON.stringify(item));
+      change.added = (b || []).filter((_, idx) => !beforeItems.includes(afterItems[idx]));
+      change.removed = (a || []).filter((_, idx) => !afterItems.includes(beforeItems[idx]));
+    }
+    changes.push(change);
+    return changes;
+  }, []);
+}
+
+/**
+ * Changed input fields a set of rule inputs depends on
+ * Input keys look like 'lifestyle.bmi' or 'medicalConditions[]'.
+ */
+function attributeChange(inputKeys, inputChanges) {
+  const keys = inputKeys
+    .map(key => key.replace(/\[\]$/, ''))
+    .flatMap(key => DERIVED_INPUTS[key.split('.')[0]] || [key]);
+  return inputChanges
+    .filter(change => keys.some(key =>
+      key === change.field || key.startsWith(`${change.field}.`) || change.field.startsWith(`${key}.`)
+    ))
+    .map(change => change.field);
+}
+
+/**
+ * Match two lists of items by ruleId, falling back to `textKey` for repeated rules
+ * @returns {{ added: Array, removed: Array, changed: Array<{before, after}> }}
+ */
+function matchByRule(previousItems = [], currentItems = [], textKey, isSame) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const remaining = [...previousItems];
+
+  const take = predicate => {
+    const idx = remaining.findIndex(predicate);
+    return idx === -1 ? null : remaining.splice(idx, 1)[0];
+  };
+
+  currentItems.forEach(item => {
+    const sameRuleCount = currentItems.filter(other => other.ruleId === item.ruleId).length;
+    const match = take(prev => prev.ruleId === item.ruleId && prev[textKey] === item[textKey]) ||
+      (sameRuleCount === 1 ? take(prev => prev.ruleId === item.ruleId) : null);
+
+    if (!match) {
+      added.push(item);
+    } else if (!isSame(match, item)) {
+      changed.push({ before: match, after: item });
+    }
+  });
+  removed.push(...remaining);
+
+  return { added, removed, changed };
+}
+
+/**
+ * Inputs recorded in a ledger for a rule id
+ */
+function ledgerInputKeys(ledger, ruleId) {
+  return (ledger?.entries || [])
+    .filter(entry => entry.ruleId === ruleId)
+    .flatMap(entry => Object.keys(entry.inputs || {}));
+}
+
+/**
+ * Attribute a clinic or MFM change; combination rules only see issue
+ * counts, so they are attributed to whatever moved the other rules
+ */
+function ledgerCauses(ruleIds, ledgers, inputChanges) {
+  const keys = ruleIds.flatMap(ruleId => ledgers.flatMap(ledger => ledgerInputKeys(ledger, ruleId)));
+  return [...new Set(attributeChange(keys, inputChanges))];
+}
+
+function diffFindings(previous, current, inputChanges) {
+  const { added, removed, changed } = matchByRule(
+    previous.assessments,
+    current.assessments,
+    'message',
+    (a, b) => a.status === b.status && a.message === b.message
+  );
+  const causes = finding => attributeChange([].concat(CATEGORY_INPUTS[finding.category] || ''), inputChanges);
+
+  return {
+    added: added.map(finding => ({ ...finding, causedBy: causes(finding) })),
+    removed: removed.map(finding => ({ ...finding, causedBy: causes(finding) })),
+    changed: changed.map(({ before, after }) => ({
+      ruleId: after.ruleId,
+      category: after.category,
+      before: { status: before.status, message: before.message },
+      after: { status: after.status, message: after.message },
+      causedBy: causes(after)
+    }))
+  };
+}
+
+function diffClinicResult(before, after, inputChanges) {
+  const issues = matchByRule(before?.issues, after?.issues, 'message', (a, b) => a.severity === b.severity);
+  const ledgers = [before?.ledger, after?.ledger];
+  const issueRuleIds = [...issues.added, ...issues.removed, ...issues.changed.map(c => c.after)].map(issue => issue.ruleId);
+  const scoredRuleIds = (after?.ledger?.entries || []).concat(before?.ledger?.entries || [])
+    .filter(entry => entry.kind !== 'combination')
+    .map(entry => entry.ruleId);
+
+  let causedBy = ledgerCauses(issueRuleIds, ledgers, inputChanges);
+  if (causedBy.length === 0 && (before?.score ?? 0) !== (after?.score ?? 0)) {
+    causedBy = ledgerCauses(scoredRuleIds, ledgers, inputChanges);
+  }
+
+  return {
+    clinicId: after?.clinicId || before?.clinicId,
+    clinicName: after?.clinicName || before?.clinicName,
+    before: before?.score ?? null,
+    after: after?.score ?? null,
+    delta: before && after ? after.score - before.score : null,
+    beforeLevel: before?.acceptanceLevel || null,
+    afterLevel: after?.acceptanceLevel || null,
+    addedIssues: issues.added,
+    removedIssues: issues.removed,
+    causedBy
+  };
+}
+
+function diffMfm(before = {}, after = {}, inputChanges) {
+  const findings = matchByRule(before.findings, after.findings, 'concern', (a, b) => a.severity === b.severity);
+  const ruleIds = [...findings.added, ...findings.removed, ...findings.changed.map(c => c.after)].map(f => f.ruleId);
+
+  return {
+    reviewLevel: { before: before.reviewLevel, after: after.reviewLevel, changed: before.reviewLevel !== after.reviewLevel },
+    likelihood: {
+      before: before.likelihood?.level,
+      after: after.likelihood?.level,
+      changed: before.likelihood?.level !== after.likelihood?.level
+    },
+    addedFindings: findings.added,
+    removedFindings: findings.removed,
+    causedBy: ledgerCauses(ruleIds, [before.ledger, after.ledger], inputChanges)
+  };
+}
+
+/**
+ * Compare two assessments of the same candidate
+ * @param {Object} previous - Earlier performComprehensiveAssessment output
+ * @param {Object} current - Newer performComprehensiveAssessment output
+ * @param {Object} options
+ * @param {Object} options.previousCandidate - Candidate data behind `previous` (default previous.candidateData)
+ * @param {Object} options.currentCandidate - Candidate data behind `current` (default current.candidateData)
+ * @returns {Object} { hasChanges, inputChanges, overallRisk, findings, clinicScores, mfm }
+ */
+export function diffAssessments(previous, current, options = {}) {
+  const {
+    previousCandidate = previous.candidateData,
+    currentCandidate = current.candidateData
+  } = options;
+
+  const inputChanges = diffCandidateInputs(previousCandidate, currentCandidate);
+  const findings = diffFindings(previous, current, inputChanges);
+
+  const clinicScores = [
+    ...CLINIC_TIERS.map(tier => diffClinicResult(
+      previous.clinicTypeAnalysis?.[tier],
+      current.clinicTypeAnalysis?.[tier],
+      inputChanges
+    )),
+    ...[...new Set([...(previous.clinicRanking || []), ...(current.clinicRanking || [])].map(c => c.clinicId))]
+      .map(clinicId => diffClinicResult(
+        previous.clinicRanking?.find(c => c.clinicId === clinicId),
+        current.clinicRanking?.find(c => c.clinicId === clinicId),
+        inputChanges
+      ))
+  ].filter(clinic =>
+    clinic.delta !== 0 || clinic.beforeLevel !== clinic.afterLevel ||
+    clinic.addedIssues.length > 0 || clinic.removedIssues.length > 0
+  );
+
+  const mfm = diffMfm(previous.mfmAssessment, current.mfmAssessment, inputChanges);
+
+  const overallRisk = {
+    before: previous.overallRisk?.level,
+    after: current.overallRisk?.level,
+    changed: previous.overallRisk?.level !== current.overallRisk?.level
+  };
+
+  const hasChanges = inputChanges.length > 0 || overallRisk.changed || clinicScores.length > 0 ||
+    findings.added.length > 0 || findings.removed.length > 0 || findings.changed.length > 0 ||
+    mfm.reviewLevel.changed || mfm.likelihood.changed ||
+    mfm.addedFindings.length > 0 || mfm.removedFindings.length > 0;
+
+  return { hasChanges, inputChanges, overallRisk, findings, clinicScores, mfm };
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null || value === '') return '(none)';
+  if (Array.isArray(value)) return value.length > 0 ? value.map(formatValue).join(', ') : '(none)';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+const formatCauses = causedBy => causedBy.length > 0 ? ` [caused by: ${causedBy.join(', ')}]` : '';
+
+/**
+ * Plain-text "what changed since last review" lines (PDF report, CLI)
+ */
+export function formatDiffLines(diff) {
+  if (!diff || !diff.hasChanges) return ['No changes since last review.'];
+
+  const lines = [];
+
+  if (diff.inputChanges.length > 0) {
+    lines.push('Record changes:');
+    diff.inputChanges.forEach(change => {
+      if (change.added || change.removed) {
+        const parts = [];
+        if (change.added.length > 0) parts.push(`added ${formatValue(change.added)}`);
+        if (change.removed.length > 0) parts.push(`removed ${formatValue(change.removed)}`);
+        lines.push(`  ${change.field}: ${parts.join('; ') || 'reordered'}`);
+      } else {
+        lines.push(`  ${change.field}: ${formatValue(change.before)} -> ${formatValue(change.after)}`);
+      }
+    });
+  }
+
+  if (diff.overallRisk.changed) {
+    lines.push(`Overall risk: ${diff.overallRisk.before} -> ${diff.overallRisk.after}`);
+  }
+
+  diff.clinicScores.forEach(clinic => {
+    const delta = clinic.delta ? ` (${clinic.delta > 0 ? '+' : ''}${clinic.delta})` : '';
+    lines.push(`${clinic.clinicName}: ${clinic.before ?? 'n/a'} -> ${clinic.after ?? 'n/a'}${delta}${formatCauses(clinic.causedBy)}`);
+    clinic.addedIssues.forEach(issue => lines.push(`  + ${issue.message}`));
+    clinic.removedIssues.forEach(issue => lines.push(`  - ${issue.message}`));
+  });
+
+  if (diff.mfm.reviewLevel.changed) {
+    lines.push(`MFM review: ${diff.mfm.reviewLevel.before} -> ${diff.mfm.reviewLevel.after}${formatCauses(diff.mfm.causedBy)}`);
+  }
+  if (diff.mfm.likelihood.changed) {
+    lines.push(`MFM likelihood: ${diff.mfm.likelihood.before} -> ${diff.mfm.likelihood.after}`);
+  }
+  diff.mfm.addedFindings.forEach(finding => lines.push(`  + MFM: ${finding.category} - ${finding.concern}`));
+  diff.mfm.removedFindings.forEach(finding => lines.push(`  - MFM: ${finding.category} - ${finding.concern}`));
+
+  const { added, removed, changed } = diff.findings;
+  if (added.length + removed.length + changed.length > 0) {
+    lines.push('ASRM findings:');
+    added.forEach(f => lines.push(`  + ${f.category}: ${f.message}${formatCauses(f.causedBy)}`));
+    removed.forEach(f => lines.push(`  - ${f.category}: ${f.message}${formatCauses(f.causedBy)}`));
+    changed.forEach(f => lines.push(`  ~ ${f.category}: ${f.before.status} -> ${f.after.status} (${f.after.message})${formatCauses(f.causedBy)}`));
+  }
+
+  return lines;
+}
@@ -0,0 +1,263 @@
+/**
+ * Blood Pressure Trend Analysis
+ * Classifies every BP reading (classifyBloodPressure() in labInterpretation.js)
+ * and reads the pattern across prenatal, intrapartum and postpartum visits.
+ * Hypertension before 20 weeks, persisting postpartum or recurring outside
+ * pregnancy suggests chronic hypertension; hypertension limited to later
+ * pregnancy that settles after delivery is consistent with gestational
+ * hypertension (ACOG Practice Bulletins 202 and 203).
+ *
+ * INPUT (candidateData.bloodPressureReadings, as produced by extractBloodPressureReadings()):
+ *   [{ systolic, diastolic, date, phase, gestationalWeeks, postpartumWeeks }, ...]
+ *
+ * Dated readings with no phase cue are placed in a pregnancy or the
+ * postpartum period using the delivery dates in pregnancyHistory.
+ *
+ * The trend is used as facts by the rule pack ('bloodPressureTrend' group),
+ * the clinic profiles (bloodPressureTrend.findings) and the MFM review.
+ */
+
+import { classifyBloodPressure } from './labInterpretation.js';
+import { getPregnancies } from './obstetricTimeline.js';
+
+export const BP_PHASES = {
+  PRENATAL: 'prenatal',
+  INTRAPARTUM: 'intrapartum',
+  POSTPARTUM: 'postpartum',
+  OTHER: 'other'
+};
+
+export const BP_TREND_FINDINGS = {
+  SEVERE_RANGE: 'severe_range_bp',
+  CHRONIC_HYPERTENSION_SUSPECTED: 'chronic_hypertension_suspected',
+  GESTATIONAL_HYPERTENSION_RESOLVED: 'gestational_hypertension_resolved',
+  PREGNANCY_HYPERTENSION_UNRESOLVED: 'pregnancy_hypertension_unresolved',
+  STAGE_1_OUTSIDE_PREGNANCY: 'stage_1_outside_pregnancy',
+  SINGLE_ELEVATED_READING: 'single_elevated_reading'
+};
+
+// >= 140/90 is hypertension in and around pregnancy; outside it ACC/AHA stage 1 starts at 130/80
+const HYPERTENSIVE_CATEGORIES = ['hypertension_stage_2', 'severe_range_bp'];
+const STAGE_1_CATEGORIES = ['hypertension_stage_1', ...HYPERTENSIVE_CATEGORIES];
+const CHRONIC_BEFORE_WEEKS = 20;
+const POSTPARTUM_RESOLUTION_WEEKS = 12;
+const DAYS_PER_WEEK = 7;
+const PREGNANCY_DAYS = 280;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const display = reading => `${reading.systolic}/${reading.diastolic} mmHg`;
+const isHypertensive = reading => HYPERTENSIVE_CATEGORIES.includes(reading.category);
+const peakOf = readings => readings.reduce((peak, reading) =>
+  (reading.systolic + reading.diastolic > peak.systolic + peak.diastolic ? reading : peak));
+
+function parseFullDate(value) {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return match ? Date.UTC(+match[1], +match[2] - 1, +match[3]) : null;
+}
+
+function getDeliveryTimes(pregnancyHistory) {
+  const dates = [
+    ...getPregnancies(pregnancyHistory).map(pregnancy => pregnancy.deliveryDate),
+    pregnancyHistory?.lastDeliveryDate
+  ];
+  return [...new Set(dates.map(parseFullDate).filter(time => time !== null))].sort((a, b) => a - b);
+}
+
+/**
+ * Fill in phase and postpartum weeks from delivery dates where the record didn't say
+ */
+function placeReading(reading, deliveryTimes) {
+  const time = parseFullDate(reading.date);
+  if (time === null || deliveryTimes.length === 0) return reading;
+
+  const lastDelivery = deliveryTimes.filter(delivery => delivery <= time).pop();
+  const nextDelivery = deliveryTimes.find(delivery => delivery > time);
+  const weeksSinceDelivery = lastDelivery !== undefined ? (time - lastDelivery) / MS_PER_DAY / DAYS_PER_WEEK : null;
+
+  if (reading.phase === BP_PHASES.POSTPARTUM && reading.postpartumWeeks === null && weeksSinceDelivery !== null) {
+    return { ...reading, postpartumWeeks: Math.round(weeksSinceDelivery * 10) / 10 };
+  }
+  if (reading.phase !== BP_PHASES.OTHER) return reading;
+
+  if (nextDelivery !== undefined && (nextDelivery - time) / MS_PER_DAY <= PREGNANCY_DAYS) {
+    const gestationalWeeks = Math.round(40 - (nextDelivery - time) / MS_PER_DAY / DAYS_PER_WEEK);
+    return { ...reading, phase: BP_PHASES.PRENATAL, gestationalWeeks, placedByDate: true };
+  }
+  if (weeksSinceDelivery !== null && weeksSinceDelivery <= POSTPARTUM_RESOLUTION_WEEKS) {
+    return { ...reading, phase: BP_PHASES.POSTPARTUM, postpartumWeeks: Math.round(weeksSinceDelivery * 10) / 10, placedByDate: true };
+  }
+  return reading;
+}
+
+// Dated readings compare by date; otherwise record order decides
+const isAfter = (a, b) => (a.date && b.date ? a.date > b.date : a.index > b.index);
+
+function summarizePhase(readings) {
+  return {
+    count: readings.length,
+    hypertensiveCount: readings.filter(isHypertensive).length,
+    peak: readings.length > 0 ? display(peakOf(readings)) : null
+  };
+}
+
+/**
+ * Classify and trend a candidate's blood pressure readings
+ * @param {Array} readings - candidateData.bloodPressureReadings
+ * @param {Object} pregnancyHistory - candidateData.pregnancyHistory (delivery dates place undated-phase readings)
+ * @returns {Object} { known, count, readings, phases, latest, findings, summary }
+ *   findings: [{ id, significance, duringPregnancy, message, guidance, readingCount }]
+ */
+export function analyzeBloodPressureTrend(readings, pregnancyHistory = null) {
+  const deliveryTimes = getDeliveryTimes(pregnancyHistory);
+  const classified = (Array.isArray(readings) ? readings : [])
+    .map((reading, index) => {
+      const classification = classifyBloodPressure(reading?.systolic, reading?.diastolic);
+      if (!classification) return null;
+      return placeReading({
+        date: reading.date || null,
+        phase: Object.values(BP_PHASES).includes(reading.phase) ? reading.phase : BP_PHASES.OTHER,
+        gestationalWeeks: reading.gestationalWeeks ?? null,
+        postpartumWeeks: reading.postpartumWeeks ?? null,
+        ...classification,
+        index
+      }, deliveryTimes);
+    })
+    .filter(Boolean);
+
+  const inPhase = phase => classified.filter(reading => reading.phase === phase);
+  const pregnancyReadings = [...inPhase(BP_PHASES.PRENATAL), ...inPhase(BP_PHASES.INTRAPARTUM)];
+  const earlyPostpartum = inPhase(BP_PHASES.POSTPARTUM)
+    .filter(reading => reading.postpartumWeeks === null || reading.postpartumWeeks < POSTPARTUM_RESOLUTION_WEEKS);
+  // Beyond 12 weeks postpartum a reading reflects baseline BP
+  const outsidePregnancy = classified.filter(reading =>
+    reading.phase === BP_PHASES.OTHER ||
+    (reading.phase === BP_PHASES.POSTPARTUM && reading.postpartumWeeks >= POSTPARTUM_RESOLUTION_WEEKS)
+  );
+
+  const findings = [];
+  const addFinding = (id, significance, message, guidance, matching, duringPregnancy = false) => {
+    findings.push({ id, significance, duringPregnancy, message, guidance, readingCount: matching.length });
+  };
+
+  // Severe-range readings
+  const severe = classified.filter(reading => reading.category === 'severe_range_bp');
+  if (severe.length > 0) {
+    const peak = peakOf(severe);
+    const duringPregnancy = peak.phase !== BP_PHASES.OTHER && !outsidePregnancy.includes(peak);
+    addFinding(
+      BP_TREND_FINDINGS.SEVERE_RANGE,
+      'abnormal',
+      `Severe-range BP ${display(peak)}${duringPregnancy ? ` (${peak.phase})` : ''}`,
+      duringPregnancy
+        ? 'confirm whether preeclampsia with severe features was diagnosed and how it resolved'
+        : 'needs urgent evaluation; not a candidate until controlled',
+      severe,
+      duringPregnancy
+    );
+  }
+
+  // Chronic hypertension: before 20 weeks, persisting postpartum, or recurring outside pregnancy
+  const earlyPregnancy = inPhase(BP_PHASES.PRENATAL)
+    .filter(reading => reading.gestationalWeeks !== null && reading.gestationalWeeks < CHRONIC_BEFORE_WEEKS && isHypertensive(reading));
+  const postpartumHypertensive = earlyPostpartum.filter(isHypertensive);
+  const lastPostpartum = earlyPostpartum.reduce((latest, reading) => (!latest || isAfter(reading, latest) ? reading : latest), null);
+  const outsideHypertensive = outsidePregnancy.filter(isHypertensive);
+
+  if (postpartumHypertensive.length >= 2 && isHypertensive(lastPostpartum)) {
+    addFinding(
+      BP_TREND_FINDINGS.CHRONIC_HYPERTENSION_SUSPECTED,
+      'abnormal',
+      `Persistent elevated BP postpartum (${postpartumHypertensive.length} readings ≥140/90, up to ${display(peakOf(postpartumHypertensive))}) suggests chronic hypertension`,
+      'needs a current BP and evaluation for chronic hypertension before transfer',
+      postpartumHypertensive
+    );
+  } else if (outsideHypertensive.length >= 2) {
+    addFinding(
+      BP_TREND_FINDINGS.CHRONIC_HYPERTENSION_SUSPECTED,
+      'abnormal',
+      `Elevated BP on ${outsideHypertensive.length} readings outside pregnancy (up to ${display(peakOf(outsideHypertensive))}) suggests chronic hypertension`,
+      'needs evaluation and BP control before transfer',
+      outsideHypertensive
+    );
+  } else if (earlyPregnancy.length > 0) {
+    const first = earlyPregnancy[0];
+    addFinding(
+      BP_TREND_FINDINGS.CHRONIC_HYPERTENSION_SUSPECTED,
+      'abnormal',
+      `Elevated BP before 20 weeks of pregnancy (${display(first)} at ${first.gestationalWeeks} weeks) suggests pre-existing chronic hypertension`,
+      'needs a current BP and evaluation for chronic hypertension before transfer',
+      earlyPregnancy
+    );
+  } else if (pregnancyReadings.some(isHypertensive)) {
+    // Hypertension confined to later pregnancy - did it settle afterwards?
+    const pregnancyHypertensive = pregnancyReadings.filter(isHypertensive);
+    const lastHypertensive = pregnancyHypertensive.reduce((latest, reading) => (isAfter(reading, latest) ? reading : latest));
+    const later = classified.filter(reading =>
+      !pregnancyReadings.includes(reading) && isAfter(reading, lastHypertensive)
+    );
+    const latest = later.reduce((last, reading) => (!last || isAfter(reading, last) ? reading : last), null);
+
+    if (latest && !isHypertensive(latest)) {
+      addFinding(
+        BP_TREND_FINDINGS.GESTATIONAL_HYPERTENSION_RESOLVED,
+        'borderline',
+        `Elevated BP in pregnancy (up to ${display(peakOf(pregnancyHypertensive))}) resolved after delivery (${display(latest)}) - consistent with gestational hypertension`,
+        'raises recurrence risk; low-dose aspirin and home BP monitoring are usually recommended',
+        pregnancyHypertensive,
+        true
+      );
+    } else {
+      addFinding(
+        BP_TREND_FINDINGS.PREGNANCY_HYPERTENSION_UNRESOLVED,
+        'borderline',
+        `Elevated BP in pregnancy (up to ${display(peakOf(pregnancyHypertensive))}) with no later normal reading to show it resolved`,
+        'obtain a current BP to rule out chronic hypertension',
+        pregnancyHypertensive,
+        true
+      );
+    }
+  }
+
+  // Milder readings outside pregnancy when no pattern above explains them
+  const hasChronicFinding = findings.some(finding => finding.id === BP_TREND_FINDINGS.CHRONIC_HYPERTENSION_SUSPECTED);
+  const stage1Outside = outsidePregnancy.filter(reading => STAGE_1_CATEGORIES.includes(reading.category));
+  if (!hasChronicFinding && stage1Outside.length >= 2) {
+    addFinding(
+      BP_TREND_FINDINGS.STAGE_1_OUTSIDE_PREGNANCY,
+      'borderline',
+      `BP in the stage 1 range on ${stage1Outside.length} readings outside pregnancy (up to ${display(peakOf(stage1Outside))})`,
+      'recheck; may be early chronic hypertension',
+      stage1Outside
+    );
+  } else if (!hasChronicFinding && stage1Outside.length === 1 && stage1Outside[0].category !== 'severe_range_bp') {
+    const reading = stage1Outside[0];
+    addFinding(
+      BP_TREND_FINDINGS.SINGLE_ELEVATED_READING,
+      reading.significance,
+      `Single elevated BP outside pregnancy (${display(reading)}) — ${reading.label}`,
+      'recheck to confirm',
+      stage1Outside
+    );
+  }
+
+  const { index, ...latest } = classified.reduce((last, reading) => (!last || isAfter(reading, last) ? reading : last), null) || {};
+
+  let summary;
+  if (classified.length === 0) {
+    summary = 'No blood pressure readings recorded.';
+  } else if (findings.length === 0) {
+    summary = `${classified.length} BP reading${classified.length === 1 ? '' : 's'}, none in the hypertensive range.`;
+  } else {
+    summary = `${classified.length} BP reading${classified.length === 1 ? '' : 's'}: ${findings.map(finding => finding.message).join('; ')}.`;
+  }
+
+  return {
+    known: classified.length > 0,
+    count: classified.length,
+    readings: classified.map(({ index, ...reading }) => reading),
+    phases: Object.fromEntries(Object.values(BP_PHASES).map(phase => [phase, summarizePhase(inPhase(phase))])),
+    latest: index !== undefined ? { ...latest, display: display(latest) } : null,
+    findings,
+    summary
+  };
+}
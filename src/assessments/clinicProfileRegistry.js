@@ -0,0 +1,345 @@
+/**
+ * Clinic Profile Registry
+ * Holds the clinic acceptance profiles (clinic types + named clinics)
+ * that clinicTypeAssessment.js scores candidates against.
+ *
+ * Named clinics are usually defined as a clinic type plus published
+ * limits (see data/clinicProfiles.js). Limits and declined conditions are
+ * compiled into hard-stop rule groups when the profile is registered, and
+ * the minimum delivery interval into a penalty group.
+ */
+
+import { RULE_PACK_SCHEMA, validateAgainstSchema } from './ruleEngine.js';
+import { CLINIC_TYPE_PROFILES, NAMED_CLINIC_PROFILES } from '../data/clinicProfiles.js';
+
+const SEVERITIES = ['minor', 'moderate', 'major'];
+
+export const CLINIC_PROFILE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    kind: { enum: ['clinic', 'clinic_type'] },
+    extends: { type: 'string' },
+    clinicType: { enum: ['STRICT', 'MODERATE', 'LENIENT'] },
+    maxScore: { type: 'number' },
+    limits: {
+      type: 'object',
+      properties: {
+        ageMin: { type: 'number' },
+        ageMax: { type: 'number' },
+        bmiMin: { type: 'number' },
+        bmiMax: { type: 'number' },
+        maxCesareans: { type: 'number' },
+        maxDeliveries: { type: 'number' },
+        nonSmokerOnly: { type: 'boolean' }
+      }
+    },
+    declinedConditions: { type: 'array', items: { type: 'string' } },
+    deliveryInterval: {
+      type: 'object',
+      properties: {
+        minMonths: { type: 'number' },
+        minMonthsAfterCesarean: { type: 'number' },
+        severity: { enum: SEVERITIES },
+        points: { type: 'number' }
+      }
+    },
+    hardStops: { type: 'array', items: { $ref: '#/definitions/group' } },
+    penalties: { type: 'array', items: { $ref: '#/definitions/group' } },
+    combinations: { type: 'array', items: { $ref: '#/definitions/group' } }
+  },
+  definitions: {
+    group: {
+      type: 'object',
+      required: ['id', 'mode', 'rules'],
+      properties: {
+        id: { type: 'string' },
+        mode: { enum: ['first', 'all'] },
+        forEach: { type: 'string' },
+        when: { $ref: '#/definitions/condition' },
+        rules: { type: 'array', minItems: 1, items: { $ref: '#/definitions/rule' } }
+      }
+    },
+    rule: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string' },
+        when: { $ref: '#/definitions/condition' },
+        severity: { enum: SEVERITIES },
+        message: { type: 'string' },
+        points: {
+          anyOf: [
+            { type: 'number' },
+            {
+              type: 'object',
+              required: ['per'],
+              properties: {
+                per: { type: 'string' },
+                each: { type: 'number' },
+                table: { type: 'array', minItems: 1, items: { type: 'number' } },
+                thereafter: { type: 'number' }
+              }
+            }
+          ]
+        }
+      }
+    },
+    condition: RULE_PACK_SCHEMA.definitions.condition
+  }
+};
+
+const clinicProfileRegistry = new Map();
+// Definitions as registered (before compiling), in registration order, so the
+// rule set can be fingerprinted and archived (see ruleVersioning.js)
+const clinicProfileDefinitions = new Map();
+let definitionsSnapshot = null;
+
+/**
+ * Validate a clinic profile definition
+ * @param {Object} profile - Profile definition
+ * @param {Map} profiles - Resolved profiles that `extends` may refer to (default: registry)
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateClinicProfile(profile, profiles = clinicProfileRegistry) {
+  const errors = validateAgainstSchema(profile, CLINIC_PROFILE_SCHEMA, `clinicProfile(${profile?.id || '?'})`);
+
+  if (errors.length === 0) {
+    if (profile.extends && !profiles.has(profile.extends)) {
+      errors.push(`clinicProfile(${profile.id}).extends: unknown profile "${profile.extends}"`);
+    }
+    if (!profile.extends && !profile.clinicType) {
+      errors.push(`clinicProfile(${profile.id}): clinicType is required when not extending another profile`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Turn published limits and declined conditions into hard-stop rule groups
+ */
+function compileHardStops(profile) {
+  const { id, name, limits = {}, declinedConditions = [] } = profile;
+  const rules = [];
+
+  if (limits.ageMin !== undefined) {
+    rules.push({
+      id: `${id}.limit.age-min`,
+      when: { all: [{ field: 'age', op: 'truthy' }, { field: 'age', op: 'lt', value: limits.ageMin }] },
+      message: `Age {age} is below ${name} minimum age of ${limits.ageMin}`
+    });
+  }
+  if (limits.ageMax !== undefined) {
+    rules.push({
+      id: `${id}.limit.age-max`,
+      when: { field: 'age', op: 'gt', value: limits.ageMax },
+      message: `Age {age} is above ${name} maximum age of ${limits.ageMax}`
+    });
+  }
+  if (limits.bmiMin !== undefined) {
+    rules.push({
+      id: `${id}.limit.bmi-min`,
+      when: { all: [{ field: 'lifestyle.bmi', op: 'truthy' }, { field: 'lifestyle.bmi', op: 'lt', value: limits.bmiMin }] },
+      message: `BMI {lifestyle.bmi} is below ${name} minimum BMI of ${limits.bmiMin}`
+    });
+  }
+  if (limits.bmiMax !== undefined) {
+    rules.push({
+      id: `${id}.limit.bmi-max`,
+      when: { field: 'lifestyle.bmi', op: 'gt', value: limits.bmiMax },
+      message: `BMI {lifestyle.bmi} exceeds ${name} maximum BMI of ${limits.bmiMax}`
+    });
+  }
+  if (limits.maxCesareans !== undefined) {
+    rules.push({
+      id: `${id}.limit.max-cesareans`,
+      when: { field: 'pregnancyHistory.numberOfCesareans', op: 'gt', value: limits.maxCesareans },
+      message: `{pregnancyHistory.numberOfCesareans} C-sections exceeds ${name} maximum of ${limits.maxCesareans}`
+    });
+  }
+  if (limits.maxDeliveries !== undefined) {
+    rules.push({
+      id: `${id}.limit.max-deliveries`,
+      when: { field: 'pregnancyHistory.totalDeliveries', op: 'gt', value: limits.maxDeliveries },
+      message: `{pregnancyHistory.totalDeliveries} deliveries exceeds ${name} maximum of ${limits.maxDeliveries}`
+    });
+  }
+  if (limits.nonSmokerOnly) {
+    rules.push({
+      id: `${id}.limit.non-smoker`,
+      when: { field: 'lifestyle.currentSmoker', op: 'truthy' },
+      message: `${name} only accepts non-smokers`
+    });
+  }
+
+  const groups = [];
+  if (rules.length > 0) {
+    groups.push({ id: 'limits', mode: 'all', rules });
+  }
+  if (declinedConditions.length > 0) {
+    groups.push({
+      id: 'declinedConditions',
+      mode: 'first',
+      forEach: 'medicalConditions',
+      rules: [{
+        id: `${id}.declined-condition`,
+        when: { field: 'item', op: 'includes', value: declinedConditions },
+        message: `${name} does not accept a history of {item|humanize}`
+      }]
+    });
+  }
+
+  return groups;
+}
+
+/**
+ * Turn the minimum delivery interval into a penalty group
+ * Facts come from getDeliveryInterval() (see clinicTypeAssessment.js).
+ */
+function compileDeliveryInterval(id, name, config) {
+  if (!config || config.minMonths === undefined) return [];
+  const { minMonths, minMonthsAfterCesarean, severity = 'moderate', points = 0 } = config;
+  const rules = [];
+
+  if (minMonthsAfterCesarean !== undefined) {
+    rules.push({
+      id: `${id}.interval.after-cesarean`,
+      when: {
+        all: [
+          { field: 'interval.afterCesarean', op: 'truthy' },
+          { field: 'interval.monthsSinceDelivery', op: 'lt', value: minMonthsAfterCesarean }
+        ]
+      },
+      severity,
+      points,
+      message: `Only {interval.monthsSinceDelivery} months since last cesarean - below ${name} minimum of ${minMonthsAfterCesarean} months`
+    });
+  }
+  rules.push({
+    id: `${id}.interval.too-soon`,
+    when: { field: 'interval.monthsSinceDelivery', op: 'lt', value: minMonths },
+    severity,
+    points,
+    message: `Only {interval.monthsSinceDelivery} months since last delivery - below ${name} minimum of ${minMonths} months`
+  });
+
+  return [{
+    id: 'deliveryInterval',
+    mode: 'first',
+    when: { field: 'interval.known', op: 'truthy' },
+    rules
+  }];
+}
+
+/**
+ * Resolve `extends`, compile limits and return a ready-to-score profile
+ */
+function resolveClinicProfile(profile, profiles) {
+  const base = profile.extends ? profiles.get(profile.extends) : null;
+  const deliveryInterval = (base?.deliveryInterval || profile.deliveryInterval)
+    ? { ...base?.deliveryInterval, ...profile.deliveryInterval }
+    : undefined;
+  // The base's interval group is recompiled so messages carry this profile's name
+  const basePenalties = (base?.penalties || []).filter(group => group.id !== 'deliveryInterval');
+
+  return {
+    kind: 'clinic',
+    ...profile,
+    clinicType: profile.clinicType || base.clinicType,
+    maxScore: profile.maxScore ?? base?.maxScore ?? 95,
+    deliveryInterval,
+    penalties: [
+      ...basePenalties,
+      ...(profile.penalties || []),
+      ...compileDeliveryInterval(profile.id, profile.name, deliveryInterval)
+    ],
+    combinations: profile.combinations || base?.combinations || [],
+    hardStops: [...compileHardStops(profile), ...(profile.hardStops || [])]
+  };
+}
+
+/**
+ * Register (or replace) a clinic profile
+ */
+export function registerClinicProfile(profile) {
+  const resolved = addToProfileSet(clinicProfileRegistry, profile);
+  clinicProfileDefinitions.delete(profile.id);
+  clinicProfileDefinitions.set(profile.id, profile);
+  definitionsSnapshot = null;
+  return resolved;
+}
+
+function addToProfileSet(profiles, profile) {
+  const { valid, errors } = validateClinicProfile(profile, profiles);
+  if (!valid) {
+    throw new Error(`Invalid clinic profile: ${errors.join('; ')}`);
+  }
+  const resolved = resolveClinicProfile(profile, profiles);
+  profiles.set(profile.id, resolved);
+  return resolved;
+}
+
+/**
+ * Resolve a list of profile definitions into a standalone profile set
+ * (used to re-run archived rule versions without touching the registry)
+ * @returns {Map} id → resolved profile, usable as `clinicProfiles` in
+ *   assessByClinicType / rankClinics
+ */
+export function buildClinicProfileSet(definitions) {
+  const profiles = new Map();
+  definitions.forEach(profile => addToProfileSet(profiles, profile));
+  return profiles;
+}
+
+/**
+ * Registered profile definitions, in registration order
+ * The same array is returned until the registry changes.
+ */
+export function getClinicProfileDefinitions() {
+  if (!definitionsSnapshot) {
+    definitionsSnapshot = Object.freeze([...clinicProfileDefinitions.values()]);
+  }
+  return definitionsSnapshot;
+}
+
+/**
+ * Load clinic profiles from a JSON string or array and register them
+ */
+export function loadClinicProfiles(source) {
+  const profiles = typeof source === 'string' ? JSON.parse(source) : source;
+  return profiles.map(registerClinicProfile);
+}
+
+export function unregisterClinicProfile(id) {
+  clinicProfileDefinitions.delete(id);
+  definitionsSnapshot = null;
+  return clinicProfileRegistry.delete(id);
+}
+
+/**
+ * @param {string} id
+ * @param {Map} profiles - Profile set to look in (default: registry)
+ */
+export function getClinicProfile(id, profiles = clinicProfileRegistry) {
+  return profiles.get(id) || null;
+}
+
+/**
+ * List registered profiles
+ * @param {Object} options
+ * @param {boolean} options.includeClinicTypes - Include the generic STRICT/MODERATE/LENIENT profiles
+ * @param {Map} options.clinicProfiles - Profile set to list (default: registry)
+ */
+export function listClinicProfiles(options = {}) {
+  const { includeClinicTypes = false, clinicProfiles = clinicProfileRegistry } = options;
+  return [...clinicProfiles.values()].filter(profile =>
+    includeClinicTypes || profile.kind !== 'clinic_type'
+  );
+}
+
+// Generic clinic types first so named clinics can extend them
+CLINIC_TYPE_PROFILES.forEach(profile => registerClinicProfile({ ...profile, kind: 'clinic_type' }));
+NAMED_CLINIC_PROFILES.forEach(registerClinicProfile);
@@ -0,0 +1,174 @@
+/**
+ * Delivery Interval (Postpartum Timing)
+ * Time since the last delivery, and when a candidate becomes eligible for
+ * transfer at each clinic.
+ *
+ * Nearly every clinic requires a minimum interval after the last delivery
+ * (commonly 12 months, longer after a cesarean), and MFMs weigh short
+ * interpregnancy intervals heavily: ACOG advises against intervals under
+ * 6 months and counsels on risks under 18 months.
+ *
+ * INPUTS (candidateData.pregnancyHistory):
+ *   lastDeliveryDate          'YYYY-MM-DD' or 'YYYY-MM' (from the parser or entered)
+ *   lastDeliveryMode          'vaginal' | 'cesarean'
+ *   monthsSinceLastDelivery   Reported interval; wins over the date when both are set
+ *                             (the what-if simulator uses it to model waiting)
+ *   pregnancies               Timeline (see obstetricTimeline.js); the most recent
+ *                             delivery supplies the date and mode when they are not set
+ *
+ * When the delivery mode is unknown but the candidate has had a cesarean,
+ * the cesarean minimum is applied (modeAssumed: true).
+ */
+
+import { getPregnancies, DELIVERY_MODES } from './obstetricTimeline.js';
+
+const AVERAGE_DAYS_PER_MONTH = 30.4375;
+
+/**
+ * Parse 'YYYY-MM-DD' / 'YYYY-MM' into a UTC date (month-only dates use the 1st)
+ */
+function parseDeliveryDate(value) {
+  if (!value) return null;
+  const match = String(value).match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
+  if (!match) return null;
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, match[3] ? +match[3] : 1));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  return value ? new Date(value) : new Date();
+}
+
+export function toIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add whole calendar months to a date (clamped to the end of shorter months)
+ */
+export function addMonths(date, months) {
+  const whole = Math.ceil(months);
+  const result = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + whole, 1));
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return result;
+}
+
+/**
+ * Time since the last delivery
+ * @param {Object} candidateData - Structured candidate data
+ * @param {Date|string} asOf - Date the interval is measured to (default: today)
+ * @returns {Object} { known, lastDeliveryDate, monthsSinceDelivery, afterCesarean, modeAssumed, source }
+ */
+export function getDeliveryInterval(candidateData, asOf) {
+  const history = candidateData?.pregnancyHistory || {};
+  const asOfDate = toDate(asOf);
+  const lastDelivery = getPregnancies(history).filter(pregnancy => pregnancy.delivered).pop();
+  const deliveryDate = parseDeliveryDate(history.lastDeliveryDate || lastDelivery?.deliveryDate);
+  const deliveryMode = history.lastDeliveryMode ||
+    (lastDelivery?.deliveryMode === DELIVERY_MODES.OPERATIVE_VAGINAL ? 'vaginal' : lastDelivery?.deliveryMode);
+
+  let monthsSinceDelivery = null;
+  let source = null;
+  if (typeof history.monthsSinceLastDelivery === 'number') {
+    monthsSinceDelivery = history.monthsSinceLastDelivery;
+    source = 'reported';
+  } else if (deliveryDate && deliveryDate <= asOfDate) {
+    monthsSinceDelivery = Math.floor(((asOfDate - deliveryDate) / 86400000 / AVERAGE_DAYS_PER_MONTH) * 10) / 10;
+    source = 'date';
+  }
+
+  const modeKnown = deliveryMode === 'cesarean' || deliveryMode === 'vaginal';
+  const afterCesarean = modeKnown
+    ? deliveryMode === 'cesarean'
+    : (history.numberOfCesareans || 0) > 0;
+
+  return {
+    known: monthsSinceDelivery !== null,
+    lastDeliveryDate: deliveryDate ? toIsoDate(deliveryDate) : null,
+    monthsSinceDelivery,
+    afterCesarean,
+    modeAssumed: !modeKnown && afterCesarean,
+    source
+  };
+}
+
+/**
+ * Minimum interval a clinic profile requires for this delivery
+ * @returns {number|null} months, or null when the profile sets no minimum
+ */
+export function getRequiredMonths(profile, interval) {
+  const config = profile?.deliveryInterval;
+  if (!config) return null;
+  if (interval.afterCesarean && config.minMonthsAfterCesarean !== undefined) {
+    return config.minMonthsAfterCesarean;
+  }
+  return config.minMonths ?? null;
+}
+
+/**
+ * When a candidate can transfer under a minimum interval
+ * @returns {Object|null} { requiredMonths, eligibleFrom, eligibleNow, monthsToWait }
+ */
+export function getTransferEligibility(interval, requiredMonths, asOf) {
+  if (!interval.known || requiredMonths === null) return null;
+
+  const asOfDate = toDate(asOf);
+  const monthsToWait = Math.max(0, Math.round((requiredMonths - interval.monthsSinceDelivery) * 10) / 10);
+  const eligibleFrom = interval.source === 'date'
+    ? addMonths(parseDeliveryDate(interval.lastDeliveryDate), requiredMonths)
+    : addMonths(asOfDate, monthsToWait);
+
+  return {
+    requiredMonths,
+    eligibleFrom: toIsoDate(eligibleFrom),
+    eligibleNow: monthsToWait === 0,
+    monthsToWait
+  };
+}
+
+/**
+ * Postpartum timing across clinic results
+ * @param {Object} candidateData - Structured candidate data
+ * @param {Object} clinicResults - { strict, moderate, lenient } from assessByClinicType
+ * @param {Array} clinicRanking - Named clinic results from rankClinics
+ * @param {Object} options
+ * @param {Date|string} options.asOf - Default: today
+ * @returns {Object} { ...interval, asOf, clinics, earliestEligibleTransferDate, allClinicsEligibleDate, summary }
+ */
+export function assessDeliveryInterval(candidateData, clinicResults = {}, clinicRanking = [], options = {}) {
+  const asOf = toDate(options.asOf);
+  const interval = getDeliveryInterval(candidateData, asOf);
+
+  const clinics = [
+    ...['strict', 'moderate', 'lenient'].map(tier => clinicResults[tier]),
+    ...clinicRanking
+  ]
+    .filter(result => result?.timing)
+    .map(result => ({ clinicId: result.clinicId, clinicName: result.clinicName, ...result.timing }));
+
+  const dates = clinics.map(clinic => clinic.eligibleFrom).sort();
+  const earliestEligibleTransferDate = dates[0] || null;
+  const allClinicsEligibleDate = dates[dates.length - 1] || null;
+
+  let summary;
+  if (!interval.known) {
+    summary = 'Date of last delivery not found - confirm it to check postpartum timing requirements.';
+  } else if (clinics.every(clinic => clinic.eligibleNow)) {
+    summary = `${interval.monthsSinceDelivery} months since last delivery - meets postpartum timing requirements.`;
+  } else {
+    summary = `${interval.monthsSinceDelivery} months since last ${interval.afterCesarean ? 'cesarean ' : ''}delivery - ` +
+      `earliest eligible transfer date ${earliestEligibleTransferDate}` +
+      (allClinicsEligibleDate !== earliestEligibleTransferDate ? `, all clinics from ${allClinicsEligibleDate}.` : '.');
+  }
+
+  return {
+    ...interval,
+    asOf: toIsoDate(asOf),
+    clinics,
+    earliestEligibleTransferDate,
+    allClinicsEligibleDate,
+    summary
+  };
+}
@@ -0,0 +1,220 @@
+/**
+ * Lab Value Interpretation
+ * Normalizes lab values to a canonical unit (mg/dL vs mmol/L, % vs mmol/mol,
+ * g/dL vs g/L) and classifies them against the screening ranges in
+ * data/labReferenceRanges.js.
+ *
+ * INPUT (candidateData.labValues, as produced by extractLabValues()):
+ *   { hba1c: { value: '6.1', unit: '%' }, glucose: { value: '5.9', unit: 'mmol/L', qualifier: 'fasting' },
+ *     bloodPressure: { value: '142', value2: '92' }, ... }
+ *   Plain numbers ({ hba1c: 6.1 }) and strings ({ bloodPressure: '142/92' }) are accepted too.
+ *
+ * The interpretation is used as facts by the rule pack ('labValues' group),
+ * the clinic profiles (labInterpretation.findings) and the MFM review. Serial
+ * BP readings are trended separately (see bloodPressureTrend.js).
+ */
+
+import { LAB_REFERENCE_RANGES, BLOOD_PRESSURE_CATEGORIES, BLOOD_PRESSURE_SOURCE } from '../data/labReferenceRanges.js';
+
+export const LAB_SIGNIFICANCE = {
+  NORMAL: 'normal',
+  BORDERLINE: 'borderline',
+  ABNORMAL: 'abnormal'
+};
+
+// Units that are the same quantity under a different name
+const UNIT_ALIASES = {
+  'uiu/ml': 'mIU/L',
+  'µiu/ml': 'mIU/L',
+  'mu/l': 'mIU/L',
+  'mg/dl': 'mg/dL',
+  'mmol/l': 'mmol/L',
+  'g/dl': 'g/dL'
+};
+
+const toNumber = value => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+const formatValue = (value, unit) => (unit === '%' ? `${value}%` : `${value} ${unit}`);
+
+function toReading(raw) {
+  if (raw === null || raw === undefined) return null;
+  if (typeof raw === 'number') return { value: raw, unit: null };
+  if (typeof raw === 'string') {
+    const match = raw.match(/(\d+(?:\.\d+)?)(?:\s*\/\s*(\d+(?:\.\d+)?))?\s*(.*)/);
+    return match ? { value: match[1], value2: match[2] || null, unit: match[3].trim() || null } : null;
+  }
+  return raw;
+}
+
+function resolveUnit(reference, unit) {
+  if (!unit) return null;
+  const key = unit.toLowerCase().replace(/\s+/g, '');
+  const alias = UNIT_ALIASES[key];
+  const known = [reference.unit, ...Object.keys(reference.conversions)];
+  return known.find(candidate => candidate === alias || candidate.toLowerCase() === key) || null;
+}
+
+function inferUnit(reference, value) {
+  const rule = reference.inferUnit;
+  if (rule && ((rule.above !== undefined && value > rule.above) || (rule.below !== undefined && value < rule.below))) {
+    return rule.unit;
+  }
+  return reference.unit;
+}
+
+function findBand(bands, value) {
+  return bands.find(band =>
+    (band.below === undefined || value < band.below) && (band.atMost === undefined || value <= band.atMost)
+  );
+}
+
+/**
+ * Classify a single blood pressure reading
+ * @param {number} systolic - mmHg
+ * @param {number} diastolic - mmHg
+ * @returns {Object|null} { systolic, diastolic, category, label, significance, guidance }
+ */
+export function classifyBloodPressure(systolic, diastolic) {
+  const sys = toNumber(systolic);
+  const dia = toNumber(diastolic);
+  if (sys === null || dia === null) return null;
+
+  const band = BLOOD_PRESSURE_CATEGORIES.find(candidate =>
+    (candidate.systolic === undefined && candidate.diastolic === undefined) ||
+    (candidate.systolic !== undefined && sys >= candidate.systolic) ||
+    (candidate.diastolic !== undefined && dia >= candidate.diastolic)
+  );
+  return {
+    systolic: sys,
+    diastolic: dia,
+    category: band.category,
+    label: band.label,
+    significance: band.significance,
+    guidance: band.guidance || null
+  };
+}
+
+function interpretBloodPressure(raw) {
+  const reading = toReading(raw);
+  const classification = reading && classifyBloodPressure(
+    reading.systolic ?? reading.value,
+    reading.diastolic ?? reading.value2
+  );
+  if (!classification) return null;
+
+  const display = `${classification.systolic}/${classification.diastolic} mmHg`;
+  return {
+    test: 'bloodPressure',
+    name: 'BP',
+    value: classification.systolic,
+    value2: classification.diastolic,
+    unit: 'mmHg',
+    reported: null,
+    unitInferred: false,
+    ...classification,
+    display,
+    message: `BP ${display} — ${classification.label}`,
+    source: BLOOD_PRESSURE_SOURCE
+  };
+}
+
+/**
+ * Interpret one lab value
+ * @param {string} test - Key of LAB_REFERENCE_RANGES (hba1c, glucose, tsh, hemoglobin, hematocrit)
+ *   or 'bloodPressure'
+ * @param {Object|number|string} raw - Value as extracted or entered
+ * @returns {Object|null} { test, name, value, unit, reported, unitInferred, category, label,
+ *   significance, guidance, display, message, source } - null when the value can't be read
+ */
+export function interpretLab(test, raw) {
+  if (test === 'bloodPressure') return interpretBloodPressure(raw);
+
+  const reference = LAB_REFERENCE_RANGES[test];
+  const reading = toReading(raw);
+  const reportedValue = toNumber(reading?.value);
+  if (!reference || reportedValue === null) return null;
+
+  const statedUnit = resolveUnit(reference, reading.unit);
+  const reportedUnit = statedUnit || inferUnit(reference, reportedValue);
+  const conversion = reference.conversions[reportedUnit];
+  const value = round(conversion ? reportedValue * conversion.factor + (conversion.offset || 0) : reportedValue, reference.decimals);
+
+  const fasting = test === 'glucose' && (reading.fasting === true || /fasting/i.test(reading.qualifier || ''));
+  const band = findBand(fasting ? reference.fastingBands : reference.bands, value);
+  const name = fasting ? `Fasting ${reference.name.toLowerCase()}` : reference.name;
+  const display = formatValue(value, reference.unit);
+  const reported = conversion && reportedUnit !== 'fraction' ? formatValue(reportedValue, reportedUnit) : null;
+
+  return {
+    test,
+    name,
+    value,
+    unit: reference.unit,
+    reported,
+    unitInferred: !statedUnit,
+    ...(test === 'glucose' && { fasting }),
+    category: band.category,
+    label: band.label,
+    significance: band.significance,
+    guidance: band.guidance || null,
+    display,
+    message: `${name} ${reported ? `${reported} (${display})` : display} — ${band.label}`,
+    source: reference.source
+  };
+}
+
+/**
+ * Interpret all lab values for a candidate
+ * Labs without a reference range (BMI, weight) are ignored; BMI is scored
+ * with lifestyle factors.
+ * @param {Object} labValues - candidateData.labValues
+ * @param {Object} options
+ * @param {Array<string>} options.exclude - Tests to leave out
+ * @returns {Object} { known, results, findings, abnormalCount, borderlineCount, summary }
+ *   findings are the results outside the normal range
+ */
+export function interpretLabValues(labValues, options = {}) {
+  const { exclude = [] } = options;
+  const results = ['bloodPressure', ...Object.keys(LAB_REFERENCE_RANGES)]
+    .filter(test => !exclude.includes(test))
+    .map(test => interpretLab(test, labValues?.[test]))
+    .filter(Boolean);
+
+  const findings = results.filter(result => result.significance !== LAB_SIGNIFICANCE.NORMAL);
+  const abnormalCount = findings.filter(result => result.significance === LAB_SIGNIFICANCE.ABNORMAL).length;
+
+  let summary;
+  if (results.length === 0) {
+    summary = 'No lab values recorded.';
+  } else if (findings.length === 0) {
+    summary = `${results.length} lab value${results.length === 1 ? '' : 's'} within screening ranges.`;
+  } else {
+    summary = `${findings.length} of ${results.length} lab value${results.length === 1 ? '' : 's'} outside screening ranges: ` +
+      `${findings.map(finding => finding.message).join('; ')}.`;
+  }
+
+  return {
+    known: results.length > 0,
+    results,
+    findings,
+    abnormalCount,
+    borderlineCount: findings.length - abnormalCount,
+    summary
+  };
+}
+
+/**
+ * Interpret a candidate's lab values
+ * When the record has serial BP readings, the BP trend (bloodPressureTrend.js)
+ * stands in for the single BP value.
+ * @param {Object} candidateData
+ */
+export function interpretCandidateLabs(candidateData) {
+  const trended = candidateData?.bloodPressureReadings?.length > 0;
+  return interpretLabValues(candidateData?.labValues, { exclude: trended ? ['bloodPressure'] : [] });
+}
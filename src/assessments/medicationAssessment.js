@@ -0,0 +1,188 @@
+/**
+ * Medication Exposure Assessment
+ * Looks up each current medication in the bundled teratology knowledge base
+ * (data/medicationKnowledgeBase.json, built by scripts/build-medication-kb.js
+ * from curated entries and MotherToBaby fact sheets) and reports its
+ * pregnancy safety, whether a taper or switch is usually needed before
+ * transfer, and how clinics and MFMs tend to view it.
+ *
+ * INPUT (candidateData.medications):
+ *   ['Zoloft 50 mg', ...] or [{ name: 'Zoloft', dose: '50 mg' }, ...]
+ *
+ * The review is used as facts by the rule pack ('medications' group), the
+ * clinic profiles (medicationReview.items) and the MFM review.
+ */
+
+import MEDICATION_KNOWLEDGE_BASE from '../data/medicationKnowledgeBase.json' with { type: 'json' };
+
+export const PREGNANCY_SAFETY = {
+  COMPATIBLE: 'compatible',
+  CAUTION: 'caution',
+  AVOID: 'avoid',
+  CONTRAINDICATED: 'contraindicated',
+  UNKNOWN: 'unknown'
+};
+
+export const TRANSFER_ACTIONS = {
+  CONTINUE: 'continue',
+  TAPER: 'taper',
+  SWITCH: 'switch',
+  STOP: 'stop'
+};
+
+// Ordered from least to most impact
+export const MEDICATION_CLINIC_IMPACT = {
+  NONE: 'none',
+  REVIEW: 'review',
+  OFF_BEFORE_TRANSFER: 'off_before_transfer',
+  DECLINE: 'decline'
+};
+
+export const MEDICATION_MFM_IMPACT = {
+  NONE: 'none',
+  RECOMMENDED: 'recommended',
+  REQUIRED: 'required'
+};
+
+const CLINIC_IMPACT_ORDER = Object.values(MEDICATION_CLINIC_IMPACT);
+const MFM_IMPACT_ORDER = Object.values(MEDICATION_MFM_IMPACT);
+
+const aliasIndex = new Map(
+  MEDICATION_KNOWLEDGE_BASE.medications.flatMap(entry => entry.aliases.map(alias => [alias, entry]))
+);
+// Longest first, so 'baby aspirin' wins over 'aspirin' and 'insulin glargine' over 'insulin'
+const aliasesByLength = [...aliasIndex.keys()].sort((a, b) => b.length - a.length);
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Knowledge base metadata and entries
+ * @returns {Object} { reviewed, sources, factSheetsScraped, medications }
+ */
+export function getMedicationKnowledgeBase() {
+  return MEDICATION_KNOWLEDGE_BASE;
+}
+
+/**
+ * Find a medication by generic or brand name
+ * Accepts free text such as 'Zoloft 50mg daily'; the longest alias that
+ * appears as a whole word wins.
+ * @returns {Object|null} knowledge base entry
+ */
+export function lookupMedication(name) {
+  const text = String(name || '').toLowerCase().trim();
+  if (!text) return null;
+  if (aliasIndex.has(text)) return aliasIndex.get(text);
+
+  const alias = aliasesByLength.find(candidate =>
+    new RegExp(`(^|[^a-z])${escapeRegExp(candidate)}([^a-z]|$)`).test(text)
+  );
+  return alias ? aliasIndex.get(alias) : null;
+}
+
+/**
+ * All aliases in the knowledge base, longest first (used by the parser)
+ */
+export function getMedicationAliases() {
+  return aliasesByLength;
+}
+
+function normalizeMedication(medication) {
+  if (typeof medication === 'string') return { name: medication.trim(), dose: null };
+  return { ...medication, name: String(medication?.name || '').trim(), dose: medication?.dose || null };
+}
+
+function toReviewItem(medication) {
+  const entry = lookupMedication(medication.name);
+  if (!entry) {
+    return {
+      name: medication.name,
+      displayName: medication.name,
+      dose: medication.dose,
+      recognized: false,
+      medicationId: null,
+      drugClass: null,
+      psychotropic: false,
+      pregnancySafety: PREGNANCY_SAFETY.UNKNOWN,
+      pregnancyNotes: null,
+      beforeTransfer: null,
+      transferNotes: null,
+      taperOrSwitchRequired: false,
+      clinicImpact: MEDICATION_CLINIC_IMPACT.NONE,
+      mfmImpact: MEDICATION_MFM_IMPACT.NONE,
+      factSheetUrl: null
+    };
+  }
+
+  const givenName = medication.name.toLowerCase();
+  const isGeneric = givenName === entry.name.toLowerCase() || givenName === entry.id;
+  return {
+    name: medication.name,
+    displayName: isGeneric ? entry.name : `${medication.name} (${entry.name.toLowerCase()})`,
+    dose: medication.dose,
+    recognized: true,
+    medicationId: entry.id,
+    drugClass: entry.drugClass,
+    psychotropic: entry.psychotropic,
+    pregnancySafety: entry.pregnancySafety,
+    pregnancyNotes: entry.pregnancyNotes,
+    beforeTransfer: entry.beforeTransfer,
+    transferNotes: entry.transferNotes,
+    taperOrSwitchRequired: entry.beforeTransfer !== TRANSFER_ACTIONS.CONTINUE,
+    clinicImpact: entry.clinicImpact,
+    mfmImpact: entry.mfmImpact,
+    factSheetUrl: entry.factSheet?.url || null
+  };
+}
+
+const highest = (values, order) =>
+  values.reduce((max, value) => (order.indexOf(value) > order.indexOf(max) ? value : max), order[0]);
+
+/**
+ * Review a candidate's current medications against the knowledge base
+ * The same medication listed twice (brand and generic) is reported once.
+ * @param {Array} medications - candidateData.medications
+ * @returns {Object} { known, items, count, unrecognized, psychotropic, taperOrSwitchCount,
+ *   contraindicatedCount, clinicImpact, mfmImpact, summary }
+ */
+export function reviewMedications(medications) {
+  const items = [];
+  (Array.isArray(medications) ? medications : [])
+    .map(normalizeMedication)
+    .filter(medication => medication.name)
+    .forEach(medication => {
+      const item = toReviewItem(medication);
+      const duplicate = item.recognized && items.some(existing => existing.medicationId === item.medicationId);
+      if (!duplicate) items.push(item);
+    });
+
+  const taperOrSwitch = items.filter(item => item.taperOrSwitchRequired);
+  const contraindicated = items.filter(item => item.pregnancySafety === PREGNANCY_SAFETY.CONTRAINDICATED);
+  const unrecognized = items.filter(item => !item.recognized);
+
+  let summary;
+  if (items.length === 0) {
+    summary = 'No current medications identified.';
+  } else if (taperOrSwitch.length === 0 && unrecognized.length === 0) {
+    summary = `${items.length} current medication${items.length === 1 ? '' : 's'} - all compatible with pregnancy, no changes needed before transfer.`;
+  } else {
+    summary = `${items.length} current medication${items.length === 1 ? '' : 's'}` +
+      (taperOrSwitch.length > 0 ? ` - ${taperOrSwitch.length} need${taperOrSwitch.length === 1 ? 's' : ''} a taper, switch or stop before transfer` : '') +
+      (contraindicated.length > 0 ? ` (${contraindicated.length} contraindicated in pregnancy)` : '') +
+      (unrecognized.length > 0 ? ` - ${unrecognized.length} not in the knowledge base, confirm with the prescriber` : '') +
+      '.';
+  }
+
+  return {
+    known: items.length > 0,
+    items,
+    count: items.length,
+    unrecognized: unrecognized.length,
+    psychotropic: items.some(item => item.psychotropic),
+    taperOrSwitchCount: taperOrSwitch.length,
+    contraindicatedCount: contraindicated.length,
+    clinicImpact: highest(items.map(item => item.clinicImpact), CLINIC_IMPACT_ORDER),
+    mfmImpact: highest(items.map(item => item.mfmImpact), MFM_IMPACT_ORDER),
+    summary
+  };
+}
@@ -18,6 +18,13 @@
  * MFMs are MORE CONSERVATIVE when evaluating surrogate candidates.
  */
 
+import { LEDGER_ENTRY_KINDS } from './scoreLedger.js';
+import { getDeliveryInterval } from './deliveryInterval.js';
+import { summarizeTimeline, DELIVERY_TERMS } from './obstetricTimeline.js';
+import { reviewMedications, MEDICATION_CLINIC_IMPACT, MEDICATION_MFM_IMPACT } from './medicationAssessment.js';
+import { interpretCandidateLabs, LAB_SIGNIFICANCE } from './labInterpretation.js';
+import { analyzeBloodPressureTrend, BP_TREND_FINDINGS } from './bloodPressureTrend.js';
+
 export const MFM_REVIEW_LEVELS = {
   NOT_REQUIRED: 'NOT_REQUIRED',
   RECOMMENDED: 'RECOMMENDED',
@@ -32,14 +39,64 @@ export const MFM_LIKELIHOOD = {
   LIKELY_DENY: 'LIKELY_DENY'
 };
 
+// What MFM looks for behind an out-of-range lab value
+const LAB_MFM_VIEWS = {
+  hba1c: 'MFM will want glycemic status established before transfer. Hyperglycemia around conception raises the risk of congenital anomalies, macrosomia and preeclampsia.',
+  glucose: 'MFM will want glycemic status established before transfer. Hyperglycemia around conception raises the risk of congenital anomalies, macrosomia and preeclampsia.',
+  bloodPressure: 'MFM will assess for chronic hypertension, which raises the risk of superimposed preeclampsia, growth restriction and abruption.',
+  tsh: 'MFM will want thyroid function in the preconception target range. Untreated thyroid disease is linked to miscarriage and preterm birth.',
+  hemoglobin: 'MFM will want anemia evaluated and corrected. Anemia at delivery raises the risk of transfusion after hemorrhage.',
+  hematocrit: 'MFM will want anemia evaluated and corrected. Anemia at delivery raises the risk of transfusion after hemorrhage.'
+};
+
+// What MFM looks for behind each BP trend finding
+const BP_TREND_MFM_VIEWS = {
+  [BP_TREND_FINDINGS.CHRONIC_HYPERTENSION_SUSPECTED]: 'MFM will treat this as probable chronic hypertension: baseline kidney function and urine protein, a pregnancy-compatible antihypertensive, low-dose aspirin and serial growth scans. Chronic hypertension raises the risk of superimposed preeclampsia, growth restriction and abruption.',
+  [BP_TREND_FINDINGS.SEVERE_RANGE]: 'MFM will want to know what caused the severe-range reading and whether it was treated urgently. In pregnancy this usually means preeclampsia with severe features, which has a high recurrence risk.',
+  [BP_TREND_FINDINGS.GESTATIONAL_HYPERTENSION_RESOLVED]: 'MFM will note the prior gestational hypertension and recommend low-dose aspirin and closer BP surveillance. Resolution after delivery is reassuring.',
+  [BP_TREND_FINDINGS.PREGNANCY_HYPERTENSION_UNRESOLVED]: 'MFM will want current readings to distinguish resolved gestational hypertension from chronic hypertension.',
+  [BP_TREND_FINDINGS.STAGE_1_OUTSIDE_PREGNANCY]: 'MFM will want home or repeat office readings; stage 1 BP before pregnancy modestly raises preeclampsia risk.',
+  [BP_TREND_FINDINGS.SINGLE_ELEVATED_READING]: 'MFM will want repeat readings before drawing conclusions from a single value.'
+};
+
+// Lab categories MFM treats as active disease rather than a value to recheck
+const HIGH_RISK_LAB_CATEGORIES = ['diabetes_range', 'severe_range_bp', 'hypertension_stage_2', 'severe_anemia', 'overt_hypothyroidism'];
+const RECHECK_LAB_CATEGORIES = ['elevated_bp', 'low_glucose'];
+
 /**
  * Assess whether MFM review is needed and likely outcome
+ * The returned `ledger` lists each finding in the order it was applied,
+ * with the review level reached after it.
+ * @param {Object} options
+ * @param {Date|string} options.asOf - Date the delivery interval is measured to (default: today)
  */
-export function assessMFMReview(candidateData) {
+export function assessMFMReview(candidateData, options = {}) {
   const findings = [];
+  const ledgerEntries = [];
   let mfmReviewLevel = MFM_REVIEW_LEVELS.NOT_REQUIRED;
   let requiresReview = false;
 
+  // Tag the finding just pushed and record the review level it left us at
+  const recordFinding = (ruleId, inputs) => {
+    const finding = findings[findings.length - 1];
+    finding.ruleId = ruleId;
+    ledgerEntries.push({
+      step: ledgerEntries.length + 1,
+      ruleId,
+      kind: LEDGER_ENTRY_KINDS.FINDING,
+      label: `${finding.category}: ${finding.concern}`,
+      inputs,
+      severity: finding.severity,
+      reviewLevel: mfmReviewLevel
+    });
+  };
+
+  // Per-pregnancy history, when the parser or user provided one
+  const timeline = summarizeTimeline(candidateData.pregnancyHistory);
+  const vbacNote = timeline.successfulVbac && !timeline.cesareanAfterVbac
+    ? 'Successful VBAC after cesarean is favorable for scar integrity.'
+    : null;
+
   // Age-related MFM considerations
   if (candidateData.age) {
     if (candidateData.age > 42) {
@@ -52,6 +109,7 @@ export function assessMFMReview(candidateData) {
       });
       requiresReview = true;
       mfmReviewLevel = MFM_REVIEW_LEVELS.REQUIRED;
+      recordFinding('mfm.age.over-42', { age: candidateData.age });
     } else if (candidateData.age > 40) {
       findings.push({
         category: 'Age',
@@ -63,6 +121,7 @@ export function assessMFMReview(candidateData) {
       if (mfmReviewLevel === MFM_REVIEW_LEVELS.NOT_REQUIRED) {
         mfmReviewLevel = MFM_REVIEW_LEVELS.RECOMMENDED;
       }
+      recordFinding('mfm.age.over-40', { age: candidateData.age });
     } else if (candidateData.age > 38) {
       findings.push({
         category: 'Age',
@@ -71,6 +130,7 @@ export function assessMFMReview(candidateData) {
         severity: 'low',
         approvability: 'Age 38-40 typically approved without issue'
       });
+      recordFinding('mfm.age.over-38', { age: candidateData.age });
     }
   }
 
@@ -85,22 +145,24 @@ export function assessMFMReview(candidateData) {
         mfmView: 'MFM VERY concerned about: placenta accreta/percreta risk (up to 40% with 3+ C-sections), uterine rupture risk, intraoperative complications, massive hemorrhage risk requiring hysterectomy. Will require detailed operative reports and ultrasound evaluation of uterine scar.',
         severity: 'high',
         approvability: csections === 3
-          ? 'Three C-sections: MFM may approve with extensive counseling, detailed surgical history review, and agreement to deliver at tertiary care center with blood bank. Some MFMs will not approve.'
+          ? 'Three C-sections: MFM may approve with extensive counseling, detailed surgical history review, and agreement to deliver at tertiary care center with blood bank. Some MFMs will not approve.' + (vbacNote ? ` ${vbacNote}` : '')
           : 'Four or more C-sections: Most MFMs will recommend against surrogacy due to unacceptably high maternal morbidity/mortality risk'
       });
       requiresReview = true;
       mfmReviewLevel = MFM_REVIEW_LEVELS.REQUIRED;
+      recordFinding('mfm.cesareans.3-plus', { 'pregnancyHistory.numberOfCesareans': csections });
     } else if (csections === 2) {
       findings.push({
         category: 'Cesarean History',
         concern: '2 previous cesarean deliveries',
         mfmView: 'MFM will note increased risk of placenta previa, accreta (3-11% risk), and need for repeat cesarean. Will review operative reports for complications or difficult surgery. Will counsel on risks but generally acceptable.',
         severity: 'moderate',
-        approvability: 'Two C-sections usually approved with proper counseling and surgical history review'
+        approvability: 'Two C-sections usually approved with proper counseling and surgical history review' + (vbacNote ? `. ${vbacNote}` : '')
       });
       if (mfmReviewLevel === MFM_REVIEW_LEVELS.NOT_REQUIRED) {
         mfmReviewLevel = MFM_REVIEW_LEVELS.RECOMMENDED;
       }
+      recordFinding('mfm.cesareans.2', { 'pregnancyHistory.numberOfCesareans': csections });
     }
   }
 
@@ -117,6 +179,7 @@ export function assessMFMReview(candidateData) {
     if (mfmReviewLevel !== MFM_REVIEW_LEVELS.REQUIRED) {
       mfmReviewLevel = MFM_REVIEW_LEVELS.STRONGLY_RECOMMENDED;
     }
+    recordFinding('mfm.grand-multiparity', { 'pregnancyHistory.totalDeliveries': candidateData.pregnancyHistory.totalDeliveries });
   }
 
   // BMI considerations
@@ -135,6 +198,7 @@ export function assessMFMReview(candidateData) {
       });
       requiresReview = true;
       mfmReviewLevel = MFM_REVIEW_LEVELS.REQUIRED;
+      recordFinding('mfm.bmi.35-plus', { 'lifestyle.bmi': bmi });
     } else if (bmi >= 32 && bmi < 35) {
       findings.push({
         category: 'Obesity Class I',
@@ -146,6 +210,7 @@ export function assessMFMReview(candidateData) {
       if (mfmReviewLevel === MFM_REVIEW_LEVELS.NOT_REQUIRED) {
         mfmReviewLevel = MFM_REVIEW_LEVELS.RECOMMENDED;
       }
+      recordFinding('mfm.bmi.32-35', { 'lifestyle.bmi': bmi });
     } else if (bmi < 18.5) {
       findings.push({
         category: 'Underweight',
@@ -157,6 +222,7 @@ export function assessMFMReview(candidateData) {
       if (mfmReviewLevel === MFM_REVIEW_LEVELS.NOT_REQUIRED) {
         mfmReviewLevel = MFM_REVIEW_LEVELS.RECOMMENDED;
       }
+      recordFinding('mfm.bmi.underweight', { 'lifestyle.bmi': bmi });
     }
   }
 
@@ -180,6 +246,7 @@ export function assessMFMReview(candidateData) {
         });
         requiresReview = true;
         mfmReviewLevel = MFM_REVIEW_LEVELS.REQUIRED;
+        recordFinding(isPregnancyInduced ? 'mfm.condition.pregnancy-hypertension' : 'mfm.condition.chronic-hypertension', { 'medicalConditions[]': condition });
       }
 
       if (lowerCondition.includes('diabetes')) {
@@ -197,6 +264,7 @@ export function assessMFMReview(candidateData) {
         });
         requiresReview = true;
         mfmReviewLevel = MFM_REVIEW_LEVELS.REQUIRED;
+        recordFinding(isGestational ? 'mfm.condition.gestational-diabetes' : 'mfm.condition.diabetes', { 'medicalConditions[]': condition });
       }
 
       if (lowerCondition.includes('thyroid')) {
@@ -210,6 +278,7 @@ export function assessMFMReview(candidateData) {
         if (mfmReviewLevel === MFM_REVIEW_LEVELS.NOT_REQUIRED) {
           mfmReviewLevel = MFM_REVIEW_LEVELS.RECOMMENDED;
         }
+        recordFinding('mfm.condition.thyroid', { 'medicalConditions[]': condition });
       }
 
       if (lowerCondition.includes('autoimmune')) {
@@ -222,6 +291,7 @@ export function assessMFMReview(candidateData) {
         });
         requiresReview = true;
         mfmReviewLevel = MFM_REVIEW_LEVELS.REQUIRED;
+        recordFinding('mfm.condition.autoimmune', { 'medicalConditions[]': condition });
       }
 
       if (lowerCondition.includes('asthma')) {
@@ -232,6 +302,7 @@ export function assessMFMReview(candidateData) {
           severity: 'low',
           approvability: 'Asthma: Approved if well-controlled on inhaled medications without recent exacerbations'
         });
+        recordFinding('mfm.condition.asthma', { 'medicalConditions[]': condition });
       }
 
       if (lowerCondition.includes('kidney') || lowerCondition.includes('renal')) {
@@ -244,6 +315,7 @@ export function assessMFMReview(candidateData) {
         });
         requiresReview = true;
         mfmReviewLevel = MFM_REVIEW_LEVELS.REQUIRED;
+        recordFinding('mfm.condition.kidney', { 'medicalConditions[]': condition });
       }
     });
   }
@@ -295,19 +367,191 @@ export function assessMFMReview(candidateData) {
       approvabilityText += 'Mild complications may be approved with proper evaluation. Severe complications (eclampsia, HELLP, placental abruption, stillbirth) typically declined.';
     }
 
+    // Recency: a complicated most recent pregnancy weighs more than one followed by an uncomplicated term delivery
+    let concern = 'History of pregnancy complications';
+    if (timeline.mostRecent?.complicated) {
+      concern += `, including the most recent pregnancy (${timeline.mostRecent.label})`;
+    } else if (timeline.complicationsResolved) {
+      concern += ` (last in ${timeline.pregnancies.filter(pregnancy => pregnancy.complicated).pop().label})`;
+      approvabilityText += ` Most recent pregnancy (${timeline.mostRecent.label}) was an uncomplicated term delivery - favorable when assessing recurrence risk.`;
+    }
+
     findings.push({
       category: 'Previous Pregnancy Complications',
-      concern: 'History of pregnancy complications',
+      concern,
       mfmView: recurrenceText,
-      severity: 'moderate',
+      severity: timeline.mostRecent?.complicated ? 'high' : 'moderate',
       approvability: approvabilityText
     });
     requiresReview = true;
     if (mfmReviewLevel === MFM_REVIEW_LEVELS.NOT_REQUIRED) {
       mfmReviewLevel = MFM_REVIEW_LEVELS.STRONGLY_RECOMMENDED;
     }
+    recordFinding('mfm.complications', { 'pregnancyHistory.numberOfComplications': candidateData.pregnancyHistory.numberOfComplications });
   }
 
+  // Short interpregnancy interval
+  const interval = getDeliveryInterval(candidateData, options.asOf);
+  if (interval.known) {
+    const months = interval.monthsSinceDelivery;
+    const intervalInputs = {
+      [interval.source === 'date' ? 'pregnancyHistory.lastDeliveryDate' : 'pregnancyHistory.monthsSinceLastDelivery']:
+        interval.source === 'date' ? interval.lastDeliveryDate : months,
+      'pregnancyHistory.lastDeliveryMode': interval.afterCesarean ? 'cesarean' : 'vaginal'
+    };
+
+    if (months < 6) {
+      findings.push({
+        category: 'Delivery Interval',
+        concern: `Only ${months} months since last delivery`,
+        mfmView: 'MFM will note that intervals under 6 months are associated with preterm birth, low birth weight, maternal anemia and (after cesarean) uterine rupture. Will want full postpartum recovery, including restored iron stores, before transfer.',
+        severity: 'high',
+        approvability: 'Transfer within 6 months of delivery is generally not approved - MFM will ask to defer until the interval is longer'
+      });
+      requiresReview = true;
+      if (mfmReviewLevel !== MFM_REVIEW_LEVELS.REQUIRED) {
+        mfmReviewLevel = MFM_REVIEW_LEVELS.STRONGLY_RECOMMENDED;
+      }
+      recordFinding('mfm.interval.under-6-months', intervalInputs);
+    } else if ((interval.afterCesarean && months < 18) || months < 12) {
+      findings.push({
+        category: 'Delivery Interval',
+        concern: `${months} months since last ${interval.afterCesarean ? 'cesarean ' : ''}delivery`,
+        mfmView: interval.afterCesarean
+          ? 'MFM will evaluate uterine scar healing - intervals under 18 months after cesarean carry higher uterine rupture risk. May request ultrasound assessment of the scar.'
+          : 'MFM will counsel on risks of intervals under 12 months and confirm full postpartum recovery.',
+        severity: 'moderate',
+        approvability: 'Usually approvable once the clinic minimum interval is met; MFM may recommend waiting'
+      });
+      if (mfmReviewLevel === MFM_REVIEW_LEVELS.NOT_REQUIRED) {
+        mfmReviewLevel = MFM_REVIEW_LEVELS.RECOMMENDED;
+      }
+      recordFinding(interval.afterCesarean ? 'mfm.interval.after-cesarean' : 'mfm.interval.under-12-months', intervalInputs);
+    }
+  }
+
+  // Preterm most recent delivery
+  if (timeline.mostRecent?.preterm) {
+    findings.push({
+      category: 'Preterm Delivery',
+      concern: `Most recent delivery (${timeline.mostRecent.label}) was preterm at ${timeline.mostRecent.gestationalAgeWeeks} weeks`,
+      mfmView: 'MFM will ask whether the preterm birth was spontaneous (labor or PPROM) or medically indicated. Spontaneous preterm birth carries a substantial recurrence risk and may call for cervical length surveillance or progesterone.',
+      severity: 'moderate',
+      approvability: 'Usually approvable when the preterm birth was medically indicated for a non-recurring cause, or followed by a term delivery'
+    });
+    if (mfmReviewLevel === MFM_REVIEW_LEVELS.NOT_REQUIRED) {
+      mfmReviewLevel = MFM_REVIEW_LEVELS.RECOMMENDED;
+    }
+    recordFinding('mfm.timeline.recent-preterm', { 'pregnancyHistory.pregnancies': timeline.mostRecent.number });
+  }
+
+  // Preterm deliveries the timeline check above doesn't cover: the most recent one in
+  // records without numbered pregnancies, and any earlier delivery before 34 weeks
+  timeline.deliveryTerms
+    .filter(delivery => delivery.latest
+      ? delivery.preterm && delivery.source === 'record'
+      : delivery.termCategory === DELIVERY_TERMS.EARLY_PRETERM)
+    .forEach(delivery => {
+      const early = delivery.termCategory === DELIVERY_TERMS.EARLY_PRETERM;
+      findings.push({
+        category: 'Preterm Delivery',
+        concern: `${delivery.latest ? 'Most recent' : 'Earlier'} delivery (${delivery.label}) was ${delivery.termLabel} at ${delivery.gestationalAgeWeeks} weeks`,
+        mfmView: early
+          ? 'MFM will ask whether the birth before 34 weeks was spontaneous (labor or PPROM) or medically indicated. Early spontaneous preterm birth carries the highest recurrence risk and usually calls for cervical length surveillance and progesterone.'
+          : 'MFM will ask whether the preterm birth was spontaneous (labor or PPROM) or medically indicated. Spontaneous preterm birth carries a substantial recurrence risk and may call for cervical length surveillance or progesterone.',
+        severity: 'moderate',
+        approvability: delivery.latest
+          ? 'Usually approvable when the preterm birth was medically indicated for a non-recurring cause, or followed by a term delivery'
+          : 'Usually approvable when later deliveries reached term'
+      });
+      if (mfmReviewLevel === MFM_REVIEW_LEVELS.NOT_REQUIRED) {
+        mfmReviewLevel = MFM_REVIEW_LEVELS.RECOMMENDED;
+      }
+      recordFinding(
+        delivery.latest ? 'mfm.timeline.recent-preterm' : 'mfm.timeline.early-preterm',
+        delivery.source === 'record'
+          ? { 'pregnancyHistory.deliveries': delivery.gestationalAgeWeeks }
+          : { 'pregnancyHistory.pregnancies': delivery.pregnancyNumber }
+      );
+    });
+
+  // Current medications that point to a condition MFM needs to manage
+  reviewMedications(candidateData.medications).items
+    .filter(item => item.mfmImpact !== MEDICATION_MFM_IMPACT.NONE)
+    .forEach(item => {
+      const required = item.mfmImpact === MEDICATION_MFM_IMPACT.REQUIRED;
+      findings.push({
+        category: 'Medication',
+        concern: `Current ${item.displayName} - ${item.drugClass}`,
+        mfmView: `MFM will review the indication and confirm a pregnancy-compatible regimen before transfer. ${item.pregnancyNotes}`,
+        severity: required ? 'moderate' : 'low',
+        approvability: item.clinicImpact === MEDICATION_CLINIC_IMPACT.DECLINE
+          ? `The underlying condition usually leads MFM to recommend against surrogacy. ${item.transferNotes}`
+          : `Usually approvable when the underlying condition is stable on a pregnancy-compatible medication. ${item.transferNotes}`
+      });
+      if (required) {
+        requiresReview = true;
+        if (mfmReviewLevel !== MFM_REVIEW_LEVELS.REQUIRED) {
+          mfmReviewLevel = MFM_REVIEW_LEVELS.STRONGLY_RECOMMENDED;
+        }
+      } else if (mfmReviewLevel === MFM_REVIEW_LEVELS.NOT_REQUIRED) {
+        mfmReviewLevel = MFM_REVIEW_LEVELS.RECOMMENDED;
+      }
+      recordFinding(`mfm.medication.${item.medicationId}`, { 'medications[]': item.name });
+    });
+
+  // BP pattern across visits
+  analyzeBloodPressureTrend(candidateData.bloodPressureReadings, candidateData.pregnancyHistory).findings
+    .forEach(finding => {
+      const highRisk = finding.id === BP_TREND_FINDINGS.CHRONIC_HYPERTENSION_SUSPECTED ||
+        (finding.id === BP_TREND_FINDINGS.SEVERE_RANGE && !finding.duringPregnancy);
+      const abnormal = finding.significance === LAB_SIGNIFICANCE.ABNORMAL;
+      findings.push({
+        category: 'Blood Pressure',
+        concern: finding.message,
+        mfmView: BP_TREND_MFM_VIEWS[finding.id],
+        severity: highRisk ? 'high' : abnormal ? 'moderate' : 'low',
+        approvability: highRisk
+          ? `Approvable only once BP is controlled on a pregnancy-compatible regimen - ${finding.guidance}.`
+          : `Usually approvable - ${finding.guidance}.`
+      });
+      if (highRisk) {
+        requiresReview = true;
+        if (mfmReviewLevel !== MFM_REVIEW_LEVELS.REQUIRED) {
+          mfmReviewLevel = MFM_REVIEW_LEVELS.STRONGLY_RECOMMENDED;
+        }
+      } else if (mfmReviewLevel === MFM_REVIEW_LEVELS.NOT_REQUIRED) {
+        mfmReviewLevel = MFM_REVIEW_LEVELS.RECOMMENDED;
+      }
+      recordFinding(`mfm.bp.${finding.id.replace(/_/g, '-')}`, { bloodPressureReadings: finding.readingCount });
+    });
+
+  // Out-of-range lab values (borderline values to simply recheck are left to the clinic)
+  interpretCandidateLabs(candidateData).findings
+    .filter(finding => !RECHECK_LAB_CATEGORIES.includes(finding.category))
+    .forEach(finding => {
+      const highRisk = HIGH_RISK_LAB_CATEGORIES.includes(finding.category);
+      const abnormal = finding.significance === LAB_SIGNIFICANCE.ABNORMAL;
+      findings.push({
+        category: 'Lab Results',
+        concern: finding.message,
+        mfmView: LAB_MFM_VIEWS[finding.test],
+        severity: highRisk ? 'high' : abnormal ? 'moderate' : 'low',
+        approvability: highRisk
+          ? `Not approvable until addressed - ${finding.guidance}.`
+          : `Usually approvable - ${finding.guidance}.`
+      });
+      if (highRisk) {
+        requiresReview = true;
+        if (mfmReviewLevel !== MFM_REVIEW_LEVELS.REQUIRED) {
+          mfmReviewLevel = MFM_REVIEW_LEVELS.STRONGLY_RECOMMENDED;
+        }
+      } else if (abnormal && mfmReviewLevel === MFM_REVIEW_LEVELS.NOT_REQUIRED) {
+        mfmReviewLevel = MFM_REVIEW_LEVELS.RECOMMENDED;
+      }
+      recordFinding(`mfm.lab.${finding.test}`, { [`labValues.${finding.test}`]: finding.display });
+    });
+
   // Combinations of risk factors
   const riskFactorCount = findings.filter(f => f.severity === 'moderate' || f.severity === 'high').length;
   if (riskFactorCount >= 2) {
@@ -318,6 +562,7 @@ export function assessMFMReview(candidateData) {
       severity: 'high',
       approvability: 'Multiple risk factors: MFM less likely to approve when 2+ significant risk factors present. Each clinic has different threshold for acceptable cumulative risk.'
     });
+    recordFinding('mfm.multiple-risk-factors', { riskFactorCount });
   }
 
   // Determine overall MFM likelihood
@@ -333,7 +578,13 @@ export function assessMFMReview(candidateData) {
     findings,
     summary: generateMFMSummary(mfmReviewLevel, mfmLikelihood, findings),
     questionsToAsk: generateMFMQuestions(findings),
-    documentationNeeded: generateDocumentationNeeds(findings)
+    documentationNeeded: generateDocumentationNeeds(findings),
+    ledger: {
+      type: 'reviewLevel',
+      startLevel: MFM_REVIEW_LEVELS.NOT_REQUIRED,
+      finalLevel: mfmReviewLevel,
+      entries: ledgerEntries
+    }
   };
 }
 
@@ -464,6 +715,31 @@ function generateMFMQuestions(findings) {
       questions.push('Sleep apnea screening/sleep study results');
       questions.push('History of metabolic syndrome components');
     }
+
+    if (finding.category.includes('Preterm')) {
+      questions.push('Cause of preterm delivery (spontaneous labor, PPROM, or medically indicated)?');
+      questions.push('Cervical length measurements or cerclage in that pregnancy?');
+    }
+
+    if (finding.category.includes('Medication')) {
+      questions.push('Indication, dose and duration for each current medication');
+      questions.push('Is the underlying condition stable, and has a pregnancy-compatible alternative been tried?');
+    }
+
+    if (finding.category.includes('Blood Pressure')) {
+      questions.push('Was hypertension diagnosed before, during or after pregnancy, and is it treated now?');
+      questions.push('Current home or office BP readings?');
+    }
+
+    if (finding.category.includes('Lab Results')) {
+      questions.push('Date of each out-of-range lab, and was it fasting?');
+      questions.push('Has the value been repeated or treated since?');
+    }
+
+    if (finding.category.includes('Delivery Interval')) {
+      questions.push('Exact date and mode of last delivery');
+      questions.push('Still breastfeeding? Return of regular menstrual cycles?');
+    }
   });
 
   return [...new Set(questions)]; // Remove duplicates
@@ -509,6 +785,28 @@ function generateDocumentationNeeds(findings) {
       docs.push('Antibody panel results (ANA, anti-dsDNA, anti-Ro, anti-La, anticardiolipin)');
       docs.push('Disease activity markers');
     }
+
+    if (finding.category.includes('Medication')) {
+      docs.push('Letter from the prescribing physician (indication, dose, plan for pregnancy)');
+    }
+
+    if (finding.category.includes('Blood Pressure')) {
+      docs.push('Prenatal and postpartum BP records');
+      docs.push('Current BP log (home or office readings)');
+    }
+
+    if (finding.category.includes('Preterm')) {
+      docs.push('Labor and delivery summary for each preterm birth');
+    }
+
+    if (finding.category.includes('Lab Results')) {
+      docs.push('Lab reports with dates and reference ranges, including repeat values');
+    }
+
+    if (finding.category.includes('Delivery Interval')) {
+      docs.push('Delivery record from most recent birth');
+      docs.push('Postpartum visit note');
+    }
   });
 
   return [...new Set(docs)]; // Remove duplicates
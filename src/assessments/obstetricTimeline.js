@@ -0,0 +1,288 @@
+/**
+ * Obstetric Timeline
+ * Per-pregnancy model of a candidate's obstetric history, so rules can
+ * look at recency and sequence (complication in the most recent pregnancy
+ * vs one 12 years ago, a successful VBAC after a C-section) rather than
+ * only the flat counts.
+ *
+ * INPUT (candidateData.pregnancyHistory.pregnancies), oldest first:
+ *   [{
+ *     year:                 2019
+ *     deliveryDate:         'YYYY-MM-DD' | 'YYYY-MM' (optional; sets year when missing)
+ *     gestationalAgeWeeks:  39.3
+ *     deliveryMode:         'vaginal' | 'operative_vaginal' | 'cesarean'
+ *     complications:        ['preeclampsia', ...] (same categories as pregnancyHistory.complications)
+ *     outcome:              'live_birth' | 'stillbirth' | 'miscarriage' | 'termination' | 'ectopic'
+ *     surrogacy:            true for a gestational carrier journey
+ *   }]
+ *
+ * Records that don't number their pregnancies may still give the gestational
+ * age at each delivery (candidateData.pregnancyHistory.deliveries, from
+ * extractDeliveryGestationalAges()), oldest first:
+ *   [{ date: 'YYYY-MM-DD' | 'YYYY-MM' | null, gestationalAgeWeeks: 33.4, source: 'stated' | 'edd' }]
+ * getDeliveryTerms() classifies each delivery from whichever is available.
+ *
+ * The flat counts (numberOfTermPregnancies, numberOfCesareans, ...) are
+ * still the primary inputs; withTimelineCounts() fills any that are missing
+ * from the timeline and corrects those a complete timeline contradicts.
+ */
+
+export const DELIVERY_MODES = {
+  VAGINAL: 'vaginal',
+  OPERATIVE_VAGINAL: 'operative_vaginal',
+  CESAREAN: 'cesarean'
+};
+
+export const PREGNANCY_OUTCOMES = {
+  LIVE_BIRTH: 'live_birth',
+  STILLBIRTH: 'stillbirth',
+  MISCARRIAGE: 'miscarriage',
+  TERMINATION: 'termination',
+  ECTOPIC: 'ectopic'
+};
+
+// ACOG Committee Opinion 579 (term subcategories); preterm split at 34 weeks
+export const DELIVERY_TERMS = {
+  EARLY_PRETERM: 'early_preterm',
+  LATE_PRETERM: 'late_preterm',
+  EARLY_TERM: 'early_term',
+  FULL_TERM: 'full_term',
+  LATE_TERM: 'late_term',
+  POST_TERM: 'post_term'
+};
+
+// Checked in order; a delivery falls in the first band it is below
+const TERM_BANDS = [
+  { below: 34, term: DELIVERY_TERMS.EARLY_PRETERM, label: 'early preterm' },
+  { below: 37, term: DELIVERY_TERMS.LATE_PRETERM, label: 'late preterm' },
+  { below: 39, term: DELIVERY_TERMS.EARLY_TERM, label: 'early term' },
+  { below: 41, term: DELIVERY_TERMS.FULL_TERM, label: 'full term' },
+  { below: 42, term: DELIVERY_TERMS.LATE_TERM, label: 'late term' },
+  { below: Infinity, term: DELIVERY_TERMS.POST_TERM, label: 'post-term' }
+];
+
+const TERM_WEEKS = 37;
+
+const isVaginal = mode => mode === DELIVERY_MODES.VAGINAL || mode === DELIVERY_MODES.OPERATIVE_VAGINAL;
+
+function isDelivery(pregnancy) {
+  if (pregnancy.outcome) {
+    return pregnancy.outcome === PREGNANCY_OUTCOMES.LIVE_BIRTH || pregnancy.outcome === PREGNANCY_OUTCOMES.STILLBIRTH;
+  }
+  return Boolean(pregnancy.deliveryMode) || pregnancy.gestationalAgeWeeks >= 20;
+}
+
+/**
+ * Classify a delivery by gestational age
+ * @param {number} weeks - Gestational age at delivery in weeks (39.3 = 39w2d)
+ * @returns {Object|null} { term, label, preterm } - null when the age is unknown
+ */
+export function classifyDeliveryTerm(weeks) {
+  if (typeof weeks !== 'number' || !Number.isFinite(weeks)) return null;
+  const band = TERM_BANDS.find(candidate => weeks < candidate.below);
+  return { term: band.term, label: band.label, preterm: weeks < TERM_WEEKS };
+}
+
+/**
+ * Pregnancies in chronological order, numbered from 1, with derived flags
+ * Entries without a year keep their given position relative to each other.
+ * @param {Object} pregnancyHistory - candidateData.pregnancyHistory
+ * @returns {Array}
+ */
+export function getPregnancies(pregnancyHistory) {
+  const pregnancies = pregnancyHistory?.pregnancies;
+  if (!Array.isArray(pregnancies) || pregnancies.length === 0) return [];
+
+  const normalized = pregnancies.map((pregnancy, index) => {
+    const yearFromDate = pregnancy.deliveryDate ? parseInt(String(pregnancy.deliveryDate).slice(0, 4), 10) : null;
+    return {
+      ...pregnancy,
+      year: pregnancy.year ?? (yearFromDate || null),
+      complications: pregnancy.complications || [],
+      surrogacy: Boolean(pregnancy.surrogacy),
+      index
+    };
+  });
+
+  // Stable sort on year, falling back to the given order
+  normalized.sort((a, b) =>
+    (a.year !== null && b.year !== null && a.year !== b.year) ? a.year - b.year : a.index - b.index
+  );
+
+  let cesareanSoFar = false;
+  return normalized.map(({ index, ...pregnancy }, position) => {
+    const delivered = isDelivery(pregnancy);
+    const weeks = pregnancy.gestationalAgeWeeks;
+    const classification = delivered ? classifyDeliveryTerm(weeks) : null;
+    const result = {
+      ...pregnancy,
+      number: position + 1,
+      // Short reference for messages: the year, or the pregnancy number
+      label: pregnancy.year ? String(pregnancy.year) : `#${position + 1}`,
+      delivered,
+      complicated: pregnancy.complications.length > 0,
+      preterm: delivered && typeof weeks === 'number' && weeks < TERM_WEEKS,
+      term: delivered && (typeof weeks !== 'number' || weeks >= TERM_WEEKS),
+      termCategory: classification?.term || null,
+      termLabel: classification?.label || null,
+      vbac: cesareanSoFar && isVaginal(pregnancy.deliveryMode)
+    };
+    if (pregnancy.deliveryMode === DELIVERY_MODES.CESAREAN) cesareanSoFar = true;
+    return result;
+  });
+}
+
+/**
+ * Term classification of each delivery with a known gestational age
+ * Taken from the timeline when there is one, otherwise from
+ * pregnancyHistory.deliveries. `latest` marks the most recent delivery
+ * (whether or not its gestational age is known, for the timeline).
+ * @param {Object} pregnancyHistory - candidateData.pregnancyHistory
+ * @returns {Array} [{ label, date, gestationalAgeWeeks, termCategory, termLabel, preterm, latest,
+ *   source: 'timeline' | 'record', pregnancyNumber }], oldest first
+ */
+export function getDeliveryTerms(pregnancyHistory) {
+  const delivered = getPregnancies(pregnancyHistory).filter(pregnancy => pregnancy.delivered);
+  if (delivered.length > 0) {
+    const mostRecent = delivered[delivered.length - 1];
+    return delivered
+      .filter(pregnancy => pregnancy.termCategory)
+      .map(pregnancy => ({
+        label: pregnancy.label,
+        date: pregnancy.deliveryDate || null,
+        gestationalAgeWeeks: pregnancy.gestationalAgeWeeks,
+        termCategory: pregnancy.termCategory,
+        termLabel: pregnancy.termLabel,
+        preterm: pregnancy.preterm,
+        latest: pregnancy === mostRecent,
+        source: 'timeline',
+        pregnancyNumber: pregnancy.number
+      }));
+  }
+
+  const deliveries = Array.isArray(pregnancyHistory?.deliveries) ? pregnancyHistory.deliveries : [];
+  const classified = deliveries
+    .map(delivery => ({ delivery, classification: classifyDeliveryTerm(delivery.gestationalAgeWeeks) }))
+    .filter(({ classification }) => classification);
+
+  return classified.map(({ delivery, classification }, position) => ({
+    label: delivery.date ? String(delivery.date).slice(0, 4) : `#${position + 1}`,
+    date: delivery.date || null,
+    gestationalAgeWeeks: delivery.gestationalAgeWeeks,
+    termCategory: classification.term,
+    termLabel: classification.label,
+    preterm: classification.preterm,
+    latest: position === classified.length - 1,
+    source: 'record',
+    pregnancyNumber: null
+  }));
+}
+
+/**
+ * Recency and sequence facts over the timeline
+ * @param {Object} pregnancyHistory - candidateData.pregnancyHistory
+ * @param {number} currentYear - Default: this year
+ * @returns {Object} { known, pregnancies, mostRecent, mostRecentUncomplicated, lastComplicationYear,
+ *   yearsSinceLastComplication, successfulVbac, vbacCount, cesareanAfterVbac, surrogacyJourneys,
+ *   uncomplicatedSurrogacyJourneys, deliveryTerms, earlyPretermDeliveries, ... }
+ *   deliveryTerms (see getDeliveryTerms()) is filled even when there is no timeline
+ */
+export function summarizeTimeline(pregnancyHistory, currentYear = new Date().getFullYear()) {
+  const pregnancies = getPregnancies(pregnancyHistory);
+  const deliveries = pregnancies.filter(pregnancy => pregnancy.delivered);
+  const mostRecent = deliveries[deliveries.length - 1] || null;
+  const complicated = pregnancies.filter(pregnancy => pregnancy.complicated);
+  const lastComplicated = complicated[complicated.length - 1] || null;
+  const vbacs = deliveries.filter(pregnancy => pregnancy.vbac);
+  const lastVbac = vbacs[vbacs.length - 1];
+  const surrogacies = deliveries.filter(pregnancy => pregnancy.surrogacy);
+  const deliveryTerms = getDeliveryTerms(pregnancyHistory);
+
+  return {
+    known: pregnancies.length > 0,
+    pregnancies,
+    count: pregnancies.length,
+    deliveries: deliveries.length,
+    termDeliveries: deliveries.filter(pregnancy => pregnancy.term).length,
+    pretermDeliveries: deliveries.filter(pregnancy => pregnancy.preterm).length,
+    cesareans: deliveries.filter(pregnancy => pregnancy.deliveryMode === DELIVERY_MODES.CESAREAN).length,
+    complicatedPregnancies: complicated.length,
+    mostRecent,
+    mostRecentUncomplicated: Boolean(mostRecent && !mostRecent.complicated),
+    lastComplicationYear: lastComplicated?.year ?? null,
+    yearsSinceLastComplication: lastComplicated?.year ? currentYear - lastComplicated.year : null,
+    // Complications only in earlier pregnancies, followed by an uncomplicated term delivery
+    complicationsResolved: Boolean(lastComplicated && mostRecent && mostRecent.number > lastComplicated.number &&
+      !mostRecent.complicated && mostRecent.term),
+    successfulVbac: vbacs.length > 0,
+    vbacCount: vbacs.length,
+    cesareanAfterVbac: Boolean(lastVbac && deliveries.some(pregnancy =>
+      pregnancy.number > lastVbac.number && pregnancy.deliveryMode === DELIVERY_MODES.CESAREAN
+    )),
+    surrogacyJourneys: surrogacies.length,
+    uncomplicatedSurrogacyJourneys: surrogacies.filter(pregnancy => !pregnancy.complicated && pregnancy.term).length,
+    deliveryTerms,
+    earlyPretermDeliveries: deliveryTerms.filter(delivery => delivery.termCategory === DELIVERY_TERMS.EARLY_PRETERM).length,
+    latePretermDeliveries: deliveryTerms.filter(delivery => delivery.termCategory === DELIVERY_TERMS.LATE_PRETERM).length
+  };
+}
+
+/**
+ * Fill flat pregnancy history counts that are missing from the timeline
+ * Counts that are already set are left alone, except when the timeline is
+ * complete - it has as many deliveries as totalDeliveries - and says
+ * otherwise: the cesarean count is then taken from the timeline when every
+ * delivery's mode is known, and the term count when every delivery's
+ * gestational age is. Flat counts are tallied from mentions ("Cesarean
+ * section" repeated in two notes counts twice); a complete timeline lists
+ * each delivery once. Corrections are listed in
+ * pregnancyHistory.timelineCorrections as { field, stated, timeline }.
+ * @returns {Object} candidateData (a copy when anything was filled or corrected)
+ */
+export function withTimelineCounts(candidateData) {
+  const history = candidateData?.pregnancyHistory;
+  const timeline = summarizeTimeline(history);
+  if (!timeline.known) return candidateData;
+
+  const derived = {
+    hasCompletedPregnancy: timeline.deliveries > 0,
+    numberOfTermPregnancies: timeline.termDeliveries,
+    totalDeliveries: timeline.deliveries,
+    numberOfCesareans: timeline.cesareans,
+    numberOfComplications: timeline.pregnancies.reduce((sum, pregnancy) => sum + pregnancy.complications.length, 0),
+    complications: timeline.pregnancies.flatMap(pregnancy =>
+      pregnancy.complications.map(category => ({ pregnancy: pregnancy.number, category }))
+    )
+  };
+
+  const missing = Object.keys(derived).filter(key => history[key] === undefined || history[key] === null);
+  const corrections = timelineCorrections(history, timeline, derived)
+    .filter(({ field }) => !missing.includes(field));
+  if (missing.length === 0 && corrections.length === 0) return candidateData;
+
+  return {
+    ...candidateData,
+    pregnancyHistory: {
+      ...history,
+      ...Object.fromEntries(missing.map(key => [key, derived[key]])),
+      ...Object.fromEntries(corrections.map(({ field, timeline: value }) => [field, value])),
+      ...(corrections.length > 0 && { timelineCorrections: corrections })
+    }
+  };
+}
+
+/**
+ * Stated counts a complete timeline contradicts
+ */
+function timelineCorrections(history, timeline, derived) {
+  if (history.totalDeliveries !== timeline.deliveries) return [];
+  const delivered = timeline.pregnancies.filter(pregnancy => pregnancy.delivered);
+  const known = {
+    numberOfCesareans: delivered.every(pregnancy => pregnancy.deliveryMode),
+    numberOfTermPregnancies: delivered.every(pregnancy => typeof pregnancy.gestationalAgeWeeks === 'number')
+  };
+
+  return Object.keys(known)
+    .filter(field => known[field] && typeof history[field] === 'number' && history[field] !== derived[field])
+    .map(field => ({ field, stated: history[field], timeline: derived[field] }));
+}
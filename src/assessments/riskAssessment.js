@@ -1,10 +1,24 @@
 /**
  * Surrogacy Risk Assessment Engine
  * Based on ASRM 2022 Guidelines for Gestational Carriers
+ *
+ * Thresholds, condition lists and guideline citations come from the active
+ * rule pack (see ruleEngine.js and data/rulePacks/asrm2022.js).
+ *
+ * Findings about a condition, complication or procedure carry its codes
+ * (`codes`, see data/terminology.js).
  */
 
-import { assessByClinicType } from './clinicTypeAssessment.js';
+import { evaluateRuleGroup, getActiveRulePack } from './ruleEngine.js';
+import { assessByClinicType, rankClinics } from './clinicTypeAssessment.js';
 import { assessMFMReview } from './mfmAssessment.js';
+import { archiveRuleSet, getRuleSnapshot, getSnapshotMismatches, ENGINE_VERSION } from './ruleVersioning.js';
+import { getDeliveryInterval, assessDeliveryInterval } from './deliveryInterval.js';
+import { summarizeTimeline, withTimelineCounts } from './obstetricTimeline.js';
+import { reviewMedications } from './medicationAssessment.js';
+import { interpretCandidateLabs } from './labInterpretation.js';
+import { analyzeBloodPressureTrend } from './bloodPressureTrend.js';
+import { codeTerms } from '../data/terminology.js';
 
 export const RISK_LEVELS = {
   ELIGIBLE: 'ELIGIBLE',
@@ -19,237 +33,100 @@ export const CRITERIA_CATEGORIES = {
   MEDICAL: 'Medical Evaluation',
   INFECTIOUS_DISEASE: 'Infectious Disease Screening',
   PSYCHOLOGICAL: 'Psychological Evaluation',
+  MEDICATIONS: 'Current Medications',
   LIFESTYLE: 'Lifestyle Factors',
   ENVIRONMENTAL: 'Environmental Stability'
 };
 
 /**
- * Age-based risk assessment
+ * Run one rule group from a rule pack, label results with their category and
+ * code the terms they name
  */
-export function assessAge(age) {
-  if (!age || age < 18) {
-    return {
-      category: CRITERIA_CATEGORIES.AGE,
-      status: RISK_LEVELS.DISQUALIFIED,
-      message: 'Candidate must be of legal age (18+)',
-      guideline: 'ASRM 2022: Carriers must be of legal age'
-    };
-  }
-
-  if (age < 21) {
-    return {
-      category: CRITERIA_CATEGORIES.AGE,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'Candidate is below preferred minimum age of 21',
-      guideline: 'ASRM 2022: Preferably between ages 21-45'
-    };
-  }
+function runRuleGroup(rulePack, groupName, facts) {
+  const group = rulePack.groups[groupName];
+  if (!group) return [];
 
-  if (age >= 21 && age <= 35) {
+  return evaluateRuleGroup(group, facts, rulePack.lists).map(({ terms, ...result }) => {
+    const codes = codeTerms(terms);
     return {
-      category: CRITERIA_CATEGORIES.AGE,
-      status: RISK_LEVELS.ELIGIBLE,
-      message: 'Age is within ideal range',
-      guideline: 'ASRM 2022: Ideally younger than 35'
+      category: CRITERIA_CATEGORIES[group.category] || group.category,
+      ...result,
+      ...(codes.length > 0 && { codes })
     };
-  }
-
-  if (age > 35 && age <= 45) {
-    return {
-      category: CRITERIA_CATEGORIES.AGE,
-      status: RISK_LEVELS.REQUIRES_COUNSELING,
-      message: 'Age is acceptable but above ideal range. Counseling recommended regarding pregnancy risks with advancing maternal age.',
-      guideline: 'ASRM 2022: Preferably between 21-45, ideally <35'
-    };
-  }
+  });
+}
 
-  if (age > 45) {
-    return {
-      category: CRITERIA_CATEGORIES.AGE,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'Age exceeds standard maximum. All parties must be informed about potential risks of pregnancy with advancing maternal age.',
-      guideline: 'ASRM 2022: Certain situations may dictate use of carrier >45, but all parties must be informed of risks'
-    };
-  }
+/**
+ * Age-based risk assessment
+ */
+export function assessAge(age, rulePack = getActiveRulePack()) {
+  return runRuleGroup(rulePack, 'age', { age })[0];
 }
 
 /**
  * Pregnancy history assessment
+ * @param {Object} options
+ * @param {Date|string} options.asOf - Date the delivery interval is measured to (default: today)
  */
-export function assessPregnancyHistory(data) {
-  const results = [];
-  const {
-    hasCompletedPregnancy,
-    numberOfTermPregnancies,
-    numberOfComplications,
-    totalDeliveries,
-    numberOfCesareans
-  } = data;
-
-  // Must have at least one previous term pregnancy
-  if (!hasCompletedPregnancy || numberOfTermPregnancies < 1) {
-    results.push({
-      category: CRITERIA_CATEGORIES.PREGNANCY_HISTORY,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'No previous term pregnancy - ASRM strongly recommends at least one. Very rarely accepted by any clinic.',
-      guideline: 'ASRM 2022: Carrier should have had at least one term pregnancy'
-    });
-  } else {
-    results.push({
-      category: CRITERIA_CATEGORIES.PREGNANCY_HISTORY,
-      status: RISK_LEVELS.ELIGIBLE,
-      message: 'Has completed at least one term pregnancy',
-      guideline: 'ASRM 2022: Minimum one term pregnancy required'
-    });
-  }
-
-  // Check for complications
-  if (numberOfComplications && numberOfComplications > 0) {
-    results.push({
-      category: CRITERIA_CATEGORIES.PREGNANCY_HISTORY,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'Previous pregnancy complications detected. Requires thorough medical evaluation.',
-      guideline: 'ASRM 2022: Pregnancy should be uncomplicated'
-    });
-  }
-
-  // Check total number of deliveries
-  if (totalDeliveries > 5) {
-    results.push({
-      category: CRITERIA_CATEGORIES.PREGNANCY_HISTORY,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'Candidate has had more than 5 previous deliveries',
-      guideline: 'ASRM 2022: Ideally no more than 5 previous deliveries'
-    });
-  }
-
-  // Check number of cesarean sections
-  if (numberOfCesareans > 3) {
-    results.push({
-      category: CRITERIA_CATEGORIES.PREGNANCY_HISTORY,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'Candidate has had more than 3 cesarean sections',
-      guideline: 'ASRM 2022: Ideally no more than 3 cesarean deliveries'
-    });
-  }
-
-  return results;
+export function assessPregnancyHistory(data, rulePack = getActiveRulePack(), options = {}) {
+  const timeline = summarizeTimeline(data);
+  return [
+    ...runRuleGroup(rulePack, 'termPregnancy', data),
+    ...runRuleGroup(rulePack, 'obstetricHistory', {
+      ...data,
+      timeline,
+      complicationCategories: (data.complications || []).map(complication => complication.category)
+    }),
+    ...runRuleGroup(rulePack, 'obstetricTimeline', timeline),
+    ...runRuleGroup(rulePack, 'deliveryTerms', timeline),
+    ...runRuleGroup(rulePack, 'deliveryInterval', getDeliveryInterval({ pregnancyHistory: data }, options.asOf))
+  ];
 }
 
 /**
  * Medical conditions assessment
+ * Out-of-range lab values (see labInterpretation.js) and BP trend findings
+ * (see bloodPressureTrend.js) are reported alongside conditions
+ * @param {Array} conditions - candidateData.medicalConditions (may be undefined when only labs are known)
+ * @param {Object} evidence
+ * @param {Object} evidence.labInterpretation - Output of interpretLabValues()
+ * @param {Object} evidence.bloodPressureTrend - Output of analyzeBloodPressureTrend()
  */
-export function assessMedicalConditions(conditions) {
-  const results = [];
-
-  const disqualifyingConditions = [
-    'absence_of_uterus',
-    'pulmonary_hypertension',
-    'severe_cardiac_disease',
-    'uncontrolled_diabetes',
-    'active_cancer'
+export function assessMedicalConditions(conditions, rulePack = getActiveRulePack(), evidence = {}) {
+  const { labInterpretation, bloodPressureTrend } = evidence;
+  const labResults = [
+    ...(labInterpretation ? runRuleGroup(rulePack, 'labValues', labInterpretation) : []),
+    ...(bloodPressureTrend ? runRuleGroup(rulePack, 'bloodPressureTrend', bloodPressureTrend) : [])
   ];
-
-  const concerningConditions = [
-    'hypertension',
-    'controlled_diabetes',
-    'thyroid_disorder',
-    'autoimmune_disease',
-    'kidney_disease'
-  ];
-
-  if (!conditions || conditions.length === 0) {
-    results.push({
-      category: CRITERIA_CATEGORIES.MEDICAL,
-      status: RISK_LEVELS.ELIGIBLE,
-      message: 'No reported medical conditions',
-      guideline: 'ASRM 2022: Complete medical evaluation required'
-    });
-    return results;
+  if (!conditions) {
+    return labResults;
   }
 
-  conditions.forEach(condition => {
-    if (disqualifyingConditions.includes(condition)) {
-      results.push({
-        category: CRITERIA_CATEGORIES.MEDICAL,
-        status: RISK_LEVELS.HIGH_RISK,
-        message: `Serious medical condition: ${condition.replace(/_/g, ' ')} - virtually all clinics will decline`,
-        guideline: 'ASRM 2022: Serious medical condition that poses significant risk'
-      });
-    } else if (concerningConditions.includes(condition)) {
-      results.push({
-        category: CRITERIA_CATEGORIES.MEDICAL,
-        status: RISK_LEVELS.REQUIRES_COUNSELING,
-        message: `Medical condition requiring evaluation: ${condition.replace(/_/g, ' ')}`,
-        guideline: 'ASRM 2022: Requires thorough medical evaluation and clearance'
-      });
-    }
-  });
+  const noConditions = runRuleGroup(rulePack, 'noMedicalConditions', { conditions });
+  if (noConditions.length > 0) {
+    return [...noConditions, ...labResults];
+  }
 
-  return results;
+  return [...runRuleGroup(rulePack, 'medicalConditions', { conditions }), ...labResults];
 }
 
 /**
  * Infectious disease screening assessment
  */
-export function assessInfectiousDiseases(testResults) {
-  const results = [];
-
-  const requiredTests = [
-    'HIV-1', 'HIV-2', 'HIV-group-O',
-    'Hepatitis-B-surface-antigen', 'Hepatitis-B-core-antibody',
-    'Hepatitis-C-antibody',
-    'syphilis', 'gonorrhea', 'chlamydia'
-  ];
-
-  const disqualifyingPositives = [
-    'HIV-1', 'HIV-2', 'HIV-group-O',
-    'Hepatitis-B-surface-antigen', 'Hepatitis-C-antibody'
-  ];
+export function assessInfectiousDiseases(testResults, rulePack = getActiveRulePack()) {
+  const requiredTests = rulePack.lists?.requiredInfectiousTests || [];
+  const facts = {
+    missingTests: requiredTests.filter(test => !testResults[test]),
+    tests: Object.keys(testResults).map(name => ({ name, result: testResults[name] }))
+  };
 
-  const treatablePositives = [
-    'syphilis', 'gonorrhea', 'chlamydia'
+  const results = [
+    ...runRuleGroup(rulePack, 'infectiousDiseaseMissing', facts),
+    ...runRuleGroup(rulePack, 'infectiousDiseasePositives', facts)
   ];
 
-  // Check if all required tests are present
-  const missingTests = requiredTests.filter(test => !testResults[test]);
-  if (missingTests.length > 0) {
-    results.push({
-      category: CRITERIA_CATEGORIES.INFECTIOUS_DISEASE,
-      status: RISK_LEVELS.REQUIRES_COUNSELING,
-      message: `Missing required infectious disease tests: ${missingTests.join(', ')}`,
-      guideline: 'ASRM 2022: All carriers must be tested for infectious diseases'
-    });
-  }
-
-  // Check for positive results
-  Object.keys(testResults).forEach(test => {
-    if (testResults[test] === 'positive') {
-      if (disqualifyingPositives.includes(test)) {
-        results.push({
-          category: CRITERIA_CATEGORIES.INFECTIOUS_DISEASE,
-          status: RISK_LEVELS.HIGH_RISK,
-          message: `Positive test for ${test}. Virtually all clinics decline due to transmission risk to fetus.`,
-          guideline: 'ASRM 2022: Positive HIV or Hepatitis generally disqualifies candidate'
-        });
-      } else if (treatablePositives.includes(test)) {
-        results.push({
-          category: CRITERIA_CATEGORIES.INFECTIOUS_DISEASE,
-          status: RISK_LEVELS.REQUIRES_COUNSELING,
-          message: `Positive test for ${test}. Must be treated, retested, and deferred for 3 months after successful treatment.`,
-          guideline: 'ASRM 2022: Treatable STIs require treatment and 3-month deferral'
-        });
-      }
-    }
-  });
-
-  if (results.length === 0 && missingTests.length === 0) {
-    results.push({
-      category: CRITERIA_CATEGORIES.INFECTIOUS_DISEASE,
-      status: RISK_LEVELS.ELIGIBLE,
-      message: 'All infectious disease screening tests negative',
-      guideline: 'ASRM 2022: Comprehensive infectious disease screening completed'
-    });
+  if (results.length === 0) {
+    results.push(...runRuleGroup(rulePack, 'infectiousDiseaseClear', facts));
   }
 
   return results;
@@ -257,354 +134,142 @@ export function assessInfectiousDiseases(testResults) {
 
 /**
  * Psychological evaluation assessment
+ * Note: If psychological data not provided, assume evaluation will be completed
  */
-export function assessPsychologicalFactors(psychData) {
-  const results = [];
-
-  const {
-    hasCompletedEvaluation,
-    currentPsychotropicMedication,
-    historyOfMajorDepression,
-    historyOfBipolarDisorder,
-    historyOfPsychosis,
-    historyOfAnxietyDisorder,
-    historyOfEatingDisorder,
-    historyOfSubstanceAbuse,
-    historyOfAbuse,
-    evidenceOfCoercion,
-    adequateSupportSystem,
-    stableEnvironment
-  } = psychData;
-
-  // Note: If psychological data not provided, assume evaluation will be completed
-  // Don't flag as missing unless explicitly stated
-
-  // Absolute ethical disqualifications
-  if (evidenceOfCoercion) {
-    results.push({
-      category: CRITERIA_CATEGORIES.PSYCHOLOGICAL,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'Evidence of financial or emotional coercion - virtually all clinics will decline for ethical reasons',
-      guideline: 'ASRM 2022: Evidence of coercion disqualifies candidate'
-    });
-  }
-
-  // Current medication issues
-  if (currentPsychotropicMedication) {
-    results.push({
-      category: CRITERIA_CATEGORIES.PSYCHOLOGICAL,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'Current psychoactive medication - most clinics require stable period off medication or cleared by psychiatrist',
-      guideline: 'ASRM 2022: Current psychotropic medication is typically disqualifying'
-    });
-  }
-
-  // Serious mental health history
-  if (historyOfBipolarDisorder || historyOfPsychosis) {
-    results.push({
-      category: CRITERIA_CATEGORIES.PSYCHOLOGICAL,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'History of bipolar disorder or psychosis - most clinics decline due to pregnancy stress risks',
-      guideline: 'ASRM 2022: History of bipolar disorder or psychosis with impaired functioning'
-    });
-  }
-
-  if (historyOfMajorDepression) {
-    results.push({
-      category: CRITERIA_CATEGORIES.PSYCHOLOGICAL,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'History of major depression requires thorough evaluation and clearance',
-      guideline: 'ASRM 2022: Unresolved or untreated depression is disqualifying'
-    });
-  }
-
-  if (historyOfAnxietyDisorder) {
-    results.push({
-      category: CRITERIA_CATEGORIES.PSYCHOLOGICAL,
-      status: RISK_LEVELS.REQUIRES_COUNSELING,
-      message: 'History of anxiety disorder requires evaluation of current functioning',
-      guideline: 'ASRM 2022: Clinically significant anxiety with impaired functioning is disqualifying'
-    });
-  }
-
-  // Substance abuse and trauma history
-  if (historyOfSubstanceAbuse) {
-    results.push({
-      category: CRITERIA_CATEGORIES.PSYCHOLOGICAL,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'History of substance abuse must be resolved and treated',
-      guideline: 'ASRM 2022: Unresolved drug/alcohol abuse is disqualifying'
-    });
-  }
-
-  if (historyOfAbuse) {
-    results.push({
-      category: CRITERIA_CATEGORIES.PSYCHOLOGICAL,
-      status: RISK_LEVELS.REQUIRES_COUNSELING,
-      message: 'History of abuse requires psychological evaluation and treatment',
-      guideline: 'ASRM 2022: Unresolved abuse history is disqualifying'
-    });
-  }
-
-  if (historyOfEatingDisorder) {
-    results.push({
-      category: CRITERIA_CATEGORIES.PSYCHOLOGICAL,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'History of eating disorder must be resolved',
-      guideline: 'ASRM 2022: Unresolved eating disorders are disqualifying'
-    });
-  }
-
-  // Environmental factors
-  if (!adequateSupportSystem) {
-    results.push({
-      category: CRITERIA_CATEGORIES.PSYCHOLOGICAL,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'Insufficient emotional support system',
-      guideline: 'ASRM 2022: Insufficient emotional support disqualifies candidate'
-    });
-  }
-
-  if (!stableEnvironment) {
-    results.push({
-      category: CRITERIA_CATEGORIES.PSYCHOLOGICAL,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'Interpersonal or environmental instability detected',
-      guideline: 'ASRM 2022: Environmental instability or major life stressors are disqualifying'
-    });
-  }
+export function assessPsychologicalFactors(psychData, rulePack = getActiveRulePack()) {
+  return runRuleGroup(rulePack, 'psychological', psychData);
+}
 
-  if (results.length === 0) {
-    results.push({
-      category: CRITERIA_CATEGORIES.PSYCHOLOGICAL,
-      status: RISK_LEVELS.ELIGIBLE,
-      message: 'Psychological evaluation completed with no concerning findings',
-      guideline: 'ASRM 2022: Comprehensive psychological evaluation completed'
-    });
+/**
+ * Current medications assessment
+ * Each medication is looked up in the teratology knowledge base (see medicationAssessment.js)
+ * @param {Object} medicationReview - Output of reviewMedications()
+ */
+export function assessMedications(medicationReview, rulePack = getActiveRulePack()) {
+  const noMedications = runRuleGroup(rulePack, 'noMedications', medicationReview);
+  if (noMedications.length > 0) {
+    return noMedications;
   }
 
-  return results;
+  return runRuleGroup(rulePack, 'medications', medicationReview);
 }
 
 /**
  * Lifestyle factors assessment
  */
-export function assessLifestyleFactors(lifestyle) {
-  const results = [];
-
-  const {
-    bmi,
-    currentSmoker,
-    currentAlcoholUse,
-    currentDrugUse,
-    recentTattoos
-  } = lifestyle;
-
-  // BMI assessment
-  if (bmi) {
-    if (bmi < 19) {
-      results.push({
-        category: CRITERIA_CATEGORIES.LIFESTYLE,
-        status: RISK_LEVELS.HIGH_RISK,
-        message: `BMI of ${bmi} is below recommended range`,
-        guideline: 'Standard practice: BMI typically 19-32 (varies by clinic)'
-      });
-    } else if (bmi >= 19 && bmi < 27) {
-      results.push({
-        category: CRITERIA_CATEGORIES.LIFESTYLE,
-        status: RISK_LEVELS.ELIGIBLE,
-        message: `BMI of ${bmi} is within ideal range`,
-        guideline: 'Standard practice: Preferably BMI <27'
-      });
-    } else if (bmi >= 27 && bmi <= 32) {
-      results.push({
-        category: CRITERIA_CATEGORIES.LIFESTYLE,
-        status: RISK_LEVELS.REQUIRES_COUNSELING,
-        message: `BMI of ${bmi} is acceptable but above ideal range`,
-        guideline: 'Standard practice: Many programs accept BMI 19-32'
-      });
-    } else if (bmi > 32) {
-      results.push({
-        category: CRITERIA_CATEGORIES.LIFESTYLE,
-        status: RISK_LEVELS.HIGH_RISK,
-        message: `BMI of ${bmi} exceeds typical maximum for most programs`,
-        guideline: 'Standard practice: BMI >32 may be disqualifying'
-      });
-    }
-  }
-
-  // Substance use
-  if (currentSmoker) {
-    results.push({
-      category: CRITERIA_CATEGORIES.LIFESTYLE,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'Current tobacco use detected',
-      guideline: 'ASRM 2022: Tobacco use should be evaluated and typically requires cessation'
-    });
-  }
-
-  if (currentAlcoholUse === 'excessive') {
-    results.push({
-      category: CRITERIA_CATEGORIES.LIFESTYLE,
-      status: RISK_LEVELS.DISQUALIFIED,
-      message: 'Excessive alcohol use detected',
-      guideline: 'ASRM 2022: Substance abuse disqualifies candidate'
-    });
-  }
-
-  if (currentDrugUse) {
-    results.push({
-      category: CRITERIA_CATEGORIES.LIFESTYLE,
-      status: RISK_LEVELS.DISQUALIFIED,
-      message: 'Current recreational drug use detected',
-      guideline: 'ASRM 2022: Current drug use disqualifies candidate'
-    });
-  }
-
-  // Recent tattoos (infectious disease risk)
-  if (recentTattoos) {
-    results.push({
-      category: CRITERIA_CATEGORIES.LIFESTYLE,
-      status: RISK_LEVELS.REQUIRES_COUNSELING,
-      message: 'Recent tattoos/piercings without sterile technique may require deferral',
-      guideline: 'ASRM 2022: Recent non-sterile body modifications are concerning'
-    });
-  }
-
-  return results;
+export function assessLifestyleFactors(lifestyle, rulePack = getActiveRulePack()) {
+  return [
+    ...runRuleGroup(rulePack, 'bmi', lifestyle),
+    ...runRuleGroup(rulePack, 'substanceUse', lifestyle)
+  ];
 }
 
 /**
  * Environmental stability assessment
  */
-export function assessEnvironmentalFactors(environmental) {
-  const results = [];
-
-  const {
-    stableHousing,
-    stableEmployment,
-    adequateFinancialSituation,
-    stableRelationship,
-    supportivePartner,
-    legalIssues
-  } = environmental;
-
-  if (!stableHousing) {
-    results.push({
-      category: CRITERIA_CATEGORIES.ENVIRONMENTAL,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'Unstable housing situation',
-      guideline: 'ASRM 2022: Stable home environment required'
-    });
-  }
-
-  if (!stableEmployment) {
-    results.push({
-      category: CRITERIA_CATEGORIES.ENVIRONMENTAL,
-      status: RISK_LEVELS.REQUIRES_COUNSELING,
-      message: 'Employment situation may not support demands of surrogacy',
-      guideline: 'ASRM 2022: Employment must be flexible enough to support GC demands'
-    });
-  }
-
-  if (!adequateFinancialSituation) {
-    results.push({
-      category: CRITERIA_CATEGORIES.ENVIRONMENTAL,
-      status: RISK_LEVELS.REQUIRES_COUNSELING,
-      message: 'Financial situation requires evaluation for possible coercion',
-      guideline: 'ASRM 2022: Must assess for financial coercion'
-    });
-  }
-
-  if (stableRelationship === false) {
-    results.push({
-      category: CRITERIA_CATEGORIES.ENVIRONMENTAL,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'Current marital or relationship instability',
-      guideline: 'ASRM 2022: Relationship instability is disqualifying'
-    });
-  }
-
-  if (!supportivePartner) {
-    results.push({
-      category: CRITERIA_CATEGORIES.ENVIRONMENTAL,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'Lack of partner/support system support',
-      guideline: 'ASRM 2022: Adequate support required'
-    });
-  }
-
-  if (legalIssues) {
-    results.push({
-      category: CRITERIA_CATEGORIES.ENVIRONMENTAL,
-      status: RISK_LEVELS.HIGH_RISK,
-      message: 'Legal issues detected (bankruptcy, custody disputes, etc.)',
-      guideline: 'ASRM 2022: Ongoing legal disputes may be disqualifying'
-    });
-  }
-
-  if (results.length === 0) {
-    results.push({
-      category: CRITERIA_CATEGORIES.ENVIRONMENTAL,
-      status: RISK_LEVELS.ELIGIBLE,
-      message: 'Stable family environment with adequate support',
-      guideline: 'ASRM 2022: Stable environment required'
-    });
-  }
-
-  return results;
+export function assessEnvironmentalFactors(environmental, rulePack = getActiveRulePack()) {
+  return runRuleGroup(rulePack, 'environmental', environmental);
 }
 
 /**
  * Comprehensive risk assessment
  * Evaluates all aspects of a gestational carrier candidate
+ * @param {Object} candidate - Structured candidate data
+ * @param {Object} options
+ * @param {Object} options.rulePack - Rule pack to evaluate against (default: active pack)
+ * @param {string} options.ruleVersion - Re-run against an archived rule set (a `ruleVersion.hash`
+ *   from an earlier result; see ruleVersioning.js). Overrides `rulePack`. Refused when the
+ *   snapshot was archived under another ENGINE_VERSION or other reference data (lab ranges,
+ *   medication knowledge base), since the MFM review, risk roll-up, scoring, lab interpretation
+ *   and medication review would run as current code and data rather than as they were.
+ * @param {boolean} options.allowEngineMismatch - Re-run such a snapshot anyway; the result's
+ *   `ruleVersion.reproducible` is then false
+ * @param {Date|string} options.asOf - Date postpartum timing is measured to (default: today)
  */
-export function performComprehensiveAssessment(candidateData) {
+export function performComprehensiveAssessment(candidate, options = {}) {
+  // Per-pregnancy timelines fill in flat counts the parsers left unset, and correct those a complete timeline contradicts
+  const candidateData = withTimelineCounts(candidate);
+  const snapshot = options.ruleVersion ? getRuleSnapshot(options.ruleVersion) : null;
+  if (options.ruleVersion && !snapshot) {
+    throw new Error(`Unknown rule version "${options.ruleVersion}" - load it with loadRuleSnapshot() first`);
+  }
+  const mismatches = snapshot ? getSnapshotMismatches(snapshot) : [];
+  const engineMismatch = mismatches.length > 0;
+  if (engineMismatch && !options.allowEngineMismatch) {
+    throw new Error(
+      `Rule version "${options.ruleVersion}" was archived under ${mismatches.join(', ')}; ` +
+      `this is engine ${ENGINE_VERSION} with the current reference data, so the result would not reproduce it`
+    );
+  }
+
+  const { asOf } = options;
+  const rulePack = snapshot?.rulePack || options.rulePack || getActiveRulePack();
+  const clinicProfiles = snapshot?.profileSet;
+  const ruleVersion = snapshot
+    ? { ...snapshot.fingerprint, currentEngineVersion: ENGINE_VERSION, reproducible: !engineMismatch }
+    : archiveRuleSet({ rulePack });
   const allResults = [];
 
   // Age assessment
   if (candidateData.age !== undefined) {
-    allResults.push(assessAge(candidateData.age));
+    allResults.push(assessAge(candidateData.age, rulePack));
   }
 
   // Pregnancy history
   if (candidateData.pregnancyHistory) {
-    allResults.push(...assessPregnancyHistory(candidateData.pregnancyHistory));
+    allResults.push(...assessPregnancyHistory(candidateData.pregnancyHistory, rulePack, { asOf }));
   }
 
-  // Medical conditions
-  if (candidateData.medicalConditions) {
-    allResults.push(...assessMedicalConditions(candidateData.medicalConditions));
+  // Medical conditions, lab values and BP trend
+  const labInterpretation = interpretCandidateLabs(candidateData);
+  const bloodPressureTrend = analyzeBloodPressureTrend(candidateData.bloodPressureReadings, candidateData.pregnancyHistory);
+  if (candidateData.medicalConditions || labInterpretation.known || bloodPressureTrend.known) {
+    allResults.push(...assessMedicalConditions(candidateData.medicalConditions, rulePack, { labInterpretation, bloodPressureTrend }));
   }
 
   // Infectious disease screening
   if (candidateData.infectiousDiseaseTests) {
-    allResults.push(...assessInfectiousDiseases(candidateData.infectiousDiseaseTests));
+    allResults.push(...assessInfectiousDiseases(candidateData.infectiousDiseaseTests, rulePack));
   }
 
-  // Psychological factors
+  // Psychological factors (a recognized psychotropic in the medication list counts as current use)
+  const medicationReview = reviewMedications(candidateData.medications);
   if (candidateData.psychological) {
-    allResults.push(...assessPsychologicalFactors(candidateData.psychological));
+    const psychological = medicationReview.psychotropic
+      ? { ...candidateData.psychological, currentPsychotropicMedication: true }
+      : candidateData.psychological;
+    allResults.push(...assessPsychologicalFactors(psychological, rulePack));
+  }
+
+  // Current medications
+  if (candidateData.medications) {
+    allResults.push(...assessMedications(medicationReview, rulePack));
   }
 
   // Lifestyle factors
   if (candidateData.lifestyle) {
-    allResults.push(...assessLifestyleFactors(candidateData.lifestyle));
+    allResults.push(...assessLifestyleFactors(candidateData.lifestyle, rulePack));
   }
 
   // Environmental factors
   if (candidateData.environmental) {
-    allResults.push(...assessEnvironmentalFactors(candidateData.environmental));
+    allResults.push(...assessEnvironmentalFactors(candidateData.environmental, rulePack));
   }
 
   // Determine overall risk level
   const overallRisk = determineOverallRisk(allResults);
 
   // Add clinic type assessment
-  const clinicTypeAnalysis = assessByClinicType(candidateData);
+  const clinicTypeAnalysis = assessByClinicType(candidateData, { clinicProfiles, asOf });
+
+  // Rank registered named clinics
+  const clinicRanking = rankClinics(candidateData, { clinicProfiles, asOf });
 
   // Add MFM review assessment
-  const mfmAssessment = assessMFMReview(candidateData);
+  const mfmAssessment = assessMFMReview(candidateData, { asOf });
+
+  // Postpartum timing and earliest eligible transfer date
+  const deliveryInterval = assessDeliveryInterval(candidateData, clinicTypeAnalysis, clinicRanking, { asOf });
 
   return {
     assessments: allResults,
@@ -612,7 +277,15 @@ export function performComprehensiveAssessment(candidateData) {
     summary: generateSummary(allResults, overallRisk),
     recommendations: generateRecommendations(allResults, overallRisk),
     clinicTypeAnalysis,
-    mfmAssessment
+    clinicRanking,
+    mfmAssessment,
+    deliveryInterval,
+    medicationReview,
+    labInterpretation,
+    bloodPressureTrend,
+    // Every term the findings are coded with, once
+    codes: codeTerms(allResults.flatMap(result => (result.codes || []).map(code => code.term))),
+    ruleVersion
   };
 }
 
@@ -711,9 +384,10 @@ function generateRecommendations(results, overallRisk) {
     recommendations.push(`${counseling.length} factor(s) require additional counseling or testing`);
   }
 
-  // Check for missing assessments
+  // Check for missing assessments (no medication list usually means none are taken, not a gap)
   const missingCategories = [];
-  const allCategories = Object.values(CRITERIA_CATEGORIES);
+  const allCategories = Object.values(CRITERIA_CATEGORIES)
+    .filter(cat => cat !== CRITERIA_CATEGORIES.MEDICATIONS);
   const evaluatedCategories = [...new Set(results.map(r => r.category))];
 
   allCategories.forEach(cat => {
@@ -0,0 +1,449 @@
+/**
+ * Declarative Rule Engine
+ * Evaluates versioned rule packs so screening thresholds live in data
+ * instead of if-statements, and can be swapped without a code change.
+ *
+ * CONDITION SYNTAX:
+ *   { field: 'bmi', op: 'lt', value: 19 }
+ *   { field: 'item', op: 'in', list: 'disqualifyingConditions' }
+ *   { all: [...] } | { any: [...] } | { not: {...} }
+ *   A rule without `when` always matches.
+ *
+ * TERMS:
+ *   A rule may name the conditions, complications or procedures its finding
+ *   is about, as terminology keys (data/terminology.js) or {field} references:
+ *   terms: ['cesarean'] | terms: ['{item}'] (an array field adds each entry)
+ *
+ * RULE PACK LIFECYCLE:
+ *   loadRulePack(jsonOrObject) → validate against RULE_PACK_SCHEMA → register
+ *   setActiveRulePack(id, version) → used by riskAssessment.js by default
+ */
+
+import { ASRM_2022_RULE_PACK } from '../data/rulePacks/asrm2022.js';
+
+export const RULE_OPERATORS = [
+  'eq', 'neq', 'lt', 'lte', 'gt', 'gte',
+  'in', 'notIn', 'includes',
+  'truthy', 'falsy', 'isEmpty', 'notEmpty'
+];
+
+export const RULE_STATUSES = ['ELIGIBLE', 'REQUIRES_COUNSELING', 'HIGH_RISK', 'DISQUALIFIED'];
+
+/**
+ * JSON Schema (subset) describing a rule pack
+ * Supported keywords: type, required, properties, additionalProperties,
+ * items, enum, minItems, anyOf, $ref
+ */
+export const RULE_PACK_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'version', 'groups'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    version: { type: 'string' },
+    description: { type: 'string' },
+    lists: {
+      type: 'object',
+      additionalProperties: { type: 'array', items: { type: 'string' } }
+    },
+    groups: {
+      type: 'object',
+      additionalProperties: { $ref: '#/definitions/group' }
+    }
+  },
+  definitions: {
+    group: {
+      type: 'object',
+      required: ['category', 'mode', 'rules'],
+      properties: {
+        category: { type: 'string' },
+        mode: { enum: ['first', 'all'] },
+        forEach: { type: 'string' },
+        when: { $ref: '#/definitions/condition' },
+        rules: { type: 'array', minItems: 1, items: { $ref: '#/definitions/rule' } },
+        otherwise: { $ref: '#/definitions/rule' }
+      }
+    },
+    rule: {
+      type: 'object',
+      required: ['id', 'status', 'message'],
+      properties: {
+        id: { type: 'string' },
+        when: { $ref: '#/definitions/condition' },
+        status: { enum: RULE_STATUSES },
+        message: { type: 'string' },
+        guideline: { type: 'string' },
+        terms: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    condition: {
+      anyOf: [
+        {
+          type: 'object',
+          required: ['field', 'op'],
+          properties: {
+            field: { type: 'string' },
+            op: { enum: RULE_OPERATORS },
+            list: { type: 'string' }
+          }
+        },
+        {
+          type: 'object',
+          required: ['all'],
+          properties: { all: { type: 'array', minItems: 1, items: { $ref: '#/definitions/condition' } } }
+        },
+        {
+          type: 'object',
+          required: ['any'],
+          properties: { any: { type: 'array', minItems: 1, items: { $ref: '#/definitions/condition' } } }
+        },
+        {
+          type: 'object',
+          required: ['not'],
+          properties: { not: { $ref: '#/definitions/condition' } }
+        }
+      ]
+    }
+  }
+};
+
+const rulePackRegistry = new Map();
+let activeRulePackKey = null;
+
+/**
+ * Resolve a dot-separated path against a facts object
+ */
+export function resolveField(facts, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), facts);
+}
+
+/**
+ * Evaluate a condition tree against facts
+ * @param {Object} condition - Condition (see syntax above)
+ * @param {Object} facts - Values the condition fields refer to
+ * @param {Object} lists - Named lists from the rule pack
+ * @returns {boolean}
+ */
+export function evaluateCondition(condition, facts, lists = {}) {
+  if (!condition) return true;
+
+  if (condition.all) return condition.all.every(c => evaluateCondition(c, facts, lists));
+  if (condition.any) return condition.any.some(c => evaluateCondition(c, facts, lists));
+  if (condition.not) return !evaluateCondition(condition.not, facts, lists);
+
+  const actual = resolveField(facts, condition.field);
+  const expected = condition.list ? (lists[condition.list] || []) : condition.value;
+
+  switch (condition.op) {
+    case 'eq': return actual === expected;
+    case 'neq': return actual !== expected;
+    case 'lt': return actual < expected;
+    case 'lte': return actual <= expected;
+    case 'gt': return actual > expected;
+    case 'gte': return actual >= expected;
+    case 'in': return Array.isArray(expected) && expected.includes(actual);
+    case 'notIn': return !Array.isArray(expected) || !expected.includes(actual);
+    case 'includes':
+      if (Array.isArray(expected)) {
+        return typeof actual === 'string' && expected.some(value => actual.includes(value));
+      }
+      return (typeof actual === 'string' || Array.isArray(actual)) && actual.includes(expected);
+    case 'truthy': return Boolean(actual);
+    case 'falsy': return !actual;
+    case 'isEmpty': return actual == null || actual.length === 0;
+    case 'notEmpty': return actual != null && actual.length > 0;
+    default:
+      throw new Error(`Unknown rule operator: ${condition.op}`);
+  }
+}
+
+/**
+ * Collect every fact path a condition reads
+ */
+export function getConditionFields(condition) {
+  if (!condition) return [];
+  if (condition.all) return condition.all.flatMap(getConditionFields);
+  if (condition.any) return condition.any.flatMap(getConditionFields);
+  if (condition.not) return getConditionFields(condition.not);
+  return [condition.field];
+}
+
+const OPERATOR_SYMBOLS = {
+  eq: '=', neq: '≠', lt: '<', lte: '≤', gt: '>', gte: '≥',
+  in: 'is one of', notIn: 'is not one of', includes: 'includes',
+  truthy: 'is present', falsy: 'is absent', isEmpty: 'is empty', notEmpty: 'is not empty'
+};
+
+/**
+ * Human-readable version of a condition, e.g. "counts.major ≥ 1"
+ */
+export function describeCondition(condition) {
+  if (!condition) return 'always';
+  if (condition.all) return condition.all.map(describeCondition).join(' and ');
+  if (condition.any) return `(${condition.any.map(describeCondition).join(' or ')})`;
+  if (condition.not) return `not (${describeCondition(condition.not)})`;
+
+  const symbol = OPERATOR_SYMBOLS[condition.op] || condition.op;
+  if (['truthy', 'falsy', 'isEmpty', 'notEmpty'].includes(condition.op)) {
+    return `${condition.field} ${symbol}`;
+  }
+  const value = condition.list || (Array.isArray(condition.value) ? condition.value.join(', ') : condition.value);
+  return `${condition.field} ${symbol} ${value}`;
+}
+
+/**
+ * Fill {field}, {field|humanize} and {field|join} placeholders from facts
+ */
+export function formatTemplate(template, facts) {
+  return template.replace(/\{([\w.]+)(?:\|(\w+))?\}/g, (placeholder, path, filter) => {
+    const value = resolveField(facts, path);
+    if (filter === 'humanize') return String(value).replace(/_/g, ' ');
+    if (filter === 'join') return Array.isArray(value) ? value.join(', ') : String(value);
+    return String(value);
+  });
+}
+
+/**
+ * Find the rules in a group that match the facts
+ * Honors the group's `when`, `forEach`, `mode` and `otherwise` settings
+ * @returns {Array} [{ rule, facts }] where facts is the scope the rule matched in
+ */
+export function matchRuleGroup(group, facts, lists = {}) {
+  const matches = [];
+
+  if (group.when && !evaluateCondition(group.when, facts, lists)) {
+    return matches;
+  }
+
+  const scopes = group.forEach
+    ? (resolveField(facts, group.forEach) || []).map(item => ({ ...facts, item }))
+    : [facts];
+
+  scopes.forEach(scope => {
+    for (const rule of group.rules) {
+      if (evaluateCondition(rule.when, scope, lists)) {
+        matches.push({ rule, facts: scope });
+        if (group.mode === 'first') break;
+      }
+    }
+  });
+
+  if (matches.length === 0 && group.otherwise) {
+    matches.push({ rule: group.otherwise, facts });
+  }
+
+  return matches;
+}
+
+/**
+ * Evaluate one rule group from a pack
+ * @param {Object} group - Rule group definition
+ * @param {Object} facts - Facts for this group
+ * @param {Object} lists - Named lists from the rule pack
+ * @returns {Array} Matched results { ruleId, status, message, guideline, terms? }
+ */
+export function evaluateRuleGroup(group, facts, lists = {}) {
+  return matchRuleGroup(group, facts, lists).map(({ rule, facts: scope }) => buildRuleResult(rule, scope));
+}
+
+function buildRuleResult(rule, facts) {
+  return {
+    ruleId: rule.id,
+    status: rule.status,
+    message: formatTemplate(rule.message, facts),
+    guideline: rule.guideline ? formatTemplate(rule.guideline, facts) : '',
+    ...(rule.terms && { terms: resolveTerms(rule.terms, facts) })
+  };
+}
+
+/**
+ * Resolve a rule's terms: literal names as they are, {field} references from facts
+ */
+export function resolveTerms(terms, facts) {
+  return terms
+    .flatMap(term => {
+      const reference = term.match(/^\{([\w.]+)\}$/);
+      return reference ? resolveField(facts, reference[1]) : term;
+    })
+    .filter(term => typeof term === 'string' && term !== '');
+}
+
+/**
+ * Validate a value against a schema node (JSON Schema subset)
+ */
+function validateSchemaNode(value, schema, path, root, errors) {
+
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/definitions/', '');
+    validateSchemaNode(value, root.definitions[name], path, root, errors);
+    return;
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => {
+      const optionErrors = [];
+      validateSchemaNode(value, option, path, root, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matches) errors.push(`${path}: does not match any allowed form`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    return;
+  }
+
+  if (schema.type === 'object') {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = schema.properties?.[key] || schema.additionalProperties;
+      if (childSchema && typeof childSchema === 'object') {
+        validateSchemaNode(child, childSchema, `${path}.${key}`, root, errors);
+      }
+    });
+  } else if (schema.type === 'array') {
+    if (!Array.isArray(value)) {
+      errors.push(`${path}: must be an array`);
+      return;
+    }
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateSchemaNode(item, schema.items, `${path}[${index}]`, root, errors));
+    }
+  } else if (schema.type && typeof value !== schema.type) {
+    errors.push(`${path}: must be a ${schema.type}`);
+  }
+}
+
+/**
+ * Validate any value against a schema (JSON Schema subset, see RULE_PACK_SCHEMA)
+ * @returns {string[]} Error messages, empty when valid
+ */
+export function validateAgainstSchema(value, schema, path = 'value') {
+  const errors = [];
+  validateSchemaNode(value, schema, path, schema, errors);
+  return errors;
+}
+
+/**
+ * Validate a rule pack against RULE_PACK_SCHEMA plus cross-references
+ * (unique rule ids, lists referenced by conditions must exist)
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateRulePack(pack) {
+  const errors = validateAgainstSchema(pack, RULE_PACK_SCHEMA, 'rulePack');
+
+  if (errors.length === 0) {
+    const seenIds = new Set();
+    const lists = pack.lists || {};
+
+    const checkListRefs = (condition, path) => {
+      if (!condition) return;
+      if (condition.all) condition.all.forEach((c, i) => checkListRefs(c, `${path}.all[${i}]`));
+      if (condition.any) condition.any.forEach((c, i) => checkListRefs(c, `${path}.any[${i}]`));
+      if (condition.not) checkListRefs(condition.not, `${path}.not`);
+      if (condition.list && !lists[condition.list]) {
+        errors.push(`${path}: references unknown list "${condition.list}"`);
+      }
+    };
+
+    Object.entries(pack.groups).forEach(([groupName, group]) => {
+      const groupPath = `rulePack.groups.${groupName}`;
+      checkListRefs(group.when, `${groupPath}.when`);
+
+      const rules = group.otherwise ? [...group.rules, group.otherwise] : group.rules;
+      rules.forEach(rule => {
+        if (seenIds.has(rule.id)) errors.push(`${groupPath}: duplicate rule id "${rule.id}"`);
+        seenIds.add(rule.id);
+        checkListRefs(rule.when, `${groupPath}.${rule.id}`);
+      });
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+function rulePackKey(id, version) {
+  return `${id}@${version}`;
+}
+
+/**
+ * Register a rule pack (validated) so it can be activated or requested by id
+ */
+export function registerRulePack(pack) {
+  const { valid, errors } = validateRulePack(pack);
+  if (!valid) {
+    throw new Error(`Invalid rule pack: ${errors.join('; ')}`);
+  }
+  rulePackRegistry.set(rulePackKey(pack.id, pack.version), pack);
+  return pack;
+}
+
+/**
+ * Load a rule pack from a JSON string or object, validate and register it
+ * @param {string|Object} source - Rule pack JSON or object
+ * @param {Object} options
+ * @param {boolean} options.activate - Make it the active pack (default: false)
+ */
+export function loadRulePack(source, options = {}) {
+  const pack = typeof source === 'string' ? JSON.parse(source) : source;
+  registerRulePack(pack);
+  if (options.activate) {
+    setActiveRulePack(pack.id, pack.version);
+  }
+  return pack;
+}
+
+/**
+ * Look up a registered pack; without a version the highest version wins
+ */
+export function getRulePack(id, version) {
+  if (version) {
+    return rulePackRegistry.get(rulePackKey(id, version)) || null;
+  }
+  const candidates = [...rulePackRegistry.values()].filter(pack => pack.id === id);
+  candidates.sort((a, b) => compareVersions(b.version, a.version));
+  return candidates[0] || null;
+}
+
+export function listRulePacks() {
+  return [...rulePackRegistry.values()].map(({ id, name, version, description }) => ({
+    id, name, version, description
+  }));
+}
+
+export function setActiveRulePack(id, version) {
+  const pack = getRulePack(id, version);
+  if (!pack) {
+    throw new Error(`Rule pack not registered: ${version ? rulePackKey(id, version) : id}`);
+  }
+  activeRulePackKey = rulePackKey(pack.id, pack.version);
+  return pack;
+}
+
+export function getActiveRulePack() {
+  return rulePackRegistry.get(activeRulePackKey);
+}
+
+function compareVersions(a, b) {
+  const pa = a.split('.').map(Number);
+  const pb = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// Ship current behavior as the default pack
+registerRulePack(ASRM_2022_RULE_PACK);
+setActiveRulePack(ASRM_2022_RULE_PACK.id, ASRM_2022_RULE_PACK.version);
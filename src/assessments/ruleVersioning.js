@@ -0,0 +1,194 @@
+/**
+ * Rule Versioning
+ * Stamps every assessment with the engine version and a content hash of
+ * the rules that produced it, and archives rule sets by hash so a stored
+ * candidate can be re-run against the rules in force at the time.
+ *
+ * RULE SET = ASRM rule pack + clinic profile definitions
+ *
+ * ENGINE_VERSION covers the code that is not data-driven (MFM review,
+ * overall risk roll-up, scoring mechanics). Bump it whenever that code
+ * changes how a candidate is assessed; data changes are caught by the hash.
+ * The hash also covers the reference data the assessment reads directly
+ * (lab reference ranges, the medication knowledge base), which a snapshot
+ * archives but a re-run can't swap in. Re-running a snapshot archived under another engine version or
+ * other reference data is refused (see performComprehensiveAssessment).
+ *
+ * USAGE:
+ *   const result = performComprehensiveAssessment(candidate);
+ *   result.ruleVersion.hash                      // e.g. '3f1c09a2b7d4e815'
+ *   saveSomewhere(exportRuleSnapshot(result.ruleVersion.hash));
+ *   ...
+ *   loadRuleSnapshot(savedSnapshotJson);
+ *   performComprehensiveAssessment(candidate, { ruleVersion: '3f1c09a2b7d4e815' });
+ */
+
+import { getActiveRulePack } from './ruleEngine.js';
+import { buildClinicProfileSet, getClinicProfileDefinitions } from './clinicProfileRegistry.js';
+import { hashContent } from '../utils/contentHash.js';
+import { getMedicationKnowledgeBase } from './medicationAssessment.js';
+import { LAB_REFERENCE_RANGES, BLOOD_PRESSURE_CATEGORIES } from '../data/labReferenceRanges.js';
+
+export const ENGINE_VERSION = '2.7.0';
+
+const ruleSnapshots = new Map();
+// Hashes are cached per object; rule packs and definition lists are not mutated once registered
+const hashCache = new WeakMap();
+
+function cachedHash(value) {
+  if (!hashCache.has(value)) {
+    hashCache.set(value, hashContent(value));
+  }
+  return hashCache.get(value);
+}
+
+// Reference data the assessment reads from its modules rather than the rule set
+const REFERENCE_DATA = {
+  labReferenceRanges: { ranges: LAB_REFERENCE_RANGES, bloodPressure: BLOOD_PRESSURE_CATEGORIES },
+  medicationKnowledgeBase: getMedicationKnowledgeBase()
+};
+
+const REFERENCE_DATA_LABELS = {
+  labReferenceRanges: 'lab reference ranges',
+  medicationKnowledgeBase: 'medication knowledge base'
+};
+
+const referenceDataHashes = referenceData =>
+  Object.fromEntries(Object.entries(referenceData).map(([key, value]) => [key, { hash: cachedHash(value) }]));
+
+/**
+ * Fingerprint of a rule set
+ * @param {Object} rules
+ * @param {Object} rules.rulePack - Default: active rule pack
+ * @param {Array} rules.clinicProfiles - Profile definitions (default: registered definitions)
+ * @param {Object} rules.referenceData - Default: the current reference data
+ * @returns {Object} { engineVersion, rulePack: {id, version, hash}, clinicProfiles: {count, hash},
+ *   referenceData: { labReferenceRanges: {hash}, medicationKnowledgeBase: {hash} }, hash }
+ */
+export function getRuleSetFingerprint(rules = {}) {
+  const {
+    rulePack = getActiveRulePack(),
+    clinicProfiles = getClinicProfileDefinitions(),
+    referenceData = REFERENCE_DATA
+  } = rules;
+
+  const parts = {
+    engineVersion: ENGINE_VERSION,
+    rulePack: { id: rulePack.id, version: rulePack.version, hash: cachedHash(rulePack) },
+    clinicProfiles: { count: clinicProfiles.length, hash: cachedHash(clinicProfiles) },
+    referenceData: referenceDataHashes(referenceData)
+  };
+
+  return {
+    ...parts,
+    hash: hashContent({
+      engineVersion: parts.engineVersion,
+      rulePack: parts.rulePack.hash,
+      clinicProfiles: parts.clinicProfiles.hash,
+      referenceData: Object.fromEntries(Object.entries(parts.referenceData).map(([key, { hash }]) => [key, hash]))
+    })
+  };
+}
+
+/**
+ * What a re-run of an archived rule set can't reproduce: another engine
+ * version, or reference data that differs from the current data
+ * @returns {Array<string>} e.g. ['engine 2.6.0', 'different lab reference ranges']; empty when it reproduces
+ */
+export function getSnapshotMismatches(snapshot) {
+  const current = referenceDataHashes(REFERENCE_DATA);
+  return [
+    ...(snapshot.fingerprint.engineVersion !== ENGINE_VERSION ? [`engine ${snapshot.fingerprint.engineVersion}`] : []),
+    ...Object.keys(current)
+      .filter(key => snapshot.fingerprint.referenceData?.[key]?.hash !== current[key].hash)
+      .map(key => `different ${REFERENCE_DATA_LABELS[key]}`)
+  ];
+}
+
+/**
+ * Archive a rule set under its hash
+ * Called for every assessment, so whatever rules were in force are always
+ * available for export.
+ * @returns {Object} fingerprint
+ */
+export function archiveRuleSet(rules = {}) {
+  const {
+    rulePack = getActiveRulePack(),
+    clinicProfiles = getClinicProfileDefinitions()
+  } = rules;
+  const fingerprint = getRuleSetFingerprint({ rulePack, clinicProfiles });
+
+  if (!ruleSnapshots.has(fingerprint.hash)) {
+    ruleSnapshots.set(fingerprint.hash, {
+      fingerprint,
+      rulePack,
+      clinicProfiles,
+      referenceData: REFERENCE_DATA,
+      archivedAt: new Date().toISOString()
+    });
+  }
+  return fingerprint;
+}
+
+/**
+ * Serialize an archived rule set so it can be stored alongside reports
+ */
+export function exportRuleSnapshot(hash) {
+  const snapshot = ruleSnapshots.get(hash);
+  if (!snapshot) {
+    throw new Error(`Unknown rule version "${hash}"`);
+  }
+  const { profileSet, ...data } = snapshot;
+  return JSON.stringify(data);
+}
+
+/**
+ * Load a stored rule snapshot back into the archive
+ * The content is re-hashed; a snapshot whose content does not match its
+ * recorded hash is rejected.
+ * @param {string|Object} source - JSON string or parsed snapshot
+ * @returns {Object} fingerprint
+ */
+export function loadRuleSnapshot(source) {
+  const data = typeof source === 'string' ? JSON.parse(source) : source;
+  // Snapshots archived before reference data was hashed have none; they never reproduce exactly
+  const { fingerprint, rulePack, clinicProfiles, referenceData = {} } = data;
+
+  if (!fingerprint?.hash || !rulePack || !clinicProfiles) {
+    throw new Error('Rule snapshot must include fingerprint, rulePack and clinicProfiles');
+  }
+
+  const recomputed = getRuleSetFingerprint({ rulePack, clinicProfiles, referenceData });
+  const matches = ['rulePack', 'clinicProfiles']
+    .every(part => recomputed[part].hash === fingerprint[part]?.hash) &&
+    Object.keys(referenceData).every(key => recomputed.referenceData[key].hash === fingerprint.referenceData?.[key]?.hash);
+  if (!matches) {
+    throw new Error(`Rule snapshot ${fingerprint?.hash} does not match its content`);
+  }
+
+  ruleSnapshots.set(fingerprint.hash, { ...data, fingerprint });
+  return fingerprint;
+}
+
+/**
+ * Archived rule set for a hash, with its clinic profiles resolved
+ * @returns {Object|null} { fingerprint, rulePack, clinicProfiles, profileSet, ... }
+ */
+export function getRuleSnapshot(hash) {
+  const snapshot = ruleSnapshots.get(hash);
+  if (!snapshot) return null;
+  if (!snapshot.profileSet) {
+    snapshot.profileSet = buildClinicProfileSet(snapshot.clinicProfiles);
+  }
+  return snapshot;
+}
+
+/**
+ * Archived rule versions, oldest first
+ */
+export function listRuleSnapshots() {
+  return [...ruleSnapshots.values()].map(snapshot => ({
+    ...snapshot.fingerprint,
+    archivedAt: snapshot.archivedAt
+  }));
+}
@@ -0,0 +1,107 @@
+/**
+ * Score Ledger
+ * Ordered record of every rule applied to a clinic score or MFM review,
+ * so a coordinator can answer "why is she 54 at strict clinics?"
+ *
+ * CLINIC LEDGER:
+ *   { type: 'score', startScore: 100, finalScore, entries: [
+ *       { step, ruleId, kind, label, inputs, points, runningScore } ] }
+ *   points are deducted (negative when a floor adds points back)
+ *
+ * MFM LEDGER:
+ *   { type: 'reviewLevel', startLevel, finalLevel, entries: [
+ *       { step, ruleId, kind, label, inputs, severity, reviewLevel } ] }
+ *
+ * The ledger is plain JSON, so the UI, PDF report and API all render it
+ * through toWaterfallRows() / formatLedgerLines().
+ */
+
+import { getConditionFields, resolveField } from './ruleEngine.js';
+
+export const LEDGER_ENTRY_KINDS = {
+  HARD_STOP: 'hard_stop',
+  PENALTY: 'penalty',
+  COMBINATION: 'combination',
+  CAP: 'cap',
+  FLOOR: 'floor',
+  FINDING: 'finding'
+};
+
+/**
+ * Collect the input values a rule looked at
+ * Fields read through a forEach `item` are reported under the list name,
+ * e.g. { 'medicalConditions[]': 'preeclampsia' }
+ */
+export function collectRuleInputs(rule, group, facts) {
+  const paths = [
+    ...getConditionFields(group.when),
+    ...getConditionFields(rule.when),
+    ...(rule.points?.per ? [rule.points.per] : [])
+  ];
+
+  const inputs = {};
+  paths.forEach(path => {
+    const isItem = path === 'item' || path.startsWith('item.');
+    const key = isItem && group.forEach ? path.replace(/^item/, `${group.forEach}[]`) : path;
+    inputs[key] = resolveField(facts, path);
+  });
+  return inputs;
+}
+
+/**
+ * Rows for a waterfall chart: one bar per entry plus start and final totals
+ * @returns {Array} [{ label, kind, points, from, to }]
+ */
+export function toWaterfallRows(ledger) {
+  if (!ledger || ledger.type !== 'score') return [];
+
+  const rows = [{ label: 'Starting score', kind: 'start', points: 0, from: ledger.startScore, to: ledger.startScore }];
+  let previous = ledger.startScore;
+  ledger.entries.forEach(entry => {
+    rows.push({
+      label: entry.label,
+      kind: entry.kind,
+      ruleId: entry.ruleId,
+      points: entry.points,
+      from: previous,
+      to: entry.runningScore
+    });
+    previous = entry.runningScore;
+  });
+  rows.push({ label: 'Final score', kind: 'final', points: 0, from: ledger.finalScore, to: ledger.finalScore });
+
+  return rows;
+}
+
+/**
+ * Plain-text lines for a ledger (PDF report, CLI, API consumers)
+ */
+export function formatLedgerLines(ledger) {
+  if (!ledger) return [];
+
+  if (ledger.type === 'reviewLevel') {
+    return [
+      `Start: ${ledger.startLevel}`,
+      ...ledger.entries.map(entry =>
+        `${entry.step}. [${entry.ruleId}] ${entry.label} (${formatInputs(entry.inputs)}) → ${entry.reviewLevel}`
+      ),
+      `Final: ${ledger.finalLevel}`
+    ];
+  }
+
+  return [
+    `Start: ${ledger.startScore}`,
+    ...ledger.entries.map(entry => {
+      const change = entry.points === 0 ? '±0' : entry.points > 0 ? `-${entry.points}` : `+${-entry.points}`;
+      return `${entry.step}. [${entry.ruleId}] ${entry.label} (${formatInputs(entry.inputs)}) ${change} → ${entry.runningScore}`;
+    }),
+    `Final: ${ledger.finalScore}`
+  ];
+}
+
+function formatInputs(inputs = {}) {
+  const parts = Object.entries(inputs).map(([key, value]) =>
+    `${key}=${Array.isArray(value) ? value.join('|') : value}`
+  );
+  return parts.length > 0 ? parts.join(', ') : 'no inputs';
+}
@@ -0,0 +1,301 @@
+/**
+ * What-If Simulator
+ * Re-runs the assessment with proposed changes to modifiable risk factors
+ * (e.g. BMI 33 → 29, quit smoking, wait 4 more months after delivery) and
+ * reports before/after clinic scores, MFM likelihood and overall risk.
+ *
+ * Also searches for the smallest modifiable change that moves each clinic
+ * tier to LIKELY_TO_APPROVE: fewest factors first, then the smallest BMI
+ * change, then the shortest wait. The clinic BMI bands don't score a lower
+ * BMI higher every time (lenient clinics score 31.9 above 32.9 but 32.9 below
+ * 34.9), so BMI values are scanned one by one; waiting longer never lowers a
+ * score, so the wait is found by bisection. Assessments are cached per set
+ * of changes and shared by the tiers.
+ */
+
+import { performComprehensiveAssessment } from './riskAssessment.js';
+import { assessByClinicType, ACCEPTANCE_LEVELS, CLINIC_TIERS } from './clinicTypeAssessment.js';
+import { getDeliveryInterval } from './deliveryInterval.js';
+
+const BMI_STEP = 0.1;
+const BMI_HEALTHY_MIN = 18.5;
+const BMI_HEALTHY_MAX = 24.9;
+// Beyond this, no clinic interval minimum applies
+const MAX_POSTPARTUM_MONTHS = 24;
+
+// Acceptance levels, lowest first
+const ACCEPTANCE_ORDER = [
+  ACCEPTANCE_LEVELS.UNLIKELY_TO_APPROVE,
+  ACCEPTANCE_LEVELS.MAY_APPROVE_WITH_RECORDS,
+  ACCEPTANCE_LEVELS.LIKELY_TO_APPROVE
+];
+
+const meetsTarget = (level, target) => ACCEPTANCE_ORDER.indexOf(level) >= ACCEPTANCE_ORDER.indexOf(target);
+
+const roundBmi = value => Math.round(value * 10) / 10;
+
+/**
+ * Factors a candidate can realistically change before transfer
+ * Each factor knows whether it applies, how to apply a value, and which
+ * values to try when searching: smallest change first, each value at least
+ * as favorable as the one before (BMI stops at the healthy range).
+ */
+export const MODIFIABLE_FACTORS = {
+  bmi: {
+    label: 'BMI',
+    // A lower BMI can score lower (clinic BMI bands), so every value is tried
+    monotonic: false,
+    isApplicable: data => {
+      const bmi = data.lifestyle?.bmi;
+      return typeof bmi === 'number' && (bmi > BMI_HEALTHY_MAX || bmi < BMI_HEALTHY_MIN);
+    },
+    apply: (data, value) => ({ ...data, lifestyle: { ...data.lifestyle, bmi: roundBmi(value) } }),
+    searchValues: data => {
+      const bmi = data.lifestyle.bmi;
+      const values = [];
+      if (bmi > BMI_HEALTHY_MAX) {
+        for (let value = roundBmi(bmi - BMI_STEP); value >= BMI_HEALTHY_MAX; value = roundBmi(value - BMI_STEP)) {
+          values.push(value);
+        }
+      } else {
+        for (let value = roundBmi(bmi + BMI_STEP); value <= BMI_HEALTHY_MAX; value = roundBmi(value + BMI_STEP)) {
+          values.push(value);
+        }
+      }
+      return values;
+    },
+    describe: (data, value) => `BMI ${data.lifestyle?.bmi ?? 'unknown'} → ${roundBmi(value)}`
+  },
+  quitSmoking: {
+    label: 'Quit smoking',
+    isApplicable: data => Boolean(data.lifestyle?.currentSmoker),
+    apply: (data, value) => value ? { ...data, lifestyle: { ...data.lifestyle, currentSmoker: false } } : data,
+    searchValues: () => [true],
+    describe: () => 'Quit smoking'
+  },
+  stopDrugUse: {
+    label: 'Stop recreational drug use',
+    isApplicable: data => Boolean(data.lifestyle?.currentDrugUse),
+    apply: (data, value) => value ? { ...data, lifestyle: { ...data.lifestyle, currentDrugUse: false } } : data,
+    searchValues: () => [true],
+    describe: () => 'Stop recreational drug use'
+  },
+  waitMonths: {
+    label: 'Wait longer after delivery',
+    monotonic: true,
+    isApplicable: data => {
+      const interval = getDeliveryInterval(data);
+      return interval.known && interval.monthsSinceDelivery < MAX_POSTPARTUM_MONTHS;
+    },
+    apply: (data, value) => {
+      if (!value) return data;
+      const months = getDeliveryInterval(data).monthsSinceDelivery ?? 0;
+      return {
+        ...data,
+        pregnancyHistory: { ...data.pregnancyHistory, monthsSinceLastDelivery: Math.round((months + value) * 10) / 10 }
+      };
+    },
+    searchValues: data => {
+      const remaining = MAX_POSTPARTUM_MONTHS - getDeliveryInterval(data).monthsSinceDelivery;
+      return Array.from({ length: Math.ceil(remaining) }, (_, idx) => idx + 1);
+    },
+    describe: (data, value) => {
+      const months = getDeliveryInterval(data).monthsSinceDelivery;
+      return `Wait ${value} month${value === 1 ? '' : 's'}` +
+        (months !== null ? ` (${months} → ${Math.round((months + value) * 10) / 10} months since delivery)` : '');
+    }
+  }
+};
+
+/**
+ * Apply proposed changes to a copy of the candidate
+ * @param {Object} candidateData - Structured candidate data (not modified)
+ * @param {Object} changes - e.g. { bmi: 29, quitSmoking: true }
+ */
+export function applyChanges(candidateData, changes = {}) {
+  return Object.entries(changes).reduce((data, [key, value]) => {
+    const factor = MODIFIABLE_FACTORS[key];
+    if (!factor) {
+      throw new Error(`Unknown what-if change "${key}". Supported: ${Object.keys(MODIFIABLE_FACTORS).join(', ')}`);
+    }
+    return factor.apply(data, value);
+  }, candidateData);
+}
+
+/**
+ * Human-readable list of proposed changes
+ */
+export function describeChanges(candidateData, changes = {}) {
+  return Object.entries(changes)
+    .filter(([key]) => MODIFIABLE_FACTORS[key])
+    .map(([key, value]) => MODIFIABLE_FACTORS[key].describe(candidateData, value));
+}
+
+/**
+ * The parts of an assessment the simulator compares
+ */
+function summarizeAssessment(results) {
+  return {
+    overallRisk: results.overallRisk.level,
+    clinicTypes: Object.fromEntries(CLINIC_TIERS.map(tier => [tier, {
+      score: results.clinicTypeAnalysis[tier].score,
+      acceptanceLevel: results.clinicTypeAnalysis[tier].acceptanceLevel
+    }])),
+    mfm: {
+      reviewLevel: results.mfmAssessment.reviewLevel,
+      likelihood: results.mfmAssessment.likelihood.level
+    }
+  };
+}
+
+/**
+ * Run the assessment before and after the proposed changes
+ * @param {Object} candidateData - Structured candidate data
+ * @param {Object} changes - e.g. { bmi: 29, quitSmoking: true, stopDrugUse: true }
+ * @returns {Object} { changes, descriptions, before, after, scoreDeltas, modifiedCandidate }
+ */
+export function simulateWhatIf(candidateData, changes = {}) {
+  const modifiedCandidate = applyChanges(candidateData, changes);
+  const before = summarizeAssessment(performComprehensiveAssessment(candidateData));
+  const after = summarizeAssessment(performComprehensiveAssessment(modifiedCandidate));
+
+  return {
+    changes,
+    descriptions: describeChanges(candidateData, changes),
+    before,
+    after,
+    scoreDeltas: Object.fromEntries(CLINIC_TIERS.map(tier => [
+      tier,
+      after.clinicTypes[tier].score - before.clinicTypes[tier].score
+    ])),
+    modifiedCandidate
+  };
+}
+
+/**
+ * Every combination of applicable factors, fewest factors first
+ */
+function factorCombinations(keys) {
+  const combinations = [];
+  for (let mask = 1; mask < (1 << keys.length); mask++) {
+    combinations.push(keys.filter((_, idx) => mask & (1 << idx)));
+  }
+  return combinations.sort((a, b) => a.length - b.length);
+}
+
+/**
+ * Smallest change within one factor combination that reaches the target for a tier
+ * On/off factors are always applied and the monotonic stepped factors (months
+ * to wait) start at their largest change. The other stepped factors (BMI) are
+ * scanned from the smallest change up for the first value that reaches the
+ * target; then each monotonic factor is bisected down to the smallest value
+ * that still does.
+ * @param {Function} assess - Clinic type analysis for a set of changes (cached)
+ */
+function searchCombination(candidateData, keys, tier, target, assess) {
+  const valuesByKey = Object.fromEntries(keys.map(key => [key, MODIFIABLE_FACTORS[key].searchValues(candidateData)]));
+  const steppedKeys = keys.filter(key => valuesByKey[key].length > 1);
+  const scannedKeys = steppedKeys.filter(key => !MODIFIABLE_FACTORS[key].monotonic);
+  const bisectedKeys = steppedKeys.filter(key => MODIFIABLE_FACTORS[key].monotonic);
+
+  const project = changes => {
+    const projected = assess(changes)[tier];
+    return meetsTarget(projected.acceptanceLevel, target) ? projected : null;
+  };
+
+  const changes = Object.fromEntries(keys.map(key => [key, valuesByKey[key][valuesByKey[key].length - 1]]));
+
+  // Each scanned factor takes its first value that reaches the target, with the later ones at their largest change
+  for (const key of scannedKeys) {
+    const value = valuesByKey[key].find(candidate => project({ ...changes, [key]: candidate }));
+    if (value === undefined) return null;
+    changes[key] = value;
+  }
+  if (!project(changes)) return null;
+
+  bisectedKeys.forEach(key => {
+    const values = valuesByKey[key];
+    let low = 0;
+    let high = values.length - 1;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (project({ ...changes, [key]: values[middle] })) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    changes[key] = values[high];
+  });
+
+  return { changes, projected: project(changes) };
+}
+
+/**
+ * Find the smallest modifiable change that lifts each clinic tier to the target level
+ * @param {Object} candidateData - Structured candidate data
+ * @param {Object} options
+ * @param {string} options.target - Acceptance level to reach (default LIKELY_TO_APPROVE)
+ * @returns {Array} [{ tier, currentScore, currentLevel, status, changes, descriptions, projectedScore, projectedLevel }]
+ *   status is 'already_meets', 'found' or 'not_reachable'
+ */
+export function findSmallestChanges(candidateData, options = {}) {
+  const { target = ACCEPTANCE_LEVELS.LIKELY_TO_APPROVE } = options;
+  const current = assessByClinicType(candidateData);
+  const applicable = Object.keys(MODIFIABLE_FACTORS).filter(key => MODIFIABLE_FACTORS[key].isApplicable(candidateData));
+  const combinations = factorCombinations(applicable);
+  const assessed = new Map();
+  const assess = changes => {
+    const key = JSON.stringify(changes);
+    if (!assessed.has(key)) assessed.set(key, assessByClinicType(applyChanges(candidateData, changes)));
+    return assessed.get(key);
+  };
+
+  return CLINIC_TIERS.map(tier => {
+    const result = {
+      tier,
+      currentScore: current[tier].score,
+      currentLevel: current[tier].acceptanceLevel,
+      status: 'not_reachable',
+      changes: null,
+      descriptions: [],
+      projectedScore: null,
+      projectedLevel: null
+    };
+
+    if (meetsTarget(current[tier].acceptanceLevel, target)) {
+      return { ...result, status: 'already_meets' };
+    }
+
+    // Among the fewest factors that work, keep the smallest BMI change, then the shortest wait
+    let best = null;
+    for (const keys of combinations) {
+      if (best && keys.length > Object.keys(best.changes).length) break;
+      const found = searchCombination(candidateData, keys, tier, target, assess);
+      if (found && (!best || isSmallerChange(candidateData, found.changes, best.changes))) {
+        best = found;
+      }
+    }
+
+    if (!best) return result;
+
+    return {
+      ...result,
+      status: 'found',
+      changes: best.changes,
+      descriptions: describeChanges(candidateData, best.changes),
+      projectedScore: best.projected.score,
+      projectedLevel: best.projected.acceptanceLevel
+    };
+  });
+}
+
+function bmiChange(candidateData, changes) {
+  return changes.bmi === undefined ? 0 : Math.abs(changes.bmi - candidateData.lifestyle.bmi);
+}
+
+function isSmallerChange(candidateData, changes, than) {
+  const bmiDiff = bmiChange(candidateData, changes) - bmiChange(candidateData, than);
+  if (Math.abs(bmiDiff) > 1e-9) return bmiDiff < 0;
+  return (changes.waitMonths || 0) < (than.waitMonths || 0);
+}
@@ -3,12 +3,24 @@
 /**
  * CLI version of Surrogacy Risk Assessment Tool
  * For command-line usage
+ *
+ * Usage: npm run cli [-- [--fhir-out <bundle.json>] <record files>]
+ *   With files (any format documentIngestion.js reads), they are assessed
+ *   together; without, the input mode is asked for. --fhir-out also writes
+ *   the assessment as a FHIR R4 Bundle (fhirExport.js), with the PDF report.
  */
 
-import { parseTextInput } from './textParser.js';
-import { performComprehensiveAssessment, RISK_LEVELS } from './riskAssessment.js';
+import { parseTextInput } from './utils/textParser.js';
+import { performComprehensiveAssessment, RISK_LEVELS } from './assessments/riskAssessment.js';
+import { generateSyntheticRecord, randomProfile, EXAMPLE_PROFILE } from './utils/syntheticRecords.js';
+import { combineDocuments, ingestDocuments, listFormats } from './utils/documentIngestion.js';
+import { parseMedicalText } from './utils/cascadingParser.js';
+import { exportAssessmentBundle } from './utils/fhirExport.js';
+import { generateAssessmentReport } from './utils/reportGenerator.js';
+import { formatTermCodes } from './data/terminology.js';
 import * as readline from 'readline';
 import * as fs from 'fs';
+import * as path from 'path';
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -69,6 +81,7 @@ function printResults(results) {
       console.log(`\n  Status: ${statusColor}${assessment.status}${resetColor()}`);
       console.log(`  Message: ${assessment.message}`);
       console.log(`  Guideline: ${assessment.guideline}`);
+      (assessment.codes || []).forEach(entry => console.log(`  Code: ${formatTermCodes(entry)}`));
     });
   });
 
@@ -88,7 +101,7 @@ function question(query) {
 
 async function runTextMode() {
   console.log('\nTEXT INPUT MODE');
-  console.log('Describe the surrogate candidate (or type "example" for sample):');
+  console.log('Describe the surrogate candidate (or type "example" for a sample record, "random" for a random synthetic one):');
   console.log('(Type END on a new line when finished)\n');
 
   const lines = [];
@@ -100,6 +113,8 @@ async function runTextMode() {
           resolve(null);
         } else if (line.trim().toLowerCase() === 'example') {
           resolve('EXAMPLE');
+        } else if (line.trim().toLowerCase() === 'random') {
+          resolve('RANDOM');
         } else {
           lines.push(line);
           resolve(readLine());
@@ -111,9 +126,15 @@ async function runTextMode() {
   const result = await readLine();
 
   let textInput;
-  if (result === 'EXAMPLE') {
-    textInput = `Sarah is a 28-year-old woman interested in becoming a gestational carrier. She has had 2 previous uncomplicated pregnancies, both vaginal deliveries. She's 5'6" and weighs 145 lbs. She's a non-smoker and doesn't use drugs. She's married with a supportive husband and has a stable job as a teacher. She completed her STI screening and all tests came back negative. She has no significant medical history and is generally healthy.`;
-    console.log('\nUsing example candidate...\n');
+  if (result === 'EXAMPLE' || result === 'RANDOM') {
+    // Synthetic records - no real patient data
+    const seed = Date.now() % 100000;
+    const record = result === 'EXAMPLE'
+      ? generateSyntheticRecord(EXAMPLE_PROFILE)
+      : generateSyntheticRecord(randomProfile(seed), { seed, noise: 'light' });
+    textInput = record.text;
+    console.log(result === 'EXAMPLE' ? '\nUsing example candidate record:\n' : `\nUsing synthetic record (seed ${seed}):\n`);
+    console.log(textInput + '\n');
   } else {
     textInput = lines.join(' ');
   }
@@ -185,15 +206,92 @@ async function runJSONMode() {
   rl.close();
 }
 
+// The assessment as a FHIR Bundle, about the Patient of the FHIR records when there is one
+function writeFhirBundle(fhirOut, assessment, codedSummary, codedRecords) {
+  const patient = codedRecords.find(record => record.patient?.reference)?.patient;
+  const report = generateAssessmentReport(assessment, { name: patient?.name || undefined });
+  const bundle = exportAssessmentBundle(assessment, {
+    patientReference: patient?.reference,
+    candidateName: patient?.name || '',
+    report: { data: report.output('arraybuffer'), fileName: `${path.basename(fhirOut, path.extname(fhirOut))}.pdf` },
+    unmapped: codedSummary.flatMap(record => record.unmapped.map(entry => ({ ...entry, documentName: record.documentName })))
+  });
+  fs.writeFileSync(fhirOut, JSON.stringify(bundle, null, 2));
+  console.log(`🩺 FHIR bundle written to ${fhirOut} (${bundle.entry.length} resources)\n`);
+}
+
+async function runFileMode(filePaths, options = {}) {
+  const { fhirOut } = options;
+  console.log('\nRECORD FILE MODE');
+
+  let files;
+  try {
+    files = filePaths.map(filePath => new File([fs.readFileSync(filePath)], path.basename(filePath)));
+  } catch (error) {
+    console.error('Error reading file:', error.message);
+    rl.close();
+    return;
+  }
+
+  const results = await ingestDocuments(files, {
+    onDocument: (current, total, fileName) => console.log(`📄 Reading ${fileName} (${current} of ${total})...`)
+  });
+  const { text, codedRecords, labRows, ocrPages, succeeded } = combineDocuments(results);
+
+  if (succeeded.length === 0) {
+    console.log('No readable records. Exiting.');
+    rl.close();
+    return;
+  }
+
+  console.log(`\nAnalyzing ${succeeded.length} record(s)...\n`);
+
+  try {
+    // Layers 1-2, conflict resolution and coded values; Claude isn't called from the CLI
+    const candidateData = await parseMedicalText(text, { useClaudeParser: false, labRows, ocrPages, codedRecords });
+    const codedSummary = candidateData.parsingMetadata.codedRecords;
+    codedSummary.forEach(record => {
+      console.log(`🏷️ ${record.documentName}: ${record.mapped} coded value(s) applied, ${record.unmapped.length} code(s) not mapped`);
+      record.unmapped.forEach(entry => console.log(`   - ${entry.display || entry.code} (${entry.systemName} ${entry.code}): ${entry.reason}`));
+    });
+    const assessment = performComprehensiveAssessment(candidateData);
+    printResults(assessment);
+    if (fhirOut) writeFhirBundle(fhirOut, assessment, codedSummary, codedRecords);
+  } catch (error) {
+    console.error('\nError during analysis:', error.message);
+  }
+
+  rl.close();
+}
+
 async function main() {
   printBanner();
 
-  const mode = await question('Select input mode:\n1. Text description\n2. JSON data\n\nEnter 1 or 2: ');
+  const args = process.argv.slice(2);
+  const fhirOutIndex = args.indexOf('--fhir-out');
+  const fhirOut = fhirOutIndex === -1 ? null : args[fhirOutIndex + 1];
+  if (fhirOutIndex !== -1 && !fhirOut) {
+    console.error('❌ --fhir-out needs a file name');
+    rl.close();
+    process.exit(1);
+  }
+
+  const filePaths = args.filter((arg, index) => fhirOutIndex === -1 || (index !== fhirOutIndex && index !== fhirOutIndex + 1));
+  if (filePaths.length > 0) {
+    await runFileMode(filePaths, { fhirOut });
+    return;
+  }
+
+  const formats = listFormats().map(format => format.name).join(', ');
+  const mode = await question(`Select input mode:\n1. Text description\n2. JSON data\n3. Record files (${formats})\n\nEnter 1, 2 or 3: `);
 
   if (mode.trim() === '1') {
     await runTextMode();
   } else if (mode.trim() === '2') {
     await runJSONMode();
+  } else if (mode.trim() === '3') {
+    const answer = await question('Enter record file paths, separated by commas: ');
+    await runFileMode(answer.split(',').map(filePath => filePath.trim()).filter(Boolean));
   } else {
     console.log('Invalid selection. Exiting.');
     rl.close();
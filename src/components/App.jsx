@@ -7,16 +7,32 @@ import { performComprehensiveAssessment, RISK_LEVELS } from '../assessments/risk
 import { getAcceptanceProbabilityDescription, getClearanceBadgeText, getClearanceBadgeColor, ACCEPTANCE_LEVELS } from '../assessments/clinicTypeAssessment.js';
 import { getMFMReviewDescription, getMFMLikelihoodDescription, MFM_LIKELIHOOD } from '../assessments/mfmAssessment.js';
 import { MEDICAL_GLOSSARY, getGlossaryByCategory } from '../utils/medicalGlossary.js';
-import { parseDocument } from '../utils/simplePdfParser.js';
+import { combineDocuments, getAcceptedFileTypes, ingestDocument, ingestDocuments } from '../utils/documentIngestion.js';
+import { PAGE_TEXT_SOURCES } from '../utils/pdfOcr.js';
 import { parseWithClaude, shouldUseClaude } from '../utils/claudeParser.js';
 import { generatePDFReport } from '../utils/pdfGenerator.js';
 import { generateClinicalNarratives, generateFallbackNarratives } from '../utils/narrativeGenerator.js';
 import { getRiskFactorInfo, getRiskLevelBadge } from '../data/riskFactorDatabase.js';
 import MFMemo from './MFMemo.jsx';
+import ScoreWaterfall from './ScoreWaterfall.jsx';
+import WhatIfPanel from './WhatIfPanel.jsx';
+import AssessmentChanges from './AssessmentChanges.jsx';
+import TransferTiming from './TransferTiming.jsx';
+import ObstetricTimeline from './ObstetricTimeline.jsx';
+import MedicationReview from './MedicationReview.jsx';
+import LabResults from './LabResults.jsx';
+import BloodPressureTrend from './BloodPressureTrend.jsx';
+import SourceEvidence from './SourceEvidence.jsx';
+import ParserConflicts, { ConflictReviewDialog } from './ConflictReview.jsx';
+import { diffAssessments } from '../assessments/assessmentDiff.js';
+import { exportAssessment, importAssessment, loadLastReview, normalizeCandidateId, saveReview } from '../utils/reviewHistory.js';
+import { applyReviewerChoices, hasPendingConflicts, MERGE_POLICIES, MERGE_POLICY_LABELS } from '../utils/conflictResolution.js';
+import { confirmFields, getUnconfirmedFields } from '../utils/fieldConfidence.js';
 
 function App() {
   const [inputMode, setInputMode] = useState('text'); // 'text' or 'structured'
   const [candidateName, setCandidateName] = useState('');
+  const [candidateId, setCandidateId] = useState('');
   const [textInput, setTextInput] = useState('');
   const [structuredInput, setStructuredInput] = useState('');
   const [candidateAge, setCandidateAge] = useState('');
@@ -30,6 +46,11 @@ function App() {
   const [showMFMemo, setShowMFMemo] = useState(false);
   const [uploadedFileName, setUploadedFileName] = useState('');
   const [clinicalNarratives, setClinicalNarratives] = useState(null);
+  // A saved assessment loaded from file, compared against instead of the browser's review history
+  const [importedReview, setImportedReview] = useState(null);
+  // How disagreements between parser layers are settled; the open review, if any
+  const [mergePolicy, setMergePolicy] = useState(MERGE_POLICIES.REQUIRE_HUMAN);
+  const [conflictReview, setConflictReview] = useState(null);
 
   // Brand colors - Alcea Surrogacy Branding
   const rubyRed = '#7d2431';
@@ -38,6 +59,67 @@ function App() {
   const goldBrown = '#a5630b';
   const darkTeal = '#005567';
 
+  // Compare with the candidate's last review, kept per candidate ID so a re-screen can show what changed
+  const compareWithLastReview = (assessment) => {
+    const previous = importedReview || loadLastReview(candidateId);
+    if (previous) {
+      assessment.changesSinceLastReview = diffAssessments(previous.assessment, assessment);
+    }
+    setImportedReview(null);
+    saveReview(candidateId, assessment);
+  };
+
+  const handleReviewImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const review = importAssessment(await file.text());
+      setImportedReview({ ...review, fileName: file.name });
+      if (!candidateId.trim() && review.candidateId) setCandidateId(review.candidateId);
+    } catch (error) {
+      alert(`Could not load ${file.name}: ${error.message}`);
+    }
+  };
+
+  const downloadAssessment = () => {
+    const blob = new Blob([exportAssessment(results, candidateId)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `assessment-${normalizeCandidateId(candidateId) || 'candidate'}-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Wait for the reviewer to settle any parser disagreements the merge policy left open
+  const reviewConflicts = (candidateData) => {
+    if (!hasPendingConflicts(candidateData)) return Promise.resolve(candidateData);
+    return new Promise(resolve => {
+      setConflictReview({
+        conflicts: candidateData.parsingMetadata.conflicts.filter(conflict => conflict.needsReview),
+        onResolve: (choices) => {
+          setConflictReview(null);
+          // Choosing between the layers' values confirms the field
+          resolve(confirmFields(applyReviewerChoices(candidateData, choices), Object.keys(choices)));
+        }
+      });
+    });
+  };
+
+  // A reviewer confirms a low-confidence field (see SourceEvidence)
+  const handleConfirmField = (path) => {
+    setResults(current => ({ ...current, candidateData: confirmFields(current.candidateData, [path]) }));
+  };
+
+  // Scanned pages take a while to read; show which page OCR is on
+  const showOcrProgress = (progress) => {
+    if (progress.source === PAGE_TEXT_SOURCES.OCR) {
+      setResults({ loading: true, fileName: progress.fileName, ocrProgress: progress });
+    }
+  };
+
   const handleFileUpload = async (event) => {
     console.log('handleFileUpload called');
     const files = Array.from(event.target.files);
@@ -54,8 +136,8 @@ function App() {
         // Show loading state
         setResults({ loading: true, fileName: file.name });
 
-        // Use the PDF parser for all file types
-        const result = await parseDocument(file);
+        // One ingestion pipeline for all file types
+        const result = await ingestDocument(file, { onProgress: showOcrProgress });
 
         if (result.success) {
           // Successfully parsed - analyze directly without showing raw text
@@ -68,15 +150,20 @@ function App() {
           console.log('Using cascading parser for file upload...');
           setResults({ loading: true, fileName: file.name, usingClaude: true });
 
-          candidateData = await parseMedicalText(result.text, {
+          candidateData = await reviewConflicts(await parseMedicalText(result.text, {
             useClaudeParser: true, // Always use Claude (API key on server)
             candidateName: candidateName,
+            documentName: file.name,
+            mergePolicy: mergePolicy,
+            ocrPages: result.ocrPages,
+            labRows: result.labRows,
+            codedRecords: result.codedRecords,
             userProvidedData: {
               age: candidateAge,
               bmi: candidateBMI,
               additionalInfo: additionalInfo
             }
-          });
+          }));
           console.log('Cascading parser result:', candidateData);
 
           // Extract and analyze the data
@@ -91,6 +178,7 @@ function App() {
           // Add candidate data to the assessment results so PDF can access it
           candidateData.name = candidateName || 'The candidate';
           assessment.candidateData = candidateData;
+          compareWithLastReview(assessment);
           setResults(assessment);
           console.log('Results set successfully');
           console.log('Assessment results:', assessment);
@@ -135,20 +223,13 @@ function App() {
       setResults({ loading: true, fileName: `${files.length} files` });
 
       try {
-        let combinedText = '';
-        let successCount = 0;
-        let failedFiles = [];
-
-        for (const file of files) {
-          const result = await parseDocument(file);
-          if (result.success) {
-            combinedText += `\n\n=== FILE: ${file.name} ===\n${result.text}\n`;
-            successCount++;
-            console.log(`Successfully parsed ${result.fileType.toUpperCase()} file:`, result.fileName);
-          } else {
-            failedFiles.push(`${file.name}: ${result.error}`);
-          }
-        }
+        const ingested = combineDocuments(await ingestDocuments(files, { onProgress: showOcrProgress }));
+        const combinedText = ingested.text;
+        const successCount = ingested.succeeded.length;
+        const failedFiles = ingested.failed.map(result => `${result.fileName}: ${result.error}`);
+        ingested.succeeded.forEach(result =>
+          console.log(`Successfully parsed ${result.fileType.toUpperCase()} file:`, result.fileName)
+        );
 
         if (successCount > 0) {
           let candidateData;
@@ -157,15 +238,19 @@ function App() {
           console.log('Using cascading parser for combined files...');
           setResults({ loading: true, fileName: `${files.length} files`, usingClaude: true });
 
-          candidateData = await parseMedicalText(combinedText, {
+          candidateData = await reviewConflicts(await parseMedicalText(combinedText, {
             useClaudeParser: true, // Always use Claude (API key on server)
             candidateName: candidateName,
+            mergePolicy: mergePolicy,
+            ocrPages: ingested.ocrPages,
+            labRows: ingested.labRows,
+            codedRecords: ingested.codedRecords,
             userProvidedData: {
               age: candidateAge,
               bmi: candidateBMI,
               additionalInfo: additionalInfo
             }
-          });
+          }));
           console.log('Cascading parser result:', candidateData);
 
           // Analyze combined text from all files
@@ -177,6 +262,7 @@ function App() {
           // Add candidate data to the assessment results so PDF can access it
           candidateData.name = candidateName || 'The candidate';
           assessment.candidateData = candidateData;
+          compareWithLastReview(assessment);
           setResults(assessment);
 
           // Generate clinical narratives
@@ -236,14 +322,15 @@ function App() {
       setResults({ loading: true });
 
       // Use cascading parser (Layers 1-3)
-      const candidateData = await parseMedicalText(textInput, {
+      const candidateData = await reviewConflicts(await parseMedicalText(textInput, {
         candidateName: candidateName,
         userProvidedData: {
           age: candidateAge,
           bmi: candidateBMI
         },
+        mergePolicy: mergePolicy,
         useClaudeParser: true // Always use Claude (API key on server)
-      });
+      }));
 
       candidateData.name = candidateName || 'The candidate';
 
@@ -270,6 +357,7 @@ function App() {
 
       // Add candidate data to the assessment results so PDF can access it
       assessment.candidateData = candidateData;
+      compareWithLastReview(assessment);
       setResults(assessment);
 
       // Generate clinical narratives
@@ -299,6 +387,8 @@ function App() {
     try {
       const candidateData = JSON.parse(structuredInput);
       const assessment = performComprehensiveAssessment(candidateData);
+      assessment.candidateData = candidateData;
+      compareWithLastReview(assessment);
       setResults(assessment);
       setExtractionSummary(null);
     } catch (error) {
@@ -517,6 +607,9 @@ function App() {
     }
   };
 
+  // Low-confidence fields still waiting for a reviewer; the report can't be downloaded until they're confirmed
+  const unconfirmedFields = getUnconfirmedFields(results?.candidateData);
+
   return (
     <>
       <div className="app">
@@ -669,6 +762,58 @@ function App() {
                 </div>
               </div>
 
+              {/* Re-screens: the last review is kept per candidate ID, or loaded from an exported assessment */}
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: '15px', marginBottom: '20px' }}>
+                <div>
+                  <label htmlFor="candidate-id" style={{ fontSize: '14px', fontWeight: '500', color: '#374151', display: 'block', marginBottom: '6px' }}>
+                    Candidate ID <span style={{ fontWeight: 'normal', color: '#9ca3af', fontSize: '12px' }}>(optional, to compare re-screens)</span>
+                  </label>
+                  <input
+                    type="text"
+                    id="candidate-id"
+                    value={candidateId}
+                    onChange={(e) => setCandidateId(e.target.value)}
+                    placeholder="Case or file number"
+                    style={{ width: '100%', padding: '8px', fontSize: '14px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="saved-assessment" style={{ fontSize: '14px', fontWeight: '500', color: '#374151', display: 'block', marginBottom: '6px' }}>
+                    Compare with a saved assessment <span style={{ fontWeight: 'normal', color: '#9ca3af', fontSize: '12px' }}>(optional, .json)</span>
+                  </label>
+                  <input
+                    type="file"
+                    id="saved-assessment"
+                    accept=".json,application/json"
+                    onChange={handleReviewImport}
+                    style={{ width: '100%', padding: '6px', fontSize: '14px' }}
+                  />
+                  {importedReview && (
+                    <div style={{ fontSize: '12px', color: '#6b7280', marginTop: '4px' }}>
+                      Next analysis compares with {importedReview.fileName}
+                      {importedReview.savedAt && ` (saved ${new Date(importedReview.savedAt).toLocaleDateString()})`}
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {/* When the parser layers disagree */}
+              <div style={{ marginBottom: '20px' }}>
+                <label htmlFor="merge-policy" style={{ fontSize: '14px', fontWeight: '500', color: '#374151', display: 'block', marginBottom: '6px' }}>
+                  When parsers disagree
+                </label>
+                <select
+                  id="merge-policy"
+                  value={mergePolicy}
+                  onChange={(e) => setMergePolicy(e.target.value)}
+                  style={{ width: '100%', padding: '8px', fontSize: '14px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+                >
+                  {Object.values(MERGE_POLICIES).map(policy => (
+                    <option key={policy} value={policy}>{MERGE_POLICY_LABELS[policy]}</option>
+                  ))}
+                </select>
+              </div>
+
               {/* Ask Question Section */}
               <div style={{ marginTop: '20px' }}>
                 <label htmlFor="text-input" style={{ fontSize: '14px', fontWeight: '500', color: '#374151', display: 'block', marginBottom: '6px' }}>
@@ -694,7 +839,7 @@ function App() {
                 <input
                   type="file"
                   id="file-upload"
-                  accept=".txt,.pdf,.doc,.docx"
+                  accept={getAcceptedFileTypes()}
                   multiple
                   onChange={handleFileUpload}
                   style={{ display: 'none' }}
@@ -777,7 +922,12 @@ function App() {
           {results.loading ? (
             <div className="loading-state">
               <h2>Analyzing {results.fileName}...</h2>
-              {results.usingClaude ? (
+              {results.ocrProgress ? (
+                <p>
+                  🔍 Page {results.ocrProgress.page} of {results.ocrProgress.totalPages} is a scan - reading it with OCR
+                  ({Math.round((results.ocrProgress.progress || 0) * 100)}%)...
+                </p>
+              ) : results.usingClaude ? (
                 <p>🤖 Using AI-powered medical record parser to extract pregnancy history, complications, and conditions...</p>
               ) : (
                 <p>Extracting medical information and performing risk assessment...</p>
@@ -788,7 +938,13 @@ function App() {
             <>
               {/* Download PDF Button */}
               <div style={{ textAlign: 'center', marginBottom: '30px' }}>
+                {unconfirmedFields.length > 0 && (
+                  <div style={{ fontSize: '14px', color: '#b45309', marginBottom: '10px' }}>
+                    Confirm {unconfirmedFields.length} low-confidence field(s) under Source Evidence before downloading the report.
+                  </div>
+                )}
                 <button
+                  disabled={unconfirmedFields.length > 0}
                   onClick={() => {
                     console.log('PDF button clicked');
                     console.log('Candidate data:', results.candidateData);
@@ -810,7 +966,8 @@ function App() {
                     fontWeight: 'bold',
                     border: 'none',
                     borderRadius: '8px',
-                    cursor: 'pointer',
+                    cursor: unconfirmedFields.length > 0 ? 'not-allowed' : 'pointer',
+                    opacity: unconfirmedFields.length > 0 ? 0.5 : 1,
                     boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
                   }}
                   onMouseOver={(e) => e.target.style.backgroundColor = '#9d2d3d'}
@@ -818,8 +975,33 @@ function App() {
                 >
                   📄 Download PDF Report
                 </button>
+                <button
+                  onClick={downloadAssessment}
+                  style={{
+                    backgroundColor: 'white',
+                    color: rubyRed,
+                    padding: '15px 30px',
+                    fontSize: '16px',
+                    fontWeight: 'bold',
+                    border: `2px solid ${rubyRed}`,
+                    borderRadius: '8px',
+                    cursor: 'pointer',
+                    marginLeft: '12px'
+                  }}
+                >
+                  💾 Download Assessment (JSON)
+                </button>
+                {results.ruleVersion && (
+                  <div style={{ fontSize: '12px', color: '#6b7280', marginTop: '10px' }}>
+                    Rules: engine {results.ruleVersion.engineVersion} · {results.ruleVersion.rulePack.id} v{results.ruleVersion.rulePack.version} · rule set {results.ruleVersion.hash}
+                  </div>
+                )}
               </div>
 
+              {results.changesSinceLastReview && (
+                <AssessmentChanges diff={results.changesSinceLastReview} />
+              )}
+
               {/* Layman's Overview Section */}
               {results.candidateData && (
                 <div className="laymanssummary-section">
@@ -864,6 +1046,21 @@ function App() {
                     </div>
                   )}
 
+                  <ObstetricTimeline pregnancyHistory={results.candidateData.pregnancyHistory} />
+
+                  <SourceEvidence
+                    candidateData={results.candidateData}
+                    provenance={results.candidateData.parsingMetadata?.provenance}
+                    suppressed={results.candidateData.parsingMetadata?.suppressedFindings}
+                    fieldConfidence={results.candidateData.parsingMetadata?.fieldConfidence}
+                    onConfirm={handleConfirmField}
+                  />
+
+                  <ParserConflicts
+                    conflicts={results.candidateData.parsingMetadata?.conflicts}
+                    mergePolicy={results.candidateData.parsingMetadata?.mergePolicy}
+                  />
+
                   {/* Detailed Parsing Results */}
                   <details style={{ marginTop: '20px', padding: '15px', backgroundColor: '#f9fafb', borderRadius: '8px' }}>
                     <summary style={{ cursor: 'pointer', fontWeight: 'bold', color: darkTeal }}>
@@ -876,6 +1073,14 @@ function App() {
                 </div>
               )}
 
+              <TransferTiming timing={results.deliveryInterval} />
+
+              <MedicationReview review={results.medicationReview} />
+
+              <LabResults interpretation={results.labInterpretation} />
+
+              <BloodPressureTrend trend={results.bloodPressureTrend} />
+
               <div className="clinic-type-analysis">
                 <h2>Acceptance Odds by Clinic Type</h2>
                 <p className="section-description">
@@ -908,6 +1113,11 @@ function App() {
                     {getClearanceBadgeText(results.clinicTypeAnalysis.strict.acceptanceLevel)}
                   </div>
                   <div className="depending-on-clinic" style={{ fontSize: '12px', color: '#6b7280', textAlign: 'center', fontStyle: 'italic' }}>depending on clinic</div>
+                  {results.clinicTypeAnalysis.strict.timing && !results.clinicTypeAnalysis.strict.timing.eligibleNow && (
+                    <div style={{ fontSize: '13px', color: rubyRed, textAlign: 'center', marginTop: '8px' }}>
+                      Eligible for transfer from {results.clinicTypeAnalysis.strict.timing.eligibleFrom}
+                    </div>
+                  )}
                   {results.clinicTypeAnalysis.strict.issues.length > 0 && (
                     <div className="clinic-issues">
                       <h4>Concerns for Strict Clinics:</h4>
@@ -920,6 +1130,10 @@ function App() {
                       </ul>
                     </div>
                   )}
+                  <details className="score-breakdown" style={{ marginTop: '10px' }}>
+                    <summary style={{ cursor: 'pointer', fontWeight: 'bold' }}>Why this score?</summary>
+                    <ScoreWaterfall ledger={results.clinicTypeAnalysis.strict.ledger} />
+                  </details>
                 </div>
 
                 <div className="clinic-card">
@@ -947,6 +1161,11 @@ function App() {
                     {getClearanceBadgeText(results.clinicTypeAnalysis.moderate.acceptanceLevel)}
                   </div>
                   <div className="depending-on-clinic" style={{ fontSize: '12px', color: '#6b7280', textAlign: 'center', fontStyle: 'italic' }}>depending on clinic</div>
+                  {results.clinicTypeAnalysis.moderate.timing && !results.clinicTypeAnalysis.moderate.timing.eligibleNow && (
+                    <div style={{ fontSize: '13px', color: rubyRed, textAlign: 'center', marginTop: '8px' }}>
+                      Eligible for transfer from {results.clinicTypeAnalysis.moderate.timing.eligibleFrom}
+                    </div>
+                  )}
                   {results.clinicTypeAnalysis.moderate.issues.length > 0 && (
                     <div className="clinic-issues">
                       <h4>Concerns for Moderate Clinics:</h4>
@@ -959,6 +1178,10 @@ function App() {
                       </ul>
                     </div>
                   )}
+                  <details className="score-breakdown" style={{ marginTop: '10px' }}>
+                    <summary style={{ cursor: 'pointer', fontWeight: 'bold' }}>Why this score?</summary>
+                    <ScoreWaterfall ledger={results.clinicTypeAnalysis.moderate.ledger} />
+                  </details>
                 </div>
 
                 <div className="clinic-card">
@@ -987,6 +1210,11 @@ function App() {
                     {getClearanceBadgeText(results.clinicTypeAnalysis.lenient.acceptanceLevel)}
                   </div>
                   <div className="depending-on-clinic" style={{ fontSize: '12px', color: '#6b7280', textAlign: 'center', fontStyle: 'italic' }}>depending on clinic</div>
+                  {results.clinicTypeAnalysis.lenient.timing && !results.clinicTypeAnalysis.lenient.timing.eligibleNow && (
+                    <div style={{ fontSize: '13px', color: rubyRed, textAlign: 'center', marginTop: '8px' }}>
+                      Eligible for transfer from {results.clinicTypeAnalysis.lenient.timing.eligibleFrom}
+                    </div>
+                  )}
                   {results.clinicTypeAnalysis.lenient.issues.length > 0 && (
                     <div className="clinic-issues">
                       <h4>Concerns for Lenient Clinics:</h4>
@@ -999,9 +1227,71 @@ function App() {
                       </ul>
                     </div>
                   )}
+                  <details className="score-breakdown" style={{ marginTop: '10px' }}>
+                    <summary style={{ cursor: 'pointer', fontWeight: 'bold' }}>Why this score?</summary>
+                    <ScoreWaterfall ledger={results.clinicTypeAnalysis.lenient.ledger} />
+                  </details>
                 </div>
               </div>
             </div>
+
+            {results.clinicRanking?.length > 0 && (
+              <div className="clinic-type-analysis">
+                <h2>Named Clinic Matches</h2>
+                <p className="section-description">
+                  Ranked against each registered clinic's published cutoffs. A hard stop means the candidate is outside that clinic's stated limits.
+                </p>
+
+                <div className="clinic-cards">
+                  {results.clinicRanking.map(clinic => (
+                    <div key={clinic.clinicId} className="clinic-card">
+                      <h3 className="clinic-type-name">
+                        <span className="clinic-icon">{clinic.rank}.</span> {clinic.clinicName}
+                      </h3>
+                      <div
+                        className="clearance-badge"
+                        style={{
+                          backgroundColor: getClearanceBadgeColor(clinic.acceptanceLevel).bg,
+                          color: getClearanceBadgeColor(clinic.acceptanceLevel).text,
+                          border: `2px solid ${getClearanceBadgeColor(clinic.acceptanceLevel).border}`,
+                          padding: '8px 16px',
+                          borderRadius: '8px',
+                          fontWeight: 'bold',
+                          textAlign: 'center',
+                          margin: '10px 0'
+                        }}
+                      >
+                        {getClearanceBadgeText(clinic.acceptanceLevel)}
+                      </div>
+                      <p className="clinic-description">{clinic.summary}</p>
+                      {clinic.timing && !clinic.timing.eligibleNow && (
+                        <p style={{ fontSize: '13px', color: rubyRed }}>Eligible for transfer from {clinic.timing.eligibleFrom}</p>
+                      )}
+                      {clinic.issues.length > 0 && (
+                        <div className="clinic-issues">
+                          <h4>Concerns for {clinic.clinicName}:</h4>
+                          <ul>
+                            {clinic.issues.map((issue, idx) => (
+                              <li key={idx} className={`issue-${issue.severity}`}>
+                                <strong>{issue.severity === 'disqualifying' ? 'HARD STOP' : issue.severity.toUpperCase()}:</strong> {issue.message}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                      <details className="score-breakdown" style={{ marginTop: '10px' }}>
+                        <summary style={{ cursor: 'pointer', fontWeight: 'bold' }}>Why this score?</summary>
+                        <ScoreWaterfall ledger={clinic.ledger} />
+                      </details>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {results.candidateData && (
+              <WhatIfPanel candidateData={results.candidateData} />
+            )}
             </>
           )}
 
@@ -1257,6 +1547,11 @@ function App() {
           </div>
         </div>
       )}
+
+      {/* Parser disagreements waiting for the reviewer */}
+      {conflictReview && (
+        <ConflictReviewDialog conflicts={conflictReview.conflicts} onResolve={conflictReview.onResolve} />
+      )}
     </>
   );
 }
@@ -0,0 +1,118 @@
+// Brand colors - matching Risk Ranger
+const rubyRed = '#7d2431';
+const darkGreen = '#217045';
+
+const humanize = value => (value || 'n/a').replace(/_/g, ' ');
+
+function formatValue(value) {
+  if (value === undefined || value === null || value === '') return '(none)';
+  if (Array.isArray(value)) return value.length > 0 ? value.map(formatValue).join(', ') : '(none)';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function CausedBy({ fields }) {
+  if (!fields || fields.length === 0) return null;
+  return <span style={{ color: '#6b7280', fontSize: '12px' }}> (from {fields.join(', ')})</span>;
+}
+
+/**
+ * "What changed since last review" for a re-screened candidate
+ * @param {Object} props.diff - Output of diffAssessments()
+ */
+function AssessmentChanges({ diff }) {
+  if (!diff) return null;
+
+  const { inputChanges, overallRisk, findings, clinicScores, mfm } = diff;
+
+  return (
+    <div className="clinic-type-analysis">
+      <h2>What Changed Since Last Review</h2>
+      {!diff.hasChanges ? (
+        <p className="section-description">No changes since the last review of this candidate.</p>
+      ) : (
+        <>
+          {inputChanges.length > 0 && (
+            <div className="clinic-issues">
+              <h4>Record changes:</h4>
+              <ul>
+                {inputChanges.map(change => (
+                  <li key={change.field}>
+                    <strong>{change.field}:</strong>{' '}
+                    {change.added || change.removed ? (
+                      <>
+                        {change.added.length > 0 && <span style={{ color: rubyRed }}>added {formatValue(change.added)} </span>}
+                        {change.removed.length > 0 && <span style={{ color: darkGreen }}>removed {formatValue(change.removed)}</span>}
+                      </>
+                    ) : (
+                      `${formatValue(change.before)} → ${formatValue(change.after)}`
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {(overallRisk.changed || clinicScores.length > 0 || mfm.reviewLevel.changed || mfm.likelihood.changed) && (
+            <div className="clinic-issues">
+              <h4>Result changes:</h4>
+              <ul>
+                {overallRisk.changed && (
+                  <li><strong>Overall risk:</strong> {humanize(overallRisk.before)} → {humanize(overallRisk.after)}</li>
+                )}
+                {clinicScores.map(clinic => (
+                  <li key={clinic.clinicId}>
+                    <strong>{clinic.clinicName}:</strong> {clinic.before ?? 'n/a'} → {clinic.after ?? 'n/a'}
+                    {clinic.delta ? (
+                      <span style={{ fontWeight: 'bold', color: clinic.delta > 0 ? darkGreen : rubyRed }}>
+                        {' '}({clinic.delta > 0 ? '+' : ''}{clinic.delta})
+                      </span>
+                    ) : null}
+                    <CausedBy fields={clinic.causedBy} />
+                    {(clinic.addedIssues.length > 0 || clinic.removedIssues.length > 0) && (
+                      <ul>
+                        {clinic.addedIssues.map((issue, idx) => <li key={`a${idx}`}>+ {issue.message}</li>)}
+                        {clinic.removedIssues.map((issue, idx) => <li key={`r${idx}`}>− {issue.message}</li>)}
+                      </ul>
+                    )}
+                  </li>
+                ))}
+                {mfm.reviewLevel.changed && (
+                  <li>
+                    <strong>MFM review:</strong> {humanize(mfm.reviewLevel.before)} → {humanize(mfm.reviewLevel.after)}
+                    <CausedBy fields={mfm.causedBy} />
+                  </li>
+                )}
+                {mfm.likelihood.changed && (
+                  <li><strong>MFM likelihood:</strong> {humanize(mfm.likelihood.before)} → {humanize(mfm.likelihood.after)}</li>
+                )}
+              </ul>
+            </div>
+          )}
+
+          {(findings.added.length + findings.removed.length + findings.changed.length) > 0 && (
+            <div className="clinic-issues">
+              <h4>ASRM findings:</h4>
+              <ul>
+                {findings.added.map((finding, idx) => (
+                  <li key={`a${idx}`}>+ <strong>{finding.category}:</strong> {finding.message}<CausedBy fields={finding.causedBy} /></li>
+                ))}
+                {findings.removed.map((finding, idx) => (
+                  <li key={`r${idx}`}>− <strong>{finding.category}:</strong> {finding.message}<CausedBy fields={finding.causedBy} /></li>
+                ))}
+                {findings.changed.map((finding, idx) => (
+                  <li key={`c${idx}`}>
+                    <strong>{finding.category}:</strong> {humanize(finding.before.status)} → {humanize(finding.after.status)} - {finding.after.message}
+                    <CausedBy fields={finding.causedBy} />
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AssessmentChanges;
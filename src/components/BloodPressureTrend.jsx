@@ -0,0 +1,82 @@
+// Brand colors - matching Risk Ranger
+const rubyRed = '#7d2431';
+const darkGreen = '#217045';
+const amber = '#b45309';
+
+const cellStyle = { padding: '6px 10px', borderBottom: '1px solid #e5e7eb', textAlign: 'left', verticalAlign: 'top' };
+
+const SIGNIFICANCE_COLORS = {
+  normal: darkGreen,
+  borderline: amber,
+  abnormal: rubyRed
+};
+
+function describeVisit(reading) {
+  if (reading.phase === 'prenatal') {
+    return reading.gestationalWeeks !== null ? `Prenatal, ${reading.gestationalWeeks} weeks` : 'Prenatal';
+  }
+  if (reading.phase === 'postpartum') {
+    return reading.postpartumWeeks !== null ? `Postpartum, ${reading.postpartumWeeks} weeks` : 'Postpartum';
+  }
+  if (reading.phase === 'intrapartum') return 'Labor & delivery';
+  return 'Outside pregnancy';
+}
+
+/**
+ * Blood pressure readings across prenatal, intrapartum and postpartum visits
+ * @param {Object} props.trend - Output of analyzeBloodPressureTrend()
+ */
+function BloodPressureTrend({ trend }) {
+  if (!trend?.known) return null;
+
+  return (
+    <div className="clinic-type-analysis">
+      <h2>Blood Pressure Trend</h2>
+      <p className="section-description">
+        {trend.count} reading{trend.count === 1 ? '' : 's'}
+        {trend.latest && <> · latest <strong>{trend.latest.display}</strong>{trend.latest.date && ` on ${trend.latest.date}`}</>}
+      </p>
+
+      {trend.findings.length > 0 && (
+        <ul style={{ fontSize: '14px' }}>
+          {trend.findings.map(finding => (
+            <li key={finding.id} style={{ marginBottom: '6px' }}>
+              <strong style={{ color: SIGNIFICANCE_COLORS[finding.significance] || '#374151' }}>{finding.message}</strong>
+              <div style={{ fontSize: '12px', color: '#374151' }}>{finding.guidance}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}>Date</th>
+            <th style={cellStyle}>Visit</th>
+            <th style={cellStyle}>BP</th>
+            <th style={cellStyle}>Category</th>
+          </tr>
+        </thead>
+        <tbody>
+          {trend.readings.map((reading, idx) => (
+            <tr key={idx}>
+              <td style={cellStyle}>{reading.date || '—'}</td>
+              <td style={cellStyle}>
+                {describeVisit(reading)}
+                {reading.placedByDate && <div style={{ fontSize: '12px', color: '#6b7280' }}>from delivery date</div>}
+              </td>
+              <td style={cellStyle}>{reading.systolic}/{reading.diastolic}</td>
+              <td style={cellStyle}>
+                <span style={{ fontWeight: 'bold', color: SIGNIFICANCE_COLORS[reading.significance] || '#374151' }}>
+                  {reading.label}
+                </span>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default BloodPressureTrend;
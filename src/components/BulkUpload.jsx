@@ -1,11 +1,11 @@
 import { useState } from 'react';
-import { parseDocument } from '../utils/simplePdfParser';
+import { getAcceptedFileTypes, ingestDocument, listFormats } from '../utils/documentIngestion.js';
 import './BulkUpload.css';
 
 /**
  * Bulk Upload Component
  * Allows uploading multiple medical records at once
- * Supports TXT, PDF, DOC, DOCX files
+ * Reads every format the ingestion pipeline has a handler for (see documentIngestion.js)
  */
 function BulkUpload({ onUploadComplete }) {
   const [files, setFiles] = useState([]);
@@ -34,8 +34,7 @@ function BulkUpload({ onUploadComplete }) {
 
   const processFile = async (file) => {
     try {
-      // Use the documentParser to handle all file types
-      const result = await parseDocument(file);
+      const result = await ingestDocument(file);
 
       if (result.success) {
         return {
@@ -43,6 +42,9 @@ function BulkUpload({ onUploadComplete }) {
           text: result.text,
           fileType: result.fileType,
           fileSize: result.fileSize,
+          ocrPages: result.ocrPages,
+          labRows: result.labRows,
+          codedRecords: result.codedRecords,
           status: 'success'
         };
       } else {
@@ -119,7 +121,7 @@ function BulkUpload({ onUploadComplete }) {
       <h2>Bulk Medical Record Upload</h2>
       <p className="bulk-upload-description">
         Upload multiple medical records at once for batch processing.
-        Supported formats: TXT, PDF, DOC, DOCX
+        Supported formats: {listFormats().map(format => format.name).join(', ')}
       </p>
 
       {/* Drop Zone */}
@@ -136,7 +138,7 @@ function BulkUpload({ onUploadComplete }) {
           <input
             type="file"
             multiple
-            accept=".txt,.pdf,.doc,.docx"
+            accept={getAcceptedFileTypes()}
             onChange={handleFileSelect}
             className="file-input-hidden"
             id="bulk-file-input"
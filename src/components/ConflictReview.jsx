@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { CONFLICT_LAYER_LABELS, MERGE_POLICY_LABELS } from '../utils/conflictResolution.js';
+
+// Brand colors - matching Risk Ranger
+const darkTeal = '#005567';
+const amber = '#b45309';
+
+const cellStyle = { padding: '6px 10px', borderBottom: '1px solid #e5e7eb', textAlign: 'left', verticalAlign: 'top' };
+
+const formatValue = value => (value === null || value === undefined ? '—' : String(value));
+
+// Layers that found a value for a field, in the report's layer order
+const layersWithValues = conflict => Object.keys(conflict.values).filter(layer => conflict.values[layer] !== null);
+
+/**
+ * Asks the reviewer to settle the fields the parser layers disagree on before
+ * the assessment runs; each field starts on the value the merge policy showed
+ * @param {Array} props.conflicts - parsingMetadata.conflicts entries with needsReview
+ * @param {Function} props.onResolve - Called with { path: layer }
+ */
+export function ConflictReviewDialog({ conflicts, onResolve }) {
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(conflicts.map(conflict => [conflict.path, conflict.chosenLayer]))
+  );
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content" role="dialog" aria-labelledby="conflict-review-title">
+        <div className="modal-header">
+          <h2 id="conflict-review-title" style={{ color: darkTeal }}>Parser layers disagree</h2>
+        </div>
+        <div className="modal-body">
+          <p className="modal-intro">
+            The record was read differently by the parser layers. Choose the value to use for each field before the assessment runs.
+          </p>
+          {conflicts.map(conflict => (
+            <fieldset key={conflict.path} style={{ border: '1px solid #e5e7eb', borderRadius: '8px', padding: '10px 14px', marginBottom: '12px' }}>
+              <legend style={{ fontWeight: 'bold', color: darkTeal, padding: '0 4px' }}>{conflict.label}</legend>
+              {layersWithValues(conflict).map(layer => (
+                <label key={layer} style={{ display: 'block', fontSize: '14px', margin: '4px 0', cursor: 'pointer' }}>
+                  <input
+                    type="radio"
+                    name={conflict.path}
+                    checked={choices[conflict.path] === layer}
+                    onChange={() => setChoices({ ...choices, [conflict.path]: layer })}
+                    style={{ marginRight: '8px' }}
+                  />
+                  <strong>{formatValue(conflict.values[layer])}</strong>
+                  <span style={{ color: '#6b7280' }}> · {CONFLICT_LAYER_LABELS[layer] || layer}</span>
+                </label>
+              ))}
+            </fieldset>
+          ))}
+          <button
+            type="button"
+            onClick={() => onResolve(choices)}
+            style={{
+              backgroundColor: darkTeal, color: 'white', border: 'none', borderRadius: '8px',
+              padding: '10px 20px', fontSize: '14px', fontWeight: '600', cursor: 'pointer'
+            }}
+          >
+            Use these values and run the assessment
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * How each disagreement between the parser layers was settled
+ * @param {Array} props.conflicts - parsingMetadata.conflicts
+ * @param {string} props.mergePolicy - parsingMetadata.mergePolicy
+ */
+function ParserConflicts({ conflicts, mergePolicy }) {
+  if (!conflicts?.length) return null;
+
+  return (
+    <div style={{ marginTop: '20px' }}>
+      <h3 style={{ color: darkTeal, fontSize: '18px', marginBottom: '4px' }}>Parser Disagreements</h3>
+      <p style={{ fontSize: '13px', color: '#6b7280', marginTop: 0 }}>
+        Merge policy: {MERGE_POLICY_LABELS[mergePolicy] || mergePolicy}
+      </p>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}>Field</th>
+            {Object.keys(conflicts[0].values).map(layer => (
+              <th key={layer} style={cellStyle}>{CONFLICT_LAYER_LABELS[layer] || layer}</th>
+            ))}
+            <th style={cellStyle}>Used</th>
+          </tr>
+        </thead>
+        <tbody>
+          {conflicts.map(conflict => (
+            <tr key={conflict.path}>
+              <td style={cellStyle}>{conflict.label}</td>
+              {Object.entries(conflict.values).map(([layer, value]) => (
+                <td key={layer} style={{ ...cellStyle, fontWeight: layer === conflict.chosenLayer ? 'bold' : 'normal' }}>
+                  {formatValue(value)}
+                </td>
+              ))}
+              <td style={cellStyle}>
+                {formatValue(conflict.chosen)}
+                <div style={{ fontSize: '12px', color: conflict.needsReview ? amber : '#6b7280' }}>{conflict.reason}</div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default ParserConflicts;
@@ -0,0 +1,61 @@
+// Brand colors - matching Risk Ranger
+const rubyRed = '#7d2431';
+const darkGreen = '#217045';
+const amber = '#b45309';
+
+const cellStyle = { padding: '6px 10px', borderBottom: '1px solid #e5e7eb', textAlign: 'left', verticalAlign: 'top' };
+
+const SIGNIFICANCE_COLORS = {
+  normal: darkGreen,
+  borderline: amber,
+  abnormal: rubyRed
+};
+
+/**
+ * Lab values interpreted against pregnancy screening reference ranges
+ * @param {Object} props.interpretation - Output of interpretLabValues()
+ */
+function LabResults({ interpretation }) {
+  if (!interpretation?.known) return null;
+
+  return (
+    <div className="clinic-type-analysis">
+      <h2>Lab Results</h2>
+      <p className="section-description">
+        {interpretation.findings.length > 0
+          ? `${interpretation.findings.length} of ${interpretation.results.length} lab values outside screening ranges.`
+          : interpretation.summary}
+      </p>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}>Test</th>
+            <th style={cellStyle}>Value</th>
+            <th style={cellStyle}>Interpretation</th>
+          </tr>
+        </thead>
+        <tbody>
+          {interpretation.results.map(result => (
+            <tr key={result.test}>
+              <td style={cellStyle}><strong>{result.name}</strong></td>
+              <td style={cellStyle}>
+                {result.display}
+                {result.reported && <div style={{ fontSize: '12px', color: '#6b7280' }}>reported as {result.reported}</div>}
+                {result.unitInferred && <div style={{ fontSize: '12px', color: '#6b7280' }}>unit not stated in the record</div>}
+              </td>
+              <td style={cellStyle}>
+                <span style={{ fontWeight: 'bold', color: SIGNIFICANCE_COLORS[result.significance] || '#374151' }}>
+                  {result.label}
+                </span>
+                {result.guidance && <div style={{ fontSize: '12px', color: '#374151' }}>{result.guidance}</div>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default LabResults;
@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { parseDocument } from '../utils/simplePdfParser.js';
+import { getAcceptedFileTypes, ingestDocument } from '../utils/documentIngestion.js';
 import { parseWithClaude } from '../utils/claudeParser.js';
 
 function MFMemo() {
@@ -37,15 +37,9 @@ function MFMemo() {
     try {
       console.log('📄 Parsing MFM document:', uploadedFile.name);
 
-      // Parse the PDF
-      let extractedText = '';
-      if (uploadedFile.type === 'application/pdf') {
-        extractedText = await parseDocument(uploadedFile);
-      } else if (uploadedFile.type === 'text/plain') {
-        extractedText = await uploadedFile.text();
-      } else {
-        throw new Error('Please upload a PDF or TXT file');
-      }
+      const parsed = await ingestDocument(uploadedFile);
+      if (!parsed.success) throw new Error(parsed.error);
+      const extractedText = parsed.text;
 
       console.log('✅ Document parsed, analyzing with Claude...');
 
@@ -329,7 +323,7 @@ Be thorough and specific. Include actual numbers, measurements, and medical term
                   }}>
                     <input
                       type="file"
-                      accept=".pdf,.txt"
+                      accept={getAcceptedFileTypes()}
                       onChange={handleFileSelect}
                       style={{
                         position: 'absolute',
@@ -0,0 +1,73 @@
+// Brand colors - matching Risk Ranger
+const rubyRed = '#7d2431';
+const darkGreen = '#217045';
+const amber = '#b45309';
+
+const cellStyle = { padding: '6px 10px', borderBottom: '1px solid #e5e7eb', textAlign: 'left', verticalAlign: 'top' };
+
+const SAFETY_COLORS = {
+  compatible: darkGreen,
+  caution: amber,
+  avoid: rubyRed,
+  contraindicated: rubyRed
+};
+
+const humanize = value => (value ? value.replace(/_/g, ' ') : '—');
+
+/**
+ * Current medications with pregnancy safety and what needs to change
+ * before transfer
+ * @param {Object} props.review - Output of reviewMedications()
+ */
+function MedicationReview({ review }) {
+  if (!review?.known) return null;
+
+  return (
+    <div className="clinic-type-analysis">
+      <h2>Current Medications</h2>
+      <p className="section-description">{review.summary}</p>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}>Medication</th>
+            <th style={cellStyle}>Pregnancy safety</th>
+            <th style={cellStyle}>Before transfer</th>
+            <th style={cellStyle}>Clinic impact</th>
+          </tr>
+        </thead>
+        <tbody>
+          {review.items.map(item => (
+            <tr key={item.medicationId || item.name}>
+              <td style={cellStyle}>
+                <strong>{item.displayName}</strong>
+                {item.dose && ` ${item.dose}`}
+                {item.drugClass && <div style={{ fontSize: '12px', color: '#6b7280' }}>{item.drugClass}</div>}
+              </td>
+              <td style={cellStyle}>
+                <span style={{ fontWeight: 'bold', color: SAFETY_COLORS[item.pregnancySafety] || '#374151' }}>
+                  {item.recognized ? humanize(item.pregnancySafety) : 'Not in knowledge base'}
+                </span>
+                {item.pregnancyNotes && <div style={{ fontSize: '12px', color: '#374151' }}>{item.pregnancyNotes}</div>}
+                {item.factSheetUrl && (
+                  <div style={{ fontSize: '12px' }}>
+                    <a href={item.factSheetUrl} target="_blank" rel="noopener noreferrer">MotherToBaby fact sheet</a>
+                  </div>
+                )}
+              </td>
+              <td style={cellStyle}>
+                <span style={{ fontWeight: 'bold', color: item.taperOrSwitchRequired ? rubyRed : darkGreen }}>
+                  {item.recognized ? humanize(item.beforeTransfer) : 'Confirm with prescriber'}
+                </span>
+                {item.transferNotes && <div style={{ fontSize: '12px', color: '#374151' }}>{item.transferNotes}</div>}
+              </td>
+              <td style={cellStyle}>{humanize(item.clinicImpact)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default MedicationReview;
@@ -0,0 +1,86 @@
+import { getPregnancies, getDeliveryTerms } from '../assessments/obstetricTimeline.js';
+
+// Brand colors - matching Risk Ranger
+const rubyRed = '#7d2431';
+const darkTeal = '#005567';
+
+const cellStyle = { padding: '6px 10px', borderBottom: '1px solid #e5e7eb', textAlign: 'left' };
+
+const humanize = value => (value ? value.replace(/_/g, ' ') : '—');
+
+const formatGestationalAge = delivery =>
+  (delivery.gestationalAgeWeeks ? `${delivery.gestationalAgeWeeks} wks${delivery.termLabel ? ` (${delivery.termLabel})` : ''}` : '—');
+
+/**
+ * Gestational age at each delivery, for records that don't number their pregnancies
+ */
+function DeliveryTerms({ deliveries }) {
+  if (deliveries.length === 0) return null;
+
+  return (
+    <div style={{ marginTop: '20px' }}>
+      <h3 style={{ color: darkTeal, fontSize: '18px', marginBottom: '10px' }}>Deliveries</h3>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}>Date</th>
+            <th style={cellStyle}>Gestational age</th>
+          </tr>
+        </thead>
+        <tbody>
+          {deliveries.map((delivery, idx) => (
+            <tr key={idx}>
+              <td style={cellStyle}>{delivery.date || '—'}</td>
+              <td style={{ ...cellStyle, color: delivery.preterm ? rubyRed : undefined }}>{formatGestationalAge(delivery)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Per-pregnancy obstetric timeline, oldest first, with each delivery's term
+ * @param {Object} props.pregnancyHistory - candidateData.pregnancyHistory
+ */
+function ObstetricTimeline({ pregnancyHistory }) {
+  const pregnancies = getPregnancies(pregnancyHistory);
+  if (pregnancies.length === 0) return <DeliveryTerms deliveries={getDeliveryTerms(pregnancyHistory)} />;
+
+  return (
+    <div style={{ marginTop: '20px' }}>
+      <h3 style={{ color: darkTeal, fontSize: '18px', marginBottom: '10px' }}>Obstetric Timeline</h3>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}>#</th>
+            <th style={cellStyle}>Year</th>
+            <th style={cellStyle}>Gestational age</th>
+            <th style={cellStyle}>Delivery</th>
+            <th style={cellStyle}>Outcome</th>
+            <th style={cellStyle}>Complications</th>
+          </tr>
+        </thead>
+        <tbody>
+          {pregnancies.map(pregnancy => (
+            <tr key={pregnancy.number}>
+              <td style={cellStyle}>{pregnancy.number}{pregnancy.surrogacy && ' (surrogacy)'}</td>
+              <td style={cellStyle}>{pregnancy.year || '—'}</td>
+              <td style={{ ...cellStyle, color: pregnancy.preterm ? rubyRed : undefined }}>
+                {formatGestationalAge(pregnancy)}
+              </td>
+              <td style={cellStyle}>{pregnancy.vbac ? 'VBAC' : humanize(pregnancy.deliveryMode)}</td>
+              <td style={cellStyle}>{humanize(pregnancy.outcome)}</td>
+              <td style={{ ...cellStyle, color: pregnancy.complicated ? rubyRed : undefined }}>
+                {pregnancy.complicated ? pregnancy.complications.map(humanize).join(', ') : 'None'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default ObstetricTimeline;
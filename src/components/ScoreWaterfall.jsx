@@ -0,0 +1,103 @@
+import { toWaterfallRows } from '../assessments/scoreLedger.js';
+
+// Brand colors - matching Risk Ranger
+const rubyRed = '#7d2431';
+const darkGreen = '#217045';
+const goldBrown = '#a5630b';
+const darkTeal = '#005567';
+
+const BAR_COLORS = {
+  start: darkTeal,
+  final: darkTeal,
+  penalty: rubyRed,
+  combination: goldBrown,
+  hard_stop: '#111827',
+  cap: '#6b7280',
+  floor: darkGreen
+};
+
+const REVIEW_LEVEL_LABELS = {
+  NOT_REQUIRED: 'Not required',
+  RECOMMENDED: 'Recommended',
+  STRONGLY_RECOMMENDED: 'Strongly recommended',
+  REQUIRED: 'Required'
+};
+
+function formatInputs(inputs = {}) {
+  return Object.entries(inputs)
+    .map(([key, value]) => `${key} = ${Array.isArray(value) ? value.join(', ') : value}`)
+    .join('; ');
+}
+
+/**
+ * "Why this score?" breakdown for a clinic score or MFM review ledger
+ * Score ledgers render as a waterfall; review-level ledgers as a step list.
+ */
+function ScoreWaterfall({ ledger }) {
+  if (!ledger || ledger.entries.length === 0) {
+    return (
+      <p style={{ fontSize: '13px', color: '#6b7280', margin: '8px 0' }}>
+        No rules applied - nothing was deducted.
+      </p>
+    );
+  }
+
+  if (ledger.type === 'reviewLevel') {
+    return (
+      <ol style={{ fontSize: '13px', paddingLeft: '20px', margin: '8px 0' }}>
+        {ledger.entries.map(entry => (
+          <li key={entry.step} style={{ marginBottom: '6px' }}>
+            <strong>{entry.label}</strong>
+            <div style={{ color: '#6b7280' }}>
+              {entry.ruleId}{formatInputs(entry.inputs) && ` · ${formatInputs(entry.inputs)}`}
+            </div>
+            <div>MFM review: {REVIEW_LEVEL_LABELS[entry.reviewLevel] || entry.reviewLevel}</div>
+          </li>
+        ))}
+      </ol>
+    );
+  }
+
+  const rows = toWaterfallRows(ledger);
+  // Running totals can dip below 0 before the floor is applied
+  const low = Math.min(0, ...rows.map(row => Math.min(row.from, row.to)));
+  const high = Math.max(100, ...rows.map(row => Math.max(row.from, row.to)));
+  const toPercent = value => ((value - low) / (high - low)) * 100;
+
+  return (
+    <div style={{ fontSize: '12px', margin: '8px 0' }}>
+      {rows.map((row, idx) => {
+        const isTotal = row.kind === 'start' || row.kind === 'final';
+        const left = isTotal ? toPercent(low) : toPercent(Math.min(row.from, row.to));
+        const right = isTotal ? toPercent(row.to) : toPercent(Math.max(row.from, row.to));
+        const change = row.points === 0 ? '' : row.points > 0 ? `-${row.points}` : `+${-row.points}`;
+
+        return (
+          <div key={idx} style={{ marginBottom: '6px' }} title={row.ruleId || ''}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+              <span style={{ fontWeight: isTotal ? 'bold' : 'normal' }}>{row.label}</span>
+              <span style={{ whiteSpace: 'nowrap', fontWeight: 'bold' }}>
+                {isTotal ? row.to : `${change} → ${row.to}`}
+              </span>
+            </div>
+            <div style={{ position: 'relative', height: '10px', backgroundColor: '#f3f4f6', borderRadius: '3px' }}>
+              <div
+                style={{
+                  position: 'absolute',
+                  left: `${left}%`,
+                  width: `${Math.max(right - left, 0.5)}%`,
+                  top: 0,
+                  bottom: 0,
+                  borderRadius: '3px',
+                  backgroundColor: BAR_COLORS[row.kind] || rubyRed
+                }}
+              />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ScoreWaterfall;
@@ -0,0 +1,331 @@
+import { useState } from 'react';
+import { getProvenanceValue, LAYER_LABELS } from '../utils/provenance.js';
+import { CONTEXT_LABELS } from '../utils/clinicalContext.js';
+import { SECTION_LABELS as CHART_SECTION_LABELS, SECTION_TYPES } from '../utils/sectionSegmenter.js';
+import { CONFIDENCE_LEVEL_LABELS, CONFIDENCE_LEVELS } from '../utils/fieldConfidence.js';
+import { LOW_OCR_CONFIDENCE } from '../utils/pdfOcr.js';
+
+// Brand colors - matching Risk Ranger
+const darkTeal = '#005567';
+const amber = '#b45309';
+const rubyRed = '#7d2431';
+const darkGreen = '#217045';
+
+const CONFIDENCE_COLORS = {
+  [CONFIDENCE_LEVELS.HIGH]: darkGreen,
+  [CONFIDENCE_LEVELS.MEDIUM]: amber,
+  [CONFIDENCE_LEVELS.LOW]: rubyRed
+};
+
+const cellStyle = { padding: '6px 10px', borderBottom: '1px solid #e5e7eb', textAlign: 'left', verticalAlign: 'top' };
+
+const SECTION_LABELS = {
+  age: 'Age',
+  pregnancyHistory: 'Pregnancy history',
+  pregnancySpecificComplications: 'Pregnancy complications',
+  medicalConditions: 'Medical condition',
+  medications: 'Medication',
+  labValues: 'Lab',
+  bloodPressureReadings: 'BP reading',
+  infectiousDiseaseTests: 'Infectious disease test',
+  psychological: 'Psychological',
+  lifestyle: 'Lifestyle',
+  environmental: 'Environment'
+};
+
+// 'numberOfCesareans' -> 'number of cesareans', 'gestational_diabetes' -> 'gestational diabetes'
+const humanize = value => value.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+
+// 'pregnancyHistory.numberOfCesareans' -> 'Pregnancy history: number of cesareans',
+// 'medicalConditions[asthma]' -> 'Medical condition: asthma', 'bloodPressureReadings[2]' -> 'BP reading #3'
+function describePath(path) {
+  const keyed = path.match(/^(.*)\[([^\]]+)\]$/);
+  const [section, ...fields] = (keyed ? keyed[1] : path).split('.');
+  const label = `${SECTION_LABELS[section] || humanize(section)}${fields.length > 0 ? `: ${humanize(fields.join(' '))}` : ''}`;
+
+  if (!keyed) return label;
+  if (/^\d+$/.test(keyed[2])) return `${label} #${+keyed[2] + 1}`;
+  return fields.length > 0 ? `${label} (${humanize(keyed[2])})` : `${label}: ${humanize(keyed[2])}`;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value !== 'object') return String(value);
+  if (value.systolic) return `${value.systolic}/${value.diastolic}${value.date ? ` on ${value.date}` : ''}`;
+  if (value.found !== undefined) return `${value.count} mention${value.count === 1 ? '' : 's'}`;
+  if (value.value) return `${value.value}${value.value2 ? `/${value.value2}` : ''}${value.unit ? ` ${value.unit}` : ''}`;
+  return [value.year || value.date, value.gestationalAgeWeeks && `${value.gestationalAgeWeeks} wks`, value.deliveryMode && humanize(value.deliveryMode)]
+    .filter(Boolean)
+    .join(', ') || '—';
+}
+
+function describeLocation(citation) {
+  const section = citation.section && citation.section !== SECTION_TYPES.OTHER && CHART_SECTION_LABELS[citation.section];
+  return [citation.document, citation.page && `page ${citation.page}`, section].filter(Boolean).join(', ');
+}
+
+/**
+ * The cited passage with the matched snippet highlighted
+ */
+function Passage({ citation }) {
+  if (citation.start === null || citation.passageStart === null) {
+    return <span>“{citation.passage}”</span>;
+  }
+  const from = citation.start - citation.passageStart;
+  const to = citation.end - citation.passageStart;
+  return (
+    <span>
+      {citation.passage.slice(0, from)}
+      <mark style={{ backgroundColor: '#fde68a', padding: '0 2px' }}>{citation.passage.slice(from, to)}</mark>
+      {citation.passage.slice(to)}
+    </span>
+  );
+}
+
+function EvidencePopover({ citations, onClose }) {
+  return (
+    <div
+      role="dialog"
+      style={{
+        position: 'absolute', zIndex: 10, right: 0, top: '100%', width: '420px', maxWidth: '90vw',
+        backgroundColor: 'white', border: '1px solid #d1d5db', borderRadius: '8px',
+        boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)', padding: '12px', textAlign: 'left'
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+        <strong style={{ color: darkTeal }}>Source evidence</strong>
+        <button type="button" onClick={onClose} style={{ border: 'none', background: 'none', cursor: 'pointer' }} aria-label="Close">
+          ✕
+        </button>
+      </div>
+      {citations.map((citation, idx) => (
+        <div key={idx} style={{ marginBottom: '10px', fontSize: '13px' }}>
+          <div style={{ fontSize: '12px', color: '#6b7280', marginBottom: '4px' }}>
+            {LAYER_LABELS[citation.layer] || citation.layer}
+            {describeLocation(citation) && ` · ${describeLocation(citation)}`}
+            {citation.code && ` · ${citation.code.systemName} ${citation.code.code}`}
+            {!citation.verified && <span style={{ color: amber }}> · quote not found in the record</span>}
+            {citation.sectionWeight > 0 && citation.sectionWeight < 1 && <span style={{ color: amber }}> · weaker evidence</span>}
+            {citation.ocrConfidence !== null && citation.ocrConfidence !== undefined && (
+              <span style={{ color: citation.ocrConfidence < LOW_OCR_CONFIDENCE ? amber : undefined }}>
+                {' '}· read by OCR ({citation.ocrConfidence}%)
+              </span>
+            )}
+          </div>
+          <div style={{ lineHeight: '1.6', color: '#374151', whiteSpace: 'pre-wrap' }}>
+            <Passage citation={citation} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Confidence badge for a field, with a checkbox when a reviewer must confirm it
+ */
+function FieldConfidence({ path, field, onConfirm }) {
+  if (!field) return null;
+  const { factors } = field;
+  const explanation = [
+    `specificity ${factors.specificity}`,
+    factors.sectionWeight < 1 && `section weight ${factors.sectionWeight}`,
+    `${factors.mentions} mention${factors.mentions === 1 ? '' : 's'}`,
+    factors.agreement === 'agree' && 'layers agree',
+    factors.agreement === 'conflict' && 'layers disagree'
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div style={{ fontSize: '12px', marginTop: '2px' }}>
+      <span title={explanation} style={{ fontWeight: 'bold', color: CONFIDENCE_COLORS[field.level] || '#374151' }}>
+        {CONFIDENCE_LEVEL_LABELS[field.level] || field.level} confidence ({Math.round(field.score * 100)}%)
+      </span>
+      {field.requiresConfirmation && (
+        <label style={{ display: 'block', color: field.confirmed ? darkGreen : amber, cursor: onConfirm ? 'pointer' : 'default' }}>
+          <input
+            type="checkbox"
+            checked={field.confirmed}
+            disabled={!onConfirm || field.confirmed}
+            onChange={() => onConfirm(path)}
+            style={{ marginRight: '4px' }}
+          />
+          {field.confirmed ? 'Confirmed by reviewer' : 'Confirm before finalizing'}
+        </label>
+      )}
+    </div>
+  );
+}
+
+const evidenceButtonStyle = {
+  border: `1px solid ${darkTeal}`, borderRadius: '4px', background: 'white',
+  color: darkTeal, cursor: 'pointer', fontSize: '12px', padding: '2px 8px'
+};
+
+/**
+ * Matches the parsers did not count because the record negates them, puts
+ * them on a family member, or only raises them as a possibility
+ */
+function SuppressedFindings({ findings }) {
+  const [openKey, setOpenKey] = useState(null);
+  if (!findings?.length) return null;
+
+  return (
+    <details style={{ marginTop: '12px' }}>
+      <summary style={{ cursor: 'pointer', color: darkTeal, fontSize: '14px' }}>
+        {findings.length} mention{findings.length === 1 ? '' : 's'} not counted (negated, family history, rule-out)
+      </summary>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', marginTop: '8px' }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}>Fact</th>
+            <th style={cellStyle}>Mention</th>
+            <th style={cellStyle}>Why</th>
+            <th style={cellStyle}>Source</th>
+          </tr>
+        </thead>
+        <tbody>
+          {findings.map(finding => {
+            const key = `${finding.path}@${finding.start}`;
+            return (
+              <tr key={key}>
+                <td style={cellStyle}>{describePath(finding.path)}</td>
+                <td style={cellStyle}>{finding.snippet}</td>
+                <td style={cellStyle}>
+                  {CONTEXT_LABELS[finding.context] || finding.context}
+                  {finding.trigger && <div style={{ fontSize: '12px', color: '#6b7280' }}>“{finding.trigger}”</div>}
+                </td>
+                <td style={{ ...cellStyle, position: 'relative', whiteSpace: 'nowrap' }}>
+                  <button type="button" onClick={() => setOpenKey(openKey === key ? null : key)} style={evidenceButtonStyle}>
+                    evidence
+                  </button>
+                  {openKey === key && <EvidencePopover citations={[finding]} onClose={() => setOpenKey(null)} />}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </details>
+  );
+}
+
+/**
+ * Codes in structured records (C-CDA, FHIR) that were not mapped to candidate data,
+ * for the reviewer to check by hand
+ */
+function UnmappedCodes({ records }) {
+  const unmapped = (records || []).flatMap(record => record.unmapped.map(entry => ({ ...entry, documentName: record.documentName })));
+  if (unmapped.length === 0) return null;
+
+  return (
+    <details style={{ marginTop: '12px' }}>
+      <summary style={{ cursor: 'pointer', color: darkTeal, fontSize: '14px' }}>
+        {unmapped.length} coded entr{unmapped.length === 1 ? 'y' : 'ies'} not mapped (check by hand)
+      </summary>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', marginTop: '8px' }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}>Entry</th>
+            <th style={cellStyle}>Code</th>
+            <th style={cellStyle}>Why</th>
+            <th style={cellStyle}>Source</th>
+          </tr>
+        </thead>
+        <tbody>
+          {unmapped.map(entry => (
+            <tr key={`${entry.documentName}-${entry.system}-${entry.code}`}>
+              <td style={cellStyle}>{entry.display || '—'}</td>
+              <td style={cellStyle}>{entry.systemName} {entry.code}</td>
+              <td style={cellStyle}>{entry.reason}</td>
+              <td style={cellStyle}>{entry.documentName}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </details>
+  );
+}
+
+/**
+ * Scanned pages that were read by OCR, with Tesseract's confidence for each
+ */
+function OcrPages({ pages }) {
+  if (!pages?.length) return null;
+  const lowConfidence = pages.filter(page => page.confidence < LOW_OCR_CONFIDENCE);
+
+  return (
+    <p style={{ fontSize: '13px', color: '#374151', margin: '0 0 10px' }}>
+      🔍 Read by OCR (scanned pages):{' '}
+      {pages.map((page, index) => (
+        <span key={`${page.document}-${page.page}`} style={{ color: page.confidence < LOW_OCR_CONFIDENCE ? amber : undefined }}>
+          {index > 0 && ', '}
+          {[page.document, `page ${page.page}`].filter(Boolean).join(' ')} ({page.confidence}%)
+        </span>
+      ))}
+      {lowConfidence.length > 0 && (
+        <span style={{ color: amber }}> - check facts from low-confidence pages against the scan</span>
+      )}
+    </p>
+  );
+}
+
+/**
+ * Each extracted fact with the record passages it came from and how far to trust it
+ * @param {Object} props.candidateData - Parsed candidate data
+ * @param {Object} props.provenance - candidateData.parsingMetadata.provenance (see utils/provenance.js)
+ * @param {Array} props.suppressed - candidateData.parsingMetadata.suppressedFindings
+ * @param {Object} props.fieldConfidence - candidateData.parsingMetadata.fieldConfidence (see utils/fieldConfidence.js)
+ * @param {Function} props.onConfirm - Called with a field path when the reviewer confirms it
+ */
+function SourceEvidence({ candidateData, provenance, suppressed, fieldConfidence, onConfirm }) {
+  const [openPath, setOpenPath] = useState(null);
+  const paths = [...new Set([...Object.keys(provenance || {}), ...Object.keys(fieldConfidence || {})])].sort();
+  if (paths.length === 0 && !suppressed?.length) return null;
+
+  return (
+    <div style={{ marginTop: '20px' }}>
+      <h3 style={{ color: darkTeal, fontSize: '18px', marginBottom: '10px' }}>Source Evidence</h3>
+      <OcrPages pages={candidateData?.parsingMetadata?.ocrPages} />
+      {paths.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>Fact</th>
+              <th style={cellStyle}>Value</th>
+              <th style={cellStyle}>Source</th>
+            </tr>
+          </thead>
+          <tbody>
+            {paths.map(path => {
+              const citations = provenance?.[path] || [];
+              return (
+                <tr key={path}>
+                  <td style={cellStyle}>{describePath(path)}</td>
+                  <td style={cellStyle}>
+                    {formatValue(getProvenanceValue(candidateData, path))}
+                    <FieldConfidence path={path} field={fieldConfidence?.[path]} onConfirm={onConfirm} />
+                  </td>
+                  <td style={{ ...cellStyle, position: 'relative', whiteSpace: 'nowrap' }}>
+                    {citations.length > 0 ? (
+                      <button type="button" onClick={() => setOpenPath(openPath === path ? null : path)} style={evidenceButtonStyle}>
+                        evidence ({citations.length})
+                      </button>
+                    ) : (
+                      <span style={{ fontSize: '12px', color: '#6b7280' }}>no passage cited</span>
+                    )}
+                    {openPath === path && <EvidencePopover citations={citations} onClose={() => setOpenPath(null)} />}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      <SuppressedFindings findings={suppressed} />
+      <UnmappedCodes records={candidateData?.parsingMetadata?.codedRecords} />
+    </div>
+  );
+}
+
+export default SourceEvidence;
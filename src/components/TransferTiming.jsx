@@ -0,0 +1,62 @@
+// Brand colors - matching Risk Ranger
+const rubyRed = '#7d2431';
+const darkGreen = '#217045';
+
+const cellStyle = { padding: '6px 10px', borderBottom: '1px solid #e5e7eb', textAlign: 'left' };
+
+/**
+ * Postpartum timing: months since last delivery and the earliest
+ * eligible transfer date at each clinic
+ * @param {Object} props.timing - Output of assessDeliveryInterval()
+ */
+function TransferTiming({ timing }) {
+  if (!timing) return null;
+
+  return (
+    <div className="clinic-type-analysis">
+      <h2>Postpartum Timing</h2>
+      <p className="section-description">{timing.summary}</p>
+
+      {timing.known && (
+        <>
+          <p style={{ fontSize: '14px', color: '#374151' }}>
+            {timing.lastDeliveryDate && <>Last delivery: <strong>{timing.lastDeliveryDate}</strong> · </>}
+            {timing.monthsSinceDelivery} months as of {timing.asOf}
+            {timing.afterCesarean && ` · cesarean${timing.modeAssumed ? ' (assumed from C-section history)' : ''}`}
+          </p>
+
+          {timing.earliestEligibleTransferDate && (
+            <p style={{ fontSize: '16px' }}>
+              Earliest eligible transfer date: <strong>{timing.earliestEligibleTransferDate}</strong>
+            </p>
+          )}
+
+          {timing.clinics.length > 0 && (
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+              <thead>
+                <tr>
+                  <th style={cellStyle}>Clinic</th>
+                  <th style={cellStyle}>Minimum interval</th>
+                  <th style={cellStyle}>Eligible from</th>
+                </tr>
+              </thead>
+              <tbody>
+                {timing.clinics.map(clinic => (
+                  <tr key={clinic.clinicId}>
+                    <td style={cellStyle}>{clinic.clinicName}</td>
+                    <td style={cellStyle}>{clinic.requiredMonths} months</td>
+                    <td style={{ ...cellStyle, fontWeight: 'bold', color: clinic.eligibleNow ? darkGreen : rubyRed }}>
+                      {clinic.eligibleNow ? 'Now' : `${clinic.eligibleFrom} (${clinic.monthsToWait} more months)`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TransferTiming;
@@ -0,0 +1,169 @@
+import { useMemo, useState } from 'react';
+import { simulateWhatIf, findSmallestChanges } from '../assessments/whatIfSimulator.js';
+import { getClearanceBadgeText, CLINIC_TIERS } from '../assessments/clinicTypeAssessment.js';
+import { getDeliveryInterval } from '../assessments/deliveryInterval.js';
+
+// Brand colors - matching Risk Ranger
+const rubyRed = '#7d2431';
+const darkGreen = '#217045';
+
+const TIER_LABELS = {
+  strict: 'Strict/Premium Clinics',
+  moderate: 'Moderate/Average Clinics',
+  lenient: 'Lenient Clinics'
+};
+
+const cellStyle = { padding: '6px 10px', borderBottom: '1px solid #e5e7eb', textAlign: 'left' };
+
+/**
+ * What-if panel: try changes to modifiable risk factors and see
+ * before/after clinic scores, plus the smallest change per clinic tier
+ */
+function WhatIfPanel({ candidateData }) {
+  const currentBmi = candidateData?.lifestyle?.bmi;
+  const [targetBmi, setTargetBmi] = useState(currentBmi ? String(currentBmi) : '');
+  const [quitSmoking, setQuitSmoking] = useState(false);
+  const [stopDrugUse, setStopDrugUse] = useState(false);
+  const [waitMonths, setWaitMonths] = useState('');
+  const [simulation, setSimulation] = useState(null);
+  const [error, setError] = useState('');
+  const [showSuggestions, setShowSuggestions] = useState(false);
+
+  // The search re-runs the clinic assessment many times, so it waits until asked for
+  const suggestions = useMemo(
+    () => (showSuggestions ? findSmallestChanges(candidateData) : []),
+    [showSuggestions, candidateData]
+  );
+  const interval = useMemo(() => getDeliveryInterval(candidateData), [candidateData]);
+
+  const handleSimulate = () => {
+    const changes = {};
+    const bmi = parseFloat(targetBmi);
+    if (!isNaN(bmi) && bmi !== currentBmi) changes.bmi = bmi;
+    if (quitSmoking) changes.quitSmoking = true;
+    if (stopDrugUse) changes.stopDrugUse = true;
+    const months = parseInt(waitMonths, 10);
+    if (months > 0) changes.waitMonths = months;
+
+    if (Object.keys(changes).length === 0) {
+      setError('Choose at least one change to simulate');
+      setSimulation(null);
+      return;
+    }
+
+    setError('');
+    setSimulation(simulateWhatIf(candidateData, changes));
+  };
+
+  const formatDelta = delta => delta > 0 ? `+${delta}` : `${delta}`;
+
+  return (
+    <div className="clinic-type-analysis">
+      <h2>What If?</h2>
+      <p className="section-description">
+        Many candidates are borderline only because of modifiable factors. Try proposed changes to see how each clinic tier would respond.
+      </p>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '20px', alignItems: 'center', marginBottom: '15px' }}>
+        {currentBmi !== undefined && (
+          <label>
+            Target BMI (currently {currentBmi}):{' '}
+            <input
+              type="number"
+              step="0.1"
+              value={targetBmi}
+              onChange={(e) => setTargetBmi(e.target.value)}
+              style={{ width: '80px', padding: '4px' }}
+            />
+          </label>
+        )}
+        {candidateData?.lifestyle?.currentSmoker && (
+          <label>
+            <input type="checkbox" checked={quitSmoking} onChange={(e) => setQuitSmoking(e.target.checked)} /> Quit smoking
+          </label>
+        )}
+        {candidateData?.lifestyle?.currentDrugUse && (
+          <label>
+            <input type="checkbox" checked={stopDrugUse} onChange={(e) => setStopDrugUse(e.target.checked)} /> Stop recreational drug use
+          </label>
+        )}
+        {interval.known && (
+          <label>
+            Wait months (currently {interval.monthsSinceDelivery} since delivery):{' '}
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={waitMonths}
+              onChange={(e) => setWaitMonths(e.target.value)}
+              style={{ width: '60px', padding: '4px' }}
+            />
+          </label>
+        )}
+        <button className="btn-primary" onClick={handleSimulate}>Simulate</button>
+      </div>
+
+      {error && <p style={{ color: rubyRed }}>{error}</p>}
+
+      {simulation && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '20px', fontSize: '14px' }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>{simulation.descriptions.join(', ')}</th>
+              <th style={cellStyle}>Before</th>
+              <th style={cellStyle}>After</th>
+              <th style={cellStyle}>Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {CLINIC_TIERS.map(tier => (
+              <tr key={tier}>
+                <td style={cellStyle}>{TIER_LABELS[tier]}</td>
+                <td style={cellStyle}>{simulation.before.clinicTypes[tier].score} - {getClearanceBadgeText(simulation.before.clinicTypes[tier].acceptanceLevel)}</td>
+                <td style={cellStyle}>{simulation.after.clinicTypes[tier].score} - {getClearanceBadgeText(simulation.after.clinicTypes[tier].acceptanceLevel)}</td>
+                <td style={{ ...cellStyle, fontWeight: 'bold', color: simulation.scoreDeltas[tier] > 0 ? darkGreen : simulation.scoreDeltas[tier] < 0 ? rubyRed : 'inherit' }}>
+                  {formatDelta(simulation.scoreDeltas[tier])}
+                </td>
+              </tr>
+            ))}
+            <tr>
+              <td style={cellStyle}>MFM likelihood</td>
+              <td style={cellStyle}>{simulation.before.mfm.likelihood.replace(/_/g, ' ')}</td>
+              <td style={cellStyle}>{simulation.after.mfm.likelihood.replace(/_/g, ' ')}</td>
+              <td style={cellStyle}></td>
+            </tr>
+            <tr>
+              <td style={cellStyle}>Overall risk</td>
+              <td style={cellStyle}>{simulation.before.overallRisk.replace(/_/g, ' ')}</td>
+              <td style={cellStyle}>{simulation.after.overallRisk.replace(/_/g, ' ')}</td>
+              <td style={cellStyle}></td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+
+      <div className="clinic-issues">
+        <button
+          onClick={() => setShowSuggestions(!showSuggestions)}
+          className="glossary-toggle"
+        >
+          {showSuggestions ? '▼' : '▶'} Smallest change to reach "Likely to Approve"
+        </button>
+        {showSuggestions && (
+          <ul>
+            {suggestions.map(suggestion => (
+              <li key={suggestion.tier}>
+                <strong>{TIER_LABELS[suggestion.tier]}:</strong>{' '}
+                {suggestion.status === 'already_meets' && 'Already likely to approve - no change needed'}
+                {suggestion.status === 'found' && `${suggestion.descriptions.join(' + ')} (score ${suggestion.currentScore} → ${suggestion.projectedScore})`}
+                {suggestion.status === 'not_reachable' && 'Not reachable by modifiable factors alone'}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default WhatIfPanel;
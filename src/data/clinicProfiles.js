@@ -0,0 +1,1294 @@
+/**
+ * Clinic Acceptance Profiles
+ * Each clinic is described as data and scored by scoreClinicProfile()
+ * in assessments/clinicTypeAssessment.js.
+ *
+ * PROFILE SHAPE:
+ *   id, name, clinicType (STRICT | MODERATE | LENIENT), maxScore
+ *   limits:             published cutoffs, each one becomes a hard stop
+ *                       { ageMin, ageMax, bmiMin, bmiMax, maxCesareans,
+ *                         maxDeliveries, nonSmokerOnly }
+ *   declinedConditions: condition keys the clinic will not accept (e.g. a
+ *                       "no GDM history" policy → ['gestational_diabetes'])
+ *   deliveryInterval:   minimum months since last delivery before transfer
+ *                       { minMonths, minMonthsAfterCesarean, severity, points };
+ *                       compiled into a penalty and used for the clinic's
+ *                       earliest eligible transfer date (see deliveryInterval.js).
+ *                       Named clinics inherit it and may override single keys.
+ *   hardStops:          extra rule groups; any match scores the clinic at 0
+ *   penalties:          rule groups applied to candidate data; each rule has
+ *                       { id, when, severity, message, points }
+ *   combinations:       rule groups applied to issue counts
+ *                       ({counts.minor}, {counts.moderate}, {counts.major},
+ *                       {counts.total}) after penalties; rules without a
+ *                       message only deduct points
+ *
+ * Named clinics usually extend one of the clinic types and add limits:
+ *   {
+ *     id: 'example-fertility',
+ *     name: 'Example Fertility Center',
+ *     extends: 'moderate',
+ *     limits: { bmiMax: 32, maxCesareans: 2, ageMin: 21, ageMax: 42 },
+ *     declinedConditions: ['gestational_diabetes'],
+ *     deliveryInterval: { minMonthsAfterCesarean: 24 }
+ *   }
+ *
+ * Points may be a number, { per: 'field', each: n } or
+ * { per: 'field', table: [n1, n2, ...], thereafter: n }.
+ */
+
+const COMPLICATION_COUNT = 'pregnancyHistory.numberOfComplications';
+const COMPLICATION_DETAIL = '{pregnancyHistory.numberOfComplications} previous pregnancy complication{derived.complicationPlural}{derived.complicationsList}';
+// timeline.* facts come from summarizeTimeline() (assessments/obstetricTimeline.js)
+const COMPLICATIONS_RESOLVED = { field: 'timeline.complicationsResolved', op: 'truthy' };
+const MOST_RECENT_LABEL = '{timeline.mostRecent.label}';
+// Per-delivery term classification; the most recent timeline delivery is covered by the recency group
+const DELIVERY_TERMS = 'timeline.deliveryTerms';
+const RECORD_LATEST_PRETERM = {
+  all: [
+    { field: 'item.latest', op: 'truthy' },
+    { field: 'item.preterm', op: 'truthy' },
+    { field: 'item.source', op: 'eq', value: 'record' }
+  ]
+};
+const EARLIER_EARLY_PRETERM = {
+  all: [
+    { field: 'item.latest', op: 'falsy' },
+    { field: 'item.termCategory', op: 'eq', value: 'early_preterm' }
+  ]
+};
+// medicationReview comes from reviewMedications() (assessments/medicationAssessment.js)
+const MEDICATION_ITEMS = 'medicationReview.items';
+// labInterpretation comes from interpretLabValues() (assessments/labInterpretation.js)
+const LAB_FINDINGS = 'labInterpretation.findings';
+const HIGH_RISK_LAB = { field: 'item.category', op: 'in', value: ['diabetes_range', 'severe_range_bp', 'hypertension_stage_2', 'severe_anemia', 'overt_hypothyroidism'] };
+const RECHECK_LAB = { field: 'item.category', op: 'in', value: ['elevated_bp', 'low_glucose'] };
+// bloodPressureTrend comes from analyzeBloodPressureTrend() (assessments/bloodPressureTrend.js)
+const BP_TREND_FINDINGS = 'bloodPressureTrend.findings';
+
+/**
+ * Strict Clinic
+ * - BMI < 30 (some even < 27)
+ * - Max 1-2 C-sections
+ * - Age ideally < 35
+ * - No gestational diabetes history
+ * - No combinations of risk factors
+ * - Stricter than ASRM minimums but still use judgment
+ */
+const STRICT_PROFILE = {
+  id: 'strict',
+  name: 'Strict/Premium Clinics',
+  clinicType: 'STRICT',
+  maxScore: 95,
+  deliveryInterval: { minMonths: 12, minMonthsAfterCesarean: 18, severity: 'major', points: 40 },
+  penalties: [
+    {
+      id: 'age',
+      mode: 'first',
+      when: { field: 'age', op: 'truthy' },
+      rules: [
+        {
+          id: 'strict.age.outside-range',
+          when: { any: [{ field: 'age', op: 'lt', value: 21 }, { field: 'age', op: 'gt', value: 42 }] },
+          severity: 'major',
+          message: 'Age outside strict clinic range (21-42) - very rarely accepted',
+          points: 12
+        },
+        {
+          id: 'strict.age.above-ideal',
+          when: { field: 'age', op: 'gt', value: 38 },
+          severity: 'major',
+          message: 'Age above ideal range for strict clinics (prefer <35)',
+          points: 10
+        },
+        {
+          id: 'strict.age.35-38',
+          when: { field: 'age', op: 'gt', value: 35 },
+          severity: 'moderate',
+          message: 'Age above ideal but many strict clinics accept 35-38',
+          points: 6
+        },
+        {
+          id: 'strict.age.lower-end',
+          when: { field: 'age', op: 'lt', value: 23 },
+          severity: 'minor',
+          message: 'Age on lower end of range',
+          points: 5
+        }
+      ]
+    },
+    {
+      id: 'bmi',
+      mode: 'first',
+      when: { field: 'lifestyle.bmi', op: 'truthy' },
+      rules: [
+        {
+          id: 'strict.bmi.32-plus',
+          when: { field: 'lifestyle.bmi', op: 'gte', value: 32 },
+          severity: 'major',
+          message: 'BMI {lifestyle.bmi} significantly exceeds strict clinic preference - rarely accepted',
+          points: 10
+        },
+        {
+          id: 'strict.bmi.30-32',
+          when: { field: 'lifestyle.bmi', op: 'gte', value: 30 },
+          severity: 'major',
+          message: 'BMI {lifestyle.bmi} exceeds strict clinic maximum (typically <30, some <27)',
+          points: 8
+        },
+        {
+          id: 'strict.bmi.27-30',
+          when: { field: 'lifestyle.bmi', op: 'gte', value: 27 },
+          severity: 'moderate',
+          message: 'BMI {lifestyle.bmi} may be too high for some strict clinics (many prefer <27)',
+          points: 12
+        },
+        {
+          id: 'strict.bmi.underweight',
+          when: { field: 'lifestyle.bmi', op: 'lt', value: 18.5 },
+          severity: 'major',
+          message: 'BMI {lifestyle.bmi} below recommended minimum',
+          points: 6
+        }
+      ]
+    },
+    {
+      id: 'cesareans',
+      mode: 'first',
+      when: { field: 'pregnancyHistory.numberOfCesareans', op: 'truthy' },
+      rules: [
+        {
+          id: 'strict.cesareans.4-plus',
+          when: { field: 'pregnancyHistory.numberOfCesareans', op: 'gte', value: 4 },
+          severity: 'major',
+          message: '{pregnancyHistory.numberOfCesareans} C-sections - strict clinics extremely unlikely to accept',
+          points: 12
+        },
+        {
+          id: 'strict.cesareans.3',
+          when: { field: 'pregnancyHistory.numberOfCesareans', op: 'eq', value: 3 },
+          severity: 'major',
+          message: '3 C-sections exceeds strict clinic maximum (typically max 1-2)',
+          points: 10
+        },
+        {
+          id: 'strict.cesareans.2',
+          when: { field: 'pregnancyHistory.numberOfCesareans', op: 'eq', value: 2 },
+          severity: 'moderate',
+          message: '2 C-sections - some strict clinics accept, others prefer max 1',
+          points: 6
+        }
+      ]
+    },
+    {
+      id: 'deliveries',
+      mode: 'first',
+      when: { field: 'pregnancyHistory.totalDeliveries', op: 'truthy' },
+      rules: [
+        {
+          id: 'strict.deliveries.5-plus',
+          when: { field: 'pregnancyHistory.totalDeliveries', op: 'gt', value: 5 },
+          severity: 'major',
+          message: 'More than 5 previous pregnancies concerning for strict clinics',
+          points: 8
+        },
+        {
+          id: 'strict.deliveries.4-plus',
+          when: { field: 'pregnancyHistory.totalDeliveries', op: 'gt', value: 4 },
+          severity: 'moderate',
+          message: 'More than 4 previous pregnancies may be concerning for strict clinics',
+          points: 12
+        }
+      ]
+    },
+    {
+      id: 'conditions',
+      mode: 'first',
+      forEach: 'medicalConditions',
+      rules: [
+        {
+          id: 'strict.condition.gestational-diabetes',
+          when: { any: [{ field: 'item', op: 'eq', value: 'diabetes' }, { field: 'item', op: 'includes', value: 'gestational_diabetes' }] },
+          severity: 'major',
+          message: 'History of gestational diabetes - strict clinics rarely accept',
+          points: 10
+        },
+        {
+          id: 'strict.condition.preeclampsia',
+          when: { field: 'item', op: 'eq', value: 'preeclampsia' },
+          severity: 'major',
+          message: 'History of preeclampsia - strict clinics will NOT accept due to high recurrence risk (15-25%)',
+          points: 95
+        },
+        {
+          id: 'strict.condition.pregnancy-hypertension',
+          when: { field: 'item', op: 'eq', value: 'pregnancy_hypertension' },
+          severity: 'moderate',
+          message: 'History of pregnancy-induced hypertension (PIH) - strict clinics typically require it was diet-controlled',
+          points: 10
+        },
+        {
+          id: 'strict.condition.chronic-hypertension',
+          when: { field: 'item', op: 'eq', value: 'hypertension' },
+          severity: 'major',
+          message: 'History of chronic hypertension - concerning for strict clinics',
+          points: 10
+        },
+        {
+          id: 'strict.condition.hyperemesis',
+          when: { field: 'item', op: 'eq', value: 'hyperemesis' },
+          severity: 'major',
+          message: 'History of severe hyperemesis (especially requiring hospitalization/PICC/TPN) - strict clinics very unlikely to accept',
+          points: 12
+        },
+        {
+          id: 'strict.condition.gastroparesis',
+          when: { field: 'item', op: 'eq', value: 'gastroparesis' },
+          severity: 'major',
+          message: 'History of gastroparesis - extremely concerning, strict clinics will not accept',
+          points: 12
+        },
+        {
+          id: 'strict.condition.gerd',
+          when: { field: 'item', op: 'eq', value: 'gerd' },
+          severity: 'moderate',
+          message: 'History of severe GERD - concerning for strict clinics',
+          points: 6
+        },
+        {
+          id: 'strict.condition.gallbladder-gastritis',
+          when: { field: 'item', op: 'in', value: ['gallstones', 'gastritis'] },
+          severity: 'moderate',
+          message: 'History of {item} - may be concerning',
+          points: 6
+        },
+        {
+          id: 'strict.condition.thyroid-autoimmune',
+          when: { field: 'item', op: 'in', value: ['thyroid_disorder', 'autoimmune_disease'] },
+          severity: 'moderate',
+          message: '{item|humanize} may be concerning for strict clinics',
+          points: 6
+        }
+      ]
+    },
+    {
+      id: 'complications',
+      mode: 'first',
+      rules: [
+        {
+          id: 'strict.complications.resolved',
+          when: { all: [{ field: COMPLICATION_COUNT, op: 'gt', value: 0 }, COMPLICATIONS_RESOLVED] },
+          severity: 'major',
+          message: `${COMPLICATION_DETAIL} - most recent pregnancy (${MOST_RECENT_LABEL}) uncomplicated, strict clinics will still review closely`,
+          points: { per: COMPLICATION_COUNT, each: 35 }
+        },
+        {
+          id: 'strict.complications',
+          when: { field: COMPLICATION_COUNT, op: 'gt', value: 0 },
+          severity: 'major',
+          message: `${COMPLICATION_DETAIL} - highly concerning at strict clinics`,
+          points: { per: COMPLICATION_COUNT, each: 50 }
+        }
+      ]
+    },
+    {
+      id: 'recency',
+      mode: 'all',
+      when: { field: 'timeline.known', op: 'truthy' },
+      rules: [
+        {
+          id: 'strict.recent-complication',
+          when: { field: 'timeline.mostRecent.complicated', op: 'truthy' },
+          severity: 'major',
+          message: `Complications in most recent pregnancy (${MOST_RECENT_LABEL}) - strict clinics expect an uncomplicated most recent delivery`,
+          points: 10
+        },
+        {
+          id: 'strict.recent-preterm',
+          when: { field: 'timeline.mostRecent.preterm', op: 'truthy' },
+          severity: 'major',
+          message: `Most recent delivery (${MOST_RECENT_LABEL}) was preterm at {timeline.mostRecent.gestationalAgeWeeks} weeks`,
+          points: 15
+        }
+      ]
+    },
+    {
+      id: 'deliveryTerms',
+      mode: 'first',
+      forEach: DELIVERY_TERMS,
+      rules: [
+        {
+          id: 'strict.recent-preterm-delivery',
+          when: RECORD_LATEST_PRETERM,
+          severity: 'major',
+          message: 'Most recent delivery ({item.label}) was {item.termLabel} at {item.gestationalAgeWeeks} weeks',
+          points: 15
+        },
+        {
+          id: 'strict.earlier-early-preterm',
+          when: EARLIER_EARLY_PRETERM,
+          severity: 'moderate',
+          message: 'Earlier delivery ({item.label}) was early preterm at {item.gestationalAgeWeeks} weeks - strict clinics will want the cause documented',
+          points: 8
+        }
+      ]
+    },
+    {
+      id: 'bloodPressure',
+      mode: 'first',
+      forEach: BP_TREND_FINDINGS,
+      rules: [
+        {
+          id: 'strict.bp.chronic-hypertension',
+          when: { field: 'item.id', op: 'eq', value: 'chronic_hypertension_suspected' },
+          severity: 'major',
+          message: '{item.message} - strict clinics will not proceed without an internist or MFM evaluation',
+          points: 30
+        },
+        {
+          id: 'strict.bp.severe-range',
+          when: { field: 'item.id', op: 'eq', value: 'severe_range_bp' },
+          severity: 'major',
+          message: '{item.message} - strict clinics will want records showing how it was managed',
+          points: 20
+        },
+        {
+          id: 'strict.bp.elevated',
+          severity: 'moderate',
+          message: '{item.message} - strict clinics will review BP history closely',
+          points: 6
+        }
+      ]
+    },
+    {
+      id: 'labs',
+      mode: 'first',
+      forEach: LAB_FINDINGS,
+      rules: [
+        {
+          id: 'strict.lab.high-risk',
+          when: HIGH_RISK_LAB,
+          severity: 'major',
+          message: '{item.message} - strict clinics will not proceed until it is addressed',
+          points: 30
+        },
+        {
+          id: 'strict.lab.abnormal',
+          when: { field: 'item.significance', op: 'eq', value: 'abnormal' },
+          severity: 'moderate',
+          message: '{item.message} - strict clinics require it treated and rechecked before transfer',
+          points: 12
+        },
+        {
+          id: 'strict.lab.borderline',
+          when: { not: RECHECK_LAB },
+          severity: 'minor',
+          message: '{item.message} - strict clinics will want a repeat value',
+          points: 5
+        }
+      ]
+    },
+    {
+      id: 'medications',
+      mode: 'first',
+      forEach: MEDICATION_ITEMS,
+      rules: [
+        {
+          id: 'strict.medication.declined-indication',
+          when: { field: 'item.clinicImpact', op: 'eq', value: 'decline' },
+          severity: 'major',
+          message: 'Current {item.displayName} - strict clinics will not accept the underlying condition',
+          points: 40
+        },
+        {
+          id: 'strict.medication.off-before-transfer',
+          when: { field: 'item.clinicImpact', op: 'eq', value: 'off_before_transfer' },
+          severity: 'moderate',
+          message: 'Current {item.displayName} - strict clinics require it stopped before transfer, often with a waiting period',
+          points: 15
+        },
+        {
+          id: 'strict.medication.review',
+          when: { field: 'item.clinicImpact', op: 'eq', value: 'review' },
+          severity: 'minor',
+          message: 'Current {item.displayName} - strict clinics will review the underlying condition',
+          points: 5
+        }
+      ]
+    },
+    {
+      id: 'substances',
+      mode: 'all',
+      rules: [
+        {
+          id: 'strict.smoking',
+          when: { field: 'lifestyle.currentSmoker', op: 'truthy' },
+          severity: 'major',
+          message: 'Current smoking - must cease, virtually all clinics require 3-6 month smoke-free period',
+          points: 60
+        },
+        {
+          id: 'strict.drug-use',
+          when: { field: 'lifestyle.currentDrugUse', op: 'truthy' },
+          severity: 'major',
+          message: 'Current drug use - must cease and demonstrate sustained sobriety',
+          points: 65
+        }
+      ]
+    }
+  ],
+  combinations: [
+    {
+      id: 'combinations',
+      mode: 'all',
+      rules: [
+        {
+          id: 'strict.combo.any-major',
+          when: { field: 'counts.major', op: 'gte', value: 1 },
+          points: 35
+        },
+        {
+          id: 'strict.combo.multiple-moderate',
+          when: { field: 'counts.moderate', op: 'gte', value: 2 },
+          severity: 'major',
+          message: 'Multiple moderate issues - strict clinics almost never accept combinations',
+          points: 40
+        },
+        {
+          id: 'strict.combo.multiple-minor',
+          when: { field: 'counts.minor', op: 'gte', value: 2 },
+          points: 20
+        }
+      ]
+    },
+    {
+      id: 'total',
+      mode: 'first',
+      rules: [
+        {
+          id: 'strict.combo.three-plus',
+          when: { field: 'counts.total', op: 'gte', value: 3 },
+          severity: 'major',
+          message: '3+ risk factors combined - strict clinics will not accept this combination',
+          points: 50
+        },
+        {
+          id: 'strict.combo.major-plus-one',
+          when: { all: [{ field: 'counts.total', op: 'gte', value: 2 }, { field: 'counts.major', op: 'gte', value: 1 }] },
+          points: 30
+        }
+      ]
+    }
+  ]
+};
+
+/**
+ * Moderate/Average Clinic
+ * - BMI 30-31, sometimes 32
+ * - Up to 3 C-sections (ASRM guideline)
+ * - Controlled gestational diabetes acceptable
+ * - Can tolerate combinations unless severe
+ */
+const MODERATE_PROFILE = {
+  id: 'moderate',
+  name: 'Moderate/Average Clinics',
+  clinicType: 'MODERATE',
+  maxScore: 92,
+  deliveryInterval: { minMonths: 12, minMonthsAfterCesarean: 15, severity: 'moderate', points: 30 },
+  penalties: [
+    {
+      id: 'age',
+      mode: 'first',
+      when: { field: 'age', op: 'truthy' },
+      rules: [
+        {
+          id: 'moderate.age.below-minimum',
+          when: { field: 'age', op: 'lt', value: 21 },
+          severity: 'major',
+          message: 'Age below ASRM minimum - rare exceptions made',
+          points: 5
+        },
+        {
+          id: 'moderate.age.over-45',
+          when: { field: 'age', op: 'gt', value: 45 },
+          severity: 'major',
+          message: 'Age over 45 exceeds ASRM maximum - most moderate clinics will not proceed',
+          points: 6
+        },
+        {
+          id: 'moderate.age.44-45',
+          when: { field: 'age', op: 'gte', value: 44 },
+          severity: 'major',
+          message: 'Age 44-45: Some moderate clinics review case-by-case with MFM clearance if exceptional health',
+          points: 5
+        },
+        {
+          id: 'moderate.age.41-43',
+          when: { field: 'age', op: 'gte', value: 41 },
+          severity: 'moderate',
+          message: 'Age 41-43: Most moderate clinics will consider case-by-case with MFM evaluation',
+          points: 4
+        },
+        {
+          id: 'moderate.age.38-40',
+          when: { field: 'age', op: 'gt', value: 37 },
+          severity: 'minor',
+          message: 'Age 38-40: Within acceptable range with standard monitoring',
+          points: 3
+        }
+      ]
+    },
+    {
+      id: 'bmi',
+      mode: 'first',
+      when: { field: 'lifestyle.bmi', op: 'truthy' },
+      rules: [
+        {
+          id: 'moderate.bmi.over-35',
+          when: { field: 'lifestyle.bmi', op: 'gt', value: 35 },
+          severity: 'major',
+          message: 'BMI {lifestyle.bmi} significantly exceeds moderate clinic threshold (32) - physician will require weight loss before proceeding',
+          points: 6
+        },
+        {
+          id: 'moderate.bmi.32-35',
+          when: { field: 'lifestyle.bmi', op: 'gte', value: 32 },
+          severity: 'moderate',
+          message: 'BMI {lifestyle.bmi} at/above moderate clinic threshold - requires physician approval, typically asked to lower to 32 or below',
+          points: 4
+        },
+        {
+          id: 'moderate.bmi.30-32',
+          when: { field: 'lifestyle.bmi', op: 'gte', value: 30 },
+          severity: 'minor',
+          message: 'BMI {lifestyle.bmi} acceptable for moderate clinics, approaching upper limit of 32',
+          points: 3
+        },
+        {
+          id: 'moderate.bmi.underweight',
+          when: { field: 'lifestyle.bmi', op: 'lt', value: 18.5 },
+          severity: 'moderate',
+          message: 'BMI {lifestyle.bmi} very low - requires physician approval and nutritional evaluation',
+          points: 4
+        }
+      ]
+    },
+    {
+      id: 'cesareans',
+      mode: 'first',
+      when: { field: 'pregnancyHistory.numberOfCesareans', op: 'truthy' },
+      rules: [
+        {
+          id: 'moderate.cesareans.4-plus',
+          when: { field: 'pregnancyHistory.numberOfCesareans', op: 'gte', value: 4 },
+          severity: 'major',
+          message: '{pregnancyHistory.numberOfCesareans} C-sections - moderate clinics typically decline (4+ is common cutoff)',
+          points: 6
+        },
+        {
+          id: 'moderate.cesareans.3',
+          when: { field: 'pregnancyHistory.numberOfCesareans', op: 'eq', value: 3 },
+          severity: 'moderate',
+          message: '3 C-sections at ASRM maximum - acceptable with MFM clearance',
+          points: 3
+        }
+      ]
+    },
+    {
+      id: 'deliveries',
+      mode: 'first',
+      when: { field: 'pregnancyHistory.totalDeliveries', op: 'truthy' },
+      rules: [
+        {
+          id: 'moderate.deliveries.6-plus',
+          when: { field: 'pregnancyHistory.totalDeliveries', op: 'gte', value: 6 },
+          severity: 'major',
+          message: '6+ vaginal deliveries - moderate clinics typically decline unless OB/MFM counseling obtained',
+          points: 4
+        },
+        {
+          id: 'moderate.deliveries.over-5',
+          when: { field: 'pregnancyHistory.totalDeliveries', op: 'gt', value: 5 },
+          severity: 'moderate',
+          message: 'More than 5 previous deliveries exceeds ASRM guideline - case-by-case review',
+          points: 6
+        }
+      ]
+    },
+    {
+      id: 'conditions',
+      mode: 'first',
+      forEach: 'medicalConditions',
+      rules: [
+        {
+          id: 'moderate.condition.insulin-dependent-diabetes',
+          when: { field: 'item', op: 'includes', value: ['insulin_dependent', 'type_1_diabetes', 'type_2_diabetes'] },
+          severity: 'major',
+          message: 'Insulin-dependent diabetes (Type I or II) - moderate clinics typically decline',
+          points: 6
+        },
+        {
+          id: 'moderate.condition.gestational-diabetes',
+          when: { field: 'item', op: 'includes', value: 'gestational_diabetes' },
+          severity: 'moderate',
+          message: 'History of gestational diabetes - requires physician approval and evaluation (case-by-case)',
+          points: 5
+        },
+        {
+          id: 'moderate.condition.preeclampsia',
+          when: { field: 'item', op: 'eq', value: 'preeclampsia' },
+          severity: 'major',
+          message: 'History of preeclampsia - moderate clinics typically decline due to high recurrence risk',
+          points: 48
+        },
+        {
+          id: 'moderate.condition.pregnancy-hypertension',
+          when: { field: 'item', op: 'eq', value: 'pregnancy_hypertension' },
+          severity: 'moderate',
+          message: 'History of pregnancy-induced hypertension (PIH) typically acceptable if it was fully diet-controlled',
+          points: 5
+        },
+        {
+          id: 'moderate.condition.chronic-hypertension',
+          when: { field: 'item', op: 'eq', value: 'hypertension' },
+          severity: 'moderate',
+          message: 'History of chronic hypertension - moderate clinics review if well-controlled',
+          points: 5
+        },
+        {
+          id: 'moderate.condition.well-controlled',
+          when: { field: 'item', op: 'in', value: ['thyroid_disorder', 'asthma', 'autoimmune_disease'] },
+          severity: 'minor',
+          message: '{item|humanize} - acceptable if well-controlled',
+          points: 3
+        },
+        {
+          id: 'moderate.condition.hyperemesis',
+          when: { field: 'item', op: 'eq', value: 'hyperemesis' },
+          severity: 'moderate',
+          message: 'History of severe hyperemesis - moderate clinics review case-by-case',
+          points: 6
+        },
+        {
+          id: 'moderate.condition.gastroparesis',
+          when: { field: 'item', op: 'eq', value: 'gastroparesis' },
+          severity: 'moderate',
+          message: 'History of gastroparesis - concerning for moderate clinics',
+          points: 6
+        },
+        {
+          id: 'moderate.condition.gastrointestinal',
+          when: { field: 'item', op: 'in', value: ['gerd', 'gallstones', 'gastritis'] },
+          severity: 'minor',
+          message: 'History of {item} - acceptable if well-managed',
+          points: 3
+        }
+      ]
+    },
+    {
+      id: 'complications',
+      mode: 'first',
+      rules: [
+        {
+          id: 'moderate.complications.resolved',
+          when: { all: [{ field: COMPLICATION_COUNT, op: 'gt', value: 0 }, COMPLICATIONS_RESOLVED] },
+          severity: 'moderate',
+          message: `${COMPLICATION_DETAIL} - most recent pregnancy (${MOST_RECENT_LABEL}) uncomplicated, review of records required`,
+          points: { per: COMPLICATION_COUNT, each: 20 }
+        },
+        {
+          id: 'moderate.complications',
+          when: { field: COMPLICATION_COUNT, op: 'gt', value: 0 },
+          severity: 'moderate',
+          message: `${COMPLICATION_DETAIL} - requires detailed evaluation`,
+          points: { per: COMPLICATION_COUNT, each: 35 }
+        }
+      ]
+    },
+    {
+      id: 'recency',
+      mode: 'all',
+      when: { field: 'timeline.known', op: 'truthy' },
+      rules: [
+        {
+          id: 'moderate.recent-complication',
+          when: { field: 'timeline.mostRecent.complicated', op: 'truthy' },
+          severity: 'moderate',
+          message: `Complications in most recent pregnancy (${MOST_RECENT_LABEL}) - no uncomplicated delivery since`,
+          points: 10
+        },
+        {
+          id: 'moderate.recent-preterm',
+          when: { field: 'timeline.mostRecent.preterm', op: 'truthy' },
+          severity: 'moderate',
+          message: `Most recent delivery (${MOST_RECENT_LABEL}) was preterm at {timeline.mostRecent.gestationalAgeWeeks} weeks - requires physician review`,
+          points: 10
+        }
+      ]
+    },
+    {
+      id: 'deliveryTerms',
+      mode: 'first',
+      forEach: DELIVERY_TERMS,
+      rules: [
+        {
+          id: 'moderate.recent-preterm-delivery',
+          when: RECORD_LATEST_PRETERM,
+          severity: 'moderate',
+          message: 'Most recent delivery ({item.label}) was {item.termLabel} at {item.gestationalAgeWeeks} weeks - requires physician review',
+          points: 10
+        },
+        {
+          id: 'moderate.earlier-early-preterm',
+          when: EARLIER_EARLY_PRETERM,
+          severity: 'moderate',
+          message: 'Earlier delivery ({item.label}) was early preterm at {item.gestationalAgeWeeks} weeks - requires physician review',
+          points: 5
+        }
+      ]
+    },
+    {
+      id: 'bloodPressure',
+      mode: 'first',
+      forEach: BP_TREND_FINDINGS,
+      rules: [
+        {
+          id: 'moderate.bp.chronic-hypertension',
+          when: { field: 'item.id', op: 'eq', value: 'chronic_hypertension_suspected' },
+          severity: 'major',
+          message: '{item.message} - clinic will require evaluation and BP control before transfer',
+          points: 15
+        },
+        {
+          id: 'moderate.bp.severe-range',
+          when: { field: 'item.id', op: 'eq', value: 'severe_range_bp' },
+          severity: 'moderate',
+          message: '{item.message} - clinic will request records showing how it was managed',
+          points: 10
+        },
+        {
+          id: 'moderate.bp.elevated',
+          severity: 'minor',
+          message: '{item.message} - clinic will want a current BP',
+          points: 3
+        }
+      ]
+    },
+    {
+      id: 'labs',
+      mode: 'first',
+      forEach: LAB_FINDINGS,
+      rules: [
+        {
+          id: 'moderate.lab.high-risk',
+          when: HIGH_RISK_LAB,
+          severity: 'major',
+          message: '{item.message} - must be addressed before the clinic will proceed',
+          points: 20
+        },
+        {
+          id: 'moderate.lab.abnormal',
+          when: { field: 'item.significance', op: 'eq', value: 'abnormal' },
+          severity: 'moderate',
+          message: '{item.message} - clinic will require treatment and a repeat value',
+          points: 8
+        },
+        {
+          id: 'moderate.lab.borderline',
+          when: { not: RECHECK_LAB },
+          severity: 'minor',
+          message: '{item.message} - clinic may ask for a repeat value',
+          points: 2
+        }
+      ]
+    },
+    {
+      id: 'medications',
+      mode: 'first',
+      forEach: MEDICATION_ITEMS,
+      rules: [
+        {
+          id: 'moderate.medication.declined-indication',
+          when: { field: 'item.clinicImpact', op: 'eq', value: 'decline' },
+          severity: 'major',
+          message: 'Current {item.displayName} - most clinics will not accept the underlying condition',
+          points: 30
+        },
+        {
+          id: 'moderate.medication.off-before-transfer',
+          when: { field: 'item.clinicImpact', op: 'eq', value: 'off_before_transfer' },
+          severity: 'moderate',
+          message: 'Current {item.displayName} - must be stopped before transfer',
+          points: 10
+        },
+        {
+          id: 'moderate.medication.review',
+          when: { field: 'item.clinicImpact', op: 'eq', value: 'review' },
+          severity: 'minor',
+          message: 'Current {item.displayName} - clinic will review the underlying condition',
+          points: 3
+        }
+      ]
+    },
+    {
+      id: 'substances',
+      mode: 'all',
+      rules: [
+        {
+          id: 'moderate.smoking',
+          when: { field: 'lifestyle.currentSmoker', op: 'truthy' },
+          severity: 'major',
+          message: 'Current smoking - must cease before approval, most clinics require 3-6 month smoke-free period',
+          points: 30
+        },
+        {
+          id: 'moderate.drug-use',
+          when: { field: 'lifestyle.currentDrugUse', op: 'truthy' },
+          severity: 'major',
+          message: 'Current drug use - must cease and demonstrate sustained sobriety',
+          points: 33
+        }
+      ]
+    }
+  ],
+  combinations: [
+    {
+      id: 'major',
+      mode: 'first',
+      rules: [
+        {
+          id: 'moderate.combo.multiple-major',
+          when: { field: 'counts.major', op: 'gte', value: 2 },
+          severity: 'major',
+          message: 'Multiple major issues - even moderate clinics unlikely to accept',
+          points: 18
+        },
+        {
+          id: 'moderate.combo.one-major',
+          when: { field: 'counts.major', op: 'gte', value: 1 },
+          points: 10
+        }
+      ]
+    },
+    {
+      id: 'combinations',
+      mode: 'all',
+      rules: [
+        {
+          id: 'moderate.combo.three-moderate',
+          when: { field: 'counts.moderate', op: 'gte', value: 3 },
+          severity: 'moderate',
+          message: '3+ moderate factors - case-by-case review required, physician approval needed',
+          points: 13
+        },
+        {
+          id: 'moderate.combo.three-minor',
+          when: { field: 'counts.minor', op: 'gte', value: 3 },
+          points: 8
+        },
+        {
+          id: 'moderate.combo.four-plus',
+          when: { field: 'counts.total', op: 'gte', value: 4 },
+          severity: 'moderate',
+          message: '4+ risk factors combined - extensive physician review required',
+          points: 10
+        }
+      ]
+    }
+  ]
+};
+
+/**
+ * Lenient Clinic
+ * - BMI up to 32-33, some very lenient to 35
+ * - More flexible on combinations
+ * - Controlled conditions acceptable
+ * - ALL lenient clinics consider case-by-case exceptions to ASRM guidelines
+ * - Common sense review approach - will evaluate overall health picture
+ */
+const LENIENT_PROFILE = {
+  id: 'lenient',
+  name: 'Lenient Clinics',
+  clinicType: 'LENIENT',
+  maxScore: 95,
+  deliveryInterval: { minMonths: 9, minMonthsAfterCesarean: 12, severity: 'moderate', points: 20 },
+  penalties: [
+    {
+      id: 'age',
+      mode: 'first',
+      when: { field: 'age', op: 'truthy' },
+      rules: [
+        {
+          id: 'lenient.age.below-minimum',
+          when: { field: 'age', op: 'lt', value: 21 },
+          severity: 'moderate',
+          message: 'Age below ASRM minimum - lenient clinics may consider with maturity assessment',
+          points: 2
+        },
+        {
+          id: 'lenient.age.over-48',
+          when: { field: 'age', op: 'gt', value: 48 },
+          severity: 'major',
+          message: 'Age over 48: Even lenient clinics rarely proceed due to excessive obstetric risks',
+          points: 4
+        },
+        {
+          id: 'lenient.age.46-48',
+          when: { field: 'age', op: 'gte', value: 46 },
+          severity: 'moderate',
+          message: 'Age 46-48: Lenient clinics will review case-by-case with extensive MFM evaluation',
+          points: 3
+        },
+        {
+          id: 'lenient.age.44-45',
+          when: { field: 'age', op: 'gt', value: 43 },
+          severity: 'minor',
+          message: 'Age 44-45: Most lenient clinics will consider with MFM clearance and good health profile',
+          points: 2
+        }
+      ]
+    },
+    {
+      id: 'bmi',
+      mode: 'first',
+      when: { field: 'lifestyle.bmi', op: 'truthy' },
+      rules: [
+        {
+          id: 'lenient.bmi.over-38',
+          when: { field: 'lifestyle.bmi', op: 'gt', value: 38 },
+          severity: 'major',
+          message: 'BMI {lifestyle.bmi} exceeds even lenient clinic typical maximum - very challenging but some may review',
+          points: 3
+        },
+        {
+          id: 'lenient.bmi.35-38',
+          when: { field: 'lifestyle.bmi', op: 'gt', value: 35 },
+          severity: 'major',
+          message: 'BMI {lifestyle.bmi} above standard lenient maximum (35) - case-by-case review, MFM clearance critical',
+          points: 2
+        },
+        {
+          id: 'lenient.bmi.33-35',
+          when: { field: 'lifestyle.bmi', op: 'gte', value: 33 },
+          severity: 'moderate',
+          message: 'BMI {lifestyle.bmi} only accepted at very lenient clinics',
+          points: 4
+        },
+        {
+          id: 'lenient.bmi.32-33',
+          when: { field: 'lifestyle.bmi', op: 'gte', value: 32 },
+          severity: 'minor',
+          message: 'BMI {lifestyle.bmi} acceptable at lenient clinics',
+          points: 2
+        },
+        {
+          id: 'lenient.bmi.underweight',
+          when: { field: 'lifestyle.bmi', op: 'lt', value: 19 },
+          severity: 'minor',
+          message: 'BMI {lifestyle.bmi} below recommended but may be acceptable with evaluation',
+          points: 2
+        }
+      ]
+    },
+    {
+      id: 'cesareans',
+      mode: 'first',
+      when: { field: 'pregnancyHistory.numberOfCesareans', op: 'truthy' },
+      rules: [
+        {
+          id: 'lenient.cesareans.over-3',
+          when: { field: 'pregnancyHistory.numberOfCesareans', op: 'gt', value: 3 },
+          severity: 'major',
+          message: '{pregnancyHistory.numberOfCesareans} C-sections exceeds most clinic limits, even lenient ones',
+          points: 4
+        },
+        {
+          id: 'lenient.cesareans.3',
+          when: { field: 'pregnancyHistory.numberOfCesareans', op: 'eq', value: 3 },
+          severity: 'minor',
+          message: '3 C-sections acceptable at lenient clinics with evaluation',
+          points: 2
+        }
+      ]
+    },
+    {
+      id: 'deliveries',
+      mode: 'first',
+      when: { field: 'pregnancyHistory.totalDeliveries', op: 'truthy' },
+      rules: [
+        {
+          id: 'lenient.deliveries.over-5',
+          when: { field: 'pregnancyHistory.totalDeliveries', op: 'gt', value: 5 },
+          severity: 'moderate',
+          message: 'More than 5 previous pregnancies requires evaluation but may be acceptable',
+          points: 2
+        }
+      ]
+    },
+    {
+      id: 'conditions',
+      mode: 'first',
+      forEach: 'medicalConditions',
+      rules: [
+        {
+          id: 'lenient.condition.preeclampsia',
+          when: { field: 'item', op: 'eq', value: 'preeclampsia' },
+          severity: 'major',
+          message: 'History of preeclampsia - even lenient clinics are cautious due to 15-25% recurrence risk. Case-by-case evaluation required.',
+          points: 29
+        },
+        {
+          id: 'lenient.condition.gestational-diabetes',
+          when: { field: 'item', op: 'includes', value: 'gestational_diabetes' },
+          severity: 'minor',
+          message: 'Gestational diabetes history acceptable if controlled by diet',
+          points: 3
+        },
+        {
+          id: 'lenient.condition.pregnancy-hypertension',
+          when: { field: 'item', op: 'eq', value: 'pregnancy_hypertension' },
+          severity: 'minor',
+          message: 'Pregnancy-induced hypertension (PIH) acceptable if it was diet-controlled',
+          points: 3
+        },
+        {
+          id: 'lenient.condition.chronic-hypertension',
+          when: { field: 'item', op: 'eq', value: 'hypertension' },
+          severity: 'minor',
+          message: 'Chronic hypertension acceptable if currently well-controlled',
+          points: 3
+        },
+        {
+          id: 'lenient.condition.well-controlled',
+          when: { field: 'item', op: 'in', value: ['thyroid_disorder', 'controlled_diabetes', 'asthma', 'autoimmune_disease'] },
+          severity: 'minor',
+          message: '{item|humanize} acceptable if well-controlled',
+          points: 2
+        },
+        {
+          id: 'lenient.condition.hyperemesis-gastroparesis',
+          when: { field: 'item', op: 'in', value: ['hyperemesis', 'gastroparesis'] },
+          severity: 'minor',
+          message: 'History of {item} - acceptable if resolved',
+          points: 4
+        },
+        {
+          id: 'lenient.condition.gastrointestinal',
+          when: { field: 'item', op: 'in', value: ['gerd', 'gallstones', 'gastritis'] },
+          severity: 'minor',
+          message: 'History of {item} - acceptable if well-managed',
+          points: 2
+        }
+      ]
+    },
+    {
+      id: 'complications',
+      mode: 'first',
+      rules: [
+        {
+          id: 'lenient.complications.resolved',
+          when: { all: [{ field: COMPLICATION_COUNT, op: 'gt', value: 0 }, COMPLICATIONS_RESOLVED] },
+          severity: 'minor',
+          message: `${COMPLICATION_DETAIL} - most recent pregnancy (${MOST_RECENT_LABEL}) uncomplicated`,
+          points: { per: COMPLICATION_COUNT, table: [3, 8, 12], thereafter: 3 }
+        },
+        {
+          id: 'lenient.complications.several',
+          when: { field: COMPLICATION_COUNT, op: 'gt', value: 2 },
+          severity: 'moderate',
+          message: `${COMPLICATION_DETAIL} - lenient clinics will review case-by-case`,
+          points: { per: COMPLICATION_COUNT, table: [5, 12, 20], thereafter: 5 }
+        },
+        {
+          id: 'lenient.complications',
+          when: { field: COMPLICATION_COUNT, op: 'gt', value: 0 },
+          severity: 'minor',
+          message: `${COMPLICATION_DETAIL} - lenient clinics will review case-by-case`,
+          points: { per: COMPLICATION_COUNT, table: [5, 12, 20], thereafter: 5 }
+        }
+      ]
+    },
+    {
+      id: 'recency',
+      mode: 'all',
+      when: { field: 'timeline.known', op: 'truthy' },
+      rules: [
+        {
+          id: 'lenient.recent-complication',
+          when: { field: 'timeline.mostRecent.complicated', op: 'truthy' },
+          severity: 'minor',
+          message: `Complications in most recent pregnancy (${MOST_RECENT_LABEL}) - lenient clinics will review case-by-case`,
+          points: 5
+        },
+        {
+          id: 'lenient.recent-preterm',
+          when: { field: 'timeline.mostRecent.preterm', op: 'truthy' },
+          severity: 'minor',
+          message: `Most recent delivery (${MOST_RECENT_LABEL}) was preterm at {timeline.mostRecent.gestationalAgeWeeks} weeks`,
+          points: 5
+        }
+      ]
+    },
+    {
+      id: 'deliveryTerms',
+      mode: 'first',
+      forEach: DELIVERY_TERMS,
+      rules: [
+        {
+          id: 'lenient.recent-preterm-delivery',
+          when: RECORD_LATEST_PRETERM,
+          severity: 'minor',
+          message: 'Most recent delivery ({item.label}) was {item.termLabel} at {item.gestationalAgeWeeks} weeks',
+          points: 5
+        },
+        {
+          id: 'lenient.earlier-early-preterm',
+          when: EARLIER_EARLY_PRETERM,
+          severity: 'minor',
+          message: 'Earlier delivery ({item.label}) was early preterm at {item.gestationalAgeWeeks} weeks',
+          points: 3
+        }
+      ]
+    },
+    {
+      id: 'bloodPressure',
+      mode: 'first',
+      forEach: BP_TREND_FINDINGS,
+      rules: [
+        {
+          id: 'lenient.bp.chronic-hypertension',
+          when: { field: 'item.id', op: 'eq', value: 'chronic_hypertension_suspected' },
+          severity: 'moderate',
+          message: '{item.message} - clinic will want BP controlled before transfer',
+          points: 8
+        },
+        {
+          id: 'lenient.bp.severe-range',
+          when: { field: 'item.id', op: 'eq', value: 'severe_range_bp' },
+          severity: 'moderate',
+          message: '{item.message} - clinic will review records',
+          points: 5
+        }
+      ]
+    },
+    {
+      id: 'labs',
+      mode: 'first',
+      forEach: LAB_FINDINGS,
+      rules: [
+        {
+          id: 'lenient.lab.high-risk',
+          when: HIGH_RISK_LAB,
+          severity: 'major',
+          message: '{item.message} - must be addressed before transfer',
+          points: 12
+        },
+        {
+          id: 'lenient.lab.abnormal',
+          when: { field: 'item.significance', op: 'eq', value: 'abnormal' },
+          severity: 'moderate',
+          message: '{item.message} - clinic will want it treated before transfer',
+          points: 4
+        }
+      ]
+    },
+    {
+      id: 'medications',
+      mode: 'first',
+      forEach: MEDICATION_ITEMS,
+      rules: [
+        {
+          id: 'lenient.medication.declined-indication',
+          when: { field: 'item.clinicImpact', op: 'eq', value: 'decline' },
+          severity: 'major',
+          message: 'Current {item.displayName} - even flexible clinics rarely accept the underlying condition',
+          points: 25
+        },
+        {
+          id: 'lenient.medication.off-before-transfer',
+          when: { field: 'item.clinicImpact', op: 'eq', value: 'off_before_transfer' },
+          severity: 'minor',
+          message: 'Current {item.displayName} - must be stopped before transfer',
+          points: 5
+        }
+      ]
+    },
+    {
+      id: 'substances',
+      mode: 'all',
+      rules: [
+        {
+          id: 'lenient.smoking',
+          when: { field: 'lifestyle.currentSmoker', op: 'truthy' },
+          severity: 'major',
+          message: 'Current smoking - must cease, lenient clinics typically require 3-6 month smoke-free period before proceeding',
+          points: 18
+        },
+        {
+          id: 'lenient.drug-use',
+          when: { field: 'lifestyle.currentDrugUse', op: 'truthy' },
+          severity: 'major',
+          message: 'Current drug use - must cease and demonstrate sobriety period',
+          points: 20
+        }
+      ]
+    }
+  ],
+  combinations: [
+    {
+      id: 'major',
+      mode: 'first',
+      rules: [
+        {
+          id: 'lenient.combo.multiple-major',
+          when: { field: 'counts.major', op: 'gte', value: 2 },
+          severity: 'major',
+          message: 'Multiple major issues - lenient clinics will need extensive evaluation',
+          points: 11
+        },
+        {
+          id: 'lenient.combo.one-major',
+          when: { field: 'counts.major', op: 'gte', value: 1 },
+          points: 6
+        }
+      ]
+    },
+    {
+      id: 'combinations',
+      mode: 'all',
+      rules: [
+        {
+          id: 'lenient.combo.three-moderate',
+          when: { field: 'counts.moderate', op: 'gte', value: 3 },
+          severity: 'moderate',
+          message: '3+ moderate factors - case-by-case review with physician approval',
+          points: 8
+        },
+        {
+          id: 'lenient.combo.three-minor',
+          when: { field: 'counts.minor', op: 'gte', value: 3 },
+          points: 5
+        },
+        {
+          id: 'lenient.combo.four-plus',
+          when: { field: 'counts.total', op: 'gte', value: 4 },
+          severity: 'minor',
+          message: '4+ risk factors - lenient clinics will review overall health picture',
+          points: 6
+        }
+      ]
+    }
+  ]
+};
+
+/**
+ * Generic clinic-type profiles (always registered)
+ */
+export const CLINIC_TYPE_PROFILES = [STRICT_PROFILE, MODERATE_PROFILE, LENIENT_PROFILE];
+
+/**
+ * Named clinics the agency works with
+ * Add each clinic's published cutoffs here (see PROFILE SHAPE above) or
+ * register them at runtime with registerClinicProfile()/loadClinicProfiles().
+ */
+export const NAMED_CLINIC_PROFILES = [];
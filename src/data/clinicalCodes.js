@@ -0,0 +1,212 @@
+/**
+ * Clinical Codes
+ * The coded vocabularies structured records use (C-CDA, FHIR) and what each
+ * code means in the candidate data. Used to read coded entries
+ * (utils/ccdaImporter.js) instead of guessing from their display text.
+ *
+ * Condition and psychological codes list SNOMED CT concepts and ICD-10-CM
+ * categories. ICD-10-CM entries are prefixes: 'O24.4' matches O24.410 and
+ * O24.419, 'E11' every type 2 diabetes code. Lab, vital sign and pregnancy
+ * history observations are keyed by LOINC; deliveries and bariatric surgery
+ * by SNOMED CT procedure and CPT codes.
+ *
+ * The codes findings and reports carry for each key are in terminology.js.
+ */
+
+export const CODE_SYSTEMS = {
+  SNOMED: { id: 'snomed', name: 'SNOMED CT', oid: '2.16.840.1.113883.6.96', uri: 'http://snomed.info/sct' },
+  ICD10: { id: 'icd10', name: 'ICD-10-CM', oid: '2.16.840.1.113883.6.90', uri: 'http://hl7.org/fhir/sid/icd-10-cm' },
+  LOINC: { id: 'loinc', name: 'LOINC', oid: '2.16.840.1.113883.6.1', uri: 'http://loinc.org' },
+  RXNORM: { id: 'rxnorm', name: 'RxNorm', oid: '2.16.840.1.113883.6.88', uri: 'http://www.nlm.nih.gov/research/umls/rxnorm' },
+  CPT: { id: 'cpt', name: 'CPT', oid: '2.16.840.1.113883.6.12', uri: 'http://www.ama-assn.org/go/cpt' },
+  INTERPRETATION: {
+    id: 'interpretation',
+    name: 'HL7 Observation Interpretation',
+    oid: '2.16.840.1.113883.5.83',
+    uri: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation'
+  }
+};
+
+/**
+ * The code system with an OID (C-CDA codeSystem) or URI (FHIR system)
+ * @returns {Object|null} One of CODE_SYSTEMS
+ */
+export function findCodeSystem(identifier) {
+  if (!identifier) return null;
+  const normalized = identifier.replace(/^urn:oid:/, '');
+  return Object.values(CODE_SYSTEMS).find(system => system.oid === normalized || system.uri === normalized) || null;
+}
+
+// medicalConditions entries (see textParser.js)
+export const CONDITION_CODES = {
+  gestational_diabetes: { snomed: ['11687002', '40801000119106'], icd10: ['O24.4', 'Z86.32'] },
+  diabetes: { snomed: ['73211009', '44054006', '46635009'], icd10: ['E08', 'E09', 'E10', 'E11', 'E13', 'O24.0', 'O24.1'] },
+  hypertension: { snomed: ['38341003', '59621000'], icd10: ['I10', 'I11', 'I12', 'I13', 'I15', 'O10'] },
+  pregnancy_hypertension: { snomed: ['48194001'], icd10: ['O13', 'O16'] },
+  preeclampsia: { snomed: ['398254007', '15938005', '46764007'], icd10: ['O11', 'O14', 'O15'] },
+  thyroid_disorder: { snomed: ['14304000', '40930008', '34486009', '21983002'], icd10: ['E01', 'E02', 'E03', 'E05', 'E06'] },
+  autoimmune_disease: { snomed: ['85828009', '55464009', '69896004', '24700007'], icd10: ['M05', 'M06', 'M32', 'M33', 'M34', 'M35.0', 'G35'] },
+  pulmonary_hypertension: { snomed: ['70995007'], icd10: ['I27'] },
+  cardiac_disease: { snomed: ['56265001', '53741008', '84114007', '85898001'], icd10: ['I05', 'I06', 'I07', 'I08', 'I20', 'I21', 'I22', 'I25', 'I34', 'I35', 'I42', 'I50', 'Q20', 'Q21', 'Q22', 'Q23', 'Q24', 'Q25', 'O99.4'] },
+  kidney_disease: { snomed: ['90708001', '709044004'], icd10: ['N03', 'N04', 'N05', 'N18', 'N25', 'Q61'] },
+  asthma: { snomed: ['195967001'], icd10: ['J45'] },
+  cancer: { snomed: ['363346000'], icd10: ['C', 'Z85'] },
+  IUGR: { snomed: ['22033007'], icd10: ['O36.59'] },
+  placenta_previa: { snomed: ['36813001'], icd10: ['O44'] },
+  placental_abruption: { snomed: ['415105001'], icd10: ['O45'] },
+  postpartum_hemorrhage: { snomed: ['47821001'], icd10: ['O72'] },
+  gerd: { snomed: ['235595009'], icd10: ['K21'] },
+  gastroparesis: { snomed: ['235675006'], icd10: ['K31.84'] },
+  hyperemesis: { snomed: ['14094001'], icd10: ['O21.0', 'O21.1', 'O21.2'] },
+  gallstones: { snomed: ['266474003'], icd10: ['K80'] },
+  gastritis: { snomed: ['4556007'], icd10: ['K29'] },
+  bariatric_surgery: { icd10: ['Z98.84'] }
+};
+
+// psychological flags (see assessments/psychologicalAssessment.js)
+export const PSYCHOLOGICAL_CODES = {
+  historyOfMajorDepression: { snomed: ['370143000', '36923009', '35489007'], icd10: ['F32', 'F33', 'F53.0'] },
+  historyOfBipolarDisorder: { snomed: ['13746004'], icd10: ['F31'] },
+  historyOfPsychosis: { snomed: ['69322001', '58214004'], icd10: ['F20', 'F22', 'F23', 'F25', 'F28', 'F29', 'F53.1'] },
+  historyOfAnxietyDisorder: { snomed: ['197480006', '21897009', '47505003'], icd10: ['F40', 'F41', 'F43.1'] },
+  historyOfEatingDisorder: { snomed: ['72366004', '56882008', '78004001'], icd10: ['F50'] },
+  historyOfSubstanceAbuse: { snomed: ['66214007', '7200002', '26416006'], icd10: ['F10', 'F11', 'F12', 'F13', 'F14', 'F15', 'F16', 'F18', 'F19'] }
+};
+
+// Conditions of a past pregnancy (or a past surgery) count even when resolved;
+// the rest count only while active (textParser.js, ccdaImporter.js)
+export const PAST_EVENT_CONDITIONS = [
+  'gestational_diabetes', 'pregnancy_hypertension', 'preeclampsia', 'IUGR', 'placenta_previa',
+  'placental_abruption', 'postpartum_hemorrhage', 'hyperemesis', 'bariatric_surgery'
+];
+
+// pregnancyHistory.complications category of each pregnancy complication condition
+// (the categories textParser.js and claudeParser.js use; gestational hypertension has none there)
+export const COMPLICATION_CATEGORIES = {
+  gestational_diabetes: 'gestational_diabetes',
+  preeclampsia: 'preeclampsia',
+  pregnancy_hypertension: 'pregnancy_hypertension',
+  IUGR: 'iugr',
+  placenta_previa: 'placental_issues',
+  placental_abruption: 'placental_issues',
+  postpartum_hemorrhage: 'hemorrhage',
+  hyperemesis: 'hyperemesis'
+};
+
+// labValues entries (see pregnancyMedicalParser.js extractLabValues()), by LOINC
+export const LAB_CODES = {
+  hemoglobin: { loinc: ['718-7', '30313-1', '20509-6'] },
+  hematocrit: { loinc: ['4544-3', '20570-8'] },
+  hba1c: { loinc: ['4548-4', '17856-6', '41995-2'] },
+  glucose: { loinc: ['2345-7', '2339-0', '41653-7'] },
+  fastingGlucose: { loinc: ['1558-6'], lab: 'glucose', qualifier: 'fasting' },
+  tsh: { loinc: ['3016-3', '11580-8'] }
+};
+
+// Vital signs, by LOINC
+export const VITAL_SIGN_CODES = {
+  systolic: ['8480-6'],
+  diastolic: ['8462-4'],
+  bloodPressurePanel: ['85354-9', '55284-4'],
+  bmi: ['39156-5'],
+  weight: ['29463-7', '3141-9'],
+  height: ['8302-2', '3137-7']
+};
+
+// infectiousDiseaseTests entries, by LOINC
+export const INFECTIOUS_DISEASE_TEST_CODES = {
+  'HIV-1': ['7917-8', '68961-2', '56888-1', '75622-1', '29893-5'],
+  'HIV-2': ['30361-0'],
+  'Hepatitis-B-surface-antigen': ['5196-1', '5195-3'],
+  'Hepatitis-C-antibody': ['16128-1', '13955-0'],
+  syphilis: ['20507-0', '5292-8', '22587-0'],
+  gonorrhea: ['24111-7', '43305-2'],
+  chlamydia: ['21613-5', '43304-5']
+};
+
+// Coded results of those tests: SNOMED CT values, then interpretation codes
+export const TEST_RESULT_CODES = {
+  negative: { snomed: ['260385009', '131194007', '260415000'], interpretation: ['NEG', 'N', 'ND'] },
+  positive: { snomed: ['10828004', '260373001', '52101004'], interpretation: ['POS', 'A', 'DET', 'H', 'HH'] }
+};
+
+// Obstetric history counts, by LOINC; para (or term births) gives the number of deliveries
+export const PREGNANCY_HISTORY_CODES = {
+  gravida: ['11996-6'],
+  para: ['11977-6'],
+  termBirths: ['11639-6'],
+  pretermBirths: ['11637-0'],
+  abortions: ['11612-3'],
+  livingChildren: ['11638-8']
+};
+
+// Delivery procedures: SNOMED CT and CPT (CPT 59610-59614 are VBACs, so vaginal)
+export const DELIVERY_PROCEDURE_CODES = {
+  cesarean: {
+    snomed: ['11466000', '177141003', '84195007', '274130007'],
+    cpt: ['59510', '59514', '59515', '59618', '59620', '59622']
+  },
+  vaginal: {
+    snomed: ['48782003', '177184002', '289259007', '302383004'],
+    cpt: ['59400', '59409', '59410', '59610', '59612', '59614']
+  }
+};
+
+// Bariatric procedures, for records that list the surgery rather than the Z98.84 status
+export const BARIATRIC_PROCEDURE_CODES = {
+  cpt: ['43644', '43645', '43770', '43775', '43846', '43847']
+};
+
+// Tobacco smoking status (LOINC 72166-2) values
+export const SMOKING_STATUS_CODES = {
+  observation: ['72166-2'],
+  current: ['449868002', '428041000124106', '428061000124105', '428071000124103', '77176002', '65568007'],
+  notCurrent: ['8517006', '266919005']
+};
+
+// Dosing periods, in hours, as the medication parser words them
+export const DOSING_FREQUENCIES = { 24: 'daily', 12: 'twice daily', 8: 'three times daily', 6: 'four times daily', 48: 'every other day', 168: 'weekly' };
+
+// UCUM time units (C-CDA PIVL_TS periods, FHIR Timing), in hours
+export const TIME_UNIT_HOURS = { s: 1 / 3600, min: 1 / 60, h: 1, d: 24, wk: 168 };
+
+// C-CDA sections, by LOINC section code
+export const CCDA_SECTIONS = {
+  problems: ['11450-4'],
+  pastHistory: ['11348-0'],
+  medications: ['10160-0', '29549-3'],
+  results: ['30954-2'],
+  vitalSigns: ['8716-3'],
+  procedures: ['47519-4'],
+  socialHistory: ['29762-2'],
+  pregnancy: ['10162-6', '57073-9', '90767-5'],
+  familyHistory: ['10157-6'],
+  allergies: ['48765-2']
+};
+
+const normalizeIcd10 = code => code.toUpperCase().replace(/\./g, '');
+
+/**
+ * Whether a code is listed in a code table entry
+ * @param {Object} entry - { snomed, icd10, loinc, cpt, ... } lists of codes
+ * @param {Object} coding - { system (one of CODE_SYSTEMS' ids), code }
+ */
+export function matchesCode(entry, coding) {
+  const codes = entry?.[coding.system];
+  if (!codes || !coding.code) return false;
+  if (coding.system === CODE_SYSTEMS.ICD10.id) {
+    const code = normalizeIcd10(coding.code);
+    return codes.some(prefix => code.startsWith(normalizeIcd10(prefix)));
+  }
+  return codes.includes(coding.code);
+}
+
+/**
+ * The key of the first table entry any of the codings matches
+ * @param {Object} table - { key: { snomed, icd10, ... } }
+ * @param {Array} codings - [{ system, code }]
+ * @returns {string|null}
+ */
+export function findCodedKey(table, codings) {
+  return Object.keys(table).find(key => codings.some(coding => matchesCode(table[key], coding))) || null;
+}
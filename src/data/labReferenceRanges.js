@@ -0,0 +1,241 @@
+/**
+ * Lab Reference Ranges
+ * Screening thresholds used to interpret a candidate's lab values and vital
+ * signs (see assessments/labInterpretation.js)
+ *
+ * Each lab has a canonical unit, conversions from other reported units
+ * (canonical = value * factor + offset) and bands checked in order:
+ *   - below:  value < below
+ *   - atMost: value <= atMost
+ *   - a band with neither bound catches everything above the previous one
+ *
+ * `inferUnit` picks the unit when the record gives none, based on magnitude
+ * (e.g. a glucose of 5.4 can only be mmol/L).
+ *
+ * Significance: normal | borderline (counsel / recheck before transfer) |
+ * abnormal (needs treatment or specialist clearance before transfer)
+ */
+
+export const LAB_REFERENCE_RANGES = {
+  hba1c: {
+    name: 'HbA1c',
+    unit: '%',
+    conversions: {
+      // IFCC → NGSP master equation
+      'mmol/mol': { factor: 0.09148, offset: 2.152 }
+    },
+    inferUnit: { above: 20, unit: 'mmol/mol' },
+    decimals: 1,
+    source: 'ADA Standards of Care: Diagnosis and Classification of Diabetes',
+    bands: [
+      { below: 5.7, category: 'normal', label: 'normal', significance: 'normal' },
+      {
+        below: 6.5,
+        category: 'prediabetes',
+        label: 'prediabetes range',
+        significance: 'borderline',
+        guidance: 'early glucose tolerance testing in pregnancy is usually required'
+      },
+      {
+        category: 'diabetes_range',
+        label: 'diabetes range',
+        significance: 'abnormal',
+        guidance: 'needs diagnosis and glycemic control before transfer'
+      }
+    ]
+  },
+
+  glucose: {
+    name: 'Glucose',
+    unit: 'mg/dL',
+    conversions: {
+      'mmol/L': { factor: 18.016 }
+    },
+    inferUnit: { below: 35, unit: 'mmol/L' },
+    decimals: 0,
+    source: 'ADA Standards of Care: Diagnosis and Classification of Diabetes',
+    // Used when the record says the sample was fasting
+    fastingBands: [
+      {
+        below: 70,
+        category: 'low_glucose',
+        label: 'below fasting range',
+        significance: 'borderline',
+        guidance: 'repeat to confirm'
+      },
+      { below: 100, category: 'normal', label: 'normal fasting', significance: 'normal' },
+      {
+        below: 126,
+        category: 'impaired_fasting_glucose',
+        label: 'impaired fasting glucose (prediabetes range)',
+        significance: 'borderline',
+        guidance: 'confirm with HbA1c; early glucose tolerance testing in pregnancy is usually required'
+      },
+      {
+        category: 'diabetes_range',
+        label: 'diabetes range',
+        significance: 'abnormal',
+        guidance: 'needs diagnosis and glycemic control before transfer'
+      }
+    ],
+    bands: [
+      {
+        below: 70,
+        category: 'low_glucose',
+        label: 'below normal range',
+        significance: 'borderline',
+        guidance: 'repeat to confirm'
+      },
+      { below: 140, category: 'normal', label: 'normal', significance: 'normal' },
+      {
+        below: 200,
+        category: 'elevated_glucose',
+        label: 'elevated (non-fasting)',
+        significance: 'borderline',
+        guidance: 'confirm with a fasting glucose or HbA1c'
+      },
+      {
+        category: 'diabetes_range',
+        label: 'diabetes range',
+        significance: 'abnormal',
+        guidance: 'needs diagnosis and glycemic control before transfer'
+      }
+    ]
+  },
+
+  tsh: {
+    name: 'TSH',
+    unit: 'mIU/L',
+    conversions: {},
+    decimals: 2,
+    source: 'ATA 2017 Guidelines for Thyroid Disease During Pregnancy; ASRM 2024 Subclinical Hypothyroidism in the Infertile Female',
+    bands: [
+      {
+        below: 0.1,
+        category: 'low_tsh',
+        label: 'suppressed (possible hyperthyroidism)',
+        significance: 'abnormal',
+        guidance: 'needs free T4 and endocrine evaluation before transfer'
+      },
+      { atMost: 2.5, category: 'normal', label: 'normal', significance: 'normal' },
+      {
+        atMost: 4,
+        category: 'above_preconception_target',
+        label: 'above the 2.5 mIU/L preconception target',
+        significance: 'borderline',
+        guidance: 'many clinics start or adjust levothyroxine before transfer'
+      },
+      {
+        atMost: 10,
+        category: 'elevated_tsh',
+        label: 'elevated (subclinical hypothyroidism)',
+        significance: 'abnormal',
+        guidance: 'treat and recheck before transfer'
+      },
+      {
+        category: 'overt_hypothyroidism',
+        label: 'markedly elevated (overt hypothyroidism)',
+        significance: 'abnormal',
+        guidance: 'must be treated and controlled before transfer'
+      }
+    ]
+  },
+
+  hemoglobin: {
+    name: 'Hemoglobin',
+    unit: 'g/dL',
+    conversions: {
+      'g/L': { factor: 0.1 }
+    },
+    inferUnit: { above: 30, unit: 'g/L' },
+    decimals: 1,
+    source: 'WHO 2024 hemoglobin thresholds in pregnancy; ACOG Practice Bulletin 233',
+    bands: [
+      {
+        below: 7,
+        category: 'severe_anemia',
+        label: 'severe anemia',
+        significance: 'abnormal',
+        guidance: 'needs hematology workup and correction before transfer'
+      },
+      {
+        below: 10,
+        category: 'moderate_anemia',
+        label: 'moderate anemia',
+        significance: 'abnormal',
+        guidance: 'needs iron studies and correction before transfer'
+      },
+      {
+        below: 11,
+        category: 'mild_anemia',
+        label: 'mild anemia',
+        significance: 'borderline',
+        guidance: 'iron supplementation and recheck before transfer'
+      },
+      { category: 'normal', label: 'normal', significance: 'normal' }
+    ]
+  },
+
+  hematocrit: {
+    name: 'Hematocrit',
+    unit: '%',
+    conversions: {
+      fraction: { factor: 100 }
+    },
+    inferUnit: { below: 1, unit: 'fraction' },
+    decimals: 1,
+    source: 'CDC anemia thresholds in pregnancy',
+    bands: [
+      {
+        below: 33,
+        category: 'low_hematocrit',
+        label: 'low (anemia)',
+        significance: 'borderline',
+        guidance: 'iron studies and recheck before transfer'
+      },
+      { category: 'normal', label: 'normal', significance: 'normal' }
+    ]
+  }
+};
+
+/**
+ * Blood pressure categories, checked highest first
+ * A reading falls in a category when systolic >= `systolic` or
+ * diastolic >= `diastolic` (ACC/AHA 2017; severe range per ACOG).
+ */
+export const BLOOD_PRESSURE_CATEGORIES = [
+  {
+    systolic: 160,
+    diastolic: 110,
+    category: 'severe_range_bp',
+    label: 'severe-range hypertension',
+    significance: 'abnormal',
+    guidance: 'needs urgent evaluation; not a candidate until controlled'
+  },
+  {
+    systolic: 140,
+    diastolic: 90,
+    category: 'hypertension_stage_2',
+    label: 'stage 2 hypertension range',
+    significance: 'abnormal',
+    guidance: 'needs evaluation for chronic hypertension and control before transfer'
+  },
+  {
+    systolic: 130,
+    diastolic: 80,
+    category: 'hypertension_stage_1',
+    label: 'stage 1 hypertension range',
+    significance: 'borderline',
+    guidance: 'recheck; repeated readings suggest chronic hypertension'
+  },
+  {
+    systolic: 120,
+    category: 'elevated_bp',
+    label: 'elevated',
+    significance: 'borderline',
+    guidance: 'recheck before transfer'
+  },
+  { category: 'normal', label: 'normal', significance: 'normal' }
+];
+
+export const BLOOD_PRESSURE_SOURCE = 'ACC/AHA 2017 Blood Pressure Guideline; ACOG Practice Bulletin 203';
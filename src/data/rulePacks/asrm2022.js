@@ -0,0 +1,763 @@
+/**
+ * ASRM 2022 Rule Pack
+ * Default screening thresholds for gestational carrier candidates
+ *
+ * Each group is evaluated by the rule engine (assessments/ruleEngine.js):
+ *   - mode 'first': only the first matching rule applies (threshold bands)
+ *   - mode 'all':   every matching rule applies (independent checks)
+ *   - forEach:      rules are evaluated once per item of the named fact
+ *   - otherwise:    result used when no rule in the group matched
+ *
+ * Messages may reference facts with {field}, {field|humanize} or {field|join}.
+ * `terms` name what a finding is about, so it can carry ICD-10-CM and SNOMED CT
+ * codes (data/terminology.js).
+ */
+
+export const ASRM_2022_RULE_PACK = {
+  id: 'asrm-2022',
+  name: 'ASRM 2022',
+  version: '1.8.0',
+  description: 'ASRM 2022 recommendations for practices using gestational carriers, with common program BMI limits',
+
+  lists: {
+    disqualifyingConditions: [
+      'absence_of_uterus',
+      'pulmonary_hypertension',
+      'severe_cardiac_disease',
+      'uncontrolled_diabetes',
+      'active_cancer'
+    ],
+    concerningConditions: [
+      'hypertension',
+      'controlled_diabetes',
+      'thyroid_disorder',
+      'autoimmune_disease',
+      'kidney_disease'
+    ],
+    // Lab categories from data/labReferenceRanges.js
+    highRiskLabFindings: [
+      'diabetes_range',
+      'severe_range_bp',
+      'hypertension_stage_2',
+      'severe_anemia',
+      'overt_hypothyroidism'
+    ],
+    recheckLabFindings: [
+      'elevated_bp',
+      'low_glucose'
+    ],
+    requiredInfectiousTests: [
+      'HIV-1', 'HIV-2', 'HIV-group-O',
+      'Hepatitis-B-surface-antigen', 'Hepatitis-B-core-antibody',
+      'Hepatitis-C-antibody',
+      'syphilis', 'gonorrhea', 'chlamydia'
+    ],
+    disqualifyingPositiveTests: [
+      'HIV-1', 'HIV-2', 'HIV-group-O',
+      'Hepatitis-B-surface-antigen', 'Hepatitis-C-antibody'
+    ],
+    treatablePositiveTests: [
+      'syphilis', 'gonorrhea', 'chlamydia'
+    ]
+  },
+
+  groups: {
+    age: {
+      category: 'AGE',
+      mode: 'first',
+      rules: [
+        {
+          id: 'age.below-legal',
+          when: { any: [{ field: 'age', op: 'falsy' }, { field: 'age', op: 'lt', value: 18 }] },
+          status: 'DISQUALIFIED',
+          message: 'Candidate must be of legal age (18+)',
+          guideline: 'ASRM 2022: Carriers must be of legal age'
+        },
+        {
+          id: 'age.below-preferred',
+          when: { field: 'age', op: 'lt', value: 21 },
+          status: 'HIGH_RISK',
+          message: 'Candidate is below preferred minimum age of 21',
+          guideline: 'ASRM 2022: Preferably between ages 21-45'
+        },
+        {
+          id: 'age.ideal',
+          when: { field: 'age', op: 'lte', value: 35 },
+          status: 'ELIGIBLE',
+          message: 'Age is within ideal range',
+          guideline: 'ASRM 2022: Ideally younger than 35'
+        },
+        {
+          id: 'age.above-ideal',
+          when: { field: 'age', op: 'lte', value: 45 },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Age is acceptable but above ideal range. Counseling recommended regarding pregnancy risks with advancing maternal age.',
+          guideline: 'ASRM 2022: Preferably between 21-45, ideally <35'
+        },
+        {
+          id: 'age.above-maximum',
+          when: { field: 'age', op: 'gt', value: 45 },
+          status: 'HIGH_RISK',
+          message: 'Age exceeds standard maximum. All parties must be informed about potential risks of pregnancy with advancing maternal age.',
+          guideline: 'ASRM 2022: Certain situations may dictate use of carrier >45, but all parties must be informed of risks'
+        }
+      ]
+    },
+
+    termPregnancy: {
+      category: 'PREGNANCY_HISTORY',
+      mode: 'first',
+      rules: [
+        {
+          // Coded deliveries without a gestational age or term-birth count leave the
+          // term count null (codedRecordBuilder.js); a count never given stays undefined
+          id: 'pregnancy.term-status-unknown',
+          when: {
+            all: [
+              { field: 'hasCompletedPregnancy', op: 'truthy' },
+              { field: 'numberOfTermPregnancies', op: 'eq', value: null }
+            ]
+          },
+          status: 'REQUIRES_COUNSELING',
+          message: '{totalDeliveries} delivery(ies) on record, but not whether any was at term - obtain delivery records with gestational age',
+          guideline: 'ASRM 2022: Carrier should have had at least one term pregnancy'
+        },
+        {
+          id: 'pregnancy.no-term-pregnancy',
+          when: {
+            any: [
+              { field: 'hasCompletedPregnancy', op: 'falsy' },
+              { field: 'numberOfTermPregnancies', op: 'lt', value: 1 }
+            ]
+          },
+          status: 'HIGH_RISK',
+          message: 'No previous term pregnancy - ASRM strongly recommends at least one. Very rarely accepted by any clinic.',
+          guideline: 'ASRM 2022: Carrier should have had at least one term pregnancy'
+        },
+        {
+          id: 'pregnancy.term-pregnancy',
+          status: 'ELIGIBLE',
+          message: 'Has completed at least one term pregnancy',
+          guideline: 'ASRM 2022: Minimum one term pregnancy required'
+        }
+      ]
+    },
+
+    obstetricHistory: {
+      category: 'PREGNANCY_HISTORY',
+      mode: 'all',
+      rules: [
+        {
+          id: 'pregnancy.complications',
+          when: {
+            all: [
+              { field: 'numberOfComplications', op: 'gt', value: 0 },
+              { not: { field: 'timeline.complicationsResolved', op: 'truthy' } }
+            ]
+          },
+          status: 'HIGH_RISK',
+          message: 'Previous pregnancy complications detected. Requires thorough medical evaluation.',
+          guideline: 'ASRM 2022: Pregnancy should be uncomplicated',
+          terms: ['{complicationCategories}']
+        },
+        {
+          id: 'pregnancy.complications-resolved',
+          when: {
+            all: [
+              { field: 'numberOfComplications', op: 'gt', value: 0 },
+              { field: 'timeline.complicationsResolved', op: 'truthy' }
+            ]
+          },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Complications in an earlier pregnancy, but the most recent pregnancy ({timeline.mostRecent.label}) was an uncomplicated term delivery. Review records of the complicated pregnancy.',
+          guideline: 'ASRM 2022: Pregnancy should be uncomplicated',
+          terms: ['{complicationCategories}']
+        },
+        {
+          id: 'pregnancy.max-deliveries',
+          when: { field: 'totalDeliveries', op: 'gt', value: 5 },
+          status: 'HIGH_RISK',
+          message: 'Candidate has had more than 5 previous deliveries',
+          guideline: 'ASRM 2022: Ideally no more than 5 previous deliveries'
+        },
+        {
+          id: 'pregnancy.max-cesareans',
+          when: { field: 'numberOfCesareans', op: 'gt', value: 3 },
+          status: 'HIGH_RISK',
+          message: 'Candidate has had more than 3 cesarean sections',
+          guideline: 'ASRM 2022: Ideally no more than 3 cesarean deliveries',
+          terms: ['cesarean']
+        }
+      ]
+    },
+
+    // Facts come from summarizeTimeline() (assessments/obstetricTimeline.js)
+    obstetricTimeline: {
+      category: 'PREGNANCY_HISTORY',
+      mode: 'all',
+      when: { field: 'known', op: 'truthy' },
+      rules: [
+        {
+          id: 'pregnancy.timeline.recent-preterm',
+          when: { field: 'mostRecent.preterm', op: 'truthy' },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Most recent delivery ({mostRecent.label}) was preterm at {mostRecent.gestationalAgeWeeks} weeks - review cause and recurrence risk',
+          guideline: 'ASRM 2022: Carrier should have had at least one uncomplicated term pregnancy',
+          terms: ['preterm_birth']
+        },
+        {
+          id: 'pregnancy.timeline.successful-vbac',
+          when: {
+            all: [
+              { field: 'successfulVbac', op: 'truthy' },
+              { field: 'cesareanAfterVbac', op: 'falsy' }
+            ]
+          },
+          status: 'ELIGIBLE',
+          message: 'Successful vaginal birth after cesarean (VBAC)',
+          guideline: 'ACOG Practice Bulletin No. 205: Prior VBAC is the strongest predictor of a further successful VBAC',
+          terms: ['vbac']
+        },
+        {
+          id: 'pregnancy.timeline.prior-surrogacy',
+          when: { field: 'uncomplicatedSurrogacyJourneys', op: 'gt', value: 0 },
+          status: 'ELIGIBLE',
+          message: 'Previous uncomplicated gestational carrier journey',
+          guideline: 'ASRM 2022: Carrier should have had at least one uncomplicated term pregnancy'
+        }
+      ]
+    },
+
+    // Facts come from summarizeTimeline().deliveryTerms, which also covers records
+    // that give gestational ages at delivery without numbering the pregnancies.
+    // The most recent timeline delivery is handled by pregnancy.timeline.recent-preterm.
+    deliveryTerms: {
+      category: 'PREGNANCY_HISTORY',
+      mode: 'first',
+      forEach: 'deliveryTerms',
+      rules: [
+        {
+          id: 'pregnancy.term.recent-preterm',
+          when: {
+            all: [
+              { field: 'item.latest', op: 'truthy' },
+              { field: 'item.preterm', op: 'truthy' },
+              { field: 'item.source', op: 'eq', value: 'record' }
+            ]
+          },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Most recent delivery ({item.label}) was {item.termLabel} at {item.gestationalAgeWeeks} weeks - review cause and recurrence risk',
+          guideline: 'ASRM 2022: Carrier should have had at least one uncomplicated term pregnancy',
+          terms: ['preterm_birth']
+        },
+        {
+          id: 'pregnancy.term.early-preterm',
+          when: {
+            all: [
+              { field: 'item.latest', op: 'falsy' },
+              { field: 'item.termCategory', op: 'eq', value: 'early_preterm' }
+            ]
+          },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Earlier delivery ({item.label}) was early preterm at {item.gestationalAgeWeeks} weeks - review cause and recurrence risk',
+          guideline: 'ACOG Practice Bulletin No. 234: Prior spontaneous preterm birth is the strongest predictor of recurrence',
+          terms: ['preterm_birth']
+        }
+      ]
+    },
+
+    // Facts come from getDeliveryInterval() (assessments/deliveryInterval.js)
+    deliveryInterval: {
+      category: 'PREGNANCY_HISTORY',
+      mode: 'first',
+      when: { field: 'known', op: 'truthy' },
+      rules: [
+        {
+          id: 'pregnancy.interval.under-6-months',
+          when: { field: 'monthsSinceDelivery', op: 'lt', value: 6 },
+          status: 'HIGH_RISK',
+          message: 'Only {monthsSinceDelivery} months since last delivery - intervals under 6 months carry significant maternal and fetal risk',
+          guideline: 'ACOG Obstetric Care Consensus No. 8 (2019): Avoid interpregnancy intervals shorter than 6 months'
+        },
+        {
+          id: 'pregnancy.interval.after-cesarean',
+          when: {
+            all: [
+              { field: 'afterCesarean', op: 'truthy' },
+              { field: 'monthsSinceDelivery', op: 'lt', value: 18 }
+            ]
+          },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Only {monthsSinceDelivery} months since last cesarean - counsel on uterine rupture risk with intervals under 18 months',
+          guideline: 'ACOG Obstetric Care Consensus No. 8 (2019): Counsel on risks of intervals shorter than 18 months',
+          terms: ['cesarean']
+        },
+        {
+          id: 'pregnancy.interval.under-12-months',
+          when: { field: 'monthsSinceDelivery', op: 'lt', value: 12 },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Only {monthsSinceDelivery} months since last delivery - most clinics require at least 12 months',
+          guideline: 'ACOG Obstetric Care Consensus No. 8 (2019): Counsel on risks of intervals shorter than 18 months'
+        }
+      ]
+    },
+
+    noMedicalConditions: {
+      category: 'MEDICAL',
+      mode: 'first',
+      rules: [
+        {
+          id: 'medical.none-reported',
+          when: { field: 'conditions', op: 'isEmpty' },
+          status: 'ELIGIBLE',
+          message: 'No reported medical conditions',
+          guideline: 'ASRM 2022: Complete medical evaluation required'
+        }
+      ]
+    },
+
+    medicalConditions: {
+      category: 'MEDICAL',
+      mode: 'first',
+      forEach: 'conditions',
+      rules: [
+        {
+          id: 'medical.serious-condition',
+          when: { field: 'item', op: 'in', list: 'disqualifyingConditions' },
+          status: 'HIGH_RISK',
+          message: 'Serious medical condition: {item|humanize} - virtually all clinics will decline',
+          guideline: 'ASRM 2022: Serious medical condition that poses significant risk',
+          terms: ['{item}']
+        },
+        {
+          id: 'medical.concerning-condition',
+          when: { field: 'item', op: 'in', list: 'concerningConditions' },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Medical condition requiring evaluation: {item|humanize}',
+          guideline: 'ASRM 2022: Requires thorough medical evaluation and clearance',
+          terms: ['{item}']
+        }
+      ]
+    },
+
+    // Facts: interpretLabValues() (assessments/labInterpretation.js)
+    labValues: {
+      category: 'MEDICAL',
+      mode: 'first',
+      forEach: 'findings',
+      rules: [
+        {
+          id: 'medical.lab.high-risk',
+          when: { field: 'item.category', op: 'in', list: 'highRiskLabFindings' },
+          status: 'HIGH_RISK',
+          message: '{item.message} - {item.guidance}',
+          guideline: 'ASRM 2022: Serious medical condition that poses significant risk'
+        },
+        {
+          id: 'medical.lab.recheck',
+          when: { field: 'item.category', op: 'in', list: 'recheckLabFindings' },
+          status: 'ELIGIBLE',
+          message: '{item.message} - {item.guidance}',
+          guideline: 'ASRM 2022: Complete medical evaluation required'
+        },
+        {
+          id: 'medical.lab.out-of-range',
+          status: 'REQUIRES_COUNSELING',
+          message: '{item.message} - {item.guidance}',
+          guideline: 'ASRM 2022: Requires thorough medical evaluation and clearance'
+        }
+      ]
+    },
+
+    // Facts: analyzeBloodPressureTrend() (assessments/bloodPressureTrend.js)
+    bloodPressureTrend: {
+      category: 'MEDICAL',
+      mode: 'first',
+      forEach: 'findings',
+      rules: [
+        {
+          id: 'medical.bp.severe-range',
+          when: {
+            all: [
+              { field: 'item.id', op: 'eq', value: 'severe_range_bp' },
+              { field: 'item.duringPregnancy', op: 'falsy' }
+            ]
+          },
+          status: 'HIGH_RISK',
+          message: '{item.message} - {item.guidance}',
+          guideline: 'ASRM 2022: Serious medical condition that poses significant risk'
+        },
+        {
+          id: 'medical.bp.chronic-hypertension',
+          when: { field: 'item.id', op: 'eq', value: 'chronic_hypertension_suspected' },
+          status: 'REQUIRES_COUNSELING',
+          message: '{item.message} - {item.guidance}',
+          guideline: 'ASRM 2022: Requires thorough medical evaluation and clearance',
+          terms: ['hypertension']
+        },
+        {
+          id: 'medical.bp.out-of-range',
+          status: 'REQUIRES_COUNSELING',
+          message: '{item.message} - {item.guidance}',
+          guideline: 'ASRM 2022: Complete medical evaluation required'
+        }
+      ]
+    },
+
+    infectiousDiseaseMissing: {
+      category: 'INFECTIOUS_DISEASE',
+      mode: 'all',
+      rules: [
+        {
+          id: 'infectious.missing-tests',
+          when: { field: 'missingTests', op: 'notEmpty' },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Missing required infectious disease tests: {missingTests|join}',
+          guideline: 'ASRM 2022: All carriers must be tested for infectious diseases'
+        }
+      ]
+    },
+
+    infectiousDiseasePositives: {
+      category: 'INFECTIOUS_DISEASE',
+      mode: 'first',
+      forEach: 'tests',
+      rules: [
+        {
+          id: 'infectious.disqualifying-positive',
+          when: {
+            all: [
+              { field: 'item.result', op: 'eq', value: 'positive' },
+              { field: 'item.name', op: 'in', list: 'disqualifyingPositiveTests' }
+            ]
+          },
+          status: 'HIGH_RISK',
+          message: 'Positive test for {item.name}. Virtually all clinics decline due to transmission risk to fetus.',
+          guideline: 'ASRM 2022: Positive HIV or Hepatitis generally disqualifies candidate'
+        },
+        {
+          id: 'infectious.treatable-positive',
+          when: {
+            all: [
+              { field: 'item.result', op: 'eq', value: 'positive' },
+              { field: 'item.name', op: 'in', list: 'treatablePositiveTests' }
+            ]
+          },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Positive test for {item.name}. Must be treated, retested, and deferred for 3 months after successful treatment.',
+          guideline: 'ASRM 2022: Treatable STIs require treatment and 3-month deferral'
+        }
+      ]
+    },
+
+    infectiousDiseaseClear: {
+      category: 'INFECTIOUS_DISEASE',
+      mode: 'first',
+      rules: [
+        {
+          id: 'infectious.all-negative',
+          status: 'ELIGIBLE',
+          message: 'All infectious disease screening tests negative',
+          guideline: 'ASRM 2022: Comprehensive infectious disease screening completed'
+        }
+      ]
+    },
+
+    psychological: {
+      category: 'PSYCHOLOGICAL',
+      mode: 'all',
+      rules: [
+        {
+          id: 'psych.coercion',
+          when: { field: 'evidenceOfCoercion', op: 'truthy' },
+          status: 'HIGH_RISK',
+          message: 'Evidence of financial or emotional coercion - virtually all clinics will decline for ethical reasons',
+          guideline: 'ASRM 2022: Evidence of coercion disqualifies candidate'
+        },
+        {
+          id: 'psych.current-psychotropic',
+          when: { field: 'currentPsychotropicMedication', op: 'truthy' },
+          status: 'HIGH_RISK',
+          message: 'Current psychoactive medication - most clinics require stable period off medication or cleared by psychiatrist',
+          guideline: 'ASRM 2022: Current psychotropic medication is typically disqualifying'
+        },
+        {
+          id: 'psych.bipolar-or-psychosis',
+          when: {
+            any: [
+              { field: 'historyOfBipolarDisorder', op: 'truthy' },
+              { field: 'historyOfPsychosis', op: 'truthy' }
+            ]
+          },
+          status: 'HIGH_RISK',
+          message: 'History of bipolar disorder or psychosis - most clinics decline due to pregnancy stress risks',
+          guideline: 'ASRM 2022: History of bipolar disorder or psychosis with impaired functioning'
+        },
+        {
+          id: 'psych.major-depression',
+          when: { field: 'historyOfMajorDepression', op: 'truthy' },
+          status: 'HIGH_RISK',
+          message: 'History of major depression requires thorough evaluation and clearance',
+          guideline: 'ASRM 2022: Unresolved or untreated depression is disqualifying'
+        },
+        {
+          id: 'psych.anxiety',
+          when: { field: 'historyOfAnxietyDisorder', op: 'truthy' },
+          status: 'REQUIRES_COUNSELING',
+          message: 'History of anxiety disorder requires evaluation of current functioning',
+          guideline: 'ASRM 2022: Clinically significant anxiety with impaired functioning is disqualifying'
+        },
+        {
+          id: 'psych.substance-abuse',
+          when: { field: 'historyOfSubstanceAbuse', op: 'truthy' },
+          status: 'HIGH_RISK',
+          message: 'History of substance abuse must be resolved and treated',
+          guideline: 'ASRM 2022: Unresolved drug/alcohol abuse is disqualifying'
+        },
+        {
+          id: 'psych.abuse-history',
+          when: { field: 'historyOfAbuse', op: 'truthy' },
+          status: 'REQUIRES_COUNSELING',
+          message: 'History of abuse requires psychological evaluation and treatment',
+          guideline: 'ASRM 2022: Unresolved abuse history is disqualifying'
+        },
+        {
+          id: 'psych.eating-disorder',
+          when: { field: 'historyOfEatingDisorder', op: 'truthy' },
+          status: 'HIGH_RISK',
+          message: 'History of eating disorder must be resolved',
+          guideline: 'ASRM 2022: Unresolved eating disorders are disqualifying'
+        },
+        {
+          id: 'psych.support-system',
+          when: { field: 'adequateSupportSystem', op: 'falsy' },
+          status: 'HIGH_RISK',
+          message: 'Insufficient emotional support system',
+          guideline: 'ASRM 2022: Insufficient emotional support disqualifies candidate'
+        },
+        {
+          id: 'psych.unstable-environment',
+          when: { field: 'stableEnvironment', op: 'falsy' },
+          status: 'HIGH_RISK',
+          message: 'Interpersonal or environmental instability detected',
+          guideline: 'ASRM 2022: Environmental instability or major life stressors are disqualifying'
+        }
+      ],
+      otherwise: {
+        id: 'psych.no-concerns',
+        status: 'ELIGIBLE',
+        message: 'Psychological evaluation completed with no concerning findings',
+        guideline: 'ASRM 2022: Comprehensive psychological evaluation completed'
+      }
+    },
+
+    // Facts: reviewMedications() (assessments/medicationAssessment.js)
+    noMedications: {
+      category: 'MEDICATIONS',
+      mode: 'first',
+      rules: [
+        {
+          id: 'medications.none',
+          when: { field: 'items', op: 'isEmpty' },
+          status: 'ELIGIBLE',
+          message: 'No current medications identified',
+          guideline: 'ASRM 2022: Complete medical evaluation required'
+        }
+      ]
+    },
+
+    medications: {
+      category: 'MEDICATIONS',
+      mode: 'first',
+      forEach: 'items',
+      rules: [
+        {
+          id: 'medications.declined-indication',
+          when: { field: 'item.clinicImpact', op: 'eq', value: 'decline' },
+          status: 'HIGH_RISK',
+          message: 'Current medication {item.displayName} - {item.transferNotes}',
+          guideline: 'ASRM 2022: Serious medical or psychiatric condition that poses significant risk'
+        },
+        {
+          id: 'medications.contraindicated',
+          when: { field: 'item.pregnancySafety', op: 'eq', value: 'contraindicated' },
+          status: 'HIGH_RISK',
+          message: 'Current medication {item.displayName} is contraindicated in pregnancy - {item.transferNotes}',
+          guideline: 'MotherToBaby / FDA labeling: known teratogen, must be stopped or switched before conception'
+        },
+        {
+          id: 'medications.psychotropic',
+          when: {
+            all: [
+              { field: 'item.psychotropic', op: 'truthy' },
+              { field: 'item.clinicImpact', op: 'eq', value: 'off_before_transfer' }
+            ]
+          },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Current psychotropic medication {item.displayName} - {item.transferNotes}',
+          guideline: 'ASRM 2022: Current psychotropic medication is typically disqualifying'
+        },
+        {
+          id: 'medications.off-before-transfer',
+          when: { field: 'item.clinicImpact', op: 'eq', value: 'off_before_transfer' },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Current medication {item.displayName} ({item.pregnancySafety|humanize} in pregnancy) - {item.transferNotes}',
+          guideline: 'MotherToBaby / FDA labeling: stop before transfer'
+        },
+        {
+          id: 'medications.review-indication',
+          when: { field: 'item.clinicImpact', op: 'eq', value: 'review' },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Current medication {item.displayName} - {item.transferNotes}',
+          guideline: 'ASRM 2022: Requires thorough medical evaluation and clearance'
+        },
+        {
+          id: 'medications.taper-or-switch',
+          when: { field: 'item.taperOrSwitchRequired', op: 'truthy' },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Current medication {item.displayName} ({item.pregnancySafety|humanize} in pregnancy) - {item.transferNotes}',
+          guideline: 'MotherToBaby / FDA labeling: change before transfer'
+        },
+        {
+          id: 'medications.unrecognized',
+          when: { field: 'item.recognized', op: 'falsy' },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Current medication {item.name} is not in the medication knowledge base - confirm pregnancy safety with the prescriber',
+          guideline: 'ASRM 2022: Complete medical evaluation required'
+        },
+        {
+          id: 'medications.compatible',
+          status: 'ELIGIBLE',
+          message: 'Current medication {item.displayName} is compatible with pregnancy - no change needed before transfer',
+          guideline: 'MotherToBaby / FDA labeling'
+        }
+      ]
+    },
+
+    bmi: {
+      category: 'LIFESTYLE',
+      mode: 'first',
+      when: { field: 'bmi', op: 'truthy' },
+      rules: [
+        {
+          id: 'bmi.below-range',
+          when: { field: 'bmi', op: 'lt', value: 19 },
+          status: 'HIGH_RISK',
+          message: 'BMI of {bmi} is below recommended range',
+          guideline: 'Standard practice: BMI typically 19-32 (varies by clinic)'
+        },
+        {
+          id: 'bmi.ideal',
+          when: { field: 'bmi', op: 'lt', value: 27 },
+          status: 'ELIGIBLE',
+          message: 'BMI of {bmi} is within ideal range',
+          guideline: 'Standard practice: Preferably BMI <27'
+        },
+        {
+          id: 'bmi.above-ideal',
+          when: { field: 'bmi', op: 'lte', value: 32 },
+          status: 'REQUIRES_COUNSELING',
+          message: 'BMI of {bmi} is acceptable but above ideal range',
+          guideline: 'Standard practice: Many programs accept BMI 19-32'
+        },
+        {
+          id: 'bmi.above-maximum',
+          when: { field: 'bmi', op: 'gt', value: 32 },
+          status: 'HIGH_RISK',
+          message: 'BMI of {bmi} exceeds typical maximum for most programs',
+          guideline: 'Standard practice: BMI >32 may be disqualifying'
+        }
+      ]
+    },
+
+    substanceUse: {
+      category: 'LIFESTYLE',
+      mode: 'all',
+      rules: [
+        {
+          id: 'lifestyle.tobacco',
+          when: { field: 'currentSmoker', op: 'truthy' },
+          status: 'HIGH_RISK',
+          message: 'Current tobacco use detected',
+          guideline: 'ASRM 2022: Tobacco use should be evaluated and typically requires cessation'
+        },
+        {
+          id: 'lifestyle.excessive-alcohol',
+          when: { field: 'currentAlcoholUse', op: 'eq', value: 'excessive' },
+          status: 'DISQUALIFIED',
+          message: 'Excessive alcohol use detected',
+          guideline: 'ASRM 2022: Substance abuse disqualifies candidate'
+        },
+        {
+          id: 'lifestyle.drug-use',
+          when: { field: 'currentDrugUse', op: 'truthy' },
+          status: 'DISQUALIFIED',
+          message: 'Current recreational drug use detected',
+          guideline: 'ASRM 2022: Current drug use disqualifies candidate'
+        },
+        {
+          id: 'lifestyle.recent-tattoos',
+          when: { field: 'recentTattoos', op: 'truthy' },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Recent tattoos/piercings without sterile technique may require deferral',
+          guideline: 'ASRM 2022: Recent non-sterile body modifications are concerning'
+        }
+      ]
+    },
+
+    environmental: {
+      category: 'ENVIRONMENTAL',
+      mode: 'all',
+      rules: [
+        {
+          id: 'environment.housing',
+          when: { field: 'stableHousing', op: 'falsy' },
+          status: 'HIGH_RISK',
+          message: 'Unstable housing situation',
+          guideline: 'ASRM 2022: Stable home environment required'
+        },
+        {
+          id: 'environment.employment',
+          when: { field: 'stableEmployment', op: 'falsy' },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Employment situation may not support demands of surrogacy',
+          guideline: 'ASRM 2022: Employment must be flexible enough to support GC demands'
+        },
+        {
+          id: 'environment.finances',
+          when: { field: 'adequateFinancialSituation', op: 'falsy' },
+          status: 'REQUIRES_COUNSELING',
+          message: 'Financial situation requires evaluation for possible coercion',
+          guideline: 'ASRM 2022: Must assess for financial coercion'
+        },
+        {
+          id: 'environment.relationship',
+          when: { field: 'stableRelationship', op: 'eq', value: false },
+          status: 'HIGH_RISK',
+          message: 'Current marital or relationship instability',
+          guideline: 'ASRM 2022: Relationship instability is disqualifying'
+        },
+        {
+          id: 'environment.partner-support',
+          when: { field: 'supportivePartner', op: 'falsy' },
+          status: 'HIGH_RISK',
+          message: 'Lack of partner/support system support',
+          guideline: 'ASRM 2022: Adequate support required'
+        },
+        {
+          id: 'environment.legal',
+          when: { field: 'legalIssues', op: 'truthy' },
+          status: 'HIGH_RISK',
+          message: 'Legal issues detected (bankruptcy, custody disputes, etc.)',
+          guideline: 'ASRM 2022: Ongoing legal disputes may be disqualifying'
+        }
+      ],
+      otherwise: {
+        id: 'environment.stable',
+        status: 'ELIGIBLE',
+        message: 'Stable family environment with adequate support',
+        guideline: 'ASRM 2022: Stable environment required'
+      }
+    }
+  }
+};
@@ -0,0 +1,454 @@
+/**
+ * Terminology
+ * The ICD-10-CM code (and SNOMED CT concept, where there is one) for every
+ * condition, pregnancy complication and procedure the engine names, so
+ * findings and reports carry codes clinics and insurers can file rather than
+ * the parsers' snake_case keys. clinicalCodes.js goes the other way: the
+ * codes an imported record may use for each key.
+ *
+ * Each entry:
+ *   kind     condition | complication | procedure | outcome
+ *   display  Plain-language name
+ *   icd10    { code, display } - the most specific code the term decides:
+ *            a category ('O44') where only the record could pick the
+ *            subcategory. Diabetes of unstated type is E11, as the ICD-10-CM
+ *            guidelines default. Procedures have none (ICD-10-CM doesn't
+ *            code procedures).
+ *   history  { code, display } - the ICD-10-CM code for the candidate now:
+ *            personal history of an event of a past pregnancy (the O codes
+ *            only apply while pregnant or postpartum, which a candidate
+ *            isn't), or the status a procedure leaves (Z98.891 uterine scar)
+ *   snomed   { code, display }, when a concept matches the term
+ *   cpt      { code, display }, for procedures
+ *
+ * TERM_ALIASES maps the other keys the engine uses for the same thing
+ * (complication categories, COMPLICATION_RISK_LEVELS keys, per-pregnancy
+ * complications) onto an entry.
+ */
+
+export const TERM_KINDS = {
+  CONDITION: 'condition',
+  COMPLICATION: 'complication',
+  PROCEDURE: 'procedure',
+  OUTCOME: 'outcome'
+};
+
+const PREGNANCY_HISTORY = { code: 'Z87.59', display: 'Personal history of other complications of pregnancy, childbirth and the puerperium' };
+const PRETERM_HISTORY = { code: 'Z87.51', display: 'Personal history of pre-term labor' };
+const GDM_HISTORY = { code: 'Z86.32', display: 'Personal history of gestational diabetes' };
+const UTERINE_SCAR = { code: 'Z98.891', display: 'History of uterine scar from previous surgery' };
+
+export const TERMINOLOGY = {
+  // medicalConditions (textParser.js) and the rule pack's condition lists
+  diabetes: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Diabetes mellitus',
+    icd10: { code: 'E11.9', display: 'Type 2 diabetes mellitus without complications' },
+    snomed: { code: '73211009', display: 'Diabetes mellitus' }
+  },
+  controlled_diabetes: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Diabetes mellitus, controlled',
+    icd10: { code: 'E11.9', display: 'Type 2 diabetes mellitus without complications' },
+    snomed: { code: '73211009', display: 'Diabetes mellitus' }
+  },
+  uncontrolled_diabetes: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Diabetes mellitus, uncontrolled',
+    icd10: { code: 'E11.65', display: 'Type 2 diabetes mellitus with hyperglycemia' },
+    snomed: { code: '73211009', display: 'Diabetes mellitus' }
+  },
+  hypertension: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Chronic hypertension',
+    icd10: { code: 'I10', display: 'Essential (primary) hypertension' },
+    snomed: { code: '38341003', display: 'Hypertensive disorder' }
+  },
+  thyroid_disorder: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Thyroid disorder',
+    icd10: { code: 'E07.9', display: 'Disorder of thyroid, unspecified' },
+    snomed: { code: '14304000', display: 'Disorder of thyroid gland' }
+  },
+  autoimmune_disease: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Autoimmune disease',
+    icd10: { code: 'M35.9', display: 'Systemic involvement of connective tissue, unspecified' },
+    snomed: { code: '85828009', display: 'Autoimmune disease' }
+  },
+  pulmonary_hypertension: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Pulmonary hypertension',
+    icd10: { code: 'I27.20', display: 'Pulmonary hypertension, unspecified' },
+    snomed: { code: '70995007', display: 'Pulmonary hypertension' }
+  },
+  cardiac_disease: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Heart disease',
+    icd10: { code: 'I51.9', display: 'Heart disease, unspecified' },
+    snomed: { code: '56265001', display: 'Heart disease' }
+  },
+  severe_cardiac_disease: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Severe heart disease',
+    icd10: { code: 'I51.9', display: 'Heart disease, unspecified' },
+    snomed: { code: '56265001', display: 'Heart disease' }
+  },
+  kidney_disease: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Kidney disease',
+    icd10: { code: 'N28.9', display: 'Disorder of kidney and ureter, unspecified' },
+    snomed: { code: '90708001', display: 'Kidney disease' }
+  },
+  asthma: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Asthma',
+    icd10: { code: 'J45.909', display: 'Unspecified asthma, uncomplicated' },
+    snomed: { code: '195967001', display: 'Asthma' }
+  },
+  cancer: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Cancer',
+    icd10: { code: 'C80.1', display: 'Malignant (primary) neoplasm, unspecified' },
+    snomed: { code: '363346000', display: 'Malignant neoplastic disease' }
+  },
+  active_cancer: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Active cancer',
+    icd10: { code: 'C80.1', display: 'Malignant (primary) neoplasm, unspecified' },
+    snomed: { code: '363346000', display: 'Malignant neoplastic disease' }
+  },
+  absence_of_uterus: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Absence of uterus',
+    icd10: { code: 'Z90.71', display: 'Acquired absence of cervix and uterus' }
+  },
+  gerd: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Gastroesophageal reflux disease',
+    icd10: { code: 'K21.9', display: 'Gastro-esophageal reflux disease without esophagitis' },
+    snomed: { code: '235595009', display: 'Gastroesophageal reflux disease' }
+  },
+  gastroparesis: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Gastroparesis',
+    icd10: { code: 'K31.84', display: 'Gastroparesis' },
+    snomed: { code: '235675006', display: 'Gastroparesis' }
+  },
+  gallstones: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Gallstones',
+    icd10: { code: 'K80.20', display: 'Calculus of gallbladder without cholecystitis without obstruction' },
+    snomed: { code: '266474003', display: 'Calculus of gallbladder' }
+  },
+  gastritis: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Gastritis',
+    icd10: { code: 'K29.70', display: 'Gastritis, unspecified, without bleeding' },
+    snomed: { code: '4556007', display: 'Gastritis' }
+  },
+  stroke: {
+    kind: TERM_KINDS.CONDITION,
+    display: 'Stroke',
+    icd10: { code: 'I63.9', display: 'Cerebral infarction, unspecified' },
+    history: { code: 'Z86.73', display: 'Personal history of transient ischemic attack (TIA), and cerebral infarction without residual deficits' },
+    snomed: { code: '230690007', display: 'Cerebrovascular accident' }
+  },
+
+  // Pregnancy complications: medicalConditions past events, pregnancyHistory.complications
+  // categories and COMPLICATION_RISK_LEVELS keys
+  gestational_diabetes: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Gestational diabetes',
+    icd10: { code: 'O24.4', display: 'Gestational diabetes mellitus' },
+    history: GDM_HISTORY,
+    snomed: { code: '11687002', display: 'Gestational diabetes mellitus' }
+  },
+  gestational_diabetes_diet: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Gestational diabetes, diet controlled',
+    icd10: { code: 'O24.410', display: 'Gestational diabetes mellitus in pregnancy, diet controlled' },
+    history: GDM_HISTORY,
+    snomed: { code: '11687002', display: 'Gestational diabetes mellitus' }
+  },
+  gestational_diabetes_insulin: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Gestational diabetes, insulin controlled',
+    icd10: { code: 'O24.414', display: 'Gestational diabetes mellitus in pregnancy, insulin controlled' },
+    history: GDM_HISTORY,
+    snomed: { code: '11687002', display: 'Gestational diabetes mellitus' }
+  },
+  pregnancy_hypertension: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Gestational hypertension',
+    icd10: { code: 'O13', display: 'Gestational [pregnancy-induced] hypertension without significant proteinuria' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '48194001', display: 'Pregnancy-induced hypertension' }
+  },
+  preeclampsia: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Preeclampsia',
+    icd10: { code: 'O14.9', display: 'Unspecified pre-eclampsia' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '398254007', display: 'Pre-eclampsia' }
+  },
+  mild_preeclampsia: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Preeclampsia without severe features',
+    icd10: { code: 'O14.0', display: 'Mild to moderate pre-eclampsia' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '41114007', display: 'Mild pre-eclampsia' }
+  },
+  severe_preeclampsia: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Preeclampsia with severe features',
+    icd10: { code: 'O14.1', display: 'Severe pre-eclampsia' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '46764007', display: 'Severe pre-eclampsia' }
+  },
+  hellp_syndrome: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'HELLP syndrome',
+    icd10: { code: 'O14.2', display: 'HELLP syndrome' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '95605009', display: 'HELLP syndrome' }
+  },
+  hyperemesis: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Hyperemesis gravidarum',
+    icd10: { code: 'O21.0', display: 'Mild hyperemesis gravidarum' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '14094001', display: 'Hyperemesis gravidarum' }
+  },
+  severe_hyperemesis: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Hyperemesis gravidarum with metabolic disturbance',
+    icd10: { code: 'O21.1', display: 'Hyperemesis gravidarum with metabolic disturbance' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '14094001', display: 'Hyperemesis gravidarum' }
+  },
+  IUGR: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Fetal growth restriction',
+    icd10: { code: 'O36.59', display: 'Maternal care for other known or suspected poor fetal growth' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '22033007', display: 'Fetal growth restriction' }
+  },
+  placental_issues: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Placental disorder',
+    icd10: { code: 'O43.9', display: 'Placental disorder, unspecified' },
+    history: PREGNANCY_HISTORY
+  },
+  placenta_previa: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Placenta previa',
+    icd10: { code: 'O44', display: 'Placenta previa' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '36813001', display: 'Placenta previa' }
+  },
+  placental_abruption: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Placental abruption',
+    icd10: { code: 'O45.9', display: 'Premature separation of placenta, unspecified' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '415105001', display: 'Placental abruption' }
+  },
+  placental_accreta: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Placenta accreta spectrum',
+    icd10: { code: 'O43.2', display: 'Morbidly adherent placenta' },
+    history: PREGNANCY_HISTORY
+  },
+  postpartum_hemorrhage: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Postpartum hemorrhage',
+    icd10: { code: 'O72', display: 'Postpartum hemorrhage' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '47821001', display: 'Postpartum hemorrhage' }
+  },
+  preterm_labor: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Preterm labor',
+    icd10: { code: 'O60', display: 'Preterm labor' },
+    history: PRETERM_HISTORY,
+    snomed: { code: '6383007', display: 'Premature labor' }
+  },
+  preterm_birth: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Preterm birth',
+    icd10: { code: 'O60.1', display: 'Preterm labor with preterm delivery' },
+    history: PRETERM_HISTORY,
+    snomed: { code: '282020008', display: 'Premature delivery' }
+  },
+  membrane_rupture: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Premature rupture of membranes',
+    icd10: { code: 'O42', display: 'Premature rupture of membranes' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '44223004', display: 'Premature rupture of membranes' }
+  },
+  cholestasis: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Intrahepatic cholestasis of pregnancy',
+    icd10: { code: 'O26.61', display: 'Liver and biliary tract disorders in pregnancy' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '235888006', display: 'Cholestasis of pregnancy' }
+  },
+  gi_complications: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Digestive disorder in pregnancy',
+    icd10: { code: 'O99.61', display: 'Diseases of the digestive system complicating pregnancy' },
+    history: PREGNANCY_HISTORY
+  },
+  cervical_insufficiency: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Cervical insufficiency',
+    icd10: { code: 'O34.3', display: 'Maternal care for cervical incompetence' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '17382005', display: 'Cervical incompetence' }
+  },
+  oligohydramnios: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Oligohydramnios',
+    icd10: { code: 'O41.0', display: 'Oligohydramnios' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '59566000', display: 'Oligohydramnios' }
+  },
+  polyhydramnios: {
+    kind: TERM_KINDS.COMPLICATION,
+    display: 'Polyhydramnios',
+    icd10: { code: 'O40', display: 'Polyhydramnios' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '86203003', display: 'Polyhydramnios' }
+  },
+
+  // Pregnancy outcomes (obstetricTimeline.js PREGNANCY_OUTCOMES)
+  stillbirth: {
+    kind: TERM_KINDS.OUTCOME,
+    display: 'Stillbirth',
+    icd10: { code: 'Z37.1', display: 'Single stillbirth' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '237364002', display: 'Stillbirth' }
+  },
+  miscarriage: {
+    kind: TERM_KINDS.OUTCOME,
+    display: 'Miscarriage',
+    icd10: { code: 'O03.9', display: 'Complete or unspecified spontaneous abortion without complication' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '17369002', display: 'Miscarriage' }
+  },
+  ectopic: {
+    kind: TERM_KINDS.OUTCOME,
+    display: 'Ectopic pregnancy',
+    icd10: { code: 'O00.9', display: 'Ectopic pregnancy, unspecified' },
+    history: PREGNANCY_HISTORY,
+    snomed: { code: '34801009', display: 'Ectopic pregnancy' }
+  },
+
+  // Procedures (delivery modes, surgery)
+  cesarean: {
+    kind: TERM_KINDS.PROCEDURE,
+    display: 'Cesarean delivery',
+    history: UTERINE_SCAR,
+    snomed: { code: '11466000', display: 'Cesarean section' },
+    cpt: { code: '59514', display: 'Cesarean delivery only' }
+  },
+  vbac: {
+    kind: TERM_KINDS.PROCEDURE,
+    display: 'Vaginal birth after cesarean',
+    history: UTERINE_SCAR,
+    cpt: { code: '59612', display: 'Vaginal delivery only, after previous cesarean delivery' }
+  },
+  vaginal: {
+    kind: TERM_KINDS.PROCEDURE,
+    display: 'Vaginal delivery',
+    snomed: { code: '48782003', display: 'Delivery normal' },
+    cpt: { code: '59409', display: 'Vaginal delivery only' }
+  },
+  operative_vaginal: {
+    kind: TERM_KINDS.PROCEDURE,
+    display: 'Operative vaginal delivery',
+    cpt: { code: '59409', display: 'Vaginal delivery only' }
+  },
+  cerclage: {
+    kind: TERM_KINDS.PROCEDURE,
+    display: 'Cervical cerclage',
+    history: PREGNANCY_HISTORY,
+    cpt: { code: '59320', display: 'Cerclage of cervix, during pregnancy; vaginal' }
+  },
+  bariatric_surgery: {
+    kind: TERM_KINDS.PROCEDURE,
+    display: 'Bariatric surgery',
+    history: { code: 'Z98.84', display: 'Bariatric surgery status' }
+  }
+};
+
+export const TERM_ALIASES = {
+  // pregnancyHistory.complications categories (textParser.js, claudeParser.js)
+  hemorrhage: 'postpartum_hemorrhage',
+  iugr: 'IUGR',
+  // COMPLICATION_RISK_LEVELS keys (utils/complicationRiskLevels.js)
+  pprom_under_28wks: 'membrane_rupture',
+  icp: 'cholestasis',
+  pph_transfusion: 'postpartum_hemorrhage',
+  iugr_severe: 'IUGR',
+  mild_iugr: 'IUGR',
+  preterm_birth_under_32wks: 'preterm_birth',
+  preterm_birth_32_36wks: 'preterm_birth',
+  cerclage_placement: 'cerclage',
+  pih_mild: 'pregnancy_hypertension',
+  gestational_hypertension_late: 'pregnancy_hypertension',
+  mild_hyperemesis: 'hyperemesis',
+  oligohydramnios_resolved: 'oligohydramnios',
+  polyhydramnios_mild: 'polyhydramnios',
+  // Per-pregnancy complications (syntheticRecords.js) and pregnancySpecificComplications
+  // categories (pregnancyMedicalParser.js; its 'diabetes' is gestational, so it's not aliased)
+  gestational_hypertension: 'pregnancy_hypertension',
+  fetal_growth_restriction: 'IUGR',
+  hypertensive: 'pregnancy_hypertension',
+  preterm: 'preterm_birth',
+  membrane: 'membrane_rupture',
+  placental: 'placental_issues',
+  growth: 'IUGR',
+  cervical: 'cervical_insufficiency'
+};
+
+/**
+ * Look up a term the engine uses
+ * @param {string} term - A TERMINOLOGY key or one of TERM_ALIASES
+ * @returns {Object|null} { term (the TERMINOLOGY key), kind, display, icd10, history, snomed, cpt }
+ */
+export function findTerm(term) {
+  if (typeof term !== 'string') return null;
+  const key = TERMINOLOGY[term] ? term : TERM_ALIASES[term];
+  return key ? { term: key, ...TERMINOLOGY[key] } : null;
+}
+
+/**
+ * Codes for a list of terms, once per entry; unknown terms are left out
+ * @param {Array} terms - Term names (see findTerm())
+ * @returns {Array} findTerm() results
+ */
+export function codeTerms(terms = []) {
+  const coded = new Map();
+  terms.forEach(term => {
+    const entry = findTerm(term);
+    if (entry && !coded.has(entry.term)) coded.set(entry.term, entry);
+  });
+  return [...coded.values()];
+}
+
+/**
+ * One line of a term's codes for reports, e.g.
+ * "Preeclampsia - ICD-10-CM O14.9 (history Z87.59), SNOMED CT 398254007"
+ */
+export function formatTermCodes(entry) {
+  const codes = [
+    entry.icd10 && `ICD-10-CM ${entry.icd10.code}${entry.history ? ` (history ${entry.history.code})` : ''}`,
+    !entry.icd10 && entry.history && `ICD-10-CM ${entry.history.code}`,
+    entry.snomed && `SNOMED CT ${entry.snomed.code}`,
+    entry.cpt && `CPT ${entry.cpt.code}`
+  ].filter(Boolean);
+  return `${entry.display} - ${codes.join(', ')}`;
+}
@@ -25,11 +25,47 @@
  * 3. Merge results with confidence weighting
  * 4. If Claude enabled, use it to fill gaps and validate
  * 5. Return best combined result
+ *
+ * Each layer records where its facts came from; the merged citations are
+ * returned as parsingMetadata.provenance (see provenance.js). Matches the
+ * deterministic layers dropped as negated, hypothetical, a family member's or
+ * a rule-out (see clinicalContext.js) are listed in parsingMetadata.suppressedFindings.
+ *
+ * Where the deterministic layers, Claude and the user-entered values disagree
+ * on a field, the merge policy picks the value and parsingMetadata.conflicts
+ * reports each disagreement (see conflictResolution.js).
+ *
+ * parsingMetadata.fieldConfidence scores each field from the pattern that
+ * found it, its corroborating mentions, layer agreement and chart section,
+ * and flags the fields a reviewer must confirm (see fieldConfidence.js).
+ *
+ * Text read from scanned pages by OCR is parsed like any other; the pages and
+ * their OCR confidence are passed as options.ocrPages and returned as
+ * parsingMetadata.ocrPages (see pdfOcr.js). Rows of the PDFs' lab tables
+ * (options.labRows, see pdfTables.js) give Layer 1 its lab values.
+ *
+ * Coded entries from structured records (options.codedRecords, see
+ * ccdaImporter.js and fhirImporter.js) are applied on top of the layers'
+ * results and take part in conflict resolution as a layer of their own (see
+ * codedRecords.js); each record's unmapped codes are listed in
+ * parsingMetadata.codedRecords.
  */
 
 import { parsePregnancyMedicalText, mergeParserResults } from './pregnancyMedicalParser.js';
 import { parseTextInput } from './textParser.js';
 import { parseWithClaude, shouldUseClaude } from './claudeParser.js';
+import { lookupMedication } from '../assessments/medicationAssessment.js';
+import { createCitationRecorder, citeQuotes, mergeProvenance, mergeSuppressed, PARSER_LAYERS } from './provenance.js';
+import {
+  applyResolutions,
+  CONFLICT_LAYERS,
+  DEFAULT_MERGE_POLICY,
+  getLayerPriority,
+  pickConflictFields,
+  resolveConflicts
+} from './conflictResolution.js';
+import { scoreFieldConfidence } from './fieldConfidence.js';
+import { applyCodedRecords } from './codedRecords.js';
 
 /**
  * Parse medical text using cascading parser system
@@ -38,21 +74,40 @@ import { parseWithClaude, shouldUseClaude } from './claudeParser.js';
  * @param {string} options.candidateName - Candidate name for de-identification (optional)
  * @param {Object} options.userProvidedData - User-entered data (age, BMI, etc.)
  * @param {boolean} options.useClaudeParser - Whether to use Claude (default: true)
- * @returns {Promise<Object>} Parsed candidate data with confidence scores
+ * @param {string} options.documentName - File name for citations when the text has no file markers
+ * @param {string} options.mergePolicy - One of MERGE_POLICIES (default: prefer Claude)
+ * @param {Array} options.ocrPages - [{ document, page, confidence }] for pages read by OCR
+ *   (documentIngestion.js ingestDocument() returns them)
+ * @param {Array} options.labRows - Lab table rows from the PDFs (ingestDocument() returns them)
+ * @param {Array} options.codedRecords - Coded records from structured documents (ingestDocument()
+ *   returns them for C-CDA and FHIR files)
+ * @returns {Promise<Object>} Parsed candidate data with confidence scores; parsingMetadata.provenance
+ *   maps each cited field path to its citations, parsingMetadata.suppressedFindings lists the
+ *   matches that were not counted, parsingMetadata.conflicts the fields the layers disagree on,
+ *   parsingMetadata.fieldConfidence each field's confidence and whether it must be confirmed
  */
 export async function parseMedicalText(text, options = {}) {
   const {
     candidateName = '',
     userProvidedData = {},
-    useClaudeParser = true
+    useClaudeParser = true,
+    documentName = null,
+    mergePolicy = DEFAULT_MERGE_POLICY,
+    ocrPages = [],
+    labRows = [],
+    codedRecords = []
   } = options;
 
+  const pregnancyCitations = createCitationRecorder(text, PARSER_LAYERS.PREGNANCY);
+  const generalCitations = createCitationRecorder(text, PARSER_LAYERS.GENERAL);
+  const userCitations = {};
+
   console.log('🔬 Starting cascading parser...');
 
   // LAYER 1: Pregnancy-specific medical parser
   console.log('📋 Layer 1: Running pregnancy-specific medical parser...');
   const startLayer1 = Date.now();
-  const pregnancySpecificData = parsePregnancyMedicalText(text);
+  const pregnancySpecificData = parsePregnancyMedicalText(text, { recorder: pregnancyCitations, labRows });
   const layer1Time = Date.now() - startLayer1;
 
   console.log(`✓ Layer 1 complete (${layer1Time}ms)`, {
@@ -64,26 +119,35 @@ export async function parseMedicalText(text, options = {}) {
   // LAYER 2: General text parser
   console.log('📝 Layer 2: Running general text parser...');
   const startLayer2 = Date.now();
-  const generalData = parseTextInput(text);
+  const generalData = parseTextInput(text, { recorder: generalCitations });
   const layer2Time = Date.now() - startLayer2;
 
   console.log(`✓ Layer 2 complete (${layer2Time}ms)`);
 
   // Merge Layer 1 and Layer 2 results
   let mergedData = mergeParserResults(generalData, pregnancySpecificData);
+  const deterministicValues = pickConflictFields(mergedData);
 
   // Add user-provided data (always trusted)
   if (userProvidedData.age) {
     mergedData.age = parseInt(userProvidedData.age, 10);
+    userCitations.age = [userCitation(userProvidedData.age)];
   }
   if (userProvidedData.bmi) {
     mergedData.lifestyle = mergedData.lifestyle || {};
     mergedData.lifestyle.bmi = parseFloat(userProvidedData.bmi);
+    userCitations['lifestyle.bmi'] = [userCitation(userProvidedData.bmi)];
   }
 
+  const userValues = pickConflictFields({
+    age: userProvidedData.age ? parseInt(userProvidedData.age, 10) : null,
+    lifestyle: { bmi: userProvidedData.bmi ? parseFloat(userProvidedData.bmi) : null }
+  });
+
   // LAYER 3: Claude AI parser (optional)
   let claudeData = null;
   let claudeSuccess = false;
+  let claudeCitations = null;
 
   if (useClaudeParser) {
     console.log('🤖 Layer 3: Running Claude AI parser...');
@@ -99,6 +163,7 @@ export async function parseMedicalText(text, options = {}) {
       // Merge Claude data with existing data
       // Claude has highest confidence, so it overrides deterministic parsers where present
       mergedData = mergeWithClaudeData(mergedData, claudeData, pregnancySpecificData);
+      claudeCitations = citeQuotes(text, normalizeEvidencePaths(claudeData.evidence));
 
     } catch (error) {
       console.error('⚠️ Layer 3 failed, using Layers 1+2 only:', error.message);
@@ -107,6 +172,25 @@ export async function parseMedicalText(text, options = {}) {
     console.log('⏭️ Layer 3 skipped (Claude disabled)');
   }
 
+  // Coded entries from structured records
+  const coded = applyCodedRecords(mergedData, codedRecords);
+  mergedData = coded.data;
+  if (codedRecords.length > 0) {
+    console.log(`🏷️ Applied ${Object.keys(coded.citations).length} coded value(s) from ${codedRecords.length} structured record(s)`);
+  }
+
+  // Settle the fields the layers disagree on
+  const { resolutions, conflicts } = resolveConflicts({
+    [CONFLICT_LAYERS.DETERMINISTIC]: deterministicValues,
+    [CONFLICT_LAYERS.CLAUDE]: claudeSuccess ? pickConflictFields(claudeData) : null,
+    [CONFLICT_LAYERS.USER]: userValues,
+    [CONFLICT_LAYERS.CODED]: codedRecords.length > 0 ? pickConflictFields(coded.coded) : null
+  }, mergePolicy);
+  applyResolutions(mergedData, resolutions);
+  if (conflicts.length > 0) {
+    console.log(`⚖️ ${conflicts.length} field(s) differ between parser layers`, conflicts);
+  }
+
   // Calculate final confidence score
   const finalConfidence = calculateFinalConfidence(
     pregnancySpecificData,
@@ -130,11 +214,63 @@ export async function parseMedicalText(text, options = {}) {
       processingTime: {
         layer1: layer1Time,
         layer2: layer2Time
-      }
+      },
+      // Lowest priority first, in the order the merge policy trusts the layers
+      provenance: mergeProvenance(text, orderCitationLayers(mergePolicy, {
+        [CONFLICT_LAYERS.DETERMINISTIC]: [generalCitations.citations, pregnancyCitations.citations],
+        [CONFLICT_LAYERS.CLAUDE]: [claudeCitations],
+        [CONFLICT_LAYERS.USER]: [userCitations],
+        [CONFLICT_LAYERS.CODED]: [coded.citations]
+      }), { documentName, ocrPages }),
+      suppressedFindings: mergeSuppressed(
+        text,
+        [generalCitations.suppressed, pregnancyCitations.suppressed],
+        { documentName, ocrPages }
+      ),
+      ocrPages,
+      codedRecords: coded.summary,
+      mergePolicy,
+      conflicts,
+      fieldConfidence: scoreFieldConfidence(text, {
+        citationLayers: [generalCitations.citations, pregnancyCitations.citations, claudeCitations, userCitations, coded.citations],
+        resolutions
+      })
     }
   };
 }
 
+// Citation maps from the least to the most trusted layer under a merge policy
+function orderCitationLayers(mergePolicy, citationsByLayer) {
+  return [...getLayerPriority(mergePolicy)].reverse().flatMap(layer => citationsByLayer[layer]);
+}
+
+// Age and BMI entered in the form have no span in the record
+function userCitation(value) {
+  const entered = String(value).trim();
+  return {
+    layer: PARSER_LAYERS.USER,
+    start: null,
+    end: null,
+    snippet: entered,
+    passage: entered,
+    passageStart: null,
+    verified: true,
+    document: null,
+    page: null
+  };
+}
+
+// Claude cites medications by name; the other layers key them by medication id
+function normalizeEvidencePaths(evidence) {
+  return Object.fromEntries(
+    Object.entries(evidence || {}).map(([path, quotes]) => {
+      const medication = path.match(/^medications\[(.+)\]$/);
+      const id = medication && lookupMedication(medication[1])?.id;
+      return [id ? `medications[${id}]` : path, quotes];
+    })
+  );
+}
+
 /**
  * Merge Claude AI data with deterministic parser data
  * Claude data takes priority but deterministic data fills gaps
@@ -154,6 +290,16 @@ function mergeWithClaudeData(deterministicData, claudeData, pregnancySpecificDat
         (!merged.pregnancyHistory.numberOfCesareans || merged.pregnancyHistory.numberOfCesareans === 0)) {
       merged.pregnancyHistory.numberOfCesareans = pregnancySpecificData.deliveryTypes.cesarean;
     }
+
+    // Keep the deterministic last delivery date/mode and timeline if Claude missed them
+    ['lastDeliveryDate', 'lastDeliveryMode'].forEach(field => {
+      if (!merged.pregnancyHistory[field] && deterministicData.pregnancyHistory?.[field]) {
+        merged.pregnancyHistory[field] = deterministicData.pregnancyHistory[field];
+      }
+    });
+    if (!merged.pregnancyHistory.pregnancies?.length && deterministicData.pregnancyHistory?.pregnancies?.length) {
+      merged.pregnancyHistory.pregnancies = deterministicData.pregnancyHistory.pregnancies;
+    }
   }
 
   // Medical conditions - merge both sources
@@ -163,12 +309,23 @@ function mergeWithClaudeData(deterministicData, claudeData, pregnancySpecificDat
     merged.medicalConditions = Array.from(existingConditions);
   }
 
+  // Medications - merge both sources, one entry per medication (Claude's wording wins)
+  if (Array.isArray(claudeData.medications)) {
+    const medicationKey = medication => lookupMedication(medication.name)?.id || medication.name.toLowerCase();
+    const claudeKeys = new Set(claudeData.medications.filter(medication => medication?.name).map(medicationKey));
+    merged.medications = [
+      ...claudeData.medications.filter(medication => medication?.name),
+      ...(merged.medications || []).filter(medication => !claudeKeys.has(medicationKey(medication)))
+    ];
+  }
+
   // Age - Claude has priority if found
   if (claudeData.age && claudeData.age > 0) {
     merged.age = claudeData.age;
   }
 
-  // BMI and lifestyle - Claude has priority
+  // BMI and lifestyle - Claude has priority; the merge policy settles them afterwards
+  // (resolveConflicts), so a flag Claude left at its default keeps a parser's finding
   if (claudeData.lifestyle) {
     merged.lifestyle = {
       ...merged.lifestyle,
@@ -176,7 +333,7 @@ function mergeWithClaudeData(deterministicData, claudeData, pregnancySpecificDat
     };
   }
 
-  // Psychological - Claude has priority
+  // Psychological - as lifestyle
   if (claudeData.psychological) {
     merged.psychological = {
       ...merged.psychological,
@@ -192,7 +349,7 @@ function mergeWithClaudeData(deterministicData, claudeData, pregnancySpecificDat
     };
   }
 
-  // Environmental - Claude has priority
+  // Environmental - as lifestyle
   if (claudeData.environmental) {
     merged.environmental = {
       ...merged.environmental,
@@ -0,0 +1,379 @@
+/**
+ * C-CDA Import - reads HL7 CDA / C-CDA documents (the Continuity of Care
+ * Documents, referral notes and discharge summaries EHRs export)
+ *
+ * The coded entries of the problem list, medications, results, vital signs,
+ * procedures, social history and pregnancy sections are mapped into the
+ * candidate data through the code tables in data/clinicalCodes.js (by
+ * codedRecordBuilder.js), so a SNOMED CT or ICD-10-CM problem decides a
+ * condition without the text parsers having to recognise its wording.
+ * Nothing is looked up over the network: codes that aren't in the tables
+ * are listed as unmapped.
+ *
+ * importCcda() returns a coded record:
+ *
+ *   {
+ *     source: 'ccda', documentName, title, effectiveDate,
+ *     patient: { name, birthDate },
+ *     data: { age, medicalConditions, psychological, medications, labValues, ... },
+ *     citations: { 'medicalConditions[gestational_diabetes]': [{
+ *       layer: 'ccda', start: null, snippet: 'Gestational diabetes mellitus',
+ *       passage: 'Gestational diabetes mellitus (resolved, 2019-06-01)', document: 'ccd.xml',
+ *       section: 'past_medical_history', verified: true,
+ *       code: { system: 'snomed', systemName: 'SNOMED CT', code: '11687002', display: 'Gestational diabetes mellitus' }
+ *     }] },
+ *     unmapped: [{ section, system, systemName, code, display, reason }],
+ *     text
+ *   }
+ *
+ * data holds only the fields the document codes. text is for the parser
+ * layers: the title and document date, and the narrative of the sections that
+ * have no coded entries (notes, assessment and plan). The patient's name and
+ * birth date stay out of it, as the text may be sent to Claude; the age comes
+ * from the coded birth date. A section with entries is represented
+ * by them alone; its narrative repeats them in table form ("Essential
+ * hypertension  Resolved") that the text parsers would misread. Family
+ * history and allergies are kept as narrative, which the section segmenter
+ * discounts, and their entries are not read. The coded record is applied on
+ * top of what the parsers find (see codedRecords.js).
+ */
+
+import { DOMParser } from '@xmldom/xmldom';
+import {
+  CCDA_SECTIONS,
+  CODE_SYSTEMS,
+  DOSING_FREQUENCIES,
+  findCodeSystem,
+  TIME_UNIT_HOURS
+} from '../data/clinicalCodes.js';
+import { createCodedRecordBuilder, hasProblemCode } from './codedRecordBuilder.js';
+import { PARSER_LAYERS } from './provenance.js';
+import { SECTION_TYPES } from './sectionSegmenter.js';
+
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+// Problem status observation (LOINC 33999-4) values that mean the problem is over
+const PROBLEM_STATUS_CODE = '33999-4';
+const INACTIVE_PROBLEM_STATUSES = ['413322009', '73425007', '277022003'];
+
+// Entries in these states didn't happen or were withdrawn
+const VOID_STATUSES = ['aborted', 'cancelled', 'nullified', 'obsolete'];
+
+// The chart section each C-CDA section's citations are shown under
+const CITED_SECTIONS = {
+  problems: SECTION_TYPES.OTHER,
+  pastHistory: SECTION_TYPES.PAST_MEDICAL_HISTORY,
+  medications: SECTION_TYPES.MEDICATIONS,
+  results: SECTION_TYPES.LABS,
+  vitalSigns: SECTION_TYPES.PHYSICAL_EXAM,
+  procedures: SECTION_TYPES.SURGICAL_HISTORY,
+  socialHistory: SECTION_TYPES.SOCIAL_HISTORY,
+  pregnancy: SECTION_TYPES.OB_HISTORY
+};
+
+// Sections whose entries are about someone else, or about what not to give
+const NARRATIVE_ONLY_SECTIONS = ['familyHistory', 'allergies'];
+
+// Narrative elements that start a new line
+const NARRATIVE_BLOCKS = new Set(['paragraph', 'tr', 'item', 'list', 'table', 'thead', 'tbody', 'caption', 'br']);
+
+// --- XML helpers ---------------------------------------------------------
+
+const childElements = (node, name) =>
+  (node ? Array.from(node.childNodes) : []).filter(child => child.nodeType === 1 && (!name || child.localName === name));
+
+const firstChild = (node, name) => childElements(node, name)[0] || null;
+
+// 'consumable/manufacturedProduct/manufacturedMaterial' from node
+const select = (node, path) => path.split('/').reduce((current, name) => firstChild(current, name), node);
+
+const descendants = (node, name) => (node ? Array.from(node.getElementsByTagNameNS('*', name)) : []);
+
+const attr = (node, name) => node?.getAttribute(name) || null;
+
+const xsiType = node => node?.getAttributeNS(XSI_NAMESPACE, 'type') || attr(node, 'xsi:type');
+
+const squash = text => (text || '').replace(/\s+/g, ' ').trim();
+
+// An entry's clinical statements, not the ones nested in another (a problem's status, a result's organizer)
+function topLevel(entry, name) {
+  return descendants(entry, name).filter(node => {
+    for (let parent = node.parentNode; parent && parent !== entry; parent = parent.parentNode) {
+      if (parent.localName === name) return false;
+    }
+    return true;
+  });
+}
+
+// HL7 timestamps: '20230315', '202303151030-0500' → '2023-03-15'; '202303' → '2023-03'
+function toDate(timestamp) {
+  const match = (timestamp || '').match(/^(\d{4})(\d{2})?(\d{2})?/);
+  if (!match) return null;
+  return [match[1], match[2], match[3]].filter(Boolean).join('-');
+}
+
+// An entry's date: its effectiveTime value, or when it started
+function getEffectiveDate(node) {
+  const time = firstChild(node, 'effectiveTime');
+  return toDate(attr(time, 'value') || attr(firstChild(time, 'low'), 'value'));
+}
+
+function getEndDate(node) {
+  return toDate(attr(firstChild(firstChild(node, 'effectiveTime'), 'high'), 'value'));
+}
+
+// The section's narrative block as lines; table cells two spaces apart, as the other formats lay them out
+function narrativeText(node) {
+  let text = '';
+  Array.from(node?.childNodes || []).forEach(child => {
+    if (child.nodeType === 3) {
+      text += child.data.replace(/\s+/g, ' ');
+    } else if (child.nodeType === 1) {
+      if (child.localName === 'td' || child.localName === 'th') text += `${narrativeText(child)}  `;
+      else if (NARRATIVE_BLOCKS.has(child.localName)) text += `\n${narrativeText(child)}\n`;
+      else text += narrativeText(child);
+    }
+  });
+  return text;
+}
+
+const tidyLines = text => text.split('\n').map(line => line.replace(/ {3,}/g, '  ').trim()).filter(Boolean).join('\n');
+
+// --- Reading a document --------------------------------------------------
+
+function parseXml(xml) {
+  const errors = [];
+  const doc = new DOMParser({
+    errorHandler: { warning: () => {}, error: message => errors.push(message), fatalError: message => errors.push(message) }
+  }).parseFromString(xml, 'text/xml');
+
+  const root = doc?.documentElement;
+  if (!root || errors.length > 0) {
+    throw new Error(`Not a well-formed XML document${errors[0] ? `: ${errors[0]}` : ''}`);
+  }
+  if (root.localName !== 'ClinicalDocument') {
+    throw new Error(`Not an HL7 CDA document (the root element is <${root.localName}>, not <ClinicalDocument>)`);
+  }
+  return doc;
+}
+
+function getSectionKind(section) {
+  const code = attr(firstChild(section, 'code'), 'code');
+  return Object.keys(CCDA_SECTIONS).find(kind => CCDA_SECTIONS[kind].includes(code)) || null;
+}
+
+function createImport(doc) {
+  const root = doc.documentElement;
+
+  // Narrative elements by ID, for <originalText><reference value="#..."/>
+  const narrativeById = new Map();
+  Array.from(doc.getElementsByTagName('*')).forEach(node => {
+    const id = attr(node, 'ID');
+    if (id) narrativeById.set(id, squash(node.textContent));
+  });
+
+  const originalText = node => {
+    const original = firstChild(node, 'originalText');
+    if (!original) return null;
+    const reference = attr(firstChild(original, 'reference'), 'value');
+    return (reference && narrativeById.get(reference.replace(/^#/, ''))) || squash(original.textContent) || null;
+  };
+
+  const toCoding = node => {
+    const code = attr(node, 'code');
+    if (!code) return null;
+    const system = findCodeSystem(attr(node, 'codeSystem'));
+    return {
+      system: system?.id || attr(node, 'codeSystem'),
+      systemName: system?.name || attr(node, 'codeSystemName') || attr(node, 'codeSystem'),
+      code,
+      display: attr(node, 'displayName') || originalText(node)
+    };
+  };
+
+  // A code element and its translations
+  const readCodings = node => (node ? [node, ...childElements(node, 'translation')].map(toCoding).filter(Boolean) : []);
+
+  return {
+    root,
+    effectiveDate: toDate(attr(firstChild(root, 'effectiveTime'), 'value')),
+    originalText,
+    readCodings,
+    describe: (node, codings) => codings.find(coding => coding.display)?.display || originalText(node) || codings[0]?.code || ''
+  };
+}
+
+/**
+ * Import a C-CDA document
+ * @param {string} xml - The document
+ * @param {Object} options
+ * @param {string} options.documentName - File name, cited on every mapped value
+ * @returns {Object} The coded record (see above)
+ * @throws {Error} When the XML isn't well formed or isn't a CDA document
+ */
+export function importCcda(xml, options = {}) {
+  const { documentName = null } = options;
+  const doc = parseXml(xml);
+  const ccda = createImport(doc);
+  const { root, readCodings, describe } = ccda;
+  const record = createCodedRecordBuilder({ layer: PARSER_LAYERS.CCDA, source: 'ccda', documentName });
+
+  const originOf = kind => ({ kind, section: CITED_SECTIONS[kind] || SECTION_TYPES.OTHER });
+
+  // Problems: conditions and psychological history
+  const readProblem = (kind, observation) => {
+    if (attr(observation, 'negationInd') === 'true') return;
+    const value = firstChild(observation, 'value');
+    const codings = readCodings(value);
+    if (codings.length === 0) return;
+
+    const concern = observation.parentNode?.parentNode;
+    const status = childElements(observation, 'entryRelationship')
+      .map(relationship => firstChild(relationship, 'observation'))
+      .find(statusObservation => attr(firstChild(statusObservation, 'code'), 'code') === PROBLEM_STATUS_CODE);
+
+    record.addProblem(originOf(kind), {
+      codings,
+      display: describe(value, codings),
+      resolved: kind === 'pastHistory'
+        || Boolean(getEndDate(observation))
+        || attr(firstChild(concern, 'statusCode'), 'code') === 'completed'
+        || INACTIVE_PROBLEM_STATUSES.includes(attr(firstChild(status, 'value'), 'code')),
+      date: getEffectiveDate(observation)
+    });
+  };
+
+  // Current medications
+  const readMedication = (kind, administration) => {
+    if (attr(administration, 'negationInd') === 'true') return;
+    if (VOID_STATUSES.includes(attr(firstChild(administration, 'statusCode'), 'code'))) return;
+
+    const endDate = getEndDate(administration);
+    if (endDate && ccda.effectiveDate && endDate < ccda.effectiveDate) return;
+
+    const material = select(administration, 'consumable/manufacturedProduct/manufacturedMaterial');
+    const codeNode = firstChild(material, 'code');
+    const codings = readCodings(codeNode);
+    const dose = firstChild(administration, 'doseQuantity');
+
+    record.addMedication(originOf(kind), {
+      name: squash(firstChild(material, 'name')?.textContent) || describe(codeNode, codings),
+      codings,
+      dose: { value: attr(dose, 'value'), unit: attr(dose, 'unit') },
+      frequency: childElements(administration, 'effectiveTime')
+        .map(time => firstChild(time, 'period'))
+        .filter(Boolean)
+        .map(period => DOSING_FREQUENCIES[Math.round(parseFloat(attr(period, 'value')) * (TIME_UNIT_HOURS[attr(period, 'unit')] || 0))])
+        .find(Boolean) || null
+    });
+  };
+
+  // Results, vital signs, social history and pregnancy observations, by their code
+  const readObservation = (kind, observation, organizer) => {
+    if (attr(observation, 'negationInd') === 'true') return;
+    if (VOID_STATUSES.includes(attr(firstChild(observation, 'statusCode'), 'code'))) return;
+
+    const codeNode = firstChild(observation, 'code');
+    const codings = readCodings(codeNode).filter(coding => coding.system === CODE_SYSTEMS.LOINC.id);
+    const display = describe(codeNode, codings);
+    const value = firstChild(observation, 'value');
+    const valueType = xsiType(value);
+    const valueCodings = readCodings(value);
+
+    if (codings.length === 0) {
+      // Results coded only in a local system, and problems filed outside the problem list
+      if (hasProblemCode(valueCodings)) {
+        readProblem(kind, observation);
+      } else if (readCodings(codeNode)[0]) {
+        record.skip(originOf(kind), readCodings(codeNode), display, 'No mapping for this code');
+      }
+      return;
+    }
+
+    record.addObservation(originOf(kind), {
+      codings,
+      display,
+      quantity: value && /^(?:PQ|INT|REAL)$/.test(valueType || '') ? attr(value, 'value') : null,
+      unit: attr(value, 'unit'),
+      date: getEffectiveDate(observation) || getEffectiveDate(organizer) || ccda.effectiveDate,
+      interpretation: attr(firstChild(observation, 'interpretationCode'), 'code'),
+      referenceRange: squash(firstChild(select(observation, 'referenceRange/observationRange'), 'text')?.textContent) || null,
+      valueCodings,
+      valueText: valueType === 'ST' ? squash(value.textContent) : '',
+      valueDisplay: describe(value, valueCodings),
+      group: organizer
+    });
+  };
+
+  // Deliveries and bariatric surgery
+  const readProcedure = (kind, procedure) => {
+    if (attr(procedure, 'negationInd') === 'true') return;
+    if (!['EVN', null].includes(attr(procedure, 'moodCode'))) return;
+    if (VOID_STATUSES.includes(attr(firstChild(procedure, 'statusCode'), 'code'))) return;
+
+    const codeNode = firstChild(procedure, 'code');
+    const codings = readCodings(codeNode);
+    record.addProcedure(originOf(kind), { codings, display: describe(codeNode, codings), date: getEffectiveDate(procedure) });
+  };
+
+  // --- Sections ----------------------------------------------------------
+
+  const structuredBody = select(root, 'component/structuredBody');
+  const sections = descendants(structuredBody, 'section');
+  const narrative = [];
+
+  sections.forEach(section => {
+    const kind = getSectionKind(section);
+    const title = squash(firstChild(section, 'title')?.textContent);
+    const entries = childElements(section, 'entry');
+    if (entries.length === 0 || NARRATIVE_ONLY_SECTIONS.includes(kind)) {
+      const sectionText = tidyLines(narrativeText(firstChild(section, 'text')));
+      if (sectionText) narrative.push([title, sectionText].filter(Boolean).join('\n'));
+      return;
+    }
+
+    entries.forEach(entry => {
+      if (kind === 'problems' || kind === 'pastHistory') {
+        topLevel(entry, 'observation').forEach(observation => readProblem(kind, observation));
+      } else if (kind === 'medications') {
+        topLevel(entry, 'substanceAdministration').forEach(administration => readMedication(kind, administration));
+      } else if (kind === 'procedures') {
+        [...topLevel(entry, 'procedure'), ...childElements(entry, 'act'), ...childElements(entry, 'observation')]
+          .forEach(procedure => readProcedure(kind, procedure));
+      } else {
+        const organizers = childElements(entry, 'organizer');
+        organizers.forEach(organizer => childElements(organizer, 'component')
+          .flatMap(component => childElements(component, 'observation'))
+          .forEach(observation => readObservation(kind, observation, organizer)));
+        childElements(entry, 'observation').forEach(observation => readObservation(kind, observation, null));
+        childElements(entry, 'procedure').forEach(procedure => readProcedure(kind, procedure));
+      }
+    });
+  });
+
+  // Patient
+  const patient = select(root, 'recordTarget/patientRole/patient');
+  const nameNode = firstChild(patient, 'name');
+  const name = nameNode
+    ? squash([...childElements(nameNode, 'given'), ...childElements(nameNode, 'family')].map(part => part.textContent).join(' ')) || squash(nameNode.textContent)
+    : null;
+  const birthDate = toDate(attr(firstChild(patient, 'birthTime'), 'value'));
+  const ageOn = ccda.effectiveDate && ccda.effectiveDate.length === 10 ? ccda.effectiveDate : new Date().toISOString().slice(0, 10);
+  record.setBirthDate(birthDate, ageOn);
+
+  const title = squash(firstChild(root, 'title')?.textContent) || 'Clinical document';
+  const header = [
+    title,
+    ccda.effectiveDate && `Document date: ${ccda.effectiveDate}`
+  ].filter(Boolean).join('\n');
+
+  return {
+    source: 'ccda',
+    documentName,
+    title,
+    effectiveDate: ccda.effectiveDate,
+    patient: { name, birthDate },
+    ...record.build(),
+    text: [header, ...narrative].join('\n\n')
+  };
+}
@@ -192,6 +192,8 @@ function validateAndCleanParsedData(data, userProvidedData = {}) {
       complications: Array.isArray(data.pregnancyHistory?.complications) ? data.pregnancyHistory.complications : []
     },
     medicalConditions: Array.isArray(data.medicalConditions) ? data.medicalConditions : [],
+    // Left undefined when Claude returned no list, so the deterministic extraction is kept
+    medications: Array.isArray(data.medications) ? data.medications.filter(medication => medication?.name) : undefined,
     infectiousDiseaseTests: {},
     psychological: {
       hasCompletedEvaluation: false,
@@ -234,6 +236,11 @@ function validateAndCleanParsedData(data, userProvidedData = {}) {
     cleaned.documentationGaps = data.documentationGaps;
   }
 
+  // Verbatim quotes backing each field (cited by cascadingParser.js)
+  if (data.evidence && typeof data.evidence === 'object' && !Array.isArray(data.evidence)) {
+    cleaned.evidence = data.evidence;
+  }
+
   return cleaned;
 }
 
@@ -0,0 +1,358 @@
+/**
+ * Clinical Context - NegEx-style check of who a finding belongs to and whether it is asserted
+ *
+ * A keyword match only counts when the record affirms it for the candidate.
+ * The sentence around each match is searched for trigger phrases:
+ *
+ *   negated       "denies hypertension", "no history of GDM", "HTN ruled out"
+ *   hypothetical  "monitor for preeclampsia", "aspirin for preeclampsia prevention"
+ *   historical    "asthma as a child, resolved", "childhood asthma"
+ *   family        "mother has diabetes", "Family history: diabetes (father)"
+ *   rule_out      "r/o preeclampsia", "possible previa", "PIH vs preeclampsia"
+ *
+ * Most triggers before the match reach forward to the end of the clause;
+ * a relative reaches the next few words, and the weak negations ("no",
+ * "not", "without") the next few words up to a comma, or on through a list
+ * ("no hypertension, diabetes, or preeclampsia"). Triggers after
+ * the match count within a few words, up to a comma. The nearest trigger
+ * wins. Pseudo-triggers ("no change", "Rh negative") are ignored.
+ *
+ * The chart section counts too (see sectionSegmenter.js): an otherwise
+ * affirmed finding under "Family History" is a family member's, and one in
+ * another ignored section (allergies) is excluded.
+ *
+ * Past pregnancy complications are history by nature, so callers decide
+ * whether historical mentions count (see isAffirmed()).
+ */
+
+import { getSectionAt, SECTION_TYPES } from './sectionSegmenter.js';
+
+export const CLINICAL_CONTEXTS = {
+  AFFIRMED: 'affirmed',
+  NEGATED: 'negated',
+  HYPOTHETICAL: 'hypothetical',
+  HISTORICAL: 'historical',
+  FAMILY: 'family',
+  RULE_OUT: 'rule_out',
+  EXCLUDED_SECTION: 'excluded_section'
+};
+
+export const CONTEXT_LABELS = {
+  [CLINICAL_CONTEXTS.AFFIRMED]: 'Affirmed',
+  [CLINICAL_CONTEXTS.NEGATED]: 'Negated',
+  [CLINICAL_CONTEXTS.HYPOTHETICAL]: 'Hypothetical',
+  [CLINICAL_CONTEXTS.HISTORICAL]: 'Resolved / historical',
+  [CLINICAL_CONTEXTS.FAMILY]: 'Family member',
+  [CLINICAL_CONTEXTS.RULE_OUT]: 'Rule-out',
+  [CLINICAL_CONTEXTS.EXCLUDED_SECTION]: 'Excluded section'
+};
+
+// Relatives other than the candidate; "intended mother" is the intended parent
+const RELATIVES = "(?<!intended\\s)(?:mother|father|mom|dad|sister|brother|sibling|aunt|uncle|cousin|grand(?:mother|father|parent)s?|grandma|grandpa)";
+
+/**
+ * Triggers before the finding, by how far they reach:
+ * clause - to the end of the clause
+ * near   - the next few words (a relative: "mother has type 2 diabetes")
+ * list   - the next few words, or through a list of short items joined by
+ *          commas and "or" / "and" ("no", "not", "without")
+ * weak   - the next few words, not past a comma ("vs")
+ */
+const PRE_TRIGGERS = [
+  {
+    context: CLINICAL_CONTEXTS.NEGATED,
+    scope: 'clause',
+    patterns: [
+      /\bdenie[sd]\b/i,
+      /\bdenial of\b/i,
+      /\bnegative for\b/i,
+      /\bno (?:known |prior |previous |past |personal )?(?:history|hx|h\/o|evidence|signs?|symptoms|diagnosis|findings?) of\b/i,
+      /\bno (?:known |prior |previous |past |personal )?(?:history|hx|h\/o)\b/i,
+      /\bnever (?:had|diagnosed with|been diagnosed with|experienced)\b/i,
+      /\b(?:did|does|do) not (?:have|develop|experience)\b/i,
+      /\b(?:didn't|doesn't|don't) (?:have|develop|experience)\b/i,
+      /\bfree of\b/i,
+      /\babsence of\b/i,
+      /\bruled out for\b/i,
+      /\bnegative\s*:/i
+    ]
+  },
+  {
+    context: CLINICAL_CONTEXTS.NEGATED,
+    scope: 'list',
+    patterns: [/\bno\b/i, /\bnot\b/i, /\bwithout\b/i, /\bnor\b/i]
+  },
+  {
+    context: CLINICAL_CONTEXTS.HYPOTHETICAL,
+    scope: 'clause',
+    patterns: [
+      /\bif (?:she |patient |pt |the candidate )?(?:develops?|has|experiences?|shows?)\b/i,
+      /\bin case of\b/i,
+      /\b(?:at |increased |high |elevated )?risks? (?:of|for)\b/i,
+      /\b(?:watch|monitor(?:ed|ing)?|screen(?:ed|ing)?|test(?:ed|ing)?|evaluat(?:e|ed|ing)) for\b/i,
+      /\bsigns (?:and symptoms )?of\b/i,
+      /\bcounsel(?:l?ed|ing) (?:on|about|regarding)\b/i,
+      /\beducated (?:on|about|regarding)\b/i,
+      /\bprecautions?\b/i,
+      /\bprevent(?:ion of)?\b/i,
+      /\bprophylaxis (?:for|against)\b/i,
+      /\breturn (?:precautions|if)\b/i
+    ]
+  },
+  {
+    context: CLINICAL_CONTEXTS.HISTORICAL,
+    scope: 'clause',
+    patterns: [/\bchildhood\b/i, /\bresolved\b/i, /\boutgr(?:ew|own)\b/i]
+  },
+  {
+    context: CLINICAL_CONTEXTS.FAMILY,
+    scope: 'clause',
+    patterns: [/\bfamily (?:history|hx)\b/i, /\bFHx?\s*:/]
+  },
+  {
+    context: CLINICAL_CONTEXTS.FAMILY,
+    scope: 'near',
+    patterns: [new RegExp(`\\b${RELATIVES}\\b`, 'i')]
+  },
+  {
+    context: CLINICAL_CONTEXTS.RULE_OUT,
+    scope: 'clause',
+    patterns: [
+      /\bto rule out\b/i,
+      /\brule out\b/i,
+      /\br\/o\b/i,
+      /\bpossible\b/i,
+      /\bsuspected\b/i,
+      /\bquestionable\b/i,
+      /\bconcern(?:ing)? for\b/i,
+      /\bdifferential(?: diagnosis)?\b/i,
+      /\bddx\b/i
+    ]
+  },
+  {
+    context: CLINICAL_CONTEXTS.RULE_OUT,
+    scope: 'weak',
+    patterns: [/\b(?:vs\.?|versus)(?=\s)/i]
+  }
+];
+
+// Words a 'near', 'list' or 'weak' trigger reaches (for a list, each item)
+const SCOPE_WORDS = { near: 6, list: 3, weak: 3 };
+
+// Triggers in the few words after the finding (up to a comma)
+const POST_TRIGGERS = [
+  {
+    context: CLINICAL_CONTEXTS.NEGATED,
+    patterns: [
+      /\b(?:was |were |has been |is )?ruled out\b/i,
+      /\b(?:was |were |is )?(?:negative|not present|absent|not seen|excluded|unlikely)\b/i,
+      /\b(?:was |is )?denied\b/i,
+      /\bunremarkable\b/i,
+      /\bwithin normal limits\b/i,
+      /\bwnl\b/i
+    ]
+  },
+  {
+    context: CLINICAL_CONTEXTS.HYPOTHETICAL,
+    patterns: [
+      /\bprevention\b/i,
+      /\bprophylaxis\b/i,
+      /\bprecautions\b/i,
+      /\bscreen(?:ing)?\b(?!\s+(?:was\s+|came back\s+)?(?:positive|abnormal|failed))/i
+    ]
+  },
+  {
+    context: CLINICAL_CONTEXTS.HISTORICAL,
+    patterns: [
+      /\b(?:since |has |have |had )?resolved\b/i,
+      /\bin remission\b/i,
+      /\bas a (?:child|kid|teen(?:ager)?)\b/i,
+      /\bin (?:childhood|adolescence)\b/i,
+      /\boutgr(?:ew|own)\b/i,
+      /\bno longer\b/i
+    ]
+  },
+  {
+    context: CLINICAL_CONTEXTS.FAMILY,
+    patterns: [new RegExp(`\\b(?:maternal |paternal )?${RELATIVES}\\b`, 'i')]
+  },
+  {
+    context: CLINICAL_CONTEXTS.RULE_OUT,
+    patterns: [
+      /\?/,
+      /\b(?:vs\.?|versus)(?=\s)/i,
+      /\bsuspected\b/i,
+      /\bnot (?:yet )?confirmed\b/i,
+      /\b(?:not (?:been |be )?|cannot be |can't be )ruled out\b/i
+    ]
+  }
+];
+
+const POST_SCOPE_WORDS = 4;
+
+// Phrases that look like triggers but aren't
+const PSEUDO_TRIGGERS = [
+  /\bno (?:change|increase|further|new)\b/i,
+  /\bnot only\b/i,
+  /\bwithout (?:difficulty|complication)s?\b/i,
+  /\bgram[- ]negative\b/i,
+  /\b(?:rh|gbs|gbbs|rubella|hiv|hbsag|rpr|covid)\s*(?:\(d\)\s*)?(?:status\s*)?:?\s*(?:negative|neg)\b/i,
+  /\bno longer (?:on|taking)\b/i
+];
+
+// Words that end a trigger's scope, as in NegEx
+const CLAUSE_TERMINATORS = /\b(?:but|however|although|though|except|apart from|aside from|yet|whereas|which|who|then|until|currently|now|presents? with|developed|delivered|complicated by)\b/i;
+
+// Sentence ends ("5.9" is not one) and line breaks
+const SENTENCE_BOUNDARY = /[.!?](?=\s|$)|[;\n]/g;
+
+// The sentence containing text[start, end)
+function getSentence(text, start, end) {
+  let from = 0;
+  let to = text.length;
+  for (const boundary of text.matchAll(SENTENCE_BOUNDARY)) {
+    if (boundary.index < start) {
+      from = boundary.index + 1;
+    } else if (boundary.index >= end) {
+      to = boundary.index;
+      break;
+    }
+  }
+  return { from, to };
+}
+
+const maskPseudoTriggers = value =>
+  PSEUDO_TRIGGERS.reduce((masked, pattern) =>
+    masked.replace(new RegExp(pattern.source, 'gi'), match => '_'.repeat(match.length)), value);
+
+const wordCount = value => (value.match(/\S+/g) || []).length;
+
+// List items are split on commas and conjunctions; a verb or subject means the comma began a new statement
+const LIST_SEPARATOR = /,|\b(?:or|and|nor)\b/i;
+const LIST_CONJUNCTION = /\b(?:or|and|nor)\b/i;
+const LIST_BREAKERS = /\b(?:is|are|was|were|has|have|had|she|he|patient|pt|reports?|states?|noted|with|takes|taking|uses|drinks|smokes)\b/i;
+
+const isListItems = value =>
+  !CLAUSE_TERMINATORS.test(value) && !LIST_BREAKERS.test(value) &&
+  value.split(LIST_SEPARATOR).every(item => wordCount(item) <= SCOPE_WORDS.list);
+
+// "no hypertension, diabetes, or preeclampsia": the items up to the finding, in a list joined by a conjunction
+function continuesList(gap, after) {
+  if (!isListItems(gap)) return false;
+  if (LIST_CONJUNCTION.test(gap)) return true;
+  const conjunction = after.search(LIST_CONJUNCTION);
+  return conjunction !== -1 && isListItems(after.slice(0, conjunction));
+}
+
+function reaches(scope, gap, after) {
+  if (CLAUSE_TERMINATORS.test(gap)) return false;
+  if (scope === 'clause') return true;
+  if (scope === 'list' && (gap.includes(',') || wordCount(gap) > SCOPE_WORDS.list)) return continuesList(gap, after);
+  if (scope === 'weak' && gap.includes(',')) return false;
+  return wordCount(gap) <= SCOPE_WORDS[scope];
+}
+
+// Nearest trigger before the finding whose scope reaches it
+function findPreTrigger(before, after) {
+  let best = null;
+  PRE_TRIGGERS.forEach(({ context, scope, patterns }) => {
+    patterns.forEach(pattern => {
+      for (const match of before.matchAll(new RegExp(pattern.source, pattern.flags + 'g'))) {
+        const gap = before.slice(match.index + match[0].length);
+        const distance = gap.length;
+        if (reaches(scope, gap, after) && (!best || distance < best.distance)) {
+          best = { context, trigger: match[0].trim(), distance };
+        }
+      }
+    });
+  });
+  return best;
+}
+
+// Nearest trigger in the few words after the finding
+function findPostTrigger(after) {
+  const words = after.match(new RegExp(`^(?:[^\\S,]*[^\\s,]+){0,${POST_SCOPE_WORDS}}`))[0];
+  const terminator = words.search(CLAUSE_TERMINATORS);
+  const scope = terminator === -1 ? words : words.slice(0, terminator);
+
+  let best = null;
+  POST_TRIGGERS.forEach(({ context, patterns }) => {
+    patterns.forEach(pattern => {
+      const match = scope.match(pattern);
+      if (match && (!best || match.index < best.distance)) {
+        best = { context, trigger: match[0].trim(), distance: match.index };
+      }
+    });
+  });
+  return best;
+}
+
+// What an affirmed finding in an ignored section becomes
+function getSectionContext(section) {
+  if (section.weight > 0) return null;
+  return {
+    context: section.type === SECTION_TYPES.FAMILY_HISTORY ? CLINICAL_CONTEXTS.FAMILY : CLINICAL_CONTEXTS.EXCLUDED_SECTION,
+    trigger: section.heading
+  };
+}
+
+/**
+ * Context of a finding matched at text[start, end)
+ * @returns {Object} { context: one of CLINICAL_CONTEXTS, trigger: phrase or section heading that set it
+ *   (null when affirmed), section: SECTION_TYPES value, sectionWeight }
+ */
+export function getClinicalContext(text, start, end) {
+  const sentence = getSentence(text, start, end);
+  const before = maskPseudoTriggers(text.slice(sentence.from, start));
+  const after = maskPseudoTriggers(text.slice(end, sentence.to));
+  const section = getSectionAt(text, start);
+  const located = { section: section.type, sectionWeight: section.weight };
+
+  const candidates = [findPreTrigger(before, after), findPostTrigger(after)].filter(Boolean);
+  if (candidates.length === 0) {
+    return { context: CLINICAL_CONTEXTS.AFFIRMED, trigger: null, ...getSectionContext(section), ...located };
+  }
+
+  const nearest = candidates.sort((a, b) => a.distance - b.distance)[0];
+  return { context: nearest.context, trigger: nearest.trigger, ...located };
+}
+
+/**
+ * Whether a finding counts for the candidate
+ * @param {Object} mention - { context } from getClinicalContext() or findMentions()
+ * @param {Object} options
+ * @param {boolean} options.allowHistorical - Count resolved/past mentions (pregnancy complications)
+ */
+export function isAffirmed(mention, options = {}) {
+  return mention.context === CLINICAL_CONTEXTS.AFFIRMED ||
+    (options.allowHistorical === true && mention.context === CLINICAL_CONTEXTS.HISTORICAL);
+}
+
+/**
+ * Every match of the terms in the text, with its context
+ * Strings match anywhere, case-insensitively (as the keyword lists in
+ * textParser.js always have); RegExps match as written.
+ * @param {string} text
+ * @param {Array<string|RegExp>} terms
+ * @returns {Array} [{ start, end, text, context, trigger, section, sectionWeight }] in record order,
+ *   overlapping matches kept once
+ */
+export function findMentions(text, terms) {
+  if (!text) return [];
+
+  const mentions = [];
+  terms.forEach(term => {
+    const pattern = term instanceof RegExp
+      ? new RegExp(term.source, term.flags.includes('g') ? term.flags : term.flags + 'g')
+      : new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+    for (const match of text.matchAll(pattern)) {
+      if (!match[0]) continue;
+      const start = match.index;
+      const end = start + match[0].length;
+      if (mentions.some(mention => start < mention.end && end > mention.start)) continue;
+      mentions.push({ start, end, text: match[0], ...getClinicalContext(text, start, end) });
+    }
+  });
+
+  return mentions.sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,407 @@
+/**
+ * Coded Record Builder - turns coded entries into a coded record's data,
+ * citations and unmapped list
+ *
+ * Shared by the structured record importers (ccdaImporter.js, fhirImporter.js):
+ * each reads its own format into codings, values and dates, and hands them
+ * here to be mapped through the code tables in data/clinicalCodes.js. The
+ * same problem, result or procedure gives the same candidate data whichever
+ * format it came in.
+ *
+ * Every entry is added with its origin: { kind, section } - kind is where the
+ * format filed it (a C-CDA section, a FHIR resource type) and is reported on
+ * unmapped codes; section is the SECTION_TYPES chart section its citations
+ * are shown under.
+ */
+
+import {
+  BARIATRIC_PROCEDURE_CODES,
+  CODE_SYSTEMS,
+  COMPLICATION_CATEGORIES,
+  CONDITION_CODES,
+  DELIVERY_PROCEDURE_CODES,
+  findCodedKey,
+  INFECTIOUS_DISEASE_TEST_CODES,
+  LAB_CODES,
+  matchesCode,
+  PAST_EVENT_CONDITIONS,
+  PREGNANCY_HISTORY_CODES,
+  PSYCHOLOGICAL_CODES,
+  SMOKING_STATUS_CODES,
+  TEST_RESULT_CODES,
+  VITAL_SIGN_CODES
+} from '../data/clinicalCodes.js';
+import { lookupMedication } from '../assessments/medicationAssessment.js';
+import { SECTION_TYPES } from './sectionSegmenter.js';
+
+// Whole years from one YYYY-MM-DD date to another
+export function yearsBetween(from, to) {
+  const [fromYear, fromMonth = 1, fromDay = 1] = from.split('-').map(Number);
+  const [toYear, toMonth = 1, toDay = 1] = to.split('-').map(Number);
+  return toYear - fromYear - (toMonth < fromMonth || (toMonth === fromMonth && toDay < fromDay) ? 1 : 0);
+}
+
+// 'Gestational diabetes mellitus (resolved, 2019-06-01)'
+export function passageFor(display, details) {
+  const shown = details.filter(Boolean);
+  return shown.length > 0 ? `${display} (${shown.join(', ')})` : display;
+}
+
+// Whether codings name a condition or psychological history (a problem filed outside the problem list)
+export function hasProblemCode(codings) {
+  return Boolean(findCodedKey(CONDITION_CODES, codings) || findCodedKey(PSYCHOLOGICAL_CODES, codings));
+}
+
+const hasLoinc = (codes, loinc) => codes.some(code => loinc.includes(code));
+
+const medicationKey = medication => medication.medicationId || medication.name.toLowerCase();
+
+/**
+ * Create a builder for one coded record
+ * @param {Object} options
+ * @param {string} options.layer - PARSER_LAYERS entry cited on every value
+ * @param {string} options.source - Record source ('ccda', 'fhir'), set on lab values and deliveries
+ * @param {string} options.documentName - File name, cited on every value
+ * @returns {Object} { addProblem, addMedication, addObservation, addProcedure, setBirthDate, skip, build }
+ */
+export function createCodedRecordBuilder({ layer, source, documentName = null }) {
+  const data = {};
+  const citations = {};
+  const unmapped = [];
+  const deliveries = [];
+  const vitals = [];
+  const obstetricCounts = {};
+  const testDates = {};
+
+  const cite = (path, coding, origin, passage) => {
+    const entries = citations[path] || (citations[path] = []);
+    if (entries.some(entry => entry.code?.code === coding.code && entry.passage === passage)) return;
+    entries.push({
+      layer,
+      start: null,
+      end: null,
+      snippet: coding.display || coding.code,
+      passage,
+      passageStart: null,
+      document: documentName,
+      page: null,
+      section: origin.section || SECTION_TYPES.OTHER,
+      sectionWeight: 1,
+      ocrConfidence: null,
+      verified: true,
+      code: coding.code ? { system: coding.system, systemName: coding.systemName, code: coding.code, display: coding.display } : null
+    });
+  };
+
+  // A value replaced by a newer one keeps only the newer one's citations
+  const recite = (path, coding, origin, passage) => {
+    citations[path] = [];
+    cite(path, coding, origin, passage);
+  };
+
+  const skip = (origin, codings, display, reason) => {
+    const coding = codings[0];
+    if (!coding || unmapped.some(entry => entry.code === coding.code && entry.system === coding.system)) return;
+    unmapped.push({ section: origin.kind, system: coding.system, systemName: coding.systemName, code: coding.code, display, reason });
+  };
+
+  const addCondition = (condition, coding, origin, passage) => {
+    data.medicalConditions = [...new Set([...(data.medicalConditions || []), condition])];
+    cite(`medicalConditions[${condition}]`, coding, origin, passage);
+    if (COMPLICATION_CATEGORIES[condition]) addComplication(COMPLICATION_CATEGORIES[condition], coding, origin, passage);
+  };
+
+  // A pregnancy complication is also one of the pregnancy history's complications, once per category
+  const addComplication = (category, coding, origin, passage) => {
+    const complications = data.pregnancyHistory?.complications || [];
+    if (!complications.some(complication => complication.category === category)) {
+      const updated = [...complications, { category }];
+      data.pregnancyHistory = { ...data.pregnancyHistory, complications: updated, numberOfComplications: updated.length };
+    }
+    cite('pregnancyHistory.numberOfComplications', coding, origin, passage);
+  };
+
+  /**
+   * A problem: a condition or a psychological history
+   * @param {Object} problem - { codings, display, resolved, date }
+   */
+  const addProblem = (origin, { codings, display, resolved, date }) => {
+    if (codings.length === 0) return;
+    const passage = passageFor(display, [resolved ? 'resolved' : 'active', date]);
+
+    const psychological = findCodedKey(PSYCHOLOGICAL_CODES, codings);
+    if (psychological) {
+      data.psychological = { ...data.psychological, [psychological]: true };
+      cite(`psychological.${psychological}`, codings.find(coding => matchesCode(PSYCHOLOGICAL_CODES[psychological], coding)), origin, passage);
+      return;
+    }
+
+    const condition = findCodedKey(CONDITION_CODES, codings);
+    if (!condition) {
+      skip(origin, codings, display, 'No mapping for this code');
+      return;
+    }
+    if (resolved && !PAST_EVENT_CONDITIONS.includes(condition)) {
+      skip(origin, codings, display, 'Resolved');
+      return;
+    }
+    addCondition(condition, codings.find(coding => matchesCode(CONDITION_CODES[condition], coding)), origin, passage);
+  };
+
+  /**
+   * A current medication
+   * @param {Object} medication - { name, codings, dose: { value, unit }, frequency } - without a
+   *   dose quantity, the strength in the name is the dose
+   */
+  const addMedication = (origin, { name, codings, dose, frequency = null }) => {
+    if (!name) return;
+    const medicationId = lookupMedication(name)?.id || codings.map(coding => lookupMedication(coding.display)?.id).find(Boolean) || null;
+    const medication = {
+      name,
+      medicationId,
+      dose: dose?.value && dose.unit && dose.unit !== '1'
+        ? `${dose.value} ${dose.unit}`
+        : name.match(/\b(\d+(?:\.\d+)?\s*(?:mg|mcg|g|units?|iu|ml))\b/i)?.[1].toLowerCase() || null,
+      frequency
+    };
+    const key = medicationKey(medication);
+    if ((data.medications || []).some(existing => medicationKey(existing) === key)) return;
+    data.medications = [...(data.medications || []), medication];
+
+    const coding = codings[0] || { system: null, systemName: null, code: null, display: name };
+    cite(`medications[${key}]`, coding, origin, passageFor(name, [medication.dose, frequency]));
+    if (!medicationId) skip(origin, codings, name, 'Not in the medication knowledge base');
+  };
+
+  /**
+   * A result, vital sign, social history or pregnancy observation, by its LOINC code
+   * @param {Object} observation - { codings (LOINC), display, quantity, unit, date, interpretation,
+   *   referenceRange, valueCodings, valueText, valueDisplay, group } - group ties the systolic and
+   *   diastolic observations of one blood pressure reading together
+   */
+  const addObservation = (origin, observation) => {
+    const {
+      codings, display, quantity = null, unit = null, date = null, interpretation = null,
+      referenceRange = null, valueCodings = [], valueText = '', valueDisplay = '', group = null
+    } = observation;
+    const loinc = codings.map(coding => coding.code);
+    const coding = codings[0];
+    if (!coding) return;
+    const measured = [quantity, unit && unit !== '1' ? unit : null].filter(Boolean).join(' ');
+    const passage = passageFor(`${display}${measured ? `: ${measured}` : ''}`, [interpretation, date]);
+
+    const lab = findCodedKey(LAB_CODES, codings);
+    if (lab && quantity) {
+      const { lab: labName = lab, qualifier = null } = LAB_CODES[lab];
+      const current = data.labValues?.[labName];
+      if (current?.date && date && current.date > date) return;
+      data.labValues = {
+        ...data.labValues,
+        [labName]: {
+          value: quantity,
+          value2: null,
+          unit: unit && unit !== '1' ? unit : null,
+          qualifier,
+          text: passage,
+          referenceRange,
+          flag: interpretation,
+          date,
+          source
+        }
+      };
+      recite(`labValues.${labName}`, coding, origin, passage);
+      return;
+    }
+
+    const test = Object.keys(INFECTIOUS_DISEASE_TEST_CODES).find(name => hasLoinc(INFECTIOUS_DISEASE_TEST_CODES[name], loinc));
+    if (test) {
+      const result = findCodedKey(TEST_RESULT_CODES, valueCodings)
+        || (interpretation && findCodedKey(TEST_RESULT_CODES, [{ system: CODE_SYSTEMS.INTERPRETATION.id, code: interpretation }]))
+        || (/\b(?:non-?reactive|negative|not detected)\b/i.test(valueText) && 'negative')
+        || (/\b(?:reactive|positive|detected)\b/i.test(valueText) && 'positive')
+        || null;
+      if (!result) {
+        skip(origin, codings, display, 'Result not coded as positive or negative');
+        return;
+      }
+      if ((testDates[test] || '') > (date || '')) return;
+      data.infectiousDiseaseTests = { ...data.infectiousDiseaseTests, [test]: result };
+      testDates[test] = date || '';
+      recite(`infectiousDiseaseTests.${test}`, coding, origin, passageFor(`${display}: ${result}`, [date]));
+      return;
+    }
+
+    const systolic = hasLoinc(VITAL_SIGN_CODES.systolic, loinc);
+    if (systolic || hasLoinc(VITAL_SIGN_CODES.diastolic, loinc)) {
+      if (!quantity) return;
+      // Systolic and diastolic are separate observations in one group (or on one date)
+      const key = group || date;
+      let reading = vitals.find(vital => vital.key === key);
+      if (!reading) {
+        reading = { key, date, origin, codings: [] };
+        vitals.push(reading);
+      }
+      reading[systolic ? 'systolic' : 'diastolic'] = +quantity;
+      reading.codings.push(coding);
+      return;
+    }
+
+    const bmi = hasLoinc(VITAL_SIGN_CODES.bmi, loinc);
+    if (bmi || hasLoinc(VITAL_SIGN_CODES.weight, loinc)) {
+      if (!quantity) return;
+      const labName = bmi ? 'bmi' : 'weight';
+      const current = data.labValues?.[labName];
+      if (current?.date && date && current.date > date) return;
+      data.labValues = { ...data.labValues, [labName]: { value: quantity, value2: null, unit: unit || null, qualifier: null, text: passage, date, source } };
+      recite(`labValues.${labName}`, coding, origin, passage);
+      if (bmi) {
+        data.lifestyle = { ...data.lifestyle, bmi: parseFloat(quantity) };
+        recite('lifestyle.bmi', coding, origin, passage);
+      }
+      return;
+    }
+
+    if (hasLoinc(SMOKING_STATUS_CODES.observation, loinc)) {
+      const status = valueCodings.map(valueCoding => valueCoding.code);
+      const current = SMOKING_STATUS_CODES.current.some(code => status.includes(code));
+      if (!current && !SMOKING_STATUS_CODES.notCurrent.some(code => status.includes(code))) {
+        skip(origin, valueCodings, valueDisplay, 'Smoking status not recognised');
+        return;
+      }
+      data.lifestyle = { ...data.lifestyle, currentSmoker: current };
+      recite('lifestyle.currentSmoker', valueCodings[0], origin, passageFor(`${display}: ${valueDisplay}`, [date]));
+      return;
+    }
+
+    const count = Object.keys(PREGNANCY_HISTORY_CODES).find(name => hasLoinc(PREGNANCY_HISTORY_CODES[name], loinc));
+    if (count && quantity !== null) {
+      obstetricCounts[count] = { value: parseInt(quantity, 10), coding, passage, origin };
+      return;
+    }
+
+    skip(origin, codings, display, 'No mapping for this code');
+  };
+
+  /**
+   * A procedure that was done: a delivery or bariatric surgery
+   * @param {Object} procedure - { codings, display, date }
+   */
+  const addProcedure = (origin, { codings, display, date }) => {
+    if (codings.length === 0) return;
+    const passage = passageFor(display, [date]);
+
+    const mode = findCodedKey(DELIVERY_PROCEDURE_CODES, codings);
+    if (mode) {
+      deliveries.push({ mode, date, coding: codings.find(coding => matchesCode(DELIVERY_PROCEDURE_CODES[mode], coding)), passage, origin });
+      return;
+    }
+    if (codings.some(coding => matchesCode(BARIATRIC_PROCEDURE_CODES, coding))) {
+      addCondition('bariatric_surgery', codings.find(coding => matchesCode(BARIATRIC_PROCEDURE_CODES, coding)), origin, passage);
+      return;
+    }
+    skip(origin, codings, display, 'No mapping for this code');
+  };
+
+  /**
+   * The candidate's age from their date of birth
+   * @param {string} birthDate - YYYY-MM-DD; partial dates give no age
+   * @param {string} ageOn - YYYY-MM-DD the age is taken on (the record's date)
+   */
+  const setBirthDate = (birthDate, ageOn) => {
+    if (!birthDate || birthDate.length !== 10) return;
+    data.age = yearsBetween(birthDate, ageOn);
+    cite('age', { display: birthDate }, { section: null }, `Date of birth ${birthDate} (age on ${ageOn})`);
+  };
+
+  // Blood pressure readings, oldest first
+  const addReadings = () => {
+    vitals
+      .filter(vital => vital.systolic && vital.diastolic)
+      .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+      .forEach(vital => {
+        const index = (data.bloodPressureReadings || []).length;
+        const passage = passageFor(`Blood pressure ${vital.systolic}/${vital.diastolic} mmHg`, [vital.date]);
+        data.bloodPressureReadings = [...(data.bloodPressureReadings || []), {
+          systolic: vital.systolic,
+          diastolic: vital.diastolic,
+          date: vital.date,
+          phase: 'other',
+          gestationalWeeks: null,
+          postpartumWeeks: null
+        }];
+        vital.codings.forEach(coding => cite(`bloodPressureReadings[${index}]`, coding, vital.origin, passage));
+        citations['labValues.bloodPressure'] = [];
+        vital.codings.forEach(coding => cite('labValues.bloodPressure', coding, vital.origin, passage));
+        data.labValues = {
+          ...data.labValues,
+          bloodPressure: { value: String(vital.systolic), value2: String(vital.diastolic), unit: 'mmHg', qualifier: null, text: passage, date: vital.date, source }
+        };
+      });
+  };
+
+  // The term-birth count, when coded: directly, or as births less preterm births
+  // (delivery procedures carry no gestational age, so they can't tell term from preterm)
+  const getTermCount = () => {
+    const { termBirths, para, pretermBirths } = obstetricCounts;
+    if (termBirths) return { value: termBirths.value, entries: [termBirths] };
+    if (para && pretermBirths) return { value: Math.max(0, para.value - pretermBirths.value), entries: [para, pretermBirths] };
+    return null;
+  };
+
+  // Pregnancy history from the delivery procedures and the coded G/P counts
+  const addPregnancyHistory = () => {
+    const { para, termBirths, pretermBirths } = obstetricCounts;
+    if (deliveries.length === 0 && !para && !termBirths) return;
+
+    const cesareans = deliveries.filter(delivery => delivery.mode === 'cesarean');
+    const dated = deliveries.filter(delivery => delivery.date).sort((a, b) => a.date.localeCompare(b.date));
+    const counted = para?.value || (termBirths?.value || 0) + (pretermBirths?.value || 0);
+    const total = Math.max(deliveries.length, counted);
+    const last = dated[dated.length - 1];
+    const term = getTermCount();
+
+    data.pregnancyHistory = {
+      ...data.pregnancyHistory,
+      hasCompletedPregnancy: total > 0,
+      totalDeliveries: total,
+      // null: delivered, but not known whether at term
+      numberOfTermPregnancies: term ? term.value : null,
+      ...(deliveries.length > 0 && {
+        numberOfCesareans: cesareans.length,
+        deliveries: dated.map(delivery => ({ date: delivery.date, gestationalAgeWeeks: null, source }))
+      }),
+      ...(last && { lastDeliveryDate: last.date, lastDeliveryMode: last.mode })
+    };
+
+    const countCitations = [para, termBirths, pretermBirths].filter(Boolean);
+    const deliveryCitations = deliveries.length >= counted ? deliveries : countCitations;
+    ['totalDeliveries', 'hasCompletedPregnancy'].forEach(field => {
+      deliveryCitations.forEach(entry => cite(`pregnancyHistory.${field}`, entry.coding, entry.origin, entry.passage));
+    });
+    term?.entries.forEach(entry => cite('pregnancyHistory.numberOfTermPregnancies', entry.coding, entry.origin, entry.passage));
+    cesareans.forEach(delivery => cite('pregnancyHistory.numberOfCesareans', delivery.coding, delivery.origin, delivery.passage));
+    if (last) {
+      cite('pregnancyHistory.lastDeliveryDate', last.coding, last.origin, last.passage);
+      cite('pregnancyHistory.lastDeliveryMode', last.coding, last.origin, last.passage);
+    }
+  };
+
+  return {
+    addProblem,
+    addMedication,
+    addObservation,
+    addProcedure,
+    setBirthDate,
+    skip,
+
+    /**
+     * Finish the record
+     * @returns {Object} { data, citations, unmapped } - data holds only the fields the entries code
+     */
+    build() {
+      addReadings();
+      addPregnancyHistory();
+      return { data, citations, unmapped };
+    }
+  };
+}
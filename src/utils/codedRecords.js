@@ -0,0 +1,125 @@
+/**
+ * Coded Records - applies the values read from coded entries (C-CDA and
+ * FHIR, see ccdaImporter.js and fhirImporter.js) to the candidate data the
+ * parsers found in the text
+ *
+ * A coded entry says exactly what it means, so its values replace the parsed
+ * ones: age from the date of birth, lab values, BMI, smoking status,
+ * infectious disease results and the pregnancy history counts. Lists are
+ * combined: coded conditions and medications are added to the parsed ones,
+ * blood pressure readings not already parsed are appended, coded pregnancy
+ * complications join the pregnancy history's list, and a coded
+ * psychological history sets its flag. Records are applied oldest first, so
+ * the latest document's values win.
+ *
+ * The scalar fields the parser layers are compared on (CONFLICT_FIELDS in
+ * conflictResolution.js) are then settled by the merge policy, with the
+ * coded values as a layer of their own (see cascadingParser.js).
+ */
+
+// Fields a coded record replaces as a whole
+const REPLACED_FIELDS = ['labValues', 'infectiousDiseaseTests', 'lifestyle', 'pregnancyHistory'];
+
+const medicationKey = medication => medication.medicationId || medication.name.toLowerCase();
+
+const sameReading = (a, b) => a.systolic === b.systolic && a.diastolic === b.diastolic && (a.date || null) === (b.date || null);
+
+// Apply one record's data; record citations are added to citations (when given) under the merged data's paths
+function applyRecord(base, record, citations) {
+  const { data: coded = {} } = record;
+  const merged = { ...base };
+  const readingPaths = {};
+
+  if (coded.age !== undefined) merged.age = coded.age;
+
+  REPLACED_FIELDS.forEach(field => {
+    if (coded[field]) merged[field] = { ...merged[field], ...coded[field] };
+  });
+
+  // Pregnancy complications add to the ones already found, once per category
+  if (coded.pregnancyHistory?.complications?.length) {
+    const existing = base.pregnancyHistory?.complications || [];
+    const complications = [
+      ...existing,
+      ...coded.pregnancyHistory.complications.filter(complication => !existing.some(other => other.category === complication.category))
+    ];
+    merged.pregnancyHistory.complications = complications;
+    merged.pregnancyHistory.numberOfComplications = Math.max(base.pregnancyHistory?.numberOfComplications || 0, complications.length);
+  }
+
+  if (coded.medicalConditions?.length) {
+    merged.medicalConditions = [...new Set([...(merged.medicalConditions || []), ...coded.medicalConditions])];
+  }
+
+  if (coded.medications?.length) {
+    const existing = merged.medications || [];
+    merged.medications = [
+      ...existing,
+      ...coded.medications.filter(medication => !existing.some(other => medicationKey(other) === medicationKey(medication)))
+    ];
+  }
+
+  if (coded.psychological) {
+    merged.psychological = { ...merged.psychological };
+    Object.entries(coded.psychological).forEach(([flag, value]) => {
+      if (value) merged.psychological[flag] = true;
+    });
+  }
+
+  if (coded.bloodPressureReadings?.length) {
+    const readings = [...(merged.bloodPressureReadings || [])];
+    coded.bloodPressureReadings.forEach((reading, index) => {
+      let position = readings.findIndex(other => sameReading(other, reading));
+      if (position === -1) position = readings.push(reading) - 1;
+      readingPaths[`bloodPressureReadings[${index}]`] = `bloodPressureReadings[${position}]`;
+    });
+    merged.bloodPressureReadings = readings;
+  }
+
+  if (citations) {
+    Object.entries(record.citations || {}).forEach(([path, entries]) => {
+      const mergedPath = readingPaths[path] || path;
+      // Keyed list entries gather citations from every record; the rest take the latest record's
+      citations[mergedPath] = /\[[^\]\d][^\]]*\]$/.test(mergedPath)
+        ? [...(citations[mergedPath] || []), ...entries]
+        : entries;
+    });
+  }
+
+  return merged;
+}
+
+/**
+ * Apply coded records to parsed candidate data
+ * @param {Object} candidateData - The parsers' merged candidate data
+ * @param {Array} records - Coded records (importCcda(), importFhirBundle())
+ * @returns {Object} { data, coded, citations, summary } - data is candidateData with the
+ *   coded values applied; coded the records' values alone (the coded layer for conflict
+ *   resolution); citations their { path: [citation] } under data's paths; summary lists
+ *   each record: { source, documentName, title, effectiveDate, mapped, unmapped }
+ */
+export function applyCodedRecords(candidateData, records = []) {
+  const ordered = [...records].sort((a, b) => (a.effectiveDate || '').localeCompare(b.effectiveDate || ''));
+  const citations = {};
+  let data = { ...candidateData };
+  let coded = {};
+
+  ordered.forEach(record => {
+    data = applyRecord(data, record, citations);
+    coded = applyRecord(coded, record, null);
+  });
+
+  return {
+    data,
+    coded,
+    citations,
+    summary: ordered.map(record => ({
+      source: record.source,
+      documentName: record.documentName,
+      title: record.title,
+      effectiveDate: record.effectiveDate,
+      mapped: Object.keys(record.citations || {}).length,
+      unmapped: record.unmapped || []
+    }))
+  };
+}
@@ -0,0 +1,271 @@
+/**
+ * Conflict Resolution - what to do when the parser layers disagree
+ *
+ * The cascading parser has up to four sources for the same fields: the
+ * deterministic parsers (Layers 1 + 2, merged), Claude (Layer 3), the
+ * values the user typed into the form and the coded entries of structured
+ * records (C-CDA, FHIR; see codedRecords.js). resolveConflicts() compares them
+ * field by field and picks a value according to a merge policy:
+ *
+ *   prefer-claude         Claude, then the user, then coded entries, then the deterministic parsers
+ *   prefer-deterministic  coded entries, then the deterministic parsers, then the user, then Claude
+ *   prefer-user           the user, then coded entries, then Claude, then the deterministic parsers
+ *   require-human         as prefer-claude, but disagreements wait for a reviewer
+ *
+ * An empty value never wins (Claude returns 0 C-sections when it found none),
+ * and a layer that found nothing does not disagree with one that did - for the
+ * psychological, lifestyle and environmental flags, one reporting the parsers'
+ * default. Only the scalar fields in CONFLICT_FIELDS are compared; lists
+ * (conditions, medications) are still combined from every layer.
+ *
+ * The report is returned as parsingMetadata.conflicts:
+ *
+ *   [{
+ *     path: 'pregnancyHistory.numberOfTermPregnancies', label: 'Deliveries',
+ *     values: { deterministic: 3, claude: 2, user: null, coded: null },
+ *     chosen: 2, chosenLayer: 'claude', reason: 'Claude preferred by merge policy (Prefer Claude)',
+ *     needsReview: false
+ *   }]
+ */
+
+export const MERGE_POLICIES = {
+  PREFER_CLAUDE: 'prefer-claude',
+  PREFER_DETERMINISTIC: 'prefer-deterministic',
+  PREFER_USER: 'prefer-user',
+  REQUIRE_HUMAN: 'require-human'
+};
+
+export const MERGE_POLICY_LABELS = {
+  [MERGE_POLICIES.PREFER_CLAUDE]: 'Prefer Claude',
+  [MERGE_POLICIES.PREFER_DETERMINISTIC]: 'Prefer deterministic parsers',
+  [MERGE_POLICIES.PREFER_USER]: 'Prefer user-entered values',
+  [MERGE_POLICIES.REQUIRE_HUMAN]: 'Ask a reviewer'
+};
+
+// How the cascading parser has always merged
+export const DEFAULT_MERGE_POLICY = MERGE_POLICIES.PREFER_CLAUDE;
+
+export const CONFLICT_LAYERS = {
+  DETERMINISTIC: 'deterministic',
+  CLAUDE: 'claude',
+  USER: 'user',
+  CODED: 'coded'
+};
+
+export const CONFLICT_LAYER_LABELS = {
+  [CONFLICT_LAYERS.DETERMINISTIC]: 'Deterministic parsers',
+  [CONFLICT_LAYERS.CLAUDE]: 'Claude',
+  [CONFLICT_LAYERS.USER]: 'User entry',
+  [CONFLICT_LAYERS.CODED]: 'Coded entries'
+};
+
+// Layers in the order each policy trusts them; coded entries are deterministic, and
+// always more trusted than a pattern match on the text
+const POLICY_PRIORITY = {
+  [MERGE_POLICIES.PREFER_CLAUDE]: [CONFLICT_LAYERS.CLAUDE, CONFLICT_LAYERS.USER, CONFLICT_LAYERS.CODED, CONFLICT_LAYERS.DETERMINISTIC],
+  [MERGE_POLICIES.PREFER_DETERMINISTIC]: [CONFLICT_LAYERS.CODED, CONFLICT_LAYERS.DETERMINISTIC, CONFLICT_LAYERS.USER, CONFLICT_LAYERS.CLAUDE],
+  [MERGE_POLICIES.PREFER_USER]: [CONFLICT_LAYERS.USER, CONFLICT_LAYERS.CODED, CONFLICT_LAYERS.CLAUDE, CONFLICT_LAYERS.DETERMINISTIC],
+  [MERGE_POLICIES.REQUIRE_HUMAN]: [CONFLICT_LAYERS.CLAUDE, CONFLICT_LAYERS.USER, CONFLICT_LAYERS.CODED, CONFLICT_LAYERS.DETERMINISTIC]
+};
+
+/**
+ * Fields compared across layers
+ * kind decides what counts as equal: numbers within tolerance, dates when
+ * one is a less precise form of the other (2021-03 and 2021-03-14).
+ * zeroIsEmpty marks counts Claude reports as 0 when it didn't find them;
+ * notFound is the value every layer reports for a flag it found nothing for.
+ */
+export const CONFLICT_FIELDS = [
+  { path: 'age', label: 'Age', kind: 'number' },
+  { path: 'lifestyle.bmi', label: 'BMI', kind: 'number', tolerance: 0.5 },
+  { path: 'pregnancyHistory.numberOfTermPregnancies', label: 'Deliveries', kind: 'number', zeroIsEmpty: true },
+  { path: 'pregnancyHistory.numberOfCesareans', label: 'C-sections', kind: 'number', zeroIsEmpty: true },
+  { path: 'pregnancyHistory.numberOfComplications', label: 'Pregnancy complications', kind: 'number' },
+  { path: 'pregnancyHistory.lastDeliveryDate', label: 'Last delivery date', kind: 'date' },
+  { path: 'pregnancyHistory.lastDeliveryMode', label: 'Last delivery mode', kind: 'text' },
+  { path: 'psychological.hasCompletedEvaluation', label: 'Psychological evaluation completed', kind: 'boolean', notFound: false },
+  { path: 'psychological.currentPsychotropicMedication', label: 'Psychotropic medication', kind: 'boolean', notFound: false },
+  { path: 'psychological.historyOfMajorDepression', label: 'History of major depression', kind: 'boolean', notFound: false },
+  { path: 'psychological.historyOfBipolarDisorder', label: 'History of bipolar disorder', kind: 'boolean', notFound: false },
+  { path: 'psychological.historyOfPsychosis', label: 'History of psychosis', kind: 'boolean', notFound: false },
+  { path: 'psychological.historyOfAnxietyDisorder', label: 'History of anxiety disorder', kind: 'boolean', notFound: false },
+  { path: 'psychological.historyOfEatingDisorder', label: 'History of eating disorder', kind: 'boolean', notFound: false },
+  { path: 'psychological.historyOfSubstanceAbuse', label: 'History of substance abuse', kind: 'boolean', notFound: false },
+  { path: 'psychological.historyOfAbuse', label: 'History of abuse', kind: 'boolean', notFound: false },
+  { path: 'psychological.evidenceOfCoercion', label: 'Evidence of coercion', kind: 'boolean', notFound: false },
+  { path: 'psychological.adequateSupportSystem', label: 'Adequate support system', kind: 'boolean', notFound: true },
+  { path: 'psychological.stableEnvironment', label: 'Stable environment', kind: 'boolean', notFound: true },
+  { path: 'lifestyle.currentSmoker', label: 'Current smoker', kind: 'boolean', notFound: false },
+  { path: 'lifestyle.currentAlcoholUse', label: 'Alcohol use', kind: 'text', notFound: 'none' },
+  { path: 'lifestyle.currentDrugUse', label: 'Current drug use', kind: 'boolean', notFound: false },
+  { path: 'lifestyle.recentTattoos', label: 'Recent tattoos', kind: 'boolean', notFound: false },
+  { path: 'environmental.stableHousing', label: 'Stable housing', kind: 'boolean', notFound: true },
+  { path: 'environmental.stableEmployment', label: 'Stable employment', kind: 'boolean', notFound: true },
+  { path: 'environmental.adequateFinancialSituation', label: 'Adequate finances', kind: 'boolean', notFound: true },
+  { path: 'environmental.stableRelationship', label: 'Stable relationship', kind: 'boolean', notFound: true },
+  { path: 'environmental.supportivePartner', label: 'Supportive partner', kind: 'boolean', notFound: true },
+  { path: 'environmental.legalIssues', label: 'Legal issues', kind: 'boolean', notFound: false }
+];
+
+// Fields derived from a compared one, kept in step when it changes (value, value it replaces, data)
+const LINKED_FIELDS = {
+  'pregnancyHistory.numberOfTermPregnancies': (value, previous, data) => {
+    // Total deliveries count preterm ones too, so they only follow a term count they matched
+    const totalDeliveries = getPath(data, 'pregnancyHistory.totalDeliveries');
+    const followsTermCount = totalDeliveries === undefined || totalDeliveries === null || totalDeliveries === previous;
+    const total = followsTermCount ? value : totalDeliveries;
+    return {
+      ...(followsTermCount && { 'pregnancyHistory.totalDeliveries': value }),
+      'pregnancyHistory.hasCompletedPregnancy': value > 0 || total > 0
+    };
+  }
+};
+
+const getPath = (data, path) => path.split('.').reduce((node, key) => node?.[key], data);
+
+function setPath(data, path, value) {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((node, key) => {
+    node[key] = { ...(node[key] || {}) };
+    return node[key];
+  }, data);
+  parent[keys[keys.length - 1]] = value;
+}
+
+function isEmpty(value, field) {
+  if (value === null || value === undefined || value === '') return true;
+  if (typeof value === 'number' && Number.isNaN(value)) return true;
+  if ('notFound' in field && value === field.notFound) return true;
+  return field.zeroIsEmpty === true && value === 0;
+}
+
+function valuesAgree(a, b, field) {
+  switch (field.kind) {
+    case 'number':
+      return Math.abs(Number(a) - Number(b)) <= (field.tolerance || 0);
+    case 'date': {
+      const [shorter, longer] = [String(a), String(b)].sort((x, y) => x.length - y.length);
+      return longer.startsWith(shorter);
+    }
+    default:
+      return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+  }
+}
+
+/**
+ * The compared fields' values in one layer's data
+ * @param {Object} data - Candidate data as that layer returned it
+ * @returns {Object} { path: value }
+ */
+export function pickConflictFields(data) {
+  return Object.fromEntries(CONFLICT_FIELDS.map(field => [field.path, getPath(data, field.path)]));
+}
+
+/**
+ * Layers in the order a policy trusts them, most trusted first
+ */
+export function getLayerPriority(policy) {
+  return POLICY_PRIORITY[policy] || POLICY_PRIORITY[DEFAULT_MERGE_POLICY];
+}
+
+/**
+ * Compare the layers field by field and choose a value for each
+ * @param {Object} layerValues - { deterministic, claude, user, coded }, each from pickConflictFields()
+ *   (a layer that didn't run is null)
+ * @param {string} policy - One of MERGE_POLICIES
+ * @returns {Object} { resolutions, conflicts } - resolutions has an entry for every field some
+ *   layer found; conflicts are the ones where layers disagree
+ */
+export function resolveConflicts(layerValues, policy = DEFAULT_MERGE_POLICY) {
+  const priority = getLayerPriority(policy);
+  const resolutions = [];
+
+  CONFLICT_FIELDS.forEach(field => {
+    const values = Object.fromEntries(
+      Object.values(CONFLICT_LAYERS).map(layer => {
+        const value = layerValues[layer]?.[field.path];
+        return [layer, isEmpty(value, field) ? null : value];
+      })
+    );
+    const found = priority.filter(layer => values[layer] !== null);
+    if (found.length === 0) return;
+
+    const chosenLayer = found[0];
+    const conflict = found.some(layer => !valuesAgree(values[layer], values[chosenLayer], field));
+    const needsReview = conflict && policy === MERGE_POLICIES.REQUIRE_HUMAN;
+
+    let reason;
+    if (!conflict) {
+      reason = found.length === 1 ? `Only found by ${CONFLICT_LAYER_LABELS[chosenLayer]}` : 'Layers agree';
+    } else if (needsReview) {
+      reason = `Awaiting reviewer (${CONFLICT_LAYER_LABELS[chosenLayer]} shown until then)`;
+    } else {
+      reason = `${CONFLICT_LAYER_LABELS[chosenLayer]} preferred by merge policy (${MERGE_POLICY_LABELS[policy] || policy})`;
+    }
+
+    resolutions.push({
+      path: field.path,
+      label: field.label,
+      values,
+      chosen: values[chosenLayer],
+      chosenLayer,
+      reason,
+      conflict,
+      needsReview
+    });
+  });
+
+  return {
+    resolutions,
+    conflicts: resolutions.filter(resolution => resolution.conflict).map(({ conflict, ...rest }) => rest)
+  };
+}
+
+/**
+ * Write the chosen values into the merged data
+ * Fields already holding the chosen value are left alone.
+ * @param {Object} data - Merged candidate data (modified in place)
+ * @param {Array} resolutions - From resolveConflicts() or the reviewer's conflicts
+ * @returns {Object} data
+ */
+export function applyResolutions(data, resolutions) {
+  resolutions.forEach(({ path, chosen }) => {
+    const previous = getPath(data, path);
+    if (previous === chosen) return;
+    const linked = LINKED_FIELDS[path]?.(chosen, previous, data) || {};
+    setPath(data, path, chosen);
+    Object.entries(linked).forEach(([linkedPath, value]) => setPath(data, linkedPath, value));
+  });
+  return data;
+}
+
+/**
+ * Apply a reviewer's choices to parsed candidate data
+ * @param {Object} candidateData - Output of parseMedicalText()
+ * @param {Object} choices - { path: layer } for the conflicts the reviewer resolved
+ * @returns {Object} Candidate data with the chosen values and parsingMetadata.conflicts updated
+ */
+export function applyReviewerChoices(candidateData, choices) {
+  const conflicts = (candidateData.parsingMetadata?.conflicts || []).map(conflict => {
+    const layer = choices[conflict.path];
+    if (!layer || conflict.values[layer] === null || conflict.values[layer] === undefined) return conflict;
+    return {
+      ...conflict,
+      chosen: conflict.values[layer],
+      chosenLayer: layer,
+      reason: `Chosen by reviewer (${CONFLICT_LAYER_LABELS[layer]})`,
+      needsReview: false
+    };
+  });
+
+  const updated = applyResolutions({ ...candidateData }, conflicts.filter(conflict => choices[conflict.path]));
+  updated.parsingMetadata = { ...candidateData.parsingMetadata, conflicts };
+  return updated;
+}
+
+/**
+ * Whether any disagreement still waits for a reviewer
+ */
+export function hasPendingConflicts(candidateData) {
+  return (candidateData?.parsingMetadata?.conflicts || []).some(conflict => conflict.needsReview);
+}
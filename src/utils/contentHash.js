@@ -0,0 +1,39 @@
+/**
+ * Content Hashing
+ * Deterministic fingerprints for rule data (rule packs, clinic profiles).
+ * Not cryptographic - only used to tell rule versions apart.
+ */
+
+/**
+ * JSON.stringify with sorted object keys, so equal content hashes equally
+ * regardless of property order
+ */
+export function stableStringify(value) {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+/**
+ * 32-bit FNV-1a over a string
+ */
+function fnv1a(text, seed) {
+  let hash = seed;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * 64-bit content hash (two FNV-1a passes with different offsets), as 16 hex chars
+ */
+export function hashContent(value) {
+  const text = typeof value === 'string' ? value : stableStringify(value);
+  return fnv1a(text, 0x811c9dc5) + fnv1a(text, 0x050c5d1f);
+}
@@ -0,0 +1,416 @@
+/**
+ * Document Ingestion
+ * One pipeline that turns uploaded records into text, used by the analyzer
+ * (App.jsx), bulk upload, MFMemo and the CLI.
+ *
+ * Each file format has a registered handler:
+ *   { id, name, extensions, mimeTypes, limits: { maxBytes, maxPages }, emptyMessage, parse(file, context) }
+ * parse() resolves to { text, pages, labRows, codedRecords, attachments }; only text is required.
+ * context is { fileName, limits, onProgress, ingestAttachment(file) }.
+ *
+ * Built-in formats:
+ *   pdf    text layer laid out by line, lab tables as rows, scanned pages by OCR (pdfDocument.js)
+ *   docx   Word documents (mammoth)
+ *   txt    plain text
+ *   rtf    Rich Text Format (markupText.js)
+ *   html   saved portal pages and exports (markupText.js)
+ *   image  photos and scans of records, read by OCR (pdfOcr.js)
+ *   eml    e-mails: the message and its attachments (emailMessage.js)
+ *   ccda   HL7 C-CDA documents: the narrative, and the coded entries as a coded record (ccdaImporter.js)
+ *   fhir   HL7 FHIR R4 Bundles (JSON): the encounters, and the resources as a coded record (fhirImporter.js)
+ *
+ * Every file gives the same result shape, whether it was read or not:
+ *   { fileName, fileType, format, fileSize, success, text, pages, ocrPages, labRows,
+ *     codedRecords, attachments, error, errorCode }
+ * pages lists how each page was read (PDFs and images; empty for formats without pages),
+ * ocrPages, labRows and codedRecords are the parseMedicalText() options of the same name
+ * and errorCode is one of INGESTION_ERRORS.
+ */
+
+import { openPdf, readPdfPages } from './pdfDocument.js';
+import { createPageReader, PAGE_TEXT_SOURCES } from './pdfOcr.js';
+import { htmlToText, rtfToText } from './markupText.js';
+import { parseEmail } from './emailMessage.js';
+import { importCcda } from './ccdaImporter.js';
+import { importFhirBundle } from './fhirImporter.js';
+
+export const INGESTION_ERRORS = {
+  UNSUPPORTED_FORMAT: 'unsupported_format',
+  FILE_TOO_LARGE: 'file_too_large',
+  TOO_MANY_PAGES: 'too_many_pages',
+  EMPTY_DOCUMENT: 'empty_document',
+  PARSE_FAILED: 'parse_failed'
+};
+
+const MB = 1024 * 1024;
+
+// Attachments of attachments are read; deeper nesting is not
+const MAX_ATTACHMENT_DEPTH = 2;
+
+function ingestionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const formatSize = bytes => {
+  if (bytes >= MB) return `${Math.round((bytes / MB) * 10) / 10} MB`;
+  return bytes >= 1024 ? `${Math.round(bytes / 1024)} KB` : `${bytes} bytes`;
+};
+
+async function readText(file) {
+  return (await file.text()).replace(/^\uFEFF/, '');
+}
+
+async function parsePdf(file, context) {
+  const opened = await openPdf(file);
+  if (opened.pdf.numPages > context.limits.maxPages) {
+    throw ingestionError(
+      INGESTION_ERRORS.TOO_MANY_PAGES,
+      `${context.fileName} has ${opened.pdf.numPages} pages; PDFs are limited to ${context.limits.maxPages}`
+    );
+  }
+  return readPdfPages(opened, { onProgress: context.onProgress });
+}
+
+async function parseDocx(file) {
+  const mammoth = await import('mammoth');
+  const arrayBuffer = await file.arrayBuffer();
+  // mammoth's Node build reads a Buffer, its browser build an ArrayBuffer
+  const input = typeof window === 'undefined' ? { buffer: Buffer.from(arrayBuffer) } : { arrayBuffer };
+  const result = await (mammoth.default ?? mammoth).extractRawText(input);
+  return { text: result.value };
+}
+
+async function parseImage(file, context) {
+  const reader = createPageReader();
+  try {
+    const report = progress => context.onProgress?.({ page: 1, totalPages: 1, source: PAGE_TEXT_SOURCES.OCR, ...progress });
+    const { text, confidence } = await reader.readImage(file, report);
+    return {
+      text: `--- Page 1 ---\n${text}`,
+      pages: [{ page: 1, source: PAGE_TEXT_SOURCES.OCR, confidence }]
+    };
+  } finally {
+    await reader.terminate();
+  }
+}
+
+// The message, then each attachment that could be read under its own file marker
+async function parseEml(file, context) {
+  const email = parseEmail(new Uint8Array(await file.arrayBuffer()));
+  const attachments = [];
+  for (const attachment of email.attachments) {
+    const attachmentFile = new File([attachment.bytes], attachment.fileName, { type: attachment.contentType });
+    attachments.push(await context.ingestAttachment(attachmentFile));
+  }
+
+  const attachmentText = attachments
+    .filter(attachment => attachment.success)
+    .map(attachment => `\n\n=== FILE: ${attachment.fileName} ===\n${attachment.text}\n`)
+    .join('');
+  return { text: `${email.text}${attachmentText}`, attachments };
+}
+
+async function parseCcda(file, context) {
+  let record;
+  try {
+    record = importCcda(await readText(file), { documentName: context.fileName });
+  } catch (error) {
+    // Not XML, or XML that isn't a clinical document
+    throw ingestionError(INGESTION_ERRORS.PARSE_FAILED, `Failed to parse C-CDA: ${error.message}`);
+  }
+  return { text: record.text, codedRecords: [record] };
+}
+
+async function parseFhir(file, context) {
+  let record;
+  try {
+    record = importFhirBundle(await readText(file), { documentName: context.fileName });
+  } catch (error) {
+    // Not JSON, or JSON that isn't a Bundle
+    throw ingestionError(INGESTION_ERRORS.PARSE_FAILED, `Failed to parse FHIR bundle: ${error.message}`);
+  }
+  return { text: record.text, codedRecords: [record] };
+}
+
+const BUILT_IN_FORMATS = [
+  {
+    id: 'pdf',
+    name: 'PDF',
+    extensions: ['pdf'],
+    mimeTypes: ['application/pdf'],
+    limits: { maxBytes: 50 * MB, maxPages: 300 },
+    emptyMessage: 'No text could be extracted - the pages are blank or could not be read by OCR',
+    parse: parsePdf
+  },
+  {
+    id: 'docx',
+    name: 'Word',
+    extensions: ['docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    limits: { maxBytes: 20 * MB },
+    parse: parseDocx
+  },
+  {
+    id: 'txt',
+    name: 'Text',
+    extensions: ['txt', 'text'],
+    mimeTypes: ['text/plain'],
+    limits: { maxBytes: 5 * MB },
+    parse: async file => ({ text: await readText(file) })
+  },
+  {
+    id: 'rtf',
+    name: 'Rich Text',
+    extensions: ['rtf'],
+    mimeTypes: ['application/rtf', 'text/rtf'],
+    limits: { maxBytes: 20 * MB },
+    parse: async file => ({ text: rtfToText(await readText(file)) })
+  },
+  {
+    id: 'html',
+    name: 'HTML',
+    extensions: ['html', 'htm'],
+    mimeTypes: ['text/html'],
+    limits: { maxBytes: 10 * MB },
+    parse: async file => ({ text: htmlToText(await readText(file)) })
+  },
+  {
+    id: 'image',
+    name: 'Image',
+    extensions: ['png', 'jpg', 'jpeg', 'webp', 'bmp'],
+    mimeTypes: ['image/png', 'image/jpeg', 'image/webp', 'image/bmp'],
+    limits: { maxBytes: 15 * MB },
+    emptyMessage: 'No text could be read from the image by OCR',
+    parse: parseImage
+  },
+  {
+    id: 'eml',
+    name: 'E-mail',
+    extensions: ['eml'],
+    mimeTypes: ['message/rfc822'],
+    limits: { maxBytes: 30 * MB },
+    parse: parseEml
+  },
+  {
+    id: 'ccda',
+    name: 'C-CDA',
+    extensions: ['xml', 'cda', 'ccda'],
+    mimeTypes: ['application/xml', 'text/xml', 'application/cda+xml'],
+    limits: { maxBytes: 20 * MB },
+    parse: parseCcda
+  },
+  {
+    id: 'fhir',
+    name: 'FHIR',
+    extensions: ['json', 'fhir'],
+    mimeTypes: ['application/fhir+json', 'application/json'],
+    limits: { maxBytes: 20 * MB },
+    parse: parseFhir
+  }
+];
+
+const formatRegistry = new Map();
+
+/**
+ * Register (or replace) a format handler
+ */
+export function registerFormat(handler) {
+  if (!handler?.id || typeof handler.parse !== 'function' || !handler.extensions?.length) {
+    throw new Error('Invalid format handler: id, extensions and parse() are required');
+  }
+  formatRegistry.set(handler.id, {
+    name: handler.id,
+    mimeTypes: [],
+    limits: {},
+    ...handler,
+    extensions: handler.extensions.map(extension => extension.toLowerCase())
+  });
+  return formatRegistry.get(handler.id);
+}
+
+export function unregisterFormat(id) {
+  return formatRegistry.delete(id);
+}
+
+/**
+ * List registered format handlers, in registration order
+ */
+export function listFormats() {
+  return [...formatRegistry.values()];
+}
+
+const getExtension = fileName => (fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '');
+
+/**
+ * The handler for a file, by extension and then by MIME type
+ * @param {File|Object} file - Anything with a name (and optionally a type)
+ * @returns {Object|null}
+ */
+export function getFormatHandler(file) {
+  const extension = getExtension(file.name || '');
+  const handlers = listFormats();
+  return handlers.find(handler => handler.extensions.includes(extension))
+    || handlers.find(handler => file.type && handler.mimeTypes.includes(file.type))
+    || null;
+}
+
+/**
+ * The file input `accept` list for the registered formats (".pdf,.docx,...")
+ */
+export function getAcceptedFileTypes() {
+  return listFormats().flatMap(handler => handler.extensions.map(extension => `.${extension}`)).join(',');
+}
+
+/**
+ * Read a document into text
+ * Never throws: a file that can't be read gives success: false with error and errorCode.
+ * @param {File} file - A browser File, or a Node File (the CLI)
+ * @param {Object} options
+ * @param {Function} options.onProgress - Page progress for PDFs and images:
+ *   { fileName, page, totalPages, source, status, progress (0-1) }
+ * @param {Object} options.limits - Per-format overrides of the handlers' limits,
+ *   e.g. { pdf: { maxPages: 50 } }
+ * @returns {Promise<Object>} See the result shape above
+ */
+export async function ingestDocument(file, options = {}) {
+  const { onProgress, limits = {}, depth = 0 } = options;
+  const fileName = file.name;
+  const handler = getFormatHandler(file);
+  const base = {
+    fileName,
+    fileType: getExtension(fileName),
+    format: handler?.id ?? null,
+    fileSize: file.size
+  };
+
+  try {
+    if (!handler) {
+      throw ingestionError(
+        INGESTION_ERRORS.UNSUPPORTED_FORMAT,
+        `Unsupported file type: .${base.fileType} (supported: ${getAcceptedFileTypes().replace(/,/g, ', ')})`
+      );
+    }
+
+    const formatLimits = { ...handler.limits, ...limits[handler.id] };
+    if (formatLimits.maxBytes && file.size > formatLimits.maxBytes) {
+      throw ingestionError(
+        INGESTION_ERRORS.FILE_TOO_LARGE,
+        `${fileName} is ${formatSize(file.size)}; ${handler.name} files are limited to ${formatSize(formatLimits.maxBytes)}`
+      );
+    }
+
+    let parsed;
+    try {
+      parsed = await handler.parse(file, {
+        fileName,
+        limits: formatLimits,
+        onProgress: onProgress && (progress => onProgress({ fileName, ...progress })),
+        ingestAttachment: attachment => (depth < MAX_ATTACHMENT_DEPTH
+          ? ingestDocument(attachment, { ...options, depth: depth + 1 })
+          : Promise.resolve(failure(attachment, ingestionError(INGESTION_ERRORS.UNSUPPORTED_FORMAT, 'Attachment nested too deeply'))))
+      });
+    } catch (error) {
+      if (error.code) throw error;
+      console.error(`Error parsing ${fileName}:`, error);
+      throw ingestionError(INGESTION_ERRORS.PARSE_FAILED, `Failed to parse ${handler.name}: ${error.message}`);
+    }
+
+    const text = (parsed.text || '').trim();
+    if (!text) {
+      throw ingestionError(INGESTION_ERRORS.EMPTY_DOCUMENT, handler.emptyMessage || `No text could be extracted from ${fileName}`);
+    }
+
+    const pages = (parsed.pages || []).map(({ page, source, confidence }) => ({ page, source, confidence }));
+    const attachments = parsed.attachments || [];
+    return {
+      ...base,
+      success: true,
+      text,
+      pages,
+      ocrPages: [
+        ...pages
+          .filter(page => page.source === PAGE_TEXT_SOURCES.OCR)
+          .map(({ page, confidence }) => ({ document: fileName, page, confidence })),
+        ...attachments.flatMap(attachment => attachment.ocrPages)
+      ],
+      labRows: [
+        ...(parsed.labRows || []).map(row => ({ document: fileName, ...row })),
+        ...attachments.flatMap(attachment => attachment.labRows)
+      ],
+      codedRecords: [
+        ...(parsed.codedRecords || []),
+        ...attachments.flatMap(attachment => attachment.codedRecords)
+      ],
+      attachments: attachments.map(({ fileName: name, format, success, error }) => ({ fileName: name, format, success, error })),
+      error: null,
+      errorCode: null
+    };
+  } catch (error) {
+    console.error(`❌ ${fileName}: ${error.message}`);
+    return { ...failure(file, error), format: base.format };
+  }
+}
+
+function failure(file, error) {
+  return {
+    fileName: file.name,
+    fileType: getExtension(file.name),
+    format: null,
+    fileSize: file.size,
+    success: false,
+    text: null,
+    pages: [],
+    ocrPages: [],
+    labRows: [],
+    codedRecords: [],
+    attachments: [],
+    error: error.message,
+    errorCode: error.code || INGESTION_ERRORS.PARSE_FAILED
+  };
+}
+
+/**
+ * Read several documents, one after another
+ * @param {File[]} files
+ * @param {Object} options - As for ingestDocument(), plus
+ * @param {Function} options.onDocument - Called with (current, total, fileName) before each file
+ * @returns {Promise<Array>} One result per file, in order
+ */
+export async function ingestDocuments(files, options = {}) {
+  const { onDocument, ...ingestOptions } = options;
+  const results = [];
+
+  for (let i = 0; i < files.length; i++) {
+    onDocument?.(i + 1, files.length, files[i].name);
+    results.push(await ingestDocument(files[i], ingestOptions));
+
+    // Small delay to prevent UI blocking
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  return results;
+}
+
+/**
+ * Combine ingested documents into one record for parseMedicalText()
+ * Each document's text follows a "=== FILE: name ===" marker, which
+ * provenance.js uses to cite the document.
+ * @param {Array} results - From ingestDocument() / ingestDocuments()
+ * @returns {Object} { text, ocrPages, labRows, codedRecords, succeeded, failed } - succeeded
+ *   are the readable results, failed the others
+ */
+export function combineDocuments(results) {
+  const succeeded = results.filter(result => result.success);
+  return {
+    text: succeeded.map(result => `\n\n=== FILE: ${result.fileName} ===\n${result.text}\n`).join(''),
+    ocrPages: succeeded.flatMap(result => result.ocrPages),
+    labRows: succeeded.flatMap(result => result.labRows),
+    codedRecords: succeeded.flatMap(result => result.codedRecords),
+    succeeded,
+    failed: results.filter(result => !result.success)
+  };
+}
+
+BUILT_IN_FORMATS.forEach(registerFormat);
@@ -0,0 +1,171 @@
+/**
+ * E-mail Messages - reads .eml files (RFC 822 / MIME)
+ *
+ * Records often arrive as an e-mail from a clinic: a covering note with the
+ * records attached. parseEmail() returns the headers, the body as text
+ * (text/plain preferred, else the HTML part through htmlToText()) and the
+ * attachments as bytes; the EML format handler in documentIngestion.js
+ * ingests the attachments like any other upload.
+ */
+
+import { htmlToText } from './markupText.js';
+
+// Headers shown above the body, in this order
+export const EMAIL_SUMMARY_HEADERS = ['from', 'to', 'date', 'subject'];
+
+// Bytes as a string with one character per byte (atob's and the MIME parts' encoding)
+function bytesToBinary(bytes) {
+  let binary = '';
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return binary;
+}
+
+function binaryToBytes(binary) {
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function decodeCharset(bytes, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    // Unknown charset label
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+function decodeQuotedPrintable(binary) {
+  return binary
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function decodeTransfer(binary, encoding) {
+  switch ((encoding || '').toLowerCase()) {
+    case 'base64':
+      return binaryToBytes(atob(binary.replace(/[^a-z0-9+/=]/gi, '')));
+    case 'quoted-printable':
+      return binaryToBytes(decodeQuotedPrintable(binary));
+    default:
+      return binaryToBytes(binary);
+  }
+}
+
+// =?charset?B|Q?text?= words in headers (RFC 2047)
+function decodeHeaderWords(value) {
+  return value
+    .replace(/(=\?[^?]+\?[bq]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+    .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (word, charset, encoding, encoded) => {
+      const binary = encoding.toLowerCase() === 'b'
+        ? atob(encoded)
+        : decodeQuotedPrintable(encoded.replace(/_/g, ' '));
+      return decodeCharset(binaryToBytes(binary), charset);
+    });
+}
+
+function parseHeaders(block) {
+  const headers = {};
+  block
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator <= 0) return;
+      const name = line.slice(0, separator).trim().toLowerCase();
+      if (!(name in headers)) headers[name] = decodeHeaderWords(line.slice(separator + 1).trim());
+    });
+  return headers;
+}
+
+// "text/plain; charset=utf-8; name=\"a.txt\"" → { value: 'text/plain', params: { charset, name } }
+function parseHeaderValue(header = '') {
+  const [value, ...parts] = header.split(';');
+  const params = {};
+  parts.forEach(part => {
+    const match = part.match(/^\s*([^=\s]+)\*?=\s*"?([^"]*)"?\s*$/);
+    if (match) params[match[1].toLowerCase()] = match[2];
+  });
+  return { value: value.trim().toLowerCase(), params };
+}
+
+function splitHeaderAndBody(binary) {
+  const match = binary.match(/\r?\n\r?\n/);
+  return match
+    ? { headers: parseHeaders(binary.slice(0, match.index)), body: binary.slice(match.index + match[0].length) }
+    : { headers: parseHeaders(binary), body: '' };
+}
+
+// Leaf parts in document order; multipart/alternative keeps only its preferred part
+function collectParts(headers, body, parts) {
+  const contentType = parseHeaderValue(headers['content-type'] || 'text/plain');
+  const disposition = parseHeaderValue(headers['content-disposition']);
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    const delimiter = `--${contentType.params.boundary}`;
+    const children = body
+      .split(delimiter)
+      .slice(1)
+      .filter(chunk => !chunk.startsWith('--'))
+      .map(chunk => splitHeaderAndBody(chunk.replace(/^[ \t]*\r?\n/, '')));
+
+    if (contentType.value === 'multipart/alternative') {
+      const preferred = children.find(child => /^text\/plain/i.test(child.headers['content-type'] || 'text/plain'))
+        || children[children.length - 1];
+      if (preferred) collectParts(preferred.headers, preferred.body, parts);
+    } else {
+      children.forEach(child => collectParts(child.headers, child.body, parts));
+    }
+    return parts;
+  }
+
+  const fileName = disposition.params.filename || contentType.params.name || null;
+  const isAttachment = disposition.value === 'attachment' || Boolean(fileName)
+    || !/^text\/(plain|html)$/.test(contentType.value);
+
+  parts.push({
+    contentType: contentType.value,
+    charset: contentType.params.charset || null,
+    fileName: fileName ? decodeHeaderWords(fileName) : null,
+    isAttachment,
+    bytes: decodeTransfer(body.replace(/\r?\n$/, ''), headers['content-transfer-encoding'])
+  });
+  return parts;
+}
+
+/**
+ * Parse an e-mail
+ * @param {Uint8Array} bytes - The .eml file
+ * @returns {Object} { headers, text, attachments: [{ fileName, contentType, bytes }] } - headers
+ *   are lower-cased with encoded words decoded; text is the body with the summary headers above it
+ */
+export function parseEmail(bytes) {
+  const { headers, body } = splitHeaderAndBody(bytesToBinary(bytes));
+  const parts = collectParts(headers, body, []);
+
+  const bodies = parts
+    .filter(part => !part.isAttachment)
+    .map(part => {
+      const text = decodeCharset(part.bytes, part.charset);
+      return part.contentType === 'text/html' ? htmlToText(text) : text.trim();
+    })
+    .filter(Boolean);
+
+  const summary = EMAIL_SUMMARY_HEADERS
+    .filter(name => headers[name])
+    .map(name => `${name[0].toUpperCase()}${name.slice(1)}: ${headers[name]}`);
+
+  const attachments = parts
+    .filter(part => part.isAttachment)
+    .map((part, idx) => ({
+      fileName: part.fileName || `attachment-${idx + 1}${part.contentType === 'message/rfc822' ? '.eml' : ''}`,
+      contentType: part.contentType,
+      bytes: part.bytes
+    }));
+
+  return {
+    headers,
+    text: [summary.join('\n'), ...bodies].filter(Boolean).join('\n\n'),
+    attachments
+  };
+}
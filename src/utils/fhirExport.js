@@ -0,0 +1,202 @@
+/**
+ * FHIR Export - an assessment as HL7 FHIR R4 resources, for filing back into
+ * an EHR
+ *
+ * exportAssessmentBundle() returns a collection Bundle of:
+ *   RiskAssessment     the overall risk level, the recommendations and the rule
+ *                      set it was assessed under (ruleVersioning.js)
+ *   DetectedIssue      one per finding that isn't ELIGIBLE, with the rule that
+ *                      raised it, its severity and, as evidence, the ICD-10-CM /
+ *                      SNOMED CT codes of what it is about (data/terminology.js)
+ *   DocumentReference  the PDF report, when one is given (inline, base64)
+ *   OperationOutcome   the codes of imported records that were not mapped, when given
+ *   Patient            only when no reference to the EHR's own Patient is given
+ *
+ * Resources refer to each other by urn:uuid fullUrls. Risk Ranger's own codes
+ * (risk levels, rule IDs, rule packs) use the urn:risk-ranger: systems below.
+ */
+
+import { RISK_LEVELS } from '../assessments/riskAssessment.js';
+import { CODE_SYSTEMS } from '../data/clinicalCodes.js';
+
+export const FHIR_SYSTEMS = {
+  RISK_LEVEL: 'urn:risk-ranger:risk-level',
+  RULE: 'urn:risk-ranger:rule',
+  RULE_PACK: 'urn:risk-ranger:rule-pack',
+  RISK_PROBABILITY: 'http://terminology.hl7.org/CodeSystem/risk-probability'
+};
+
+// Risk levels as RiskAssessment qualitative risk and DetectedIssue severity
+const RISK_LEVEL_CODES = {
+  [RISK_LEVELS.ELIGIBLE]: { probability: 'low', severity: null },
+  [RISK_LEVELS.REQUIRES_COUNSELING]: { probability: 'moderate', severity: 'moderate' },
+  [RISK_LEVELS.HIGH_RISK]: { probability: 'high', severity: 'high' },
+  [RISK_LEVELS.DISQUALIFIED]: { probability: 'high', severity: 'high' }
+};
+
+const REPORT_TITLE = 'Gestational carrier risk assessment';
+
+const newUrl = () => `urn:uuid:${globalThis.crypto.randomUUID()}`;
+
+const idOf = url => url.replace(/^urn:uuid:/, '');
+
+// A coded record's system (a CODE_SYSTEMS id, or the OID or URI it came with) as a FHIR system URI
+function toSystemUri(system) {
+  const known = Object.values(CODE_SYSTEMS).find(codeSystem => codeSystem.id === system);
+  if (known) return known.uri;
+  return /^\d+(?:\.\d+)+$/.test(system) ? `urn:oid:${system}` : system;
+}
+
+// A finding's coded term as CodeableConcepts: the condition (ICD-10-CM, SNOMED CT,
+// CPT), then the personal history or status code the candidate is coded with now
+function termConcepts(term) {
+  const coding = [[CODE_SYSTEMS.ICD10, term.icd10], [CODE_SYSTEMS.SNOMED, term.snomed], [CODE_SYSTEMS.CPT, term.cpt]]
+    .filter(([, code]) => code)
+    .map(([system, code]) => ({ system: system.uri, code: code.code, display: code.display }));
+  return [
+    ...(coding.length > 0 ? [{ coding, text: term.display }] : []),
+    ...(term.history ? [{ coding: [{ system: CODE_SYSTEMS.ICD10.uri, ...term.history }], text: term.history.display }] : [])
+  ];
+}
+
+// A finding's terms as CodeableConcepts, each once (several complications share Z87.59)
+function findingConcepts(codes) {
+  const concepts = new Map();
+  codes.flatMap(termConcepts).forEach(concept => {
+    const key = concept.coding.map(coding => `${coding.system}|${coding.code}`).join(' ');
+    if (!concepts.has(key)) concepts.set(key, concept);
+  });
+  return [...concepts.values()];
+}
+
+// PDF bytes (ArrayBuffer, Uint8Array) or an already encoded string as base64
+function toBase64(data) {
+  if (typeof data === 'string') return data;
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Export an assessment as a FHIR Bundle
+ * @param {Object} assessment - performComprehensiveAssessment() results
+ * @param {Object} options
+ * @param {string} options.patientReference - The EHR's Patient ('Patient/123'); without it a
+ *   Patient resource is added to the bundle
+ * @param {string} options.candidateName - Name on the added Patient
+ * @param {Object} options.report - The PDF report: { data (bytes or base64), fileName }
+ * @param {Array} options.unmapped - Unmapped codes of the imported records (codedRecords.js
+ *   summary entries' unmapped, each with its documentName)
+ * @param {string} options.date - When the assessment was made (default: now)
+ * @returns {Object} A FHIR R4 Bundle of type collection
+ */
+export function exportAssessmentBundle(assessment, options = {}) {
+  const { patientReference = null, candidateName = '', report = null, unmapped = [], date = new Date().toISOString() } = options;
+  const entries = [];
+  const add = ({ resourceType, ...resource }) => {
+    const fullUrl = newUrl();
+    entries.push({ fullUrl, resource: { resourceType, id: idOf(fullUrl), ...resource } });
+    return fullUrl;
+  };
+
+  const patientUrl = patientReference || add({
+    resourceType: 'Patient',
+    ...(candidateName && { name: [{ text: candidateName }] })
+  });
+  const subject = { reference: patientUrl, ...(candidateName && { display: candidateName }) };
+
+  const { overallRisk, ruleVersion } = assessment;
+  const rulePack = ruleVersion?.rulePack;
+  const riskAssessmentUrl = add({
+    resourceType: 'RiskAssessment',
+    status: 'final',
+    code: { text: REPORT_TITLE },
+    subject,
+    occurrenceDateTime: date,
+    ...(rulePack && {
+      method: {
+        coding: [{ system: FHIR_SYSTEMS.RULE_PACK, code: rulePack.id, version: rulePack.version }],
+        text: `Rule set ${ruleVersion.hash} (engine ${ruleVersion.engineVersion})`
+      }
+    }),
+    prediction: [{
+      outcome: {
+        coding: [{ system: FHIR_SYSTEMS.RISK_LEVEL, code: overallRisk.level }],
+        text: overallRisk.description
+      },
+      qualitativeRisk: {
+        coding: [{ system: FHIR_SYSTEMS.RISK_PROBABILITY, code: RISK_LEVEL_CODES[overallRisk.level].probability }]
+      }
+    }],
+    mitigation: (assessment.recommendations || []).join('\n')
+  });
+
+  assessment.assessments
+    .filter(finding => RISK_LEVEL_CODES[finding.status]?.severity)
+    .forEach(finding => add({
+      resourceType: 'DetectedIssue',
+      status: 'final',
+      severity: RISK_LEVEL_CODES[finding.status].severity,
+      code: {
+        coding: [
+          ...(finding.ruleId ? [{ system: FHIR_SYSTEMS.RULE, code: finding.ruleId, display: finding.message }] : []),
+          { system: FHIR_SYSTEMS.RISK_LEVEL, code: finding.status }
+        ],
+        text: finding.category
+      },
+      patient: subject,
+      identifiedDateTime: date,
+      detail: [finding.message, finding.guideline].filter(Boolean).join('. '),
+      evidence: [{
+        ...(finding.codes && { code: findingConcepts(finding.codes) }),
+        detail: [{ reference: riskAssessmentUrl }]
+      }]
+    }));
+
+  if (report) {
+    add({
+      resourceType: 'DocumentReference',
+      status: 'current',
+      docStatus: 'final',
+      type: { text: REPORT_TITLE },
+      subject,
+      date,
+      description: `${REPORT_TITLE}: ${overallRisk.level}`,
+      content: [{
+        attachment: {
+          contentType: 'application/pdf',
+          data: toBase64(report.data),
+          title: report.fileName || 'risk-assessment.pdf',
+          creation: date
+        }
+      }],
+      context: { related: [{ reference: riskAssessmentUrl }] }
+    });
+  }
+
+  if (unmapped.length > 0) {
+    add({
+      resourceType: 'OperationOutcome',
+      issue: unmapped.map(entry => ({
+        severity: 'information',
+        code: 'not-supported',
+        details: {
+          coding: entry.system && entry.code ? [{ system: toSystemUri(entry.system), code: entry.code, ...(entry.display && { display: entry.display }) }] : [],
+          text: `${entry.display || entry.code}: ${entry.reason}`
+        },
+        diagnostics: [entry.documentName, entry.section].filter(Boolean).join(' / ')
+      }))
+    });
+  }
+
+  return {
+    resourceType: 'Bundle',
+    id: idOf(newUrl()),
+    type: 'collection',
+    timestamp: date,
+    entry: entries
+  };
+}
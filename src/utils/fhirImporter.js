@@ -0,0 +1,282 @@
+/**
+ * FHIR Import - reads HL7 FHIR R4 Bundles (the patient summaries and
+ * $everything exports EHRs and patient apps produce)
+ *
+ * Patient, Condition, Observation, MedicationStatement, Procedure and
+ * Encounter resources are mapped into the candidate data through the code
+ * tables in data/clinicalCodes.js (by codedRecordBuilder.js), the same way
+ * C-CDA entries are (ccdaImporter.js). Everything is read from the bundle
+ * itself: Medication and panel references are resolved within it and nothing
+ * is fetched, so a bundle saved to a local file imports offline.
+ *
+ * importFhirBundle() returns a coded record:
+ *
+ *   {
+ *     source: 'fhir', documentName, title, effectiveDate,
+ *     patient: { name, birthDate, reference },
+ *     data, citations, unmapped,   (as for C-CDA; unmapped[].section is the resource type)
+ *     text
+ *   }
+ *
+ * Resources about another patient than the bundle's first Patient are not
+ * read. text is for the parser layers: the title, record date and the
+ * encounters (their type and reason), which are not mapped into the candidate
+ * data. The patient's name and birth date stay out of it, as the text may be
+ * sent to Claude; the age comes from the coded birth date.
+ */
+
+import {
+  CODE_SYSTEMS,
+  DOSING_FREQUENCIES,
+  findCodeSystem,
+  TIME_UNIT_HOURS
+} from '../data/clinicalCodes.js';
+import { createCodedRecordBuilder, hasProblemCode } from './codedRecordBuilder.js';
+import { PARSER_LAYERS } from './provenance.js';
+import { SECTION_TYPES } from './sectionSegmenter.js';
+
+// Condition clinicalStatus codes that mean the condition is over
+const INACTIVE_CONDITION_STATUSES = ['inactive', 'remission', 'resolved'];
+
+// Condition verificationStatus codes that mean it isn't (or wasn't) there
+const VOID_VERIFICATION_STATUSES = ['refuted', 'entered-in-error'];
+
+// Observation statuses of results that were withdrawn
+const VOID_OBSERVATION_STATUSES = ['cancelled', 'entered-in-error'];
+
+// MedicationStatement statuses of medications that aren't being taken
+const INACTIVE_MEDICATION_STATUSES = ['completed', 'entered-in-error', 'stopped', 'not-taken'];
+
+// Timing.code (GTS abbreviations), as the medication parser words them
+const TIMING_CODES = { QD: 'daily', BID: 'twice daily', TID: 'three times daily', QID: 'four times daily', QOD: 'every other day', WK: 'weekly', HS: 'nightly' };
+
+// The chart section each Observation category's citations are shown under
+const OBSERVATION_SECTIONS = {
+  laboratory: SECTION_TYPES.LABS,
+  'vital-signs': SECTION_TYPES.PHYSICAL_EXAM,
+  exam: SECTION_TYPES.PHYSICAL_EXAM,
+  'social-history': SECTION_TYPES.SOCIAL_HISTORY
+};
+
+// FHIR dates and instants: '2023-03-15T10:30:00-05:00' → '2023-03-15'; '2023-03' stays
+const toDate = value => (typeof value === 'string' ? value.match(/^\d{4}(?:-\d{2}){0,2}/)?.[0] || null : null);
+
+const codesOf = concept => (concept?.coding || []).map(coding => coding.code);
+
+// FHIR resources' own codes (statuses, categories): the first coding's code
+const statusOf = concept => codesOf(concept)[0] || null;
+
+function parseBundle(json) {
+  let bundle = json;
+  if (typeof json === 'string') {
+    try {
+      bundle = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Not valid JSON: ${error.message}`);
+    }
+  }
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    throw new Error('Not a FHIR resource (expected a JSON object)');
+  }
+  if (bundle.resourceType !== 'Bundle') {
+    throw new Error(`Not a FHIR Bundle (the resourceType is ${bundle.resourceType ? `"${bundle.resourceType}"` : 'missing'})`);
+  }
+  return bundle;
+}
+
+/**
+ * Import a FHIR R4 Bundle
+ * @param {string|Object} json - The bundle, as JSON text or parsed
+ * @param {Object} options
+ * @param {string} options.documentName - File name, cited on every mapped value
+ * @returns {Object} The coded record (see above)
+ * @throws {Error} When the JSON isn't valid or isn't a Bundle
+ */
+export function importFhirBundle(json, options = {}) {
+  const { documentName = null } = options;
+  const bundle = parseBundle(json);
+  const record = createCodedRecordBuilder({ layer: PARSER_LAYERS.FHIR, source: 'fhir', documentName });
+
+  // Resources by their fullUrl and by ResourceType/id, for references within the bundle
+  const entries = (bundle.entry || []).filter(entry => entry?.resource?.resourceType);
+  const byReference = new Map();
+  entries.forEach(({ fullUrl, resource }) => {
+    if (fullUrl) byReference.set(fullUrl, resource);
+    if (resource.id) byReference.set(`${resource.resourceType}/${resource.id}`, resource);
+  });
+  const resolve = reference => (reference?.reference && byReference.get(reference.reference)) || null;
+  const resources = type => entries.map(entry => entry.resource).filter(resource => resource.resourceType === type);
+
+  const patient = resources('Patient')[0] || null;
+  const aboutPatient = resource => {
+    const subject = resource.subject || resource.patient;
+    return !patient || !subject?.reference || resolve(subject) === patient || !resolve(subject);
+  };
+  const read = type => resources(type).filter(aboutPatient);
+
+  const toCodings = concept => (concept?.coding || [])
+    .filter(coding => coding.code)
+    .map(coding => {
+      const system = findCodeSystem(coding.system);
+      return {
+        system: system?.id || coding.system || null,
+        systemName: system?.name || coding.system || null,
+        code: coding.code,
+        display: coding.display || concept.text || null
+      };
+    });
+
+  const describe = (concept, codings) => concept?.text || codings.find(coding => coding.display)?.display || codings[0]?.code || '';
+
+  const encounters = read('Encounter');
+  const encounterDate = resource => toDate(resolve(resource.encounter)?.period?.start);
+
+  // The record's date: the bundle's, or its latest encounter's
+  const effectiveDate = toDate(bundle.timestamp)
+    || toDate(bundle.meta?.lastUpdated)
+    || encounters.map(encounter => toDate(encounter.period?.end || encounter.period?.start)).filter(Boolean).sort().pop()
+    || null;
+
+  // Conditions: problems and diagnoses
+  read('Condition').forEach(condition => {
+    if (codesOf(condition.verificationStatus).some(code => VOID_VERIFICATION_STATUSES.includes(code))) return;
+    const codings = toCodings(condition.code);
+    const resolved = INACTIVE_CONDITION_STATUSES.includes(statusOf(condition.clinicalStatus))
+      || Boolean(condition.abatementDateTime || condition.abatementPeriod || condition.abatementAge || condition.abatementString || condition.abatementBoolean);
+
+    record.addProblem({ kind: 'Condition', section: resolved ? SECTION_TYPES.PAST_MEDICAL_HISTORY : SECTION_TYPES.OTHER }, {
+      codings,
+      display: describe(condition.code, codings),
+      resolved,
+      date: toDate(condition.onsetDateTime || condition.onsetPeriod?.start || condition.recordedDate)
+    });
+  });
+
+  // Observations; a panel's components, and the members it lists, are one group (a blood pressure reading)
+  const panelOf = new Map();
+  read('Observation').forEach(observation => {
+    (observation.hasMember || []).map(resolve).filter(Boolean).forEach(member => panelOf.set(member, observation));
+  });
+
+  const readObservation = (observation, part, group) => {
+    const origin = { kind: 'Observation', section: OBSERVATION_SECTIONS[codesOf(observation.category?.[0])[0]] || SECTION_TYPES.OTHER };
+    const codings = toCodings(part.code).filter(coding => coding.system === CODE_SYSTEMS.LOINC.id);
+    const display = describe(part.code, codings);
+    const valueCodings = toCodings(part.valueCodeableConcept);
+    const quantity = part.valueQuantity?.value ?? part.valueInteger ?? null;
+    const date = toDate(observation.effectiveDateTime || observation.effectivePeriod?.start || observation.issued)
+      || encounterDate(observation)
+      || effectiveDate;
+
+    if (codings.length === 0) {
+      // Results coded only in a local system, and problems recorded as findings
+      if (hasProblemCode(valueCodings)) {
+        record.addProblem(origin, { codings: valueCodings, display: describe(part.valueCodeableConcept, valueCodings), resolved: false, date });
+      } else {
+        record.skip(origin, toCodings(part.code), display, 'No mapping for this code');
+      }
+      return;
+    }
+
+    const range = part.referenceRange?.[0];
+    const rangeUnit = range?.low?.unit || range?.high?.unit || '';
+    record.addObservation(origin, {
+      codings,
+      display,
+      quantity: quantity === null ? null : String(quantity),
+      unit: part.valueQuantity?.unit || part.valueQuantity?.code || null,
+      date,
+      interpretation: statusOf(part.interpretation?.[0]),
+      referenceRange: range?.text
+        || (range?.low || range?.high ? `${range.low?.value ?? ''}-${range.high?.value ?? ''}${rangeUnit ? ` ${rangeUnit}` : ''}` : null),
+      valueCodings,
+      valueText: part.valueString || '',
+      valueDisplay: describe(part.valueCodeableConcept, valueCodings),
+      group
+    });
+  };
+
+  read('Observation').forEach(observation => {
+    if (VOID_OBSERVATION_STATUSES.includes(observation.status)) return;
+    const components = observation.component || [];
+    const hasValue = Object.keys(observation).some(key => key.startsWith('value'));
+    const group = panelOf.get(observation) || (components.length > 0 ? observation : null);
+
+    components.forEach(component => readObservation(observation, component, group));
+    // A panel without a value of its own is only its components and members
+    if (hasValue || (components.length === 0 && !(observation.hasMember || []).length)) {
+      readObservation(observation, observation, group);
+    }
+  });
+
+  // Current medications
+  read('MedicationStatement').forEach(statement => {
+    if (INACTIVE_MEDICATION_STATUSES.includes(statement.status)) return;
+    const endDate = toDate(statement.effectivePeriod?.end);
+    if (endDate && effectiveDate && endDate < effectiveDate) return;
+
+    const medication = resolve(statement.medicationReference);
+    const concept = statement.medicationCodeableConcept || medication?.code;
+    const codings = toCodings(concept);
+    const dosage = statement.dosage?.[0];
+    const dose = dosage?.doseAndRate?.[0]?.doseQuantity;
+    const repeat = dosage?.timing?.repeat;
+    const hours = repeat?.period && TIME_UNIT_HOURS[repeat.periodUnit]
+      ? (repeat.period * TIME_UNIT_HOURS[repeat.periodUnit]) / (repeat.frequency || 1)
+      : null;
+
+    record.addMedication({ kind: 'MedicationStatement', section: SECTION_TYPES.MEDICATIONS }, {
+      name: describe(concept, codings) || statement.medicationReference?.display || null,
+      codings,
+      dose: dose ? { value: dose.value, unit: dose.unit || dose.code } : null,
+      frequency: (hours && DOSING_FREQUENCIES[Math.round(hours)])
+        || TIMING_CODES[statusOf(dosage?.timing?.code)]
+        || (dosage?.asNeededBoolean || dosage?.asNeededCodeableConcept ? 'as needed' : null)
+    });
+  });
+
+  // Deliveries and bariatric surgery
+  read('Procedure').forEach(procedure => {
+    // Only procedures that were done; a planned or stopped one isn't a delivery
+    if (procedure.status && procedure.status !== 'completed') return;
+    const codings = toCodings(procedure.code);
+    record.addProcedure({ kind: 'Procedure', section: SECTION_TYPES.SURGICAL_HISTORY }, {
+      codings,
+      display: describe(procedure.code, codings),
+      date: toDate(procedure.performedDateTime || procedure.performedPeriod?.start) || encounterDate(procedure)
+    });
+  });
+
+  // Patient
+  const officialName = patient?.name?.find(name => name.use === 'official') || patient?.name?.[0];
+  const name = officialName?.text || [...(officialName?.given || []), officialName?.family].filter(Boolean).join(' ') || null;
+  const birthDate = toDate(patient?.birthDate);
+  const ageOn = effectiveDate && effectiveDate.length === 10 ? effectiveDate : new Date().toISOString().slice(0, 10);
+  record.setBirthDate(birthDate, ageOn);
+
+  const composition = resources('Composition')[0];
+  const title = composition?.title || 'FHIR bundle';
+  const header = [
+    title,
+    effectiveDate && `Record date: ${effectiveDate}`
+  ].filter(Boolean).join('\n');
+
+  const visits = encounters
+    .map(encounter => {
+      const type = encounter.type?.map(concept => describe(concept, toCodings(concept))).filter(Boolean).join(', ');
+      const reason = encounter.reasonCode?.map(concept => describe(concept, toCodings(concept))).filter(Boolean).join(', ');
+      const date = toDate(encounter.period?.start);
+      return [date, type || 'Encounter', reason && `reason: ${reason}`].filter(Boolean).join(' - ');
+    })
+    .sort();
+
+  return {
+    source: 'fhir',
+    documentName,
+    title,
+    effectiveDate,
+    patient: { name, birthDate, reference: patient?.id ? `Patient/${patient.id}` : null },
+    ...record.build(),
+    text: [header, visits.length > 0 && `Encounters\n${visits.join('\n')}`].filter(Boolean).join('\n\n')
+  };
+}
@@ -0,0 +1,217 @@
+/**
+ * Field Confidence - how far to trust each extracted value
+ *
+ * Each field the parsers fill in is scored from 0 to 1 from four factors:
+ *
+ *   specificity  how specific the pattern that found it is: OB notation
+ *                (G3P2), a lab value with its number or a user entry score
+ *                high; a lone keyword ("married", "anxiety") scores low
+ *   section      the weight of the chart section the passage is in
+ *                (sectionSegmenter.js): review-of-systems matches count less
+ *   mentions     how many affirmed mentions of the same wording the record has
+ *   agreement    whether the layers that found the field agree on its value
+ *                (conflictResolution.js)
+ *
+ * A field scoring under its threshold must be confirmed by a reviewer before
+ * the report is finalized; fields that decide ASRM exclusions and clinic
+ * acceptance (deliveries, C-sections, conditions, complications) have the
+ * higher threshold. parseMedicalText() returns the scores as
+ * parsingMetadata.fieldConfidence:
+ *
+ *   {
+ *     'pregnancyHistory.numberOfCesareans': {
+ *       score: 0.95, level: 'high', threshold: 0.8, requiresConfirmation: false, confirmed: false,
+ *       factors: { specificity: 0.9, sectionWeight: 1, mentions: 2, layers: ['pregnancy-parser'], agreement: 'single' }
+ *     }
+ *   }
+ */
+
+import { findMentions, isAffirmed } from './clinicalContext.js';
+import { getSectionAt } from './sectionSegmenter.js';
+import { PARSER_LAYERS } from './provenance.js';
+
+export const CONFIDENCE_LEVELS = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
+
+export const CONFIDENCE_LEVEL_LABELS = {
+  [CONFIDENCE_LEVELS.HIGH]: 'High',
+  [CONFIDENCE_LEVELS.MEDIUM]: 'Medium',
+  [CONFIDENCE_LEVELS.LOW]: 'Low'
+};
+
+// Lowest score for each level
+const LEVEL_THRESHOLDS = {
+  [CONFIDENCE_LEVELS.HIGH]: 0.8,
+  [CONFIDENCE_LEVELS.MEDIUM]: 0.6
+};
+
+// Specificity of each layer's patterns, by field path or by the section of the candidate data they fill
+const PATTERN_SPECIFICITY = {
+  [PARSER_LAYERS.PREGNANCY]: {
+    pregnancyHistory: 0.9,          // OB notation, delivery records
+    labValues: 0.9,                 // lab name with its value
+    bloodPressureReadings: 0.9,
+    pregnancySpecificComplications: 0.75,
+    default: 0.8
+  },
+  [PARSER_LAYERS.GENERAL]: {
+    age: 0.85,                      // "31 year old", "age 31"
+    'lifestyle.bmi': 0.85,          // "BMI 27"
+    lifestyle: 0.6,
+    medications: 0.75,              // name from the medication knowledge base
+    medicalConditions: 0.65,
+    pregnancyHistory: 0.6,
+    infectiousDiseaseTests: 0.6,
+    psychological: 0.5,             // single keywords
+    environmental: 0.45,
+    default: 0.6
+  },
+  [PARSER_LAYERS.CLAUDE]: { default: 0.75 },
+  [PARSER_LAYERS.USER]: { default: 1 },
+  [PARSER_LAYERS.CCDA]: { default: 0.95 },  // a coded entry (SNOMED CT, LOINC, ...)
+  [PARSER_LAYERS.FHIR]: { default: 0.95 }
+};
+
+// A Claude quote that isn't in the record, and a value no layer cited
+const UNVERIFIED_SPECIFICITY = 0.35;
+const UNCITED_SPECIFICITY = 0.5;
+
+// Added per corroborating mention, up to the cap
+const MENTION_BONUS = 0.05;
+const MAX_MENTION_BONUS = 0.1;
+
+// Layers agreeing on a value, or disagreeing
+const AGREEMENT_BONUS = 0.1;
+const CONFLICT_PENALTY = 0.25;
+
+// Fields that decide exclusions and clinic acceptance need high confidence; others medium
+const DECISIVE_FIELDS = [
+  /^age$/,
+  /^lifestyle\.bmi$/,
+  /^pregnancyHistory\.(?:numberOfTermPregnancies|totalDeliveries|hasCompletedPregnancy|numberOfCesareans|lastDeliveryDate)$/,
+  /^pregnancySpecificComplications\./,
+  /^medicalConditions\[/,
+  /^medications\[/
+];
+
+const round = value => Math.round(value * 100) / 100;
+
+function getLevel(score) {
+  if (score >= LEVEL_THRESHOLDS[CONFIDENCE_LEVELS.HIGH]) return CONFIDENCE_LEVELS.HIGH;
+  if (score >= LEVEL_THRESHOLDS[CONFIDENCE_LEVELS.MEDIUM]) return CONFIDENCE_LEVELS.MEDIUM;
+  return CONFIDENCE_LEVELS.LOW;
+}
+
+function getThreshold(path) {
+  return DECISIVE_FIELDS.some(pattern => pattern.test(path))
+    ? LEVEL_THRESHOLDS[CONFIDENCE_LEVELS.HIGH]
+    : LEVEL_THRESHOLDS[CONFIDENCE_LEVELS.MEDIUM];
+}
+
+function getSpecificity(citation, path) {
+  if (citation.verified === false) return UNVERIFIED_SPECIFICITY;
+  const patterns = PATTERN_SPECIFICITY[citation.layer] || {};
+  const section = path.split(/[.[]/)[0];
+  return patterns[path] ?? patterns[section] ?? patterns.default ?? UNCITED_SPECIFICITY;
+}
+
+// Affirmed mentions in the record of the wording the citations matched, or of
+// the entry's key (medicalConditions[hypertension] -> 'hypertension')
+function countMentions(text, path, citations) {
+  const cited = citations.filter(citation => citation.start !== null && citation.snippet);
+  if (cited.length === 0) return 0;
+  const key = path.match(/\[([^\]]+)\]$/)?.[1];
+  const snippets = [...new Set([
+    ...cited.map(citation => citation.snippet.toLowerCase()),
+    ...(key && !/^\d+$/.test(key) ? [key.replace(/[_-]/g, ' ')] : [])
+  ])];
+  return findMentions(text, snippets).filter(mention => isAffirmed(mention, { allowHistorical: true })).length;
+}
+
+/**
+ * Score every extracted field
+ * @param {string} text - The record the citations point into
+ * @param {Object} options
+ * @param {Array<Object>} options.citationLayers - Every layer's citation map ({ path: [citation] }),
+ *   before merging, so corroboration across layers is seen
+ * @param {Array} options.resolutions - From conflictResolution.js resolveConflicts()
+ * @returns {Object} { path: { score, level, threshold, requiresConfirmation, confirmed, factors } }
+ */
+export function scoreFieldConfidence(text, options = {}) {
+  const source = text || '';
+  const citationsByPath = {};
+  (options.citationLayers || []).filter(Boolean).forEach(citations => {
+    Object.entries(citations).forEach(([path, entries]) => {
+      (citationsByPath[path] = citationsByPath[path] || []).push(...entries);
+    });
+  });
+  const resolutions = Object.fromEntries((options.resolutions || []).map(resolution => [resolution.path, resolution]));
+  const paths = [...new Set([...Object.keys(citationsByPath), ...Object.keys(resolutions)])].sort();
+
+  return Object.fromEntries(paths.map(path => {
+    const citations = citationsByPath[path] || [];
+    const resolution = resolutions[path];
+
+    // The citation that best supports the field, discounted by its section
+    let specificity = UNCITED_SPECIFICITY;
+    let sectionWeight = 1;
+    let base = UNCITED_SPECIFICITY;
+    citations.forEach(citation => {
+      const weight = citation.start !== null ? getSectionAt(source, citation.start).weight : 1;
+      const candidate = getSpecificity(citation, path) * (0.5 + 0.5 * weight);
+      if (candidate > base || citation === citations[0]) {
+        base = candidate;
+        specificity = getSpecificity(citation, path);
+        sectionWeight = weight;
+      }
+    });
+
+    const mentions = countMentions(source, path, citations);
+    const layers = [...new Set(citations.map(citation => citation.layer))];
+    const foundBy = Math.max(layers.length, resolution ? Object.values(resolution.values).filter(value => value !== null).length : 0);
+    let agreement = foundBy > 1 ? 'agree' : 'single';
+    if (resolution?.conflict || resolution?.needsReview) agreement = 'conflict';
+
+    let score = base + Math.min(MAX_MENTION_BONUS, MENTION_BONUS * Math.max(0, mentions - 1));
+    if (agreement === 'agree') score += AGREEMENT_BONUS;
+    if (agreement === 'conflict') score -= CONFLICT_PENALTY;
+    score = round(Math.min(1, Math.max(0, score)));
+
+    const threshold = getThreshold(path);
+    return [path, {
+      score,
+      level: getLevel(score),
+      threshold,
+      requiresConfirmation: score < threshold || agreement === 'conflict',
+      confirmed: false,
+      factors: { specificity, sectionWeight, mentions, layers, agreement }
+    }];
+  }));
+}
+
+/**
+ * Mark fields as confirmed by a reviewer
+ * @param {Object} candidateData - Output of parseMedicalText()
+ * @param {Array<string>} paths - Field paths from parsingMetadata.fieldConfidence
+ * @returns {Object} Candidate data with parsingMetadata.fieldConfidence updated
+ */
+export function confirmFields(candidateData, paths) {
+  const fieldConfidence = { ...(candidateData.parsingMetadata?.fieldConfidence || {}) };
+  paths.filter(path => fieldConfidence[path]).forEach(path => {
+    fieldConfidence[path] = { ...fieldConfidence[path], confirmed: true };
+  });
+  return { ...candidateData, parsingMetadata: { ...candidateData.parsingMetadata, fieldConfidence } };
+}
+
+/**
+ * Fields a reviewer still has to confirm before the report is finalized
+ * @returns {Array<string>} Field paths
+ */
+export function getUnconfirmedFields(candidateData) {
+  return Object.entries(candidateData?.parsingMetadata?.fieldConfidence || {})
+    .filter(([, field]) => field.requiresConfirmation && !field.confirmed)
+    .map(([path]) => path);
+}
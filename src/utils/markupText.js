@@ -0,0 +1,150 @@
+/**
+ * Markup to Text - plain text from RTF and HTML records
+ *
+ * Used by the RTF and HTML format handlers in documentIngestion.js and for
+ * the HTML bodies of e-mails (emailMessage.js). Paragraphs and table rows
+ * become lines; table cells are two spaces apart, as pdfTables.js lays out
+ * PDF tables, so a lab result stays on the line of its test name.
+ */
+
+// Destinations that hold no record text (font and color tables, metadata, pictures)
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata', 'datastore',
+  'latentstyles', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl',
+  'filetbl', 'revtbl', 'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl',
+  'footerr', 'footerf', 'fldinst'
+]);
+
+const RTF_CONTROL_TEXT = {
+  par: '\n',
+  line: '\n',
+  sect: '\n\n',
+  page: '\n\n',
+  row: '\n',
+  cell: '  ',
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”'
+};
+
+const RTF_SYMBOLS = { '~': ' ', '_': '-', '-': '', '\\': '\\', '{': '{', '}': '}' };
+
+// \word[N][space] | \'hh | \symbol | brace | line break | text
+const RTF_TOKEN = /\\([a-z]+)(-?\d+)? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/gi;
+
+// RTF's 8-bit characters are Windows-1252 unless the document says otherwise
+const windows1252 = new TextDecoder('windows-1252');
+
+/**
+ * Convert an RTF document to plain text
+ * @param {string} rtf
+ * @returns {string}
+ */
+export function rtfToText(rtf) {
+  const groups = [];
+  let state = { skip: false, unicodeFallback: 1 };
+  let pendingFallback = 0;
+  let text = '';
+
+  const append = value => {
+    if (state.skip) return;
+    // The characters standing in for a \uN character are dropped
+    if (pendingFallback > 0) {
+      const dropped = Math.min(pendingFallback, value.length);
+      pendingFallback -= dropped;
+      value = value.slice(dropped);
+    }
+    text += value;
+  };
+
+  for (const [, word, param, hex, symbol, brace, plain] of rtf.matchAll(RTF_TOKEN)) {
+    if (brace === '{') {
+      groups.push(state);
+      state = { ...state };
+    } else if (brace === '}') {
+      state = groups.pop() || { skip: false, unicodeFallback: 1 };
+      pendingFallback = 0;
+    } else if (word) {
+      const control = word.toLowerCase();
+      if (RTF_SKIPPED_DESTINATIONS.has(control)) {
+        state.skip = true;
+      } else if (control === 'uc') {
+        state.unicodeFallback = parseInt(param, 10);
+      } else if (control === 'u') {
+        const code = parseInt(param, 10);
+        append(String.fromCharCode(code < 0 ? code + 65536 : code));
+        pendingFallback = state.unicodeFallback;
+      } else if (RTF_CONTROL_TEXT[control]) {
+        pendingFallback = 0;
+        append(RTF_CONTROL_TEXT[control]);
+      }
+    } else if (hex) {
+      append(windows1252.decode(Uint8Array.of(parseInt(hex, 16))));
+    } else if (symbol) {
+      // {\*\destination ...} is an optional destination this reader doesn't know
+      if (symbol === '*') state.skip = true;
+      else append(RTF_SYMBOLS[symbol] ?? '');
+    } else if (plain) {
+      append(plain);
+    }
+  }
+
+  return tidyText(text);
+}
+
+const HTML_ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", ndash: '–', mdash: '—',
+  deg: '°', micro: 'µ', plusmn: '±', le: '≤', ge: '≥', middot: '·', bull: '•', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', times: '×', copy: '©', reg: '®'
+};
+
+// Elements that start a new line
+const HTML_BLOCK_ELEMENTS = 'p|div|tr|li|ul|ol|table|thead|tbody|tfoot|caption|h[1-6]|section|article|header|footer|blockquote|pre|dl|dt|dd|hr|address|fieldset|legend|form';
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Convert an HTML document (a saved portal page, an e-mail body) to plain text
+ * Scripts, styles and the head are dropped; paragraphs, list items and table
+ * rows become lines (without blank lines between them) and table cells are two
+ * spaces apart.
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|template|noscript|svg)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(?:td|th)\s*>/gi, '  ')
+    .replace(new RegExp(`</?(?:${HTML_BLOCK_ELEMENTS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<[^>]*>/g, '')
+    // Nested blocks (a row in a table in a div) start one line, not several
+    .replace(/ *\n[\s]*/g, '\n');
+
+  return tidyText(decodeEntities(text));
+}
+
+// Trim each line, keep two-space cell gaps and at most one blank line in a row
+function tidyText(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/\u00a0/g, ' ').replace(/\t/g, '  ').replace(/ {3,}/g, '  ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
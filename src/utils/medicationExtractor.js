@@ -0,0 +1,126 @@
+/**
+ * Medication Extractor
+ * Finds current medications in free text by matching the generic and brand
+ * names in the medication knowledge base (assessments/medicationAssessment.js).
+ *
+ * When the text has a medication list ("Current medications: ..."), only
+ * that list is read; a list run into the text of a PDF page is found by the
+ * section segmenter. Otherwise every mention is considered, skipping ones
+ * that are discontinued, past, allergies, or limited to a previous
+ * pregnancy (e.g. insulin for GDM, labetalol for PIH) unless the sentence
+ * says the medication is still being taken. Past-use words only reach the
+ * clause the medication is in ("Stopped sertraline in 2020, now taking
+ * fluoxetine" keeps fluoxetine).
+ *
+ * Each mention must also be affirmed for the candidate (see
+ * clinicalContext.js): "her mother takes lithium", "not on aspirin" and
+ * mentions under Family History or Allergies are logged as suppressed.
+ */
+
+import { getMedicationAliases, lookupMedication } from '../assessments/medicationAssessment.js';
+import { segmentRecord, SECTION_TYPES } from './sectionSegmenter.js';
+import { getClinicalContext, isAffirmed, CLINICAL_CONTEXTS } from './clinicalContext.js';
+
+const MEDICATION_PATTERNS = {
+  // "Current medications:", "Meds:", "Medication list:" up to a blank line or the next heading
+  section: /(?:^|\n)\s*(?:current\s+)?(?:medications?|meds|medication\s+list|rx)\s*:\s*([\s\S]*?)(?=\n\s*\n|\n\s*[A-Z][A-Za-z /]{2,40}:|$)/i,
+  negation: /\b(?:stopped|discontinued|d\/c(?:'?d)?|no longer|previously|formerly|used to|weaned|quit|off|allerg\w*|denies|not (?:on|taking)|history of|hx of|tried)\b/i,
+  negationAfter: /\b(?:discontinued|stopped|in the past|previously|years ago|allergy)\b/i,
+  pregnancyContext: /\b(?:during|while|throughout)\s+(?:\w+\s+)?pregnan\w*|\bpregnancy\b|\bantepartum\b|\bpostpartum\b|\bin labor\b|\bgestational\b|\bGDM\b|\bPIH\b|\bhyperemesis\b|\b\d{1,2}\s*(?:weeks|wks)\b/i,
+  // Where a past-use word's reach ends: "Stopped sertraline, now taking fluoxetine"
+  clauseBreak: /,|\b(?:and|but|or|while|now|then|although|however|whereas)\b/gi,
+  currentUse: /\b(?:current(?:ly)?|now|still|continues?|remains? on)\b/i,
+  dose: /^\s*(?:\([^)]*\)\s*)?(\d+(?:\.\d+)?\s*(?:mg|mcg|µg|g|units?|iu|ml)\b)/i,
+  frequency: /^[^.;\n]{0,25}?\b(once daily|twice daily|daily|nightly|bid|tid|qid|qd|qhs|prn|as needed|weekly|every other day)\b/i
+};
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The medication list and where it starts in the text
+function getMedicationSection(text) {
+  const match = text.match(MEDICATION_PATTERNS.section);
+  if (match && match[1].trim()) {
+    return { content: match[1], offset: match.index + match[0].indexOf(match[1], match[0].indexOf(':')) };
+  }
+
+  const section = segmentRecord(text).find(candidate => candidate.type === SECTION_TYPES.MEDICATIONS);
+  const content = section ? text.slice(section.contentStart, section.end) : '';
+  return content.trim() ? { content, offset: section.contentStart } : null;
+}
+
+function isCurrentMention(sentence, start, end, inMedicationList) {
+  const before = sentence.slice(0, start).split(MEDICATION_PATTERNS.clauseBreak).pop();
+  const after = sentence.slice(end).split(MEDICATION_PATTERNS.clauseBreak)[0];
+  if (MEDICATION_PATTERNS.negation.test(before) || MEDICATION_PATTERNS.negationAfter.test(after)) {
+    return false;
+  }
+  if (!inMedicationList && MEDICATION_PATTERNS.pregnancyContext.test(sentence)) {
+    return MEDICATION_PATTERNS.currentUse.test(sentence);
+  }
+  return true;
+}
+
+// "aspirin for preeclampsia prevention", "DVT prophylaxis: enoxaparin" say what the medication is for
+const isPurpose = mention =>
+  mention.context === CLINICAL_CONTEXTS.HYPOTHETICAL && /prevent|prophyla/i.test(mention.trigger);
+
+/**
+ * Extract current medications from text
+ * @param {string} text - Medical record or free-text description
+ * @param {Object} options
+ * @param {Object} options.recorder - Citation recorder (see provenance.js); each
+ *   medication is cited as medications[<medicationId>] at its first current mention,
+ *   and mentions that aren't affirmed are suppressed under the same path
+ * @returns {Array} [{ name, medicationId, dose, frequency }] - one entry per medication,
+ *   in order of first mention; name is as written in the text
+ */
+export function extractMedications(text, options = {}) {
+  if (!text) return [];
+
+  const section = getMedicationSection(text);
+  const source = section ? section.content : text;
+  const sourceOffset = section ? section.offset : 0;
+  const sentences = source.split(section ? /[;\n]|,\s*(?=[A-Za-z])/ : /[.;]\s|\n/);
+  const found = [];
+
+  sentences.forEach(sentence => {
+    const taken = [];
+    getMedicationAliases().forEach(alias => {
+      const pattern = new RegExp(`(^|[^a-z])(${escapeRegExp(alias)})(?=[^a-z]|$)`, 'gi');
+      let match;
+      while ((match = pattern.exec(sentence)) !== null) {
+        const start = match.index + match[1].length;
+        const end = start + match[2].length;
+        // Longer aliases are matched first; skip 'aspirin' inside 'baby aspirin'
+        if (taken.some(([from, to]) => start < to && end > from)) continue;
+        taken.push([start, end]);
+
+        if (!isCurrentMention(sentence, start, end, Boolean(section))) continue;
+
+        const entry = lookupMedication(alias);
+        const textStart = sourceOffset + source.indexOf(sentence) + start;
+        const textEnd = textStart + match[2].length;
+        const mention = { start: textStart, end: textEnd, ...getClinicalContext(text, textStart, textEnd) };
+        if (!isAffirmed(mention) && !isPurpose(mention)) {
+          options.recorder?.suppress(`medications[${entry.id}]`, mention);
+          continue;
+        }
+        if (found.some(medication => medication.medicationId === entry.id)) continue;
+
+        const rest = sentence.slice(end);
+        found.push({
+          name: match[2].charAt(0).toUpperCase() + match[2].slice(1),
+          medicationId: entry.id,
+          dose: rest.match(MEDICATION_PATTERNS.dose)?.[1].replace(/\s+/g, ' ') || null,
+          frequency: rest.match(MEDICATION_PATTERNS.frequency)?.[1].toLowerCase() || null,
+          position: source.indexOf(sentence) + start
+        });
+        options.recorder?.cite(`medications[${entry.id}]`, textStart, match[2].length);
+      }
+    });
+  });
+
+  return found
+    .sort((a, b) => a.position - b.position)
+    .map(({ position, ...medication }) => medication);
+}
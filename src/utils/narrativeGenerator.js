@@ -27,6 +27,8 @@ export async function generateClinicalNarratives(candidateData, assessmentResult
 
   const pregnancyHistory = candidateData.pregnancyHistory || {};
   const numPregnancies = pregnancyHistory.numberOfTermPregnancies || 0;
+  // Coded deliveries without a gestational age leave the term count null
+  const termUnknown = pregnancyHistory.numberOfTermPregnancies === null && pregnancyHistory.totalDeliveries > 0;
   const numCesareans = pregnancyHistory.numberOfCesareans || 0;
   const complications = pregnancyHistory.complications || [];
 
@@ -45,7 +47,7 @@ export async function generateClinicalNarratives(candidateData, assessmentResult
 - Name: ${candidateName}
 - Age: ${age}
 - BMI: ${bmi}
-- Pregnancy History: ${numPregnancies} term pregnancy(ies), ${numCesareans} cesarean(s)
+- Pregnancy History: ${termUnknown ? `${pregnancyHistory.totalDeliveries} deliveries (whether at term not recorded)` : `${numPregnancies} term pregnancy(ies)`}, ${numCesareans} cesarean(s)
 - Pregnancy Complications: ${complications.length > 0 ? complications.join(', ') : 'None reported'}
 - Medical Conditions: ${medicalConditions.length > 0 ? medicalConditions.join(', ') : 'None reported'}
 - Surgical History: ${surgicalHistory.length > 0 ? surgicalHistory.join(', ') : 'None reported'}
@@ -148,6 +150,7 @@ export function generateFallbackNarratives(candidateData, assessmentResults) {
   const age = candidateData.age || 'unknown age';
   const pregnancyHistory = candidateData.pregnancyHistory || {};
   const numPregnancies = pregnancyHistory.numberOfTermPregnancies || 0;
+  const termUnknown = pregnancyHistory.numberOfTermPregnancies === null && pregnancyHistory.totalDeliveries > 0;
   const numCesareans = pregnancyHistory.numberOfCesareans || 0;
   const complications = pregnancyHistory.complications || [];
   const medicalConditions = candidateData.medicalConditions || [];
@@ -156,7 +159,9 @@ export function generateFallbackNarratives(candidateData, assessmentResults) {
   const hasMedicalConditions = medicalConditions.length > 0;
 
   // Situation Summary
-  let situationSummary = `${candidateName} is ${age} years old with a history of ${numPregnancies} term pregnanc${numPregnancies === 1 ? 'y' : 'ies'}`;
+  let situationSummary = termUnknown
+    ? `${candidateName} is ${age} years old with ${pregnancyHistory.totalDeliveries} deliver${pregnancyHistory.totalDeliveries === 1 ? 'y' : 'ies'} on record (whether at term not recorded)`
+    : `${candidateName} is ${age} years old with a history of ${numPregnancies} term pregnanc${numPregnancies === 1 ? 'y' : 'ies'}`;
   if (numCesareans > 0) {
     situationSummary += `, including ${numCesareans} cesarean deliver${numCesareans === 1 ? 'y' : 'ies'}`;
   }
@@ -0,0 +1,94 @@
+/**
+ * PDF Documents - reads the text of a PDF with PDF.js
+ *
+ * Text layers are laid out line by line from the text positions, and lab
+ * tables on them are returned as structured rows (see pdfTables.js). Scanned
+ * and faxed pages have no text layer; they are read by OCR (see pdfOcr.js)
+ * and their OCR confidence is kept per page.
+ *
+ * Used by the PDF format handler in documentIngestion.js.
+ */
+
+import { createPageReader, needsOcr, PAGE_TEXT_SOURCES } from './pdfOcr.js';
+import { extractLabTableRows, groupTextLines, renderLine } from './pdfTables.js';
+
+const PDFJS_VERSION = '3.11.174';
+
+// Node (the CLI, scripts) has no web worker; the legacy build runs PDF.js in-process there
+const NODE_PDFJS_MODULE = 'pdfjs-dist/legacy/build/pdf.js';
+
+async function loadPdfjs() {
+  if (typeof window === 'undefined') {
+    const pdfjsLib = await import(/* @vite-ignore */ NODE_PDFJS_MODULE);
+    return pdfjsLib.default ?? pdfjsLib;
+  }
+
+  // Dynamically import PDF.js, with its worker from CDN
+  const pdfjsLib = await import('pdfjs-dist');
+  pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${PDFJS_VERSION}/pdf.worker.min.js`;
+  return pdfjsLib;
+}
+
+/**
+ * Open a PDF
+ * @param {File|Blob} file
+ * @returns {Promise<Object>} { pdf, pdfjsLib } - pdf.numPages is known before any page is read
+ */
+export async function openPdf(file) {
+  const pdfjsLib = await loadPdfjs();
+  const data = new Uint8Array(await file.arrayBuffer());
+  const pdf = await pdfjsLib.getDocument({ data }).promise;
+  return { pdf, pdfjsLib };
+}
+
+/**
+ * Extract each page's text, reading image-only pages with OCR
+ * @param {Object} opened - From openPdf()
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with { page, totalPages, source, status, progress }
+ *   as each page is read; progress (0-1) is within the page
+ * @returns {Promise<Object>} { text, pages: [{ page, source, text, confidence }], labRows } -
+ *   confidence is Tesseract's (0-100) for OCR pages, null otherwise; labRows are the
+ *   rows of the lab tables on the text-layer pages (see extractLabTableRows())
+ */
+export async function readPdfPages({ pdf, pdfjsLib }, options = {}) {
+  const { onProgress } = options;
+
+  const pages = [];
+  const labRows = [];
+  const reader = createPageReader();
+
+  try {
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      const page = await pdf.getPage(pageNum);
+      const textContent = await page.getTextContent();
+
+      // Lay the text items out in lines, as they are on the page
+      const lines = groupTextLines(textContent.items);
+      const pageText = lines.map(renderLine).join('\n');
+
+      const report = (source, progress) => onProgress?.({ page: pageNum, totalPages: pdf.numPages, source, ...progress });
+
+      if (await needsOcr(page, pageText, pdfjsLib)) {
+        try {
+          const { text, confidence } = await reader.read(page, progress => report(PAGE_TEXT_SOURCES.OCR, progress));
+          pages.push({ page: pageNum, source: PAGE_TEXT_SOURCES.OCR, text, confidence });
+        } catch (error) {
+          // One unreadable page shouldn't lose the rest of the document
+          console.error(`OCR failed on page ${pageNum}:`, error);
+          pages.push({ page: pageNum, source: PAGE_TEXT_SOURCES.OCR, text: '', confidence: 0 });
+        }
+      } else {
+        report(PAGE_TEXT_SOURCES.TEXT_LAYER, { status: 'reading text layer', progress: 1 });
+        const source = pageText.trim() ? PAGE_TEXT_SOURCES.TEXT_LAYER : PAGE_TEXT_SOURCES.BLANK;
+        pages.push({ page: pageNum, source, text: pageText, confidence: null });
+        labRows.push(...extractLabTableRows(lines, { page: pageNum }));
+      }
+    }
+  } finally {
+    await reader.terminate();
+  }
+
+  const text = pages.map(page => `\n--- Page ${page.page} ---\n${page.text}\n`).join('').trim();
+  return { text, pages, labRows };
+}
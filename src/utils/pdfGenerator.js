@@ -1,5 +1,14 @@
 import { jsPDF } from 'jspdf';
 import { getAcceptanceProbabilityDescription } from '../assessments/clinicTypeAssessment.js';
+import { formatLedgerLines } from '../assessments/scoreLedger.js';
+import { formatDiffLines } from '../assessments/assessmentDiff.js';
+import { getPregnancies, getDeliveryTerms } from '../assessments/obstetricTimeline.js';
+import { formatTermCodes } from '../data/terminology.js';
+
+// Built-in PDF fonts have no arrow, comparison or em dash glyphs
+function toPdfText(text) {
+  return text.replace(/→/g, '->').replace(/≥/g, '>=').replace(/≤/g, '<=').replace(/≠/g, '!=').replace(/—/g, '-');
+}
 
 /**
  * Generate a professional PDF report from assessment results
@@ -63,9 +72,24 @@ export function generatePDFReport(candidateData, assessmentResults, candidateNam
     minute: '2-digit'
   })}`, 10, 'normal', [100, 100, 100]);
 
+  // Which rules produced this report, so it can be reproduced later
+  if (assessmentResults.ruleVersion) {
+    const { engineVersion, rulePack, hash } = assessmentResults.ruleVersion;
+    addText(`Rules: engine ${engineVersion}, ${rulePack.id} v${rulePack.version}, rule set ${hash}`, 8, 'normal', [100, 100, 100]);
+  }
+
   addSpace(10);
   addLine();
 
+  // What changed since last review (re-screened candidates only)
+  if (assessmentResults.changesSinceLastReview) {
+    addText('What Changed Since Last Review', 16, 'bold', [125, 36, 49]);
+    addSpace(5);
+    formatDiffLines(assessmentResults.changesSinceLastReview).forEach(line => addText(toPdfText(line), 9));
+    addSpace(5);
+    addLine();
+  }
+
   // Medical Records Summary
   addText('Medical Records Summary', 16, 'bold', [125, 36, 49]);
   addSpace(5);
@@ -99,6 +123,24 @@ export function generatePDFReport(candidateData, assessmentResults, candidateNam
       }
     }
 
+    getPregnancies(candidateData.pregnancyHistory).forEach(pregnancy => {
+      const details = [
+        pregnancy.gestationalAgeWeeks ? `${pregnancy.gestationalAgeWeeks} wks${pregnancy.termLabel ? ` (${pregnancy.termLabel})` : ''}` : null,
+        pregnancy.vbac ? 'VBAC' : pregnancy.deliveryMode?.replace(/_/g, ' '),
+        pregnancy.outcome && pregnancy.outcome !== 'live_birth' ? pregnancy.outcome.replace(/_/g, ' ') : null,
+        pregnancy.surrogacy ? 'surrogacy' : null,
+        pregnancy.complicated ? `complications: ${pregnancy.complications.join(', ').replace(/_/g, ' ')}` : 'uncomplicated'
+      ].filter(Boolean);
+      addText(`  • Pregnancy ${pregnancy.number}${pregnancy.year ? ` (${pregnancy.year})` : ''}: ${details.join(', ')}`, 10);
+    });
+
+    // Records without numbered pregnancies may still give the gestational age at each delivery
+    if (getPregnancies(candidateData.pregnancyHistory).length === 0) {
+      getDeliveryTerms(candidateData.pregnancyHistory).forEach(delivery => {
+        addText(`  • Delivery${delivery.date ? ` ${delivery.date}` : ''}: ${delivery.gestationalAgeWeeks} wks (${delivery.termLabel})`, 10);
+      });
+    }
+
     if (candidateData.medicalConditions && candidateData.medicalConditions.length > 0) {
       addSpace(5);
       addText('Medical History:', 11, 'bold');
@@ -116,6 +158,85 @@ export function generatePDFReport(candidateData, assessmentResults, candidateNam
   addSpace(10);
   addLine();
 
+  // Codes of the conditions, complications and procedures the findings are about
+  if (assessmentResults.codes?.length > 0) {
+    addText('Diagnosis Codes', 16, 'bold', [125, 36, 49]);
+    addSpace(5);
+    assessmentResults.codes.forEach(entry => addText(`  • ${formatTermCodes(entry)}`, 10));
+    addSpace(10);
+    addLine();
+  }
+
+  // Postpartum timing - earliest eligible transfer date
+  const timing = assessmentResults.deliveryInterval;
+  if (timing?.known) {
+    addText('Postpartum Timing', 16, 'bold', [125, 36, 49]);
+    addSpace(5);
+    addText(toPdfText(timing.summary), 10);
+    if (timing.earliestEligibleTransferDate) {
+      addText(`Earliest eligible transfer date: ${timing.earliestEligibleTransferDate}`, 11, 'bold');
+    }
+    timing.clinics.forEach(clinic => {
+      addText(`  • ${clinic.clinicName}: ${clinic.requiredMonths}-month minimum - ` +
+        (clinic.eligibleNow ? 'eligible now' : `eligible from ${clinic.eligibleFrom}`), 9);
+    });
+    addSpace(10);
+    addLine();
+  }
+
+  // Current medications - pregnancy safety and changes needed before transfer
+  const medicationReview = assessmentResults.medicationReview;
+  if (medicationReview?.known) {
+    addText('Current Medications', 16, 'bold', [125, 36, 49]);
+    addSpace(5);
+    addText(toPdfText(medicationReview.summary), 10);
+    medicationReview.items.forEach(item => {
+      const safety = item.recognized ? item.pregnancySafety.replace(/_/g, ' ') : 'not in knowledge base';
+      addText(toPdfText(`  • ${item.displayName}${item.dose ? ` ${item.dose}` : ''} - ${safety} in pregnancy`), 10, 'bold');
+      if (item.transferNotes) {
+        addText(toPdfText(`    ${item.transferNotes}`), 9);
+      }
+    });
+    addSpace(10);
+    addLine();
+  }
+
+  // Lab values against screening reference ranges
+  const labInterpretation = assessmentResults.labInterpretation;
+  if (labInterpretation?.known) {
+    addText('Lab Results', 16, 'bold', [125, 36, 49]);
+    addSpace(5);
+    addText(toPdfText(labInterpretation.findings.length > 0
+      ? `${labInterpretation.findings.length} of ${labInterpretation.results.length} lab values outside screening ranges`
+      : labInterpretation.summary), 10);
+    labInterpretation.results.forEach(result => {
+      addText(toPdfText(`  • ${result.message}`), 10, result.significance === 'normal' ? 'normal' : 'bold');
+      if (result.guidance) {
+        addText(toPdfText(`    ${result.guidance}`), 9);
+      }
+    });
+    addSpace(10);
+    addLine();
+  }
+
+  // Blood pressure across prenatal and postpartum visits
+  const bloodPressureTrend = assessmentResults.bloodPressureTrend;
+  if (bloodPressureTrend?.known) {
+    addText('Blood Pressure Trend', 16, 'bold', [125, 36, 49]);
+    addSpace(5);
+    addText(`${bloodPressureTrend.count} reading${bloodPressureTrend.count === 1 ? '' : 's'}` +
+      (bloodPressureTrend.latest ? `, latest ${bloodPressureTrend.latest.display}${bloodPressureTrend.latest.date ? ` on ${bloodPressureTrend.latest.date}` : ''}` : ''), 10);
+    bloodPressureTrend.findings.forEach(finding => {
+      addText(toPdfText(`  • ${finding.message}`), 10, 'bold');
+      addText(toPdfText(`    ${finding.guidance}`), 9);
+    });
+    bloodPressureTrend.readings.forEach(reading => {
+      addText(`    ${reading.date || 'undated'} (${reading.phase}): ${reading.systolic}/${reading.diastolic} - ${reading.label}`, 9);
+    });
+    addSpace(10);
+    addLine();
+  }
+
   // Acceptance Odds by Clinic Type
   addText('Acceptance Odds by Clinic Type', 16, 'bold', [125, 36, 49]);
   addSpace(10);
@@ -183,6 +304,29 @@ export function generatePDFReport(candidateData, assessmentResults, candidateNam
 
   addLine();
 
+  // Score breakdown - every rule that moved each score, in the order applied
+  addText('Score Breakdown', 16, 'bold', [125, 36, 49]);
+  addText('Each line shows the rule applied, the values it looked at, the points deducted and the running score.', 9, 'normal', [100, 100, 100]);
+  addSpace(5);
+
+  const ledgers = [
+    ...clinicTypes.map(clinic => ({ name: clinic.name, ledger: clinic.data.ledger })),
+    ...(assessmentResults.clinicRanking || []).map(clinic => ({ name: clinic.clinicName, ledger: clinic.ledger }))
+  ];
+  ledgers.forEach(({ name, ledger }) => {
+    addText(name, 11, 'bold');
+    formatLedgerLines(ledger).forEach(line => addText(toPdfText(line), 8));
+    addSpace(5);
+  });
+
+  if (assessmentResults.mfmAssessment?.ledger) {
+    addText('MFM Review Level', 11, 'bold');
+    formatLedgerLines(assessmentResults.mfmAssessment.ledger).forEach(line => addText(toPdfText(line), 8));
+    addSpace(5);
+  }
+
+  addLine();
+
   // Footer/Disclaimer
   doc.setFontSize(8);
   doc.setTextColor(100, 100, 100);
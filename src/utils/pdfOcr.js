@@ -0,0 +1,124 @@
+/**
+ * PDF OCR - reads the scanned and faxed pages pdf.js has no text layer for
+ *
+ * A page whose text layer is (almost) empty but which paints an image is a
+ * scan. It is rendered to a canvas and read by Tesseract (tesseract.js, a
+ * WebAssembly build). The worker, the engine and the English model are served
+ * from the app's own /ocr/ directory (copied there by
+ * scripts/copy-ocr-assets.js before dev and build), so records are never sent
+ * to a third party and OCR works offline.
+ *
+ * Photos and scans uploaded as image files are read the same way.
+ *
+ * Tesseract reports a confidence (0-100) for each page; documentIngestion.js
+ * keeps it per page and parseMedicalText() carries it into the citations, so
+ * evidence from a poorly read page can be told apart.
+ */
+
+export const PAGE_TEXT_SOURCES = {
+  TEXT_LAYER: 'text-layer',
+  OCR: 'ocr',
+  BLANK: 'blank'
+};
+
+// Pages read with less confidence than this should be checked against the scan
+export const LOW_OCR_CONFIDENCE = 60;
+
+// A text layer shorter than this (headers, a page number) doesn't count as text
+const MIN_TEXT_LAYER_CHARACTERS = 20;
+
+// Pages are rendered at twice their size; Tesseract reads small print poorly at 72 dpi
+const OCR_RENDER_SCALE = 2;
+
+const OCR_ASSET_PATH = `${import.meta.env?.BASE_URL ?? '/'}ocr`;
+
+/**
+ * Whether a page has to be read by OCR: it paints an image and its text layer
+ * has next to no text
+ * @param {Object} page - pdf.js page
+ * @param {string} pageText - The page's text layer
+ * @param {Object} pdfjsLib - The loaded pdfjs-dist module (for its operator codes)
+ * @returns {Promise<boolean>}
+ */
+export async function needsOcr(page, pageText, pdfjsLib) {
+  if (pageText.replace(/\s/g, '').length >= MIN_TEXT_LAYER_CHARACTERS) return false;
+
+  const imageOperators = [
+    pdfjsLib.OPS.paintImageXObject,
+    pdfjsLib.OPS.paintInlineImageXObject,
+    pdfjsLib.OPS.paintImageXObjectRepeat,
+    pdfjsLib.OPS.paintJpegXObject
+  ].filter(operator => operator !== undefined);
+  const operatorList = await page.getOperatorList();
+  return operatorList.fnArray.some(operator => imageOperators.includes(operator));
+}
+
+// Pages are rendered on a canvas and the engine is served from /ocr/
+function assertBrowser() {
+  if (typeof document === 'undefined') {
+    throw new Error('OCR only runs in the browser');
+  }
+}
+
+/**
+ * Creates a page reader; the Tesseract worker is started on the first page
+ * and reused for the rest of the document
+ * @returns {Object} { read(page, onProgress), readImage(image, onProgress), terminate() }
+ *   read() takes a pdf.js page, readImage() an image File or Blob; both resolve to
+ *   { text, confidence }; onProgress gets { status, progress (0-1) }
+ */
+export function createPageReader() {
+  let workerPromise = null;
+  let reportProgress = null;
+
+  const getWorker = async () => {
+    if (!workerPromise) {
+      workerPromise = import('tesseract.js').then(({ createWorker, OEM }) => createWorker('eng', OEM.LSTM_ONLY, {
+        workerPath: `${OCR_ASSET_PATH}/worker.min.js`,
+        corePath: `${OCR_ASSET_PATH}/core`,
+        langPath: `${OCR_ASSET_PATH}/lang`,
+        gzip: true,
+        logger: message => reportProgress?.({ status: message.status, progress: message.progress })
+      }));
+    }
+    return workerPromise;
+  };
+
+  const recognize = async image => {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(image);
+    return { text: data.text.trim(), confidence: Math.round(data.confidence) };
+  };
+
+  return {
+    read: async (page, onProgress) => {
+      reportProgress = onProgress;
+      try {
+        assertBrowser();
+        reportProgress?.({ status: 'rendering page', progress: 0 });
+        const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        return await recognize(canvas);
+      } finally {
+        reportProgress = null;
+      }
+    },
+    readImage: async (image, onProgress) => {
+      reportProgress = onProgress;
+      try {
+        assertBrowser();
+        return await recognize(image);
+      } finally {
+        reportProgress = null;
+      }
+    },
+    terminate: async () => {
+      const worker = await workerPromise?.catch(() => null);
+      await worker?.terminate();
+      workerPromise = null;
+    }
+  };
+}
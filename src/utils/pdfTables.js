@@ -0,0 +1,215 @@
+/**
+ * PDF Table Reconstruction - rebuilds the lab panels and flow sheets that
+ * pdf.js returns as loose text runs
+ *
+ * Every text run pdf.js reports has a position. Runs on the same baseline form
+ * a line, and a wide gap between two runs starts a new cell. A line whose
+ * cells name at least two lab table columns (Test, Result, Units, Reference
+ * range, Flag, Date) is a table header. Each cell of the lines below it goes
+ * to the column whose header it sits under, and every line becomes a row:
+ *
+ *   Test          Result   Units    Reference Range   Flag
+ *   Hemoglobin    10.9     g/dL     11.5-15.0         L
+ *     → { test: 'Hemoglobin', result: '10.9', unit: 'g/dL', referenceRange: '11.5-15.0', flag: 'L', date: null }
+ *
+ * A flow sheet has one date per result column instead of a Result column
+ * ("Test  01/12/2023  04/18/2023"), and each dated cell becomes its own row.
+ *
+ * The rows go to extractLabValues() (pregnancyMedicalParser.js), so a result
+ * is never confused with its reference range. Rows keep the line's text as it
+ * appears in the page text, so they can be cited.
+ */
+
+export const LAB_TABLE_COLUMNS = {
+  TEST: 'test',
+  RESULT: 'result',
+  UNIT: 'unit',
+  REFERENCE_RANGE: 'referenceRange',
+  FLAG: 'flag',
+  DATE: 'date'
+};
+
+const COLUMN_HEADERS = {
+  [LAB_TABLE_COLUMNS.TEST]: /^(?:tests?|test name|component|analyte|lab(?:oratory)?(?: test)?|description|name)$/i,
+  [LAB_TABLE_COLUMNS.RESULT]: /^(?:results?|values?|result value|your value|observed)$/i,
+  [LAB_TABLE_COLUMNS.UNIT]: /^(?:units?|uom)$/i,
+  [LAB_TABLE_COLUMNS.REFERENCE_RANGE]: /^(?:ref(?:erence)?\.?(?: ranges?| intervals?| values?)?|normal(?: range| values?)?|range|standard range)$/i,
+  [LAB_TABLE_COLUMNS.FLAG]: /^(?:flags?|abn(?:ormal)?|h\/l|abnormal flag|interpretation)$/i,
+  [LAB_TABLE_COLUMNS.DATE]: /^(?:date|collected|date collected|collection date|result date)$/i
+};
+
+// A flow sheet's column headers are dates
+const DATE_HEADER = /^\d{1,2}[/-]\d{1,2}[/-]\d{2,4}$|^\d{4}-\d{2}-\d{2}$/;
+
+// "10.9", "<0.5", "142/92", "10.9 g/dL", "10.9 L", "10.9 (L)"
+const RESULT_CELL = /^(?<value>[<>]?=?\s*\d+(?:\.\d+)?(?:\s*\/\s*\d+(?:\.\d+)?)?)\s*(?<unit>[a-zµ%][^\s()]*)?\s*\(?(?<flag>HH|LL|H|L|A|High|Low|Abnormal|Critical)?\)?\*?$/i;
+
+const FLAG_CELL = /^\(?(?:HH|LL|H|L|A|N|High|Low|Abnormal|Normal|Critical)\)?\*?$/i;
+
+// Runs further apart than this many font heights are in different cells
+const CELL_GAP_EMS = 1.2;
+
+// Runs whose baselines differ by less than this many font heights share a line
+const LINE_TOLERANCE_EMS = 0.4;
+
+// A vertical gap of more than this many line heights ends a table
+const MAX_ROW_GAP_LINES = 2.5;
+
+/**
+ * Group pdf.js text runs into lines of cells, top of the page first
+ * @param {Array} items - textContent.items from page.getTextContent()
+ * @returns {Array} [{ y, height, cells: [{ x, xEnd, text }] }]
+ */
+export function groupTextLines(items) {
+  const runs = items
+    .filter(item => item.str && item.str.trim())
+    .map(item => {
+      const height = Math.abs(item.height || item.transform[3]) || 10;
+      return { x: item.transform[4], xEnd: item.transform[4] + (item.width || 0), y: item.transform[5], height, text: item.str };
+    })
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const lines = [];
+  runs.forEach(run => {
+    const line = lines.find(candidate => Math.abs(candidate.y - run.y) < Math.max(candidate.height, run.height) * LINE_TOLERANCE_EMS);
+    if (line) {
+      line.runs.push(run);
+      line.height = Math.max(line.height, run.height);
+    } else {
+      lines.push({ y: run.y, height: run.height, runs: [run] });
+    }
+  });
+
+  return lines
+    .sort((a, b) => b.y - a.y)
+    .map(({ y, height, runs: lineRuns }) => ({ y, height, cells: toCells(lineRuns.sort((a, b) => a.x - b.x), height) }));
+}
+
+function toCells(runs, height) {
+  const cells = [];
+  runs.forEach(run => {
+    const cell = cells[cells.length - 1];
+    const gap = cell ? run.x - cell.xEnd : Infinity;
+    if (gap < height * CELL_GAP_EMS) {
+      const joiner = gap > height * 0.1 && !cell.text.endsWith(' ') && !run.text.startsWith(' ') ? ' ' : '';
+      cell.text += joiner + run.text;
+      cell.xEnd = Math.max(cell.xEnd, run.xEnd);
+    } else {
+      cells.push({ x: run.x, xEnd: run.xEnd, text: run.text });
+    }
+  });
+  return cells.map(cell => ({ ...cell, text: cell.text.replace(/\s+/g, ' ').trim() }));
+}
+
+/**
+ * A line as it appears in the page text; cells are two spaces apart
+ * @param {Object} line - From groupTextLines()
+ * @returns {string}
+ */
+export function renderLine(line) {
+  return line.cells.map(cell => cell.text).join('  ');
+}
+
+// The header's columns, each spanning from halfway to its left neighbour to halfway to its right one
+function readHeader(line) {
+  const columns = line.cells.map(cell => {
+    const key = Object.keys(COLUMN_HEADERS).find(column => COLUMN_HEADERS[column].test(cell.text));
+    if (key) return { key, date: null, cell };
+    if (DATE_HEADER.test(cell.text)) return { key: LAB_TABLE_COLUMNS.RESULT, date: cell.text, cell };
+    return { key: null, date: null, cell };
+  });
+
+  const keys = columns.map(column => column.key).filter(Boolean);
+  const isFlowSheet = columns.some(column => column.date) && keys.includes(LAB_TABLE_COLUMNS.TEST);
+  if (!isFlowSheet && (new Set(keys).size < 2 || !keys.includes(LAB_TABLE_COLUMNS.RESULT))) return null;
+
+  return columns.map((column, idx) => {
+    const previous = columns[idx - 1]?.cell;
+    const next = columns[idx + 1]?.cell;
+    return {
+      key: column.key,
+      date: column.date,
+      from: previous ? (previous.xEnd + column.cell.x) / 2 : -Infinity,
+      to: next ? (column.cell.xEnd + next.x) / 2 : Infinity
+    };
+  });
+}
+
+function findColumn(columns, cell) {
+  const center = (cell.x + cell.xEnd) / 2;
+  return columns.find(column => center >= column.from && center < column.to) || null;
+}
+
+function toRows(line, columns, page) {
+  const values = {};
+  const results = [];
+  line.cells.forEach(cell => {
+    const column = findColumn(columns, cell);
+    if (!column?.key) return;
+    if (column.key === LAB_TABLE_COLUMNS.RESULT) {
+      results.push({ text: cell.text, date: column.date });
+    } else {
+      values[column.key] = values[column.key] ? `${values[column.key]} ${cell.text}` : cell.text;
+    }
+  });
+
+  // The test name is the first cell when the header has no Test column
+  const test = values.test || (line.cells[0] && !findColumn(columns, line.cells[0])?.key ? line.cells[0].text : null);
+  if (!test) return [];
+
+  return results.map(result => {
+    const parsed = result.text.match(RESULT_CELL)?.groups;
+    const flag = values.flag && FLAG_CELL.test(values.flag) ? values.flag : parsed?.flag || values.flag || null;
+    return {
+      test,
+      result: parsed ? parsed.value.replace(/\s+/g, '') : result.text,
+      unit: values.unit || parsed?.unit || null,
+      referenceRange: values.referenceRange || null,
+      flag: flag ? flag.replace(/[()*]/g, '') : null,
+      date: result.date || values.date || null,
+      page,
+      text: renderLine(line)
+    };
+  });
+}
+
+/**
+ * Extract the rows of the lab tables on a page
+ * @param {Array} lines - From groupTextLines()
+ * @param {Object} options
+ * @param {number} options.page - Page number, recorded on each row
+ * @returns {Array} [{ test, result, unit, referenceRange, flag, date, page, text }] in page order -
+ *   result is the value as written ('10.9', '<0.5', '142/92'); text is the row's line
+ */
+export function extractLabTableRows(lines, options = {}) {
+  const { page = null } = options;
+  const rows = [];
+  let columns = null;
+  let previousY = null;
+
+  lines.forEach(line => {
+    const header = readHeader(line);
+    if (header) {
+      columns = header;
+      previousY = line.y;
+      return;
+    }
+    if (!columns) return;
+
+    if (previousY - line.y > line.height * MAX_ROW_GAP_LINES) {
+      columns = null;
+      return;
+    }
+
+    const lineRows = toRows(line, columns, page);
+    // A line with a test name but no result is a panel heading ("CBC") inside the table
+    if (lineRows.length === 0 && line.cells.length > 1) {
+      columns = null;
+      return;
+    }
+    rows.push(...lineRows);
+    previousY = line.y;
+  });
+
+  return rows;
+}
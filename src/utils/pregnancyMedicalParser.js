@@ -6,10 +6,18 @@
  * - Obstetric abbreviations (G3P2, SVD, NSVD, C/S, VBAC, etc.)
  * - Lab values (TSH, HbA1c, BP, glucose, etc.)
  * - Pregnancy complications with medical precision
- * - Gestational age calculations
+ * - Gestational age at each delivery (bound to the delivery, not to prenatal visits)
+ * - Delivery dates (for the interpregnancy interval)
+ * - Per-pregnancy timeline (year, gestational age, mode, complications, outcome)
  * - Medical procedure codes
  */
 
+import { classifyDeliveryTerm, DELIVERY_TERMS } from '../assessments/obstetricTimeline.js';
+import { getClinicalContext, isAffirmed } from './clinicalContext.js';
+
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
 /**
  * Enhanced pregnancy-specific patterns
  */
@@ -64,13 +72,50 @@ export const PREGNANCY_PATTERNS = {
 
   // Gestational age patterns
   gestationalAge: [
-    /(\d+)\s*(?:weeks?|wks?|w)(?:\s*(?:and|,)?\s*(\d+)\s*days?)?/i,  // "39 weeks 2 days"
+    /(\d+)\s*(?:weeks?|wks?|w(?![a-z]))(?:\s*(?:and|,)?\s*(\d+)\s*(?:days?|d\b))?/i,  // "39 weeks 2 days", "39w2d"
     /(\d+)\+(\d+)/,  // "39+2" notation
     /GA[:\s]+(\d+)(?:[+\/](\d+))?/i,  // GA: 39+2
     /delivered\s+at\s+(\d+)\s*(?:weeks?|wks?)/i,
     /born\s+at\s+(\d+)\s*(?:weeks?|wks?)/i
   ],
 
+  // Binding a gestational age to a delivery (see extractDeliveryGestationalAges)
+  deliveryEvent: /deliver(?:ed|y)|\bborn\b|\bbirth\b|\binduc(?:ed|tion)\b|\bIOL\b|\bSVD\b|\bNSVD\b|\bVBAC\b|\bC\/S\b|\bLSCS\b|c[\s-]?section|ces[ae]rean/i,
+  deliveryEventAfter: /^[\s,:(-]*(?:(?:via|by|with|vaginal|repeat|primary|emergency|urgent|elective|scheduled|spontaneous|stat)\s+){0,2}(?:deliver(?:ed|y)|\bN?SVD\b|\bVBAC\b|\bC\/S\b|\bLSCS\b|c[\s-]?section|ces[ae]rean|induction|\bIOL\b|birth)/i,
+  plannedDelivery: /\b(?:plan(?:ned)?|schedul(?:ed|e)|expected|anticipated|recommend(?:ed)?|if|until)\b/i,
+  // Boundaries of the clause a gestational age is bound within
+  clauseBoundary: /[.;,]\s|\n|\band\b|\bthen\b|\bbut\b/gi,
+  // A gestational age in a prenatal visit or test note rather than at delivery
+  prenatalEvent: /\b(?:seen|visits?|appointment|ultrasound|u\/s|scan|anatomy|screen(?:ed|ing)?|GTT|OGTT|admitted|presented|diagnosed|noted|started|hospitali[sz]ed|bed\s*rest|cerclage)\b/i,
+  // A dated visit after the delivery ("postpartum visit 04/15/2023", "seen on 05/02/2023")
+  visitDateLabel: /\b(?:visits?|appointment|appt|check[\s-]?up|follow[\s-]?up|f\/u|seen|exam)\b[\s:(-]*(?:(?:on|was)\s+)?$/i,
+  dueDateLabel: /\b(?:EDD|EDC|(?:estimated\s+)?due\s+date|due)\b[\s:(-]*(?:(?:was|of|by\s+\w+)\s+)?$/i,
+
+  // Dates; only those near a delivery keyword are kept (see extractDeliveryDates)
+  dates: [
+    { format: 'mdy', pattern: /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/ },  // 03/15/2024
+    { format: 'ymd', pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/ },  // 2024-03-15
+    { format: 'month-name', pattern: /\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sept?|Oct|Nov|Dec)[a-z]*\.?\s+(?:(\d{1,2})(?:st|nd|rd|th)?,?\s+)?(\d{4})\b/i },  // March 15, 2024 / March 2024
+    { format: 'my', pattern: /(?<![\d/])(\d{1,2})\/(\d{4})\b/ }  // 03/2024
+  ],
+  deliveryContext: /deliver(?:ed|y)|\bbirth\b|\bborn\b|\bDOD\b|\bSVD\b|\bNSVD\b|\bVBAC\b|\bC\/S\b|\bLSCS\b|c[\s-]?section|ces[ae]rean/i,
+
+  // Headings that start a per-pregnancy section ("Pregnancy 2:", "Second pregnancy", "G3:")
+  pregnancyHeadings: [
+    /\b(?:pregnancy|preg)\s*#?\s*(\d)\b/i,
+    /\b(first|second|third|fourth|fifth|sixth|seventh|eighth)\s+(?:pregnancy|delivery|birth|baby|child)\b/i,
+    /\b([1-8])(?:st|nd|rd|th)\s+(?:pregnancy|delivery|birth|baby|child)\b/i,
+    /^\s*G([1-8])\s*[:)\-]/im
+  ],
+  pregnancyOutcomes: {
+    stillbirth: /stillbirth|still\s*born|\bIUFD\b|fetal\s+demise/i,
+    miscarriage: /miscarriage|\bSAB\b|spontaneous\s+abortion/i,
+    termination: /\bTAB\b|\bEAB\b|termination|elective\s+abortion/i,
+    ectopic: /ectopic/i
+  },
+  surrogacy: /surroga|gestational\s+carrier|\bGC\s+(?:journey|pregnancy)/i,
+  vbac: /\bVBAC\b|vaginal\s+birth\s+after\s+c/i,
+
   // Pregnancy complications with medical specificity
   complications: {
     hypertensive: [
@@ -157,17 +202,40 @@ export const PREGNANCY_PATTERNS = {
     ]
   },
 
-  // Lab values and vital signs
+  // Lab values and vital signs (units are interpreted by assessments/labInterpretation.js)
   labValues: {
-    bloodPressure: /(?:BP|blood\s+pressure)[:\s]*(\d{2,3})\/(\d{2,3})/i,
-    glucose: /(?:glucose|blood\s+sugar)[:\s]*(\d+)\s*(?:mg\/dL)?/i,
-    hba1c: /(?:HbA1c|A1C|hemoglobin\s+A1C)[:\s]*(\d+\.?\d*)\s*%?/i,
-    tsh: /(?:TSH|thyroid[- ]stimulating\s+hormone)[:\s]*(\d+\.?\d*)/i,
-    hemoglobin: /(?:Hgb|hemoglobin|HGB)[:\s]*(\d+\.?\d*)/i,
-    hematocrit: /(?:Hct|hematocrit|HCT)[:\s]*(\d+\.?\d*)/i,
-    bmi: /BMI[:\s]*(\d+\.?\d*)/i,
-    weight: /(?:weight|wt)[:\s]*(\d+\.?\d*)\s*(?:lbs?|pounds?|kg)?/i
+    bloodPressure: /(?:BP|blood\s+pressure)[:\s]*(?<value>\d{2,3})\/(?<value2>\d{2,3})/i,
+    glucose: /(?<qualifier>fasting\s+(?:blood\s+)?)?(?:glucose|blood\s+sugar)[:\s]*(?<value>\d+(?:\.\d+)?)\s*(?<unit>mg\/dL|mmol\/L)?/i,
+    hba1c: /(?:HbA1c|A1C|hemoglobin\s+A1C)[:\s]*(?<value>\d+\.?\d*)\s*(?<unit>%|mmol\/mol)?/i,
+    tsh: /(?:TSH|thyroid[- ]stimulating\s+hormone)[:\s]*(?<value>\d+\.?\d*)\s*(?<unit>[mµu]IU\/m?L|mU\/L)?/i,
+    hemoglobin: /(?:Hgb|hemoglobin|HGB)[:\s]*(?<value>\d+\.?\d*)\s*(?<unit>g\/dL|g\/L)?/i,
+    hematocrit: /(?:Hct|hematocrit|HCT)[:\s]*(?<value>\d+\.?\d*)\s*(?<unit>%)?/i,
+    bmi: /BMI[:\s]*(?<value>\d+\.?\d*)/i,
+    weight: /(?:weight|wt)[:\s]*(?<value>\d+\.?\d*)\s*(?<unit>lbs?|pounds?|kg)?/i
+  },
+
+  // Test names in a lab table's Test column (see pdfTables.js); checked in order,
+  // so HbA1c is matched before hemoglobin
+  labTestNames: {
+    hba1c: /\b(?:HbA1c|A1C|hemoglobin\s+A1C|glycated\s+h(?:a)?emoglobin)\b/i,
+    glucose: /\b(?:glucose|blood\s+sugar)\b/i,
+    tsh: /\b(?:TSH|thyroid[- ]stimulating\s+hormone)\b/i,
+    hemoglobin: /^(?:Hgb|HGB|Hb|h(?:a)?emoglobin)\b/i,
+    hematocrit: /^(?:Hct|HCT|h(?:a)?ematocrit)\b/i,
+    bmi: /^(?:BMI|body\s+mass\s+index)\b/i,
+    weight: /^(?:weight|wt)\b/i,
+    bloodPressure: /^(?:BP|blood\s+pressure)\b/i
+  },
+
+  // Serial blood pressure readings and the pregnancy phase they were taken in
+  bloodPressureReading: /(?:\bBP|blood\s+pressure)s?(?:\s+(?:was|of|is|at))?[:\s]*(\d{2,3})\s*\/\s*(\d{2,3})/i,
+  bloodPressurePhases: {
+    postpartum: /\bpost[- ]?partum\b|\bPPV?\b|\bafter delivery\b|\bpost[- ]?delivery\b|\bpuerper/i,
+    intrapartum: /\bin labou?r\b|\blabou?r and delivery\b|\bL&D\b|\bintrapartum\b|\badmi(?:tted|ssion) for (?:delivery|induction)\b/i,
+    prenatal: /\bprenatal\b|\bantenatal\b|\bante[- ]?partum\b|\bOB visit\b|\b(?:currently\s+)?pregnant\b|\bduring (?:the |her |this )?pregnancy\b|\b\d{1,2}\s*(?:w|wks?|weeks?)(?:\s*\d\s*d(?:ays?)?|\+\d)?\s*(?:gestation|GA|EGA|IUP|pregnant)\b|(?:\bat|@)\s*\d{1,2}\s*(?:w|wks?|weeks?)\b|\bE?GA:?\s*\d{1,2}/i
   },
+  postpartumInterval: /(\d{1,2})\s*-?\s*(weeks?|wks?|days?)\s*(?:pp|postpartum|post[- ]?partum|after delivery)/i,
+  visitGestationalAge: /(?:\b(?:at|@|E?GA:?)\s*)?\b(\d{1,2})\s*(?:w|wks?|weeks?)\b/i,
 
   // Medical procedures
   procedures: [
@@ -211,12 +279,9 @@ export function extractObstetricHistory(text) {
   return null;
 }
 
-/**
- * Extract gestational age from text
- * Returns age in weeks.days format
- */
-export function extractGestationalAge(text) {
-  const ages = [];
+// Every gestational age in the text, overlapping matches ("GA: 39+2") kept once
+function findGestationalAges(text) {
+  const matches = [];
 
   for (const pattern of PREGNANCY_PATTERNS.gestationalAge) {
     let match;
@@ -226,13 +291,133 @@ export function extractGestationalAge(text) {
       const weeks = parseInt(match[1], 10);
       const days = match[2] ? parseInt(match[2], 10) : 0;
 
-      if (weeks >= 20 && weeks <= 45) {  // Reasonable pregnancy range
-        ages.push({ weeks, days, text: match[0] });
+      if (weeks >= 20 && weeks <= 45 && days <= 6) {  // Reasonable pregnancy range
+        matches.push({ weeks, days, text: match[0], index: match.index, end: match.index + match[0].length });
       }
     }
   }
 
-  return ages;
+  // Of overlapping matches keep the one reaching furthest ("34 weeks 2 days" over
+  // "delivered at 34 weeks"), then the one starting first
+  const kept = [];
+  matches
+    .sort((a, b) => b.end - a.end || a.index - b.index)
+    .forEach(match => {
+      if (!kept.some(other => match.index < other.end && other.index < match.end)) kept.push(match);
+    });
+  return kept.sort((a, b) => a.index - b.index);
+}
+
+const toWeeks = ga => Math.round((ga.weeks + ga.days / 7) * 10) / 10;
+
+/**
+ * Extract gestational age from text
+ * Returns age in weeks.days format
+ */
+export function extractGestationalAge(text) {
+  return findGestationalAges(text).map(({ weeks, days, text: matched }) => ({ weeks, days, text: matched }));
+}
+
+// The clause around text[index, end), cut at punctuation, line breaks and
+// conjunctions; what follows runs on past a comma ("GA 36+5, delivered by C/S")
+function getClauseAt(text, index, end) {
+  const boundaries = [...text.matchAll(PREGNANCY_PATTERNS.clauseBoundary)];
+  const previous = boundaries.filter(boundary => boundary.index + boundary[0].length <= index).pop();
+  const next = boundaries.find(boundary => boundary.index >= end && !boundary[0].startsWith(','));
+  return {
+    before: text.slice(previous ? previous.index + previous[0].length : 0, index),
+    after: text.slice(end, next ? next.index : text.length)
+  };
+}
+
+// A delivery keyword earlier in the clause, with no prenatal event after it
+// ("delivered at 39 weeks" but not "her first born was seen at 30 weeks")
+function isDeliveryBefore(clause) {
+  const events = [...clause.matchAll(new RegExp(PREGNANCY_PATTERNS.deliveryEvent.source, 'gi'))];
+  const last = events[events.length - 1];
+  return Boolean(last) && !PREGNANCY_PATTERNS.prenatalEvent.test(clause.slice(last.index + last[0].length));
+}
+
+// Dates labeled as a due date ("EDD 06/01/2021"); never a delivery date
+function isDueDate(text, date) {
+  return PREGNANCY_PATTERNS.dueDateLabel.test(text.slice(Math.max(0, date.index - 30), date.index));
+}
+
+function isVisitDate(text, date) {
+  return PREGNANCY_PATTERNS.visitDateLabel.test(text.slice(Math.max(0, date.index - 30), date.index));
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gestational ages at delivery
+ * A gestational age counts only when it is tied to a delivery in the same
+ * clause ("delivered at 38w2d", "induced at 39 weeks", "35 weeks via C-section");
+ * prenatal visit ages ("seen at 32 weeks for growth scan") and planned
+ * deliveries ("plan to deliver at 39 weeks") are ignored. When a delivery has
+ * a full date and an EDD within a few months but no stated age, the age is
+ * worked out from the two dates (40 weeks minus the days delivered early).
+ * @returns {Array} [{ weeks, days, gestationalAgeWeeks, date, source: 'stated'|'edd', text }], oldest
+ *   first when every delivery is dated, otherwise in record order
+ */
+export function extractDeliveryGestationalAges(text) {
+  if (!text) return [];
+
+  const dates = findDates(text);
+  const stated = findGestationalAges(text)
+    .filter(ga => {
+      const clause = getClauseAt(text, ga.index, ga.end);
+      if (PREGNANCY_PATTERNS.plannedDelivery.test(clause.before)) return false;
+      return isDeliveryBefore(clause.before + ga.text) || PREGNANCY_PATTERNS.deliveryEventAfter.test(clause.after);
+    })
+    .map(ga => {
+      const sentence = getSentenceAt(text, ga.index, ga.end - ga.index);
+      const date = dates.find(d =>
+        d.index >= sentence.start && d.end <= sentence.start + sentence.text.length && !isDueDate(text, d)
+      );
+      return {
+        weeks: ga.weeks,
+        days: ga.days,
+        gestationalAgeWeeks: toWeeks(ga),
+        date: date?.date || null,
+        source: 'stated',
+        index: ga.index,
+        text: sentence.text.trim()
+      };
+    });
+
+  // Delivery date vs EDD, only when every stated age can be placed by date
+  const fromDueDates = [];
+  if (stated.every(ga => ga.date)) {
+    const dueDates = dates.filter(date => isDueDate(text, date) && date.date.length === 10);
+    extractDeliveryDates(text)
+      .filter(delivery => delivery.date.length === 10 && !stated.some(ga => ga.date === delivery.date))
+      .forEach(delivery => {
+        const delivered = Date.parse(delivery.date);
+        const due = dueDates
+          .map(date => ({ ...date, daysEarly: Math.round((Date.parse(date.date) - delivered) / DAY_MS) }))
+          .filter(date => date.daysEarly >= -28 && date.daysEarly <= 140)
+          .sort((a, b) => Math.abs(a.daysEarly) - Math.abs(b.daysEarly))[0];
+        if (!due) return;
+
+        const gestationalDays = 280 - due.daysEarly;
+        fromDueDates.push({
+          weeks: Math.floor(gestationalDays / 7),
+          days: gestationalDays % 7,
+          gestationalAgeWeeks: toWeeks({ weeks: Math.floor(gestationalDays / 7), days: gestationalDays % 7 }),
+          date: delivery.date,
+          source: 'edd',
+          index: due.index,
+          text: delivery.text
+        });
+      });
+  }
+
+  const deliveries = [...stated, ...fromDueDates].sort((a, b) => a.index - b.index);
+  if (deliveries.every(ga => ga.date)) {
+    deliveries.sort((a, b) => a.date.localeCompare(b.date));
+  }
+  return deliveries.map(({ index, ...ga }) => ga);
 }
 
 /**
@@ -276,8 +461,149 @@ export function extractDeliveryTypes(text) {
   return deliveries;
 }
 
+/**
+ * Extract delivery dates from medical text
+ * A date counts when a delivery keyword appears in the same sentence just
+ * before or after it and it isn't labeled as a due date or a visit date
+ * ("postpartum visit 04/15/2023"). The delivery mode comes from the same
+ * delivery: the text before the date first, then the text after it.
+ * @returns {Array} [{ date: 'YYYY-MM-DD' | 'YYYY-MM', mode: 'cesarean'|'vaginal'|null, text }], oldest first
+ */
+export function extractDeliveryDates(text) {
+  const found = new Map();
+
+  for (const { format, pattern } of PREGNANCY_PATTERNS.dates) {
+    const regex = new RegExp(pattern.source, pattern.flags + 'g');
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+      const date = toPartialIsoDate(format, match);
+      if (!date || found.has(date) || isDueDate(text, match) || isVisitDate(text, match)) continue;
+
+      const before = text.slice(Math.max(0, match.index - 60), match.index).split(/[.;]\s|\n/).pop();
+      const after = text.slice(match.index + match[0].length, match.index + match[0].length + 40).split(/[.;]\s|\n/)[0];
+      const window = before + match[0] + after;
+      if (!PREGNANCY_PATTERNS.deliveryContext.test(window)) continue;
+
+      const mode = deliveryModeIn(before + match[0]) || deliveryModeIn(after);
+      found.set(date, { date, mode, text: window.trim() });
+    }
+  }
+
+  return [...found.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function deliveryModeIn(text) {
+  if (PREGNANCY_PATTERNS.deliveryTypes.cesarean.some(p => p.test(text))) return 'cesarean';
+  if (PREGNANCY_PATTERNS.deliveryTypes.vaginal.some(p => p.test(text))) return 'vaginal';
+  return null;
+}
+
+function toPartialIsoDate(format, match) {
+  let year, month, day = null;
+  if (format === 'mdy') {
+    [month, day, year] = [+match[1], +match[2], +match[3]];
+  } else if (format === 'ymd') {
+    [year, month, day] = [+match[1], +match[2], +match[3]];
+  } else if (format === 'month-name') {
+    month = MONTH_NAMES.indexOf(match[1].slice(0, 3).toLowerCase()) + 1;
+    day = match[2] ? +match[2] : null;
+    year = +match[3];
+  } else {
+    [month, year] = [+match[1], +match[2]];
+  }
+
+  if (month < 1 || month > 12 || year < 1950 || year > 2100) return null;
+  if (day !== null && (day < 1 || day > 31)) return null;
+
+  const pad = n => String(n).padStart(2, '0');
+  return day === null ? `${year}-${pad(month)}` : `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Split text into per-pregnancy sections and extract each pregnancy
+ * Only used when the records number their pregnancies; otherwise returns [].
+ * @returns {Array} [{ number, year, deliveryDate, gestationalAgeWeeks, deliveryMode, complications,
+ *   outcome, surrogacy, text }] in the order numbered (see assessments/obstetricTimeline.js)
+ */
+export function extractPregnancyTimeline(text) {
+  const headings = [];
+  for (const pattern of PREGNANCY_PATTERNS.pregnancyHeadings) {
+    const regex = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const token = match[1].toLowerCase();
+      const number = ORDINALS.includes(token) ? ORDINALS.indexOf(token) + 1 : parseInt(token, 10);
+      headings.push({ index: match.index, number });
+    }
+  }
+
+  // First mention of each pregnancy number starts its section
+  const starts = headings
+    .sort((a, b) => a.index - b.index)
+    .filter((heading, idx, all) => all.findIndex(other => other.number === heading.number) === idx);
+
+  return starts
+    .map((start, idx) => {
+      const section = text.slice(start.index, starts[idx + 1]?.index ?? text.length);
+      return { number: start.number, ...extractPregnancyDetails(section), text: section.trim() };
+    })
+    .sort((a, b) => a.number - b.number);
+}
+
+// A pregnancy's section often gives its outcome without a delivery verb
+// ("Pregnancy 2 (2019): 35 weeks, uncomplicated"); a lone age there is taken
+// as the age at delivery unless its clause reads like a prenatal visit
+function getOnlySectionGestationalAge(section) {
+  const ages = findGestationalAges(section);
+  if (ages.length !== 1) return null;
+  const clause = getClauseAt(section, ages[0].index, ages[0].end);
+  return PREGNANCY_PATTERNS.prenatalEvent.test(clause.before + clause.after) ? null : ages[0];
+}
+
+function extractPregnancyDetails(section) {
+  const yearMatch = section.match(/\b(19[5-9]\d|20\d\d)\b/);
+  const deliveryDate = extractDeliveryDates(section).pop()?.date || null;
+  const ga = extractDeliveryGestationalAges(section).pop() || getOnlySectionGestationalAge(section);
+
+  let deliveryMode = null;
+  if (PREGNANCY_PATTERNS.vbac.test(section)) {
+    deliveryMode = 'vaginal';
+  } else if (PREGNANCY_PATTERNS.deliveryTypes.cesarean.some(p => p.test(section))) {
+    deliveryMode = 'cesarean';
+  } else if (PREGNANCY_PATTERNS.deliveryTypes.operative.some(p => p.test(section))) {
+    deliveryMode = 'operative_vaginal';
+  } else if (PREGNANCY_PATTERNS.deliveryTypes.vaginal.some(p => p.test(section))) {
+    deliveryMode = 'vaginal';
+  }
+
+  let outcome = Object.keys(PREGNANCY_PATTERNS.pregnancyOutcomes)
+    .find(key => PREGNANCY_PATTERNS.pregnancyOutcomes[key].test(section)) || null;
+  if (!outcome && (deliveryMode || ga)) {
+    outcome = 'live_birth';
+  }
+
+  const complications = Object.entries(extractPregnancyComplications(section))
+    .filter(([, result]) => result.found)
+    .map(([category]) => category);
+
+  return {
+    year: yearMatch ? parseInt(yearMatch[1], 10) : (deliveryDate ? parseInt(deliveryDate.slice(0, 4), 10) : null),
+    deliveryDate,
+    gestationalAgeWeeks: ga ? toWeeks(ga) : null,
+    deliveryMode,
+    complications,
+    outcome,
+    surrogacy: PREGNANCY_PATTERNS.surrogacy.test(section)
+  };
+}
+
 /**
  * Extract pregnancy complications by category
+ * A match counts only when the record affirms it for the candidate (or says
+ * it resolved); "denies PIH", "r/o preeclampsia", "mother had GDM" are listed
+ * under suppressed instead (see utils/clinicalContext.js).
+ * @returns {Object} { category: { found, mentions, count, suppressed: [{ text, start, end, context, trigger }] } }
  */
 export function extractPregnancyComplications(text) {
   const complications = {};
@@ -286,15 +612,23 @@ export function extractPregnancyComplications(text) {
     complications[category] = {
       found: false,
       mentions: [],
-      count: 0
+      count: 0,
+      suppressed: []
     };
 
     for (const pattern of patterns) {
-      const matches = text.match(new RegExp(pattern, 'gi'));
-      if (matches) {
+      const matches = [...text.matchAll(new RegExp(pattern, 'gi'))].map(match => ({
+        text: match[0],
+        start: match.index,
+        end: match.index + match[0].length,
+        ...getClinicalContext(text, match.index, match.index + match[0].length)
+      }));
+      const affirmed = matches.filter(match => isAffirmed(match, { allowHistorical: true }));
+      complications[category].suppressed.push(...matches.filter(match => !affirmed.includes(match)));
+      if (affirmed.length > 0) {
         complications[category].found = true;
-        complications[category].mentions.push(...matches);
-        complications[category].count = matches.length;
+        complications[category].mentions.push(...affirmed.map(match => match.text));
+        complications[category].count = affirmed.length;
       }
     }
   }
@@ -302,18 +636,64 @@ export function extractPregnancyComplications(text) {
   return complications;
 }
 
+// Lab table rows by lab, the most recent dated row (else the first) for each
+function pickLabTableRows(rows) {
+  const picked = {};
+  rows.forEach(row => {
+    const labName = Object.keys(PREGNANCY_PATTERNS.labTestNames)
+      .find(name => PREGNANCY_PATTERNS.labTestNames[name].test(row.test));
+    const value = row.result?.match(/^[<>]?=?(\d+(?:\.\d+)?)(?:\/(\d+(?:\.\d+)?))?$/);
+    if (!labName || !value || (labName === 'bloodPressure') !== Boolean(value[2])) return;
+
+    const date = row.date ? new Date(row.date) : null;
+    const current = picked[labName];
+    if (!current || (date && !isNaN(date) && (!current.date || date > current.date))) {
+      picked[labName] = { row, value, date: date && !isNaN(date) ? date : null };
+    }
+  });
+  return picked;
+}
+
 /**
  * Extract lab values from medical text
+ * Rows from the PDF's lab tables (see pdfTables.js) are used before the text:
+ * a table row says which number is the result, while the text of a jumbled
+ * table can put a reference-range bound next to the test name.
+ * @param {string} text
+ * @param {Object} options
+ * @param {Array} options.labRows - Lab table rows, as returned by ingestDocument()
+ * @returns {Object} { labName: { value, value2, unit, qualifier, text } } - values are
+ *   as written; unit is null when the record gives none. Values from a table also
+ *   have referenceRange, flag, date and source: 'table'
  */
-export function extractLabValues(text) {
+export function extractLabValues(text, options = {}) {
+  const { labRows = [] } = options;
   const labs = {};
 
+  Object.entries(pickLabTableRows(labRows)).forEach(([labName, { row, value }]) => {
+    labs[labName] = {
+      value: value[1],
+      value2: value[2] || null,
+      unit: row.unit || null,
+      qualifier: /\bfasting\b/i.test(row.test) ? 'fasting' : null,
+      text: row.text,
+      referenceRange: row.referenceRange,
+      flag: row.flag,
+      date: row.date,
+      source: 'table'
+    };
+  });
+
   for (const [labName, pattern] of Object.entries(PREGNANCY_PATTERNS.labValues)) {
+    if (labs[labName]) continue;
     const match = text.match(pattern);
     if (match) {
+      const { value, value2, unit, qualifier } = match.groups;
       labs[labName] = {
-        value: match[1],
-        value2: match[2] || null,  // For BP systolic/diastolic
+        value,
+        value2: value2 || null,  // For BP systolic/diastolic
+        unit: unit || null,
+        qualifier: qualifier ? qualifier.trim().toLowerCase() : null,
         text: match[0]
       };
     }
@@ -322,46 +702,249 @@ export function extractLabValues(text) {
   return labs;
 }
 
+function findDates(text) {
+  const dates = [];
+  for (const { format, pattern } of PREGNANCY_PATTERNS.dates) {
+    const regex = new RegExp(pattern.source, pattern.flags + 'g');
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const date = toPartialIsoDate(format, match);
+      if (date) dates.push({ index: match.index, end: match.index + match[0].length, date });
+    }
+  }
+  return dates.sort((a, b) => a.index - b.index);
+}
+
+// How far back (in lines, within a paragraph) to look for a dated visit heading
+const MAX_VISIT_NOTE_LINES = 8;
+
+// Nearest earlier line in the same paragraph that starts with a date ("03/14/2021 - Postpartum visit")
+function findVisitHeading(text, index, dates) {
+  let lineEnd = text.lastIndexOf('\n', index);
+  for (let lines = 0; lineEnd > 0 && lines < MAX_VISIT_NOTE_LINES; lines++) {
+    const lineStart = text.lastIndexOf('\n', lineEnd - 1) + 1;
+    const line = text.slice(lineStart, lineEnd);
+    if (!line.trim()) return null;
+
+    const leadingSpace = line.length - line.trimStart().length;
+    const date = dates.find(d => d.index === lineStart + leadingSpace);
+    if (date) return { date, text: line };
+    lineEnd = lineStart - 1;
+  }
+  return null;
+}
+
+// The sentence around text[index, index + length), without crossing a line break
+function getSentenceAt(text, index, length) {
+  const lineStart = text.lastIndexOf('\n', index) + 1;
+  const lineEnd = text.indexOf('\n', index) === -1 ? text.length : text.indexOf('\n', index);
+  const line = text.slice(lineStart, lineEnd);
+  const offset = index - lineStart;
+  const boundaries = [...line.matchAll(/[.;](?=\s|$)/g)].map(boundary => boundary.index);
+
+  const previous = boundaries.filter(boundary => boundary < offset).pop();
+  const next = boundaries.find(boundary => boundary >= offset + length);
+  const start = previous === undefined ? 0 : previous + 1;
+  return { start: lineStart + start, text: line.slice(start, next === undefined ? line.length : next + 1) };
+}
+
+function getBloodPressurePhase(context) {
+  const { bloodPressurePhases } = PREGNANCY_PATTERNS;
+  if (bloodPressurePhases.postpartum.test(context)) {
+    const interval = context.match(PREGNANCY_PATTERNS.postpartumInterval);
+    const postpartumWeeks = interval
+      ? Math.round((/^d/i.test(interval[2]) ? interval[1] / 7 : +interval[1]) * 10) / 10
+      : null;
+    return { phase: 'postpartum', gestationalWeeks: null, postpartumWeeks };
+  }
+  if (bloodPressurePhases.intrapartum.test(context)) {
+    return { phase: 'intrapartum', gestationalWeeks: null, postpartumWeeks: null };
+  }
+  if (bloodPressurePhases.prenatal.test(context)) {
+    const weeks = context.match(PREGNANCY_PATTERNS.visitGestationalAge);
+    const gestationalWeeks = weeks && +weeks[1] >= 4 && +weeks[1] <= 42 ? +weeks[1] : null;
+    return { phase: 'prenatal', gestationalWeeks, postpartumWeeks: null };
+  }
+  return null;
+}
+
 /**
- * Determine if pregnancy was term or preterm based on gestational age
+ * Extract every blood pressure reading with its visit date and pregnancy phase
+ * Date and phase come from the reading's sentence, falling back to earlier in
+ * the same line and then to the visit heading above it (the nearest earlier
+ * line in the paragraph that starts with a date, e.g. "03/14/2021 - Postpartum visit").
+ * Readings with no phase cue are 'other'.
+ * @returns {Array} [{ systolic, diastolic, date, phase: 'prenatal'|'intrapartum'|'postpartum'|'other',
+ *   gestationalWeeks, postpartumWeeks, text }] in record order; the same dated reading is kept once
+ */
+export function extractBloodPressureReadings(text) {
+  if (!text) return [];
+
+  // A date of birth is never the visit date
+  const dates = findDates(text).filter(date => !/\bDOB\W*$|date of birth\W*$/i.test(text.slice(Math.max(0, date.index - 16), date.index)));
+  const regex = new RegExp(PREGNANCY_PATTERNS.bloodPressureReading.source, 'gi');
+  const readings = [];
+  const seen = new Set();
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    const systolic = +match[1];
+    const diastolic = +match[2];
+    if (systolic < 60 || systolic > 260 || diastolic < 30 || diastolic > 160 || diastolic >= systolic) continue;
+
+    const sentence = getSentenceAt(text, match.index, match[0].length);
+    const heading = findVisitHeading(text, match.index, dates);
+
+    const inSentence = dates.filter(date => date.index >= sentence.start && date.end <= sentence.start + sentence.text.length);
+    const lineStart = text.lastIndexOf('\n', match.index) + 1;
+    const date = inSentence.filter(d => d.index < match.index).pop() || inSentence[0] ||
+      dates.filter(d => d.index >= lineStart && d.end <= match.index).pop() ||
+      heading?.date;
+
+    const phase = getBloodPressurePhase(sentence.text) || getBloodPressurePhase(heading?.text || '') ||
+      { phase: 'other', gestationalWeeks: null, postpartumWeeks: null };
+
+    const key = date ? `${date.date}|${systolic}/${diastolic}` : null;
+    if (key && seen.has(key)) continue;
+    if (key) seen.add(key);
+
+    readings.push({ systolic, diastolic, date: date?.date || null, ...phase, text: sentence.text.trim() });
+  }
+
+  return readings;
+}
+
+/**
+ * Classify each delivery as preterm, term or post-term
+ * Pass gestational ages at delivery (extractDeliveryGestationalAges()); ages
+ * from prenatal visits would be counted as preterm births.
+ * @returns {Array} [{ term: 'preterm'|'term'|'post-term', category, label, weeks, original }]
+ *   category/label are the finer bands from classifyDeliveryTerm()
  */
 export function classifyPregnancyTerm(gestationalAges) {
-  const classifications = gestationalAges.map(ga => {
+  return gestationalAges.map(ga => {
     const totalWeeks = ga.weeks + (ga.days / 7);
+    const classification = classifyDeliveryTerm(totalWeeks);
 
-    if (totalWeeks < 37) {
-      return { term: 'preterm', weeks: totalWeeks, original: ga };
-    } else if (totalWeeks >= 37 && totalWeeks < 42) {
-      return { term: 'term', weeks: totalWeeks, original: ga };
-    } else {
-      return { term: 'post-term', weeks: totalWeeks, original: ga };
+    let term = 'term';
+    if (classification.preterm) {
+      term = 'preterm';
+    } else if (classification.term === DELIVERY_TERMS.POST_TERM) {
+      term = 'post-term';
     }
+    return { term, category: classification.term, label: classification.label, weeks: totalWeeks, original: ga };
+  });
+}
+
+// Every match of the patterns, each as a citation of path
+function citePatterns(recorder, path, text, patterns) {
+  patterns.forEach(pattern => {
+    for (const match of text.matchAll(new RegExp(pattern, 'gi'))) {
+      recorder.citeMatch(path, match);
+    }
+  });
+}
+
+/**
+ * Record where each fact that mergeParserResults() fills in was found
+ * (see utils/provenance.js). Array entries are cited by position, in the
+ * order they are merged.
+ */
+function citeFindings(text, result, recorder) {
+  const citeText = (path, value) => {
+    const index = value ? text.indexOf(value) : -1;
+    recorder.cite(path, index, value ? value.length : 0);
+  };
+
+  const obsMatch = PREGNANCY_PATTERNS.obstetricHistory.map(pattern => text.match(pattern)).find(Boolean);
+  if (obsMatch) {
+    ['numberOfTermPregnancies', 'hasCompletedPregnancy', 'totalDeliveries'].forEach(field =>
+      recorder.citeMatch(`pregnancyHistory.${field}`, obsMatch)
+    );
+  }
+
+  citePatterns(recorder, 'pregnancyHistory.numberOfCesareans', text, PREGNANCY_PATTERNS.deliveryTypes.cesarean);
+
+  // Suppressed matches are logged, not cited
+  Object.entries(result.complications).forEach(([category, complication]) => {
+    const path = `pregnancySpecificComplications.${category}`;
+    const suppressedAt = new Set(complication.suppressed.map(mention => mention.start));
+    PREGNANCY_PATTERNS.complications[category].forEach(pattern => {
+      for (const match of text.matchAll(new RegExp(pattern, 'gi'))) {
+        if (!suppressedAt.has(match.index)) recorder.citeMatch(path, match);
+      }
+    });
+    complication.suppressed.forEach(mention => recorder.suppress(path, mention));
+  });
+
+  Object.entries(result.labValues).forEach(([labName, lab]) => citeText(`labValues.${labName}`, lab.text));
+
+  // Readings are in record order; each is found after the one before it
+  let cursor = 0;
+  result.bloodPressureReadings.forEach((reading, idx) => {
+    const pattern = new RegExp(`\\b${reading.systolic}\\s*\\/\\s*${reading.diastolic}\\b`, 'g');
+    pattern.lastIndex = cursor;
+    const match = pattern.exec(text);
+    if (!match) return;
+    recorder.citeMatch(`bloodPressureReadings[${idx}]`, match);
+    cursor = match.index + match[0].length;
   });
 
-  return classifications;
+  if (!result.pregnancies.length) {
+    result.deliveries.forEach((delivery, idx) => citeText(`pregnancyHistory.deliveries[${idx}]`, delivery.text));
+  }
+
+  // A pregnancy's section is cited by its heading line
+  result.pregnancies.forEach((pregnancy, idx) =>
+    citeText(`pregnancyHistory.pregnancies[${idx}]`, pregnancy.text.split('\n')[0].trim())
+  );
+
+  const lastDelivery = result.deliveryDates[result.deliveryDates.length - 1];
+  if (lastDelivery) {
+    citeText('pregnancyHistory.lastDeliveryDate', lastDelivery.text);
+    if (lastDelivery.mode) citeText('pregnancyHistory.lastDeliveryMode', lastDelivery.text);
+  }
 }
 
 /**
  * Enhanced pregnancy-specific parser (Layer 1)
  * Works alongside existing textParser.js
+ * @param {string} text
+ * @param {Object} options
+ * @param {Object} options.recorder - Citation recorder (see provenance.js) to collect
+ *   where each merged fact was found
+ * @param {Array} options.labRows - Lab table rows from the PDFs (see extractLabValues())
  */
-export function parsePregnancyMedicalText(text) {
+export function parsePregnancyMedicalText(text, options = {}) {
   const obsHistory = extractObstetricHistory(text);
   const gestationalAges = extractGestationalAge(text);
   const deliveryTypes = extractDeliveryTypes(text);
   const complications = extractPregnancyComplications(text);
-  const labValues = extractLabValues(text);
-  const termClassifications = classifyPregnancyTerm(gestationalAges);
+  const labValues = extractLabValues(text, { labRows: options.labRows });
+  const bloodPressureReadings = extractBloodPressureReadings(text);
+  const deliveries = extractDeliveryGestationalAges(text);
+  const termClassifications = classifyPregnancyTerm(deliveries);
+  const deliveryDates = extractDeliveryDates(text);
+  const pregnancies = extractPregnancyTimeline(text);
 
-  return {
+  const result = {
     obstetricHistory: obsHistory,
     gestationalAges: gestationalAges,
+    deliveries: deliveries,
     termClassifications: termClassifications,
     deliveryTypes: deliveryTypes,
+    deliveryDates: deliveryDates,
+    pregnancies: pregnancies,
     complications: complications,
     labValues: labValues,
+    bloodPressureReadings: bloodPressureReadings,
     confidence: calculateParserConfidence(obsHistory, gestationalAges, deliveryTypes, complications)
   };
+
+  if (options.recorder) {
+    citeFindings(text, result, options.recorder);
+  }
+  return result;
 }
 
 /**
@@ -414,12 +997,41 @@ export function mergeParserResults(generalData, pregnancySpecificData) {
     merged.pregnancyHistory.numberOfCesareans = pregnancySpecificData.deliveryTypes.cesarean;
   }
 
+  // Per-pregnancy timeline
+  if (pregnancySpecificData.pregnancies?.length > 0) {
+    merged.pregnancyHistory = merged.pregnancyHistory || {};
+    merged.pregnancyHistory.pregnancies = pregnancySpecificData.pregnancies.map(({ text, ...pregnancy }) => pregnancy);
+  }
+
+  // Gestational age at each delivery, when the records don't number their pregnancies
+  if (!pregnancySpecificData.pregnancies?.length && pregnancySpecificData.deliveries?.length > 0) {
+    merged.pregnancyHistory = merged.pregnancyHistory || {};
+    merged.pregnancyHistory.deliveries = pregnancySpecificData.deliveries.map(({ date, gestationalAgeWeeks, source }) =>
+      ({ date, gestationalAgeWeeks, source })
+    );
+  }
+
+  // Most recent delivery date (for postpartum timing)
+  const lastDelivery = pregnancySpecificData.deliveryDates?.[pregnancySpecificData.deliveryDates.length - 1];
+  if (lastDelivery) {
+    merged.pregnancyHistory = merged.pregnancyHistory || {};
+    merged.pregnancyHistory.lastDeliveryDate = lastDelivery.date;
+    if (lastDelivery.mode) {
+      merged.pregnancyHistory.lastDeliveryMode = lastDelivery.mode;
+    }
+  }
+
   // Add pregnancy-specific complication details
   merged.pregnancySpecificComplications = pregnancySpecificData.complications;
 
   // Add lab values
   merged.labValues = pregnancySpecificData.labValues;
 
+  // Serial BP readings (see assessments/bloodPressureTrend.js)
+  if (pregnancySpecificData.bloodPressureReadings?.length > 0) {
+    merged.bloodPressureReadings = pregnancySpecificData.bloodPressureReadings.map(({ text, ...reading }) => reading);
+  }
+
   // Add parser confidence
   merged.parserConfidence = pregnancySpecificData.confidence;
 
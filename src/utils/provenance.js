@@ -0,0 +1,292 @@
+/**
+ * Provenance - where in the record each extracted fact came from
+ *
+ * Every parser layer records citations as it extracts: the character span
+ * that decided a field, the matched snippet and the passage around it.
+ * parseMedicalText() merges the layers and returns them as
+ * parsingMetadata.provenance:
+ *
+ *   {
+ *     'pregnancyHistory.numberOfCesareans': [{
+ *       layer: 'pregnancy-parser', start: 412, end: 421, snippet: 'C-section',
+ *       passage: 'Second baby delivered by C-section at 39 weeks.', passageStart: 387,
+ *       document: 'prenatal-records.pdf', page: 3, section: 'delivery_summary', sectionWeight: 1,
+ *       ocrConfidence: null, verified: true
+ *     }],
+ *     'medicalConditions[gestational_diabetes]': [...]
+ *   }
+ *
+ * Paths follow the candidate data; array entries are keyed by value
+ * (medicalConditions[asthma], medications[metformin]) or by position
+ * (bloodPressureReadings[2]). Claude cites by quoting the record; quotes that
+ * can't be found in the text are kept with verified: false and no span.
+ *
+ * Matches the deterministic layers dropped because the record negates them or
+ * puts them on someone else (see clinicalContext.js) are returned alongside as
+ * parsingMetadata.suppressedFindings: the same citation plus path, context and trigger.
+ *
+ * Each citation also names the chart section it falls in (sectionSegmenter.js)
+ * and that section's weight, so a match from a review of systems can be shown
+ * as weaker evidence. Citations on scanned pages carry the page's OCR
+ * confidence (pdfOcr.js); it is null for pages that had a text layer.
+ *
+ * Values read from coded entries (ccdaImporter.js, fhirImporter.js) have no
+ * span either; their citations carry the code instead:
+ * code: { system, systemName, code, display }.
+ */
+
+import { getSectionAt } from './sectionSegmenter.js';
+
+export const PARSER_LAYERS = {
+  PREGNANCY: 'pregnancy-parser',
+  GENERAL: 'text-parser',
+  CLAUDE: 'claude',
+  USER: 'user',
+  CCDA: 'ccda',
+  FHIR: 'fhir'
+};
+
+export const LAYER_LABELS = {
+  [PARSER_LAYERS.PREGNANCY]: 'Obstetric parser',
+  [PARSER_LAYERS.GENERAL]: 'Text parser',
+  [PARSER_LAYERS.CLAUDE]: 'Claude',
+  [PARSER_LAYERS.USER]: 'Entered by user',
+  [PARSER_LAYERS.CCDA]: 'C-CDA coded entry',
+  [PARSER_LAYERS.FHIR]: 'FHIR coded entry'
+};
+
+// Markers added when records are combined (documentIngestion.js) and per PDF page (pdfDocument.js)
+const DOCUMENT_MARKER = /^=== FILE: (.+?) ===$/gm;
+const PAGE_MARKER = /^--- Page (\d+) ---$/gm;
+
+// Longest passage shown around a citation
+const MAX_PASSAGE_LENGTH = 240;
+
+// The line or sentence around text[start, end), capped at MAX_PASSAGE_LENGTH
+function getPassage(text, start, end) {
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  const nextBreak = text.indexOf('\n', end);
+  const lineEnd = nextBreak === -1 ? text.length : nextBreak;
+
+  let from = lineStart;
+  let to = lineEnd;
+  if (to - from > MAX_PASSAGE_LENGTH) {
+    const sentenceStart = text.slice(lineStart, start).search(/[^.;!?]*$/);
+    const sentenceEnd = text.slice(end, lineEnd).search(/[.;!?](?:\s|$)/);
+    from = Math.max(lineStart + sentenceStart, start - MAX_PASSAGE_LENGTH / 2);
+    to = Math.min(sentenceEnd === -1 ? lineEnd : end + sentenceEnd + 1, end + MAX_PASSAGE_LENGTH / 2);
+  }
+
+  const passage = text.slice(from, to);
+  const leading = passage.length - passage.trimStart().length;
+  return { passage: passage.trim(), passageStart: from + leading };
+}
+
+/**
+ * Collects citations for one parser layer
+ * A keyword check decides a field, so mentions() replaces the path's earlier
+ * citations from the same layer; cite() and citeMatch() add to them (counts
+ * built from several mentions). suppress() logs a match that was not counted.
+ * @param {string} text - The text the layer parsed
+ * @param {string} layer - One of PARSER_LAYERS
+ * @returns {Object} { layer, citations, suppressed, cite, citeMatch, mentions, suppress, clear }
+ */
+export function createCitationRecorder(text, layer) {
+  const source = text || '';
+  const lowerText = source.toLowerCase();
+  const citations = {};
+  const suppressed = [];
+
+  const cite = (path, start, length) => {
+    if (start === undefined || start === null || start < 0) return;
+    const end = start + length;
+    const entries = citations[path] || (citations[path] = []);
+    if (entries.some(entry => entry.start === start && entry.end === end)) return;
+    entries.push({ layer, start, end, snippet: source.slice(start, end), ...getPassage(source, start, end), verified: true });
+  };
+
+  return {
+    layer,
+    citations,
+    suppressed,
+    cite,
+    // offset: where the text the regex ran on starts within the layer's text
+    citeMatch: (path, match, offset = 0) => {
+      if (match) cite(path, offset + match.index, match[0].length);
+    },
+    mentions: (path, keywords) => {
+      const hit = keywords
+        .map(keyword => ({ keyword, index: lowerText.indexOf(keyword.toLowerCase()) }))
+        .find(({ index }) => index !== -1);
+      if (!hit) return false;
+      delete citations[path];
+      cite(path, hit.index, hit.keyword.length);
+      return true;
+    },
+    // mention: { start, end, context, trigger } from clinicalContext.js findMentions()
+    suppress: (path, mention) => {
+      if (suppressed.some(entry => entry.path === path && entry.start === mention.start)) return;
+      suppressed.push({
+        path,
+        layer,
+        context: mention.context,
+        trigger: mention.trigger,
+        start: mention.start,
+        end: mention.end,
+        snippet: source.slice(mention.start, mention.end),
+        ...getPassage(source, mention.start, mention.end),
+        verified: true
+      });
+    },
+    clear: path => {
+      delete citations[path];
+    }
+  };
+}
+
+const normalize = value => value.toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Find a quoted passage in the record
+ * Whitespace and case are ignored; a quote that spans a de-identified token
+ * ("[PATIENT] delivered ...") is matched on its longest remaining fragment.
+ * @returns {Object|null} { start, end }
+ */
+export function locateQuote(text, quote) {
+  if (!text || !quote || typeof quote !== 'string') return null;
+
+  // Map positions in the whitespace-collapsed text back to the original
+  const positions = [];
+  let collapsed = '';
+  for (let i = 0; i < text.length; i++) {
+    if (/\s/.test(text[i]) && /\s$/.test(collapsed)) continue;
+    positions.push(i);
+    collapsed += /\s/.test(text[i]) ? ' ' : text[i].toLowerCase();
+  }
+
+  const fragments = quote.split(/\[[A-Z_]+\]/).map(fragment => normalize(fragment).trim()).filter(Boolean);
+  const fragment = fragments.sort((a, b) => b.length - a.length)[0];
+  if (!fragment || (fragments.length > 1 && fragment.length < 12)) return null;
+
+  const index = collapsed.indexOf(fragment);
+  if (index === -1) return null;
+  return { start: positions[index], end: positions[index + fragment.length - 1] + 1 };
+}
+
+/**
+ * Citations for Claude's evidence quotes
+ * @param {string} text - The record as given to the cascading parser
+ * @param {Object} evidence - { path: quote | [quotes] } as returned by the Claude layer
+ * @returns {Object} { path: [citation] }
+ */
+export function citeQuotes(text, evidence) {
+  const recorder = createCitationRecorder(text, PARSER_LAYERS.CLAUDE);
+  Object.entries(evidence || {}).forEach(([path, quotes]) => {
+    (Array.isArray(quotes) ? quotes : [quotes]).filter(quote => typeof quote === 'string' && quote.trim()).forEach(quote => {
+      const span = locateQuote(text, quote);
+      if (span) {
+        recorder.cite(path, span.start, span.end - span.start);
+      } else {
+        (recorder.citations[path] = recorder.citations[path] || []).push({
+          layer: PARSER_LAYERS.CLAUDE,
+          start: null,
+          end: null,
+          snippet: quote.trim(),
+          passage: quote.trim(),
+          passageStart: null,
+          verified: false
+        });
+      }
+    });
+  });
+  return recorder.citations;
+}
+
+// Document, page, chart section (sectionSegmenter.js) and OCR confidence for each position
+function getLocator(text, documentName, ocrPages = []) {
+  const documents = [...text.matchAll(DOCUMENT_MARKER)].map(match => ({ index: match.index, name: match[1] }));
+  const pages = [...text.matchAll(PAGE_MARKER)].map(match => ({ index: match.index, page: parseInt(match[1], 10) }));
+
+  return index => {
+    const doc = documents.filter(marker => marker.index <= index).pop();
+    const page = pages.filter(marker => marker.index <= index && (!doc || marker.index > doc.index)).pop();
+    const section = getSectionAt(text, index);
+    const document = doc?.name || documentName || null;
+    const ocrPage = ocrPages.find(entry => entry.document === document && entry.page === page?.page);
+    return {
+      document,
+      page: page?.page ?? null,
+      section: section.type,
+      sectionWeight: section.weight,
+      ocrConfidence: ocrPage ? ocrPage.confidence : null
+    };
+  };
+}
+
+/**
+ * Merge the layers' citations into one provenance map
+ * Layers are given lowest priority first, in the order the cascading parser
+ * lets them override each other; a path keeps the citations of the highest
+ * layer that cited it.
+ * @param {string} text - The record the citations point into
+ * @param {Array<Object>} layers - Citation maps ({ path: [citation] })
+ * @param {Object} options
+ * @param {string} options.documentName - Document name when the text has no file markers
+ * @param {Array} options.ocrPages - [{ document, page, confidence }] for pages read by OCR
+ * @returns {Object} { path: [citation] } with document, page, section and OCR confidence filled in
+ */
+export function mergeProvenance(text, layers, options = {}) {
+  const locate = getLocator(text || '', options.documentName, options.ocrPages);
+  const merged = {};
+
+  layers.filter(Boolean).forEach(citations => {
+    Object.entries(citations).forEach(([path, entries]) => {
+      if (entries.length > 0) merged[path] = entries;
+    });
+  });
+
+  return Object.fromEntries(
+    Object.entries(merged)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([path, entries]) => [
+        path,
+        entries
+          .map(entry => (entry.start === null ? entry : { ...entry, ...locate(entry.start) }))
+          .sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity))
+      ])
+  );
+}
+
+/**
+ * Combine the layers' suppressed matches
+ * @param {string} text - The record the matches point into
+ * @param {Array<Array>} layers - Each layer's recorder.suppressed
+ * @param {Object} options
+ * @param {string} options.documentName - Document name when the text has no file markers
+ * @param {Array} options.ocrPages - [{ document, page, confidence }] for pages read by OCR
+ * @returns {Array} [{ path, layer, context, trigger, start, end, snippet, passage, document, page, ... }]
+ *   in record order, one entry per path and span
+ */
+export function mergeSuppressed(text, layers, options = {}) {
+  const locate = getLocator(text || '', options.documentName, options.ocrPages);
+  const merged = [];
+  layers.filter(Boolean).flat().forEach(entry => {
+    if (!merged.some(other => other.path === entry.path && other.start === entry.start)) {
+      merged.push({ ...entry, ...locate(entry.start) });
+    }
+  });
+  return merged.sort((a, b) => a.start - b.start || a.path.localeCompare(b.path));
+}
+
+/**
+ * Value of a provenance path in the candidate data
+ * Keyed entries (medicalConditions[asthma]) return the key; positional
+ * entries (bloodPressureReadings[2]) return the array element.
+ */
+export function getProvenanceValue(candidateData, path) {
+  const keyed = path.match(/^(.*)\[([^\]]+)\]$/);
+  const fieldPath = keyed ? keyed[1] : path;
+  const value = fieldPath.split('.').reduce((node, key) => node?.[key], candidateData);
+  if (!keyed) return value;
+  return /^\d+$/.test(keyed[2]) && Array.isArray(value) ? value[+keyed[2]] : keyed[2];
+}
@@ -4,6 +4,7 @@
  */
 
 import { jsPDF } from 'jspdf';
+import { formatTermCodes } from '../data/terminology.js';
 
 /**
  * Generate a comprehensive PDF report for a candidate assessment
@@ -253,6 +254,25 @@ export function generateAssessmentReport(assessmentData, candidateInfo = {}) {
     });
   }
 
+  // Codes of the conditions, complications and procedures the findings are about
+  if (assessmentData.codes && assessmentData.codes.length > 0) {
+    checkNewPage(40);
+    yPosition += 15;
+
+    doc.setFontSize(14);
+    doc.setFont('helvetica', 'bold');
+    doc.text('DIAGNOSIS CODES', margin, yPosition);
+
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+
+    assessmentData.codes.forEach(entry => {
+      checkNewPage(15);
+      yPosition += 8;
+      yPosition = addText(`• ${formatTermCodes(entry)}`, margin, yPosition);
+    });
+  }
+
   // Recommendations
   if (assessmentData.recommendations && assessmentData.recommendations.length > 0) {
     checkNewPage(50);
@@ -0,0 +1,110 @@
+/**
+ * Review History
+ * Keeps each candidate's last assessment so a re-screen - new records arriving
+ * weeks later - can show what changed (assessments/assessmentDiff.js).
+ *
+ * Assessments are kept in the browser's localStorage under the candidate ID
+ * the screener enters (case or file number), never under the display name,
+ * which isn't unique and changes with spelling. An assessment can also be
+ * exported as JSON and loaded back, to compare on another machine or after
+ * the browser's storage was cleared.
+ */
+
+export const REVIEW_HISTORY_STORAGE_KEY = 'riskRanger.reviewHistory';
+export const ASSESSMENT_EXPORT_FORMAT = 'risk-ranger-assessment';
+const EXPORT_VERSION = 1;
+
+const defaultStorage = () => (typeof localStorage === 'undefined' ? null : localStorage);
+
+/**
+ * Candidate IDs match regardless of surrounding spaces and letter case
+ */
+export function normalizeCandidateId(candidateId) {
+  return typeof candidateId === 'string' ? candidateId.trim().toUpperCase() : '';
+}
+
+/**
+ * The parts of an assessment worth keeping: the diff reads findings, clinic and
+ * MFM results and the candidate data, not the parsers' evidence
+ */
+function toStoredAssessment(assessment) {
+  const { changesSinceLastReview, ...stored } = assessment;
+  if (stored.candidateData) {
+    const { parsingMetadata, ...candidateData } = stored.candidateData;
+    stored.candidateData = candidateData;
+  }
+  return stored;
+}
+
+function readHistory(storage) {
+  try {
+    return JSON.parse(storage.getItem(REVIEW_HISTORY_STORAGE_KEY) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * The last saved review of a candidate
+ * @returns {Object|null} { candidateId, savedAt, assessment }
+ */
+export function loadLastReview(candidateId, storage = defaultStorage()) {
+  const id = normalizeCandidateId(candidateId);
+  if (!id || !storage) return null;
+  return readHistory(storage)[id] || null;
+}
+
+/**
+ * Save an assessment as a candidate's last review
+ * @returns {boolean} Whether it was saved (storage may be unavailable or full)
+ */
+export function saveReview(candidateId, assessment, storage = defaultStorage()) {
+  const id = normalizeCandidateId(candidateId);
+  if (!id || !storage) return false;
+
+  const history = readHistory(storage);
+  history[id] = { candidateId: id, savedAt: new Date().toISOString(), assessment: toStoredAssessment(assessment) };
+  try {
+    storage.setItem(REVIEW_HISTORY_STORAGE_KEY, JSON.stringify(history));
+    return true;
+  } catch (error) {
+    console.error('Could not save the review history:', error);
+    return false;
+  }
+}
+
+/**
+ * An assessment as a JSON export
+ * @returns {string}
+ */
+export function exportAssessment(assessment, candidateId = '') {
+  return JSON.stringify({
+    format: ASSESSMENT_EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    candidateId: normalizeCandidateId(candidateId),
+    savedAt: new Date().toISOString(),
+    assessment: toStoredAssessment(assessment)
+  }, null, 2);
+}
+
+/**
+ * Read an exported assessment back
+ * @returns {Object} { candidateId, savedAt, assessment }
+ */
+export function importAssessment(json) {
+  let parsed;
+  try {
+    parsed = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+
+  if (parsed?.format !== ASSESSMENT_EXPORT_FORMAT || !parsed.assessment?.overallRisk) {
+    throw new Error('Not a Risk Ranger assessment export');
+  }
+  if (parsed.version > EXPORT_VERSION) {
+    throw new Error(`Assessment export version ${parsed.version} is newer than this version of Risk Ranger reads`);
+  }
+
+  return { candidateId: parsed.candidateId || '', savedAt: parsed.savedAt || null, assessment: parsed.assessment };
+}
@@ -0,0 +1,179 @@
+/**
+ * Section Segmenter - splits a medical record into its chart sections
+ *
+ * Records arrive as one string (PDF pages joined, several files combined),
+ * so a diagnosis under "Family History" looks the same as one under
+ * "Assessment/Plan". segmentRecord() finds the section headings - on their
+ * own line, or inline after a sentence ("... stable. FAMILY HISTORY: ...")
+ * as PDF text often has them - and getSectionAt() tells the parsers which
+ * section a match is in.
+ *
+ * A heading alone on its line opens a section that runs to the next heading.
+ * One followed by text on the same line ("Family history: mother has T2DM")
+ * is a label for that line only; PDF page text has no line breaks, so there
+ * it runs to the next heading or the end of the page.
+ *
+ * SECTION_WEIGHTS says how much a match counts by section: 0 ignores it
+ * (family history, allergies), 0.5 marks it as weaker evidence (a review
+ * of systems checklist). Text before the first heading, or in a section
+ * this module doesn't know, is 'other' and counts fully.
+ */
+
+export const SECTION_TYPES = {
+  HPI: 'hpi',
+  PAST_MEDICAL_HISTORY: 'past_medical_history',
+  SURGICAL_HISTORY: 'surgical_history',
+  OB_HISTORY: 'ob_history',
+  FAMILY_HISTORY: 'family_history',
+  SOCIAL_HISTORY: 'social_history',
+  REVIEW_OF_SYSTEMS: 'review_of_systems',
+  MEDICATIONS: 'medications',
+  ALLERGIES: 'allergies',
+  LABS: 'labs',
+  PHYSICAL_EXAM: 'physical_exam',
+  ASSESSMENT_PLAN: 'assessment_plan',
+  DELIVERY_SUMMARY: 'delivery_summary',
+  OPERATIVE_REPORT: 'operative_report',
+  OTHER: 'other'
+};
+
+export const SECTION_LABELS = {
+  [SECTION_TYPES.HPI]: 'History of present illness',
+  [SECTION_TYPES.PAST_MEDICAL_HISTORY]: 'Past medical history',
+  [SECTION_TYPES.SURGICAL_HISTORY]: 'Surgical history',
+  [SECTION_TYPES.OB_HISTORY]: 'OB history',
+  [SECTION_TYPES.FAMILY_HISTORY]: 'Family history',
+  [SECTION_TYPES.SOCIAL_HISTORY]: 'Social history',
+  [SECTION_TYPES.REVIEW_OF_SYSTEMS]: 'Review of systems',
+  [SECTION_TYPES.MEDICATIONS]: 'Medications',
+  [SECTION_TYPES.ALLERGIES]: 'Allergies',
+  [SECTION_TYPES.LABS]: 'Labs',
+  [SECTION_TYPES.PHYSICAL_EXAM]: 'Physical exam',
+  [SECTION_TYPES.ASSESSMENT_PLAN]: 'Assessment/Plan',
+  [SECTION_TYPES.DELIVERY_SUMMARY]: 'Delivery summary',
+  [SECTION_TYPES.OPERATIVE_REPORT]: 'Operative report',
+  [SECTION_TYPES.OTHER]: 'Other'
+};
+
+// How much a finding in each section counts; sections not listed count fully
+export const SECTION_WEIGHTS = {
+  [SECTION_TYPES.FAMILY_HISTORY]: 0,    // someone else's history
+  [SECTION_TYPES.ALLERGIES]: 0,         // reactions, not diagnoses or current medications
+  [SECTION_TYPES.REVIEW_OF_SYSTEMS]: 0.5 // symptom checklist, not a diagnosis
+};
+
+// Heading wording for each section (matched case-insensitively, whole words)
+const SECTION_HEADINGS = {
+  [SECTION_TYPES.HPI]: ['history of present illness', 'history of the present illness', 'hpi', 'interval history', 'present illness'],
+  [SECTION_TYPES.PAST_MEDICAL_HISTORY]: ['past medical history', 'medical history', 'pmh', 'pmhx', 'problem list', 'active problems'],
+  [SECTION_TYPES.SURGICAL_HISTORY]: ['past surgical history', 'surgical history', 'psh', 'pshx'],
+  [SECTION_TYPES.OB_HISTORY]: ['obstetric history', 'obstetrical history', 'ob history', 'ob/gyn history', 'ob hx', 'pregnancy history', 'prior pregnancies'],
+  [SECTION_TYPES.FAMILY_HISTORY]: ['family medical history', 'family history', 'fhx', 'fh'],
+  [SECTION_TYPES.SOCIAL_HISTORY]: ['social history', 'shx', 'sh'],
+  [SECTION_TYPES.REVIEW_OF_SYSTEMS]: ['review of systems', 'ros'],
+  [SECTION_TYPES.MEDICATIONS]: ['current medications', 'home medications', 'outpatient medications', 'medication list', 'medications', 'meds'],
+  [SECTION_TYPES.ALLERGIES]: ['drug allergies', 'allergies', 'allergy'],
+  [SECTION_TYPES.LABS]: ['laboratory results', 'laboratory data', 'lab results', 'prenatal labs', 'laboratory', 'labs'],
+  [SECTION_TYPES.PHYSICAL_EXAM]: ['physical examination', 'physical exam', 'vital signs', 'vitals', 'exam', 'pe'],
+  [SECTION_TYPES.ASSESSMENT_PLAN]: ['assessment and plan', 'assessment & plan', 'assessment/plan', 'impression and plan', 'a/p', 'a&p', 'assessment', 'impression', 'plan'],
+  [SECTION_TYPES.DELIVERY_SUMMARY]: ['labor and delivery summary', 'labor & delivery summary', 'l&d summary', 'delivery summary', 'delivery note', 'delivery record', 'birth summary', 'delivery discharge summary'],
+  [SECTION_TYPES.OPERATIVE_REPORT]: ['operative report', 'operative note', 'brief op note', 'op note', 'procedure note', 'operative summary']
+};
+
+// Short headings that are only headings when followed by a colon
+const COLON_ONLY = new Set(['fh', 'fhx', 'sh', 'shx', 'pe', 'exam', 'plan', 'meds', 'labs', 'ros', 'hpi', 'pmh', 'pmhx', 'psh', 'pshx', 'a/p', 'a&p']);
+
+// Markers added when records are combined (App.jsx); each file starts afresh
+const DOCUMENT_MARKER = /^=== FILE: .+? ===$/gm;
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest wording first, so 'family medical history' wins over 'medical history'
+const HEADINGS = Object.entries(SECTION_HEADINGS)
+  .flatMap(([type, wordings]) => wordings.map(wording => ({ type, wording })))
+  .sort((a, b) => b.wording.length - a.wording.length);
+
+const HEADING_ALTERNATION = HEADINGS.map(({ wording }) => escapeRegExp(wording)).join('|');
+
+// "FAMILY HISTORY:" / "Family History" alone on a line / "2. Medications -"
+const LINE_HEADING = new RegExp(`^[ \\t]*(?:\\d+[.)][ \\t]*)?(${HEADING_ALTERNATION})[ \\t]*(:|-{1,2}(?=\\s)|$)`, 'gim');
+
+// "... stable. Family History: ..." - capitalized, with a colon, after a sentence or a wide gap
+const INLINE_HEADING = new RegExp(`(?:[.!?]\\s+|\\s{2,})((?=[A-Z])(?:${HEADING_ALTERNATION}))[ \\t]*(:)`, 'gi');
+
+function findHeadings(text) {
+  const headings = [];
+  const add = (match, inline) => {
+    const wording = match[1].toLowerCase();
+    if (COLON_ONLY.has(wording) && match[2] !== ':') return;
+    // Inline headings must be capitalized as written
+    if (inline && !/^[A-Z]/.test(match[1])) return;
+    const heading = HEADINGS.find(candidate => candidate.wording === wording);
+    const start = match.index + match[0].indexOf(match[1]);
+    if (headings.some(other => other.start === start)) return;
+    headings.push({ type: heading.type, heading: match[1], start, contentStart: match.index + match[0].length });
+  };
+
+  for (const match of text.matchAll(LINE_HEADING)) add(match, false);
+  for (const match of text.matchAll(INLINE_HEADING)) add(match, true);
+  for (const match of text.matchAll(DOCUMENT_MARKER)) {
+    headings.push({ type: SECTION_TYPES.OTHER, heading: null, start: match.index, contentStart: match.index + match[0].length });
+  }
+
+  return headings.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Split a record into sections
+ * @param {string} text
+ * @returns {Array} [{ type, heading, start, contentStart, end }] covering the whole text in order;
+ *   heading is the wording as written (null for text outside any section or a file marker)
+ */
+export function segmentRecord(text) {
+  if (!text) return [];
+
+  const headings = findHeadings(text);
+  const sections = [];
+  let position = 0;
+  headings.forEach((heading, idx) => {
+    if (heading.start > position) {
+      sections.push({ type: SECTION_TYPES.OTHER, heading: null, start: position, contentStart: position, end: heading.start });
+    }
+    const next = headings[idx + 1]?.start ?? text.length;
+    const lineEnd = text.indexOf('\n', heading.contentStart);
+    const labelsLine = heading.heading && lineEnd !== -1 && text.slice(heading.contentStart, lineEnd).trim() !== '';
+    const end = labelsLine ? Math.min(next, lineEnd) : next;
+    sections.push({ ...heading, end });
+    position = end;
+  });
+  if (position < text.length || sections.length === 0) {
+    sections.push({ type: SECTION_TYPES.OTHER, heading: null, start: position, contentStart: position, end: text.length });
+  }
+
+  return sections;
+}
+
+// The parsers ask about the same record many times in a row
+let cached = { text: null, sections: [] };
+
+/**
+ * Section containing a position of the record
+ * @param {string} text
+ * @param {number} index
+ * @returns {Object} { type, heading, start, contentStart, end, weight }
+ */
+export function getSectionAt(text, index) {
+  if (cached.text !== text) {
+    cached = { text, sections: segmentRecord(text) };
+  }
+  const section = cached.sections.find(candidate => index >= candidate.start && index < candidate.end) ||
+    { type: SECTION_TYPES.OTHER, heading: null, start: 0, contentStart: 0, end: text.length };
+  return { ...section, weight: getSectionWeight(section.type) };
+}
+
+/**
+ * How much a finding in a section counts (0 = ignore)
+ */
+export function getSectionWeight(type) {
+  return SECTION_WEIGHTS[type] ?? 1;
+}
@@ -0,0 +1,605 @@
+/**
+ * Synthetic Medical Records - realistic OB records with no real patient behind them
+ *
+ * Real records can't be shared with vendors or kept in tests, so demos, the
+ * parser evaluation (scripts/evaluate-parsers.js) and load tests use records
+ * generated from a candidate profile. Each record is a set of documents about
+ * the candidate's most recent pregnancy, combined the way App.jsx combines
+ * uploads (=== FILE: name === markers):
+ *
+ *   prenatal_summary   OB history (G/P, every delivery), medical history,
+ *                      medications, social history, vitals
+ *   delivery_summary   The last delivery
+ *   operative_report   The most recent cesarean (only when there was one)
+ *   lab_panel          Labs drawn during the last pregnancy
+ *
+ * Noise makes the text look like what clinics actually send. Each kind is a
+ * rate from 0 to 1:
+ *
+ *   abbreviations  chart shorthand replaces the full wording (GDM, C/S, h/o)
+ *   typos          misspelled words
+ *   ocrArtifacts   scanned-page damage: letters misread, line breaks lost
+ *   negations      denied, ruled-out and family-history mentions of conditions
+ *                  the candidate doesn't have
+ *
+ * Along with the text, every record carries the output a careful reader would
+ * extract from it, in the eval/expected format, so it can be scored directly.
+ * Generation is deterministic for a given seed.
+ */
+
+export const DOCUMENT_TYPES = {
+  PRENATAL_SUMMARY: 'prenatal_summary',
+  DELIVERY_SUMMARY: 'delivery_summary',
+  OPERATIVE_REPORT: 'operative_report',
+  LAB_PANEL: 'lab_panel'
+};
+
+export const DOCUMENT_TYPE_LABELS = {
+  [DOCUMENT_TYPES.PRENATAL_SUMMARY]: 'Prenatal care summary',
+  [DOCUMENT_TYPES.DELIVERY_SUMMARY]: 'Delivery summary',
+  [DOCUMENT_TYPES.OPERATIVE_REPORT]: 'Operative report',
+  [DOCUMENT_TYPES.LAB_PANEL]: 'Lab results'
+};
+
+export const NOISE_TYPES = {
+  ABBREVIATIONS: 'abbreviations',
+  TYPOS: 'typos',
+  OCR_ARTIFACTS: 'ocrArtifacts',
+  NEGATIONS: 'negations'
+};
+
+export const NOISE_PRESETS = {
+  none: { abbreviations: 0, typos: 0, ocrArtifacts: 0, negations: 0 },
+  light: { abbreviations: 0.3, typos: 0.01, ocrArtifacts: 0, negations: 0.5 },
+  heavy: { abbreviations: 0.7, typos: 0.03, ocrArtifacts: 0.02, negations: 1 }
+};
+
+export const DELIVERY_MODES = {
+  VAGINAL: 'vaginal',
+  CESAREAN: 'cesarean',
+  VBAC: 'vbac'
+};
+
+/**
+ * Complications a pregnancy can have
+ * category: pregnancySpecificComplications category (pregnancyMedicalParser.js)
+ * condition: medicalConditions key the text parser uses, when it has one
+ */
+const PREGNANCY_COMPLICATIONS = {
+  gestational_diabetes: {
+    category: 'diabetes',
+    condition: 'gestational_diabetes',
+    text: 'gestational diabetes diagnosed at 28 weeks on 3-hour GTT, diet-controlled',
+    rate: 0.1
+  },
+  gestational_hypertension: {
+    category: 'hypertensive',
+    condition: 'pregnancy_hypertension',
+    text: 'gestational hypertension from 36 weeks without severe features',
+    rate: 0.07
+  },
+  preeclampsia: {
+    category: 'hypertensive',
+    condition: 'preeclampsia',
+    text: 'preeclampsia without severe features, induced at diagnosis',
+    rate: 0.06
+  },
+  postpartum_hemorrhage: {
+    category: 'hemorrhage',
+    condition: 'postpartum_hemorrhage',
+    text: 'postpartum hemorrhage (estimated blood loss 1200 mL) treated with uterotonics',
+    rate: 0.05
+  },
+  hyperemesis: {
+    category: 'hyperemesis',
+    condition: 'hyperemesis',
+    text: 'hyperemesis gravidarum in the first trimester requiring IV fluids',
+    rate: 0.05
+  },
+  fetal_growth_restriction: {
+    category: 'growth',
+    condition: 'IUGR',
+    text: 'fetal growth restriction from 34 weeks followed with serial growth scans',
+    rate: 0.03
+  },
+  placenta_previa: {
+    category: 'placental',
+    condition: 'placenta_previa',
+    text: 'complete placenta previa persisting on the 32-week ultrasound',
+    rate: 0.02
+  }
+};
+
+// Chronic conditions, how the chart words them and what they're treated with
+const MEDICAL_CONDITIONS = {
+  asthma: { text: 'Mild intermittent asthma since childhood', medication: 'albuterol', rate: 0.12 },
+  thyroid_disorder: { text: 'Hypothyroidism, stable on replacement', medication: 'levothyroxine', rate: 0.08 },
+  gerd: { text: 'GERD, symptoms controlled', medication: 'omeprazole', rate: 0.06 }
+};
+
+// How each medication is written on a medication list
+const MEDICATION_SIGS = {
+  albuterol: 'albuterol 90 mcg inhaler as needed',
+  levothyroxine: 'levothyroxine 50 mcg daily',
+  omeprazole: 'omeprazole 20 mg daily',
+  sertraline: 'sertraline 50 mg daily',
+  'folic-acid': 'folic acid 1 mg daily',
+  cetirizine: 'cetirizine 10 mg daily as needed'
+};
+
+// Labs on the panel: display name, unit, reference range and the range values are drawn from
+const LAB_TESTS = {
+  hemoglobin: { name: 'Hemoglobin', unit: 'g/dL', reference: '11.5-15.5', min: 10.8, max: 14.2, decimals: 1 },
+  hematocrit: { name: 'Hematocrit', unit: '%', reference: '34-45', min: 32, max: 42, decimals: 1 },
+  glucose: { name: 'Fasting glucose', unit: 'mg/dL', reference: '70-99', min: 72, max: 98, decimals: 0 },
+  hba1c: { name: 'HbA1c', unit: '%', reference: '4.0-5.6', min: 4.8, max: 5.6, decimals: 1 },
+  tsh: { name: 'TSH', unit: 'mIU/L', reference: '0.4-4.0', min: 0.8, max: 3.4, decimals: 2 }
+};
+
+const FIRST_NAMES = ['Ashley', 'Brianna', 'Carmen', 'Danielle', 'Elena', 'Fatima', 'Grace', 'Hannah', 'Imani', 'Jasmine',
+  'Kayla', 'Lauren', 'Marisol', 'Nicole', 'Olivia', 'Priya', 'Rachel', 'Sofia', 'Tiana', 'Whitney'];
+const LAST_NAMES = ['Alvarez', 'Bennett', 'Chen', 'Dawson', 'Ellis', 'Fischer', 'Garcia', 'Hughes', 'Iverson', 'Johnson',
+  'Kowalski', 'Lindqvist', 'Morales', 'Nguyen', 'Okafor', 'Patel', 'Reyes', 'Sullivan', 'Thompson', 'Walker'];
+
+// Chart shorthand applied by the abbreviations noise
+const ABBREVIATIONS = [
+  [/\bspontaneous vaginal delivery\b/gi, 'SVD'],
+  [/\bvaginal birth after cesarean\b/gi, 'VBAC'],
+  [/\bcesarean section\b/gi, 'C/S'],
+  [/\bgestational diabetes\b/gi, 'GDM'],
+  [/\bgestational hypertension\b/gi, 'GHTN'],
+  [/\bpreeclampsia\b/gi, 'pre-E'],
+  [/\bpostpartum hemorrhage\b/gi, 'PPH'],
+  [/\bhyperemesis gravidarum\b/gi, 'HG'],
+  [/\bfetal growth restriction\b/gi, 'FGR'],
+  [/\bestimated blood loss\b/gi, 'EBL'],
+  [/\bblood pressure\b/gi, 'BP'],
+  [/\bmajor depressive disorder\b/gi, 'MDD'],
+  [/\bgeneralized anxiety disorder\b/gi, 'GAD'],
+  [/\bno known drug allergies\b/gi, 'NKDA'],
+  [/\bhistory of\b/gi, 'h/o'],
+  [/\bas needed\b/gi, 'PRN'],
+  [/\bdaily\b/gi, 'qd'],
+  [/-year-old\b/gi, ' yo'],
+  [/\bweeks\b/gi, 'wks']
+];
+
+// Letters OCR commonly misreads
+const OCR_CONFUSIONS = { l: '1', I: 'l', O: '0', S: '5', B: '8', m: 'rn', e: 'c', h: 'b', i: 'í' };
+
+// Mulberry32 - small seeded generator so the same seed gives the same record
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    chance: rate => next() < rate,
+    between: (min, max, decimals = 0) => {
+      const factor = 10 ** decimals;
+      return Math.round((min + next() * (max - min)) * factor) / factor;
+    },
+    integer: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: list => list[Math.floor(next() * list.length)]
+  };
+}
+
+const pad = value => String(value).padStart(2, '0');
+
+// 'YYYY-MM-DD' -> 'MM/DD/YYYY', as charts write dates
+const formatDate = isoDate => {
+  const [year, month, day] = isoDate.split('-');
+  return `${month}/${day}/${year}`;
+};
+
+const addDays = (isoDate, days) => {
+  const date = new Date(`${isoDate}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const isPreterm = pregnancy => pregnancy.weeks < 37;
+
+const formatGestationalAge = pregnancy => {
+  if (pregnancy.days === 0) return `${pregnancy.weeks} weeks`;
+  return `${pregnancy.weeks} weeks ${pregnancy.days} ${pregnancy.days === 1 ? 'day' : 'days'}`;
+};
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * The candidate the README and CLI use as their example: 28, two uncomplicated
+ * vaginal deliveries, no medical history
+ */
+export const EXAMPLE_PROFILE = {
+  name: 'Sarah Mitchell',
+  age: 28,
+  bmi: 23.4,
+  pregnancies: [
+    { date: '2019-04-18', mode: DELIVERY_MODES.VAGINAL, weeks: 39, days: 4, complications: [] },
+    { date: '2022-09-02', mode: DELIVERY_MODES.VAGINAL, weeks: 40, days: 1, complications: [] }
+  ],
+  miscarriages: 0,
+  conditions: [],
+  medications: ['folic-acid'],
+  labs: { hemoglobin: 12.8, hematocrit: 38.2, hba1c: 5.1, tsh: 1.9 },
+  bloodPressures: [{ systolic: 114, diastolic: 72 }, { systolic: 118, diastolic: 76 }],
+  smoker: false,
+  depressionHistory: false,
+  anxietyHistory: false
+};
+
+/**
+ * A random candidate profile
+ * @param {number} seed - Same seed, same profile
+ * @returns {Object} Profile for generateSyntheticRecord():
+ *   {
+ *     name, age, bmi,
+ *     pregnancies: [{ date: 'YYYY-MM-DD', mode: DELIVERY_MODES, weeks, days, complications: [key] }], oldest first
+ *     miscarriages, conditions: [key], medications: [knowledge-base id],
+ *     labs: { hemoglobin, hematocrit, glucose, hba1c, tsh }, bloodPressures: [{ systolic, diastolic }],
+ *     smoker, depressionHistory, anxietyHistory
+ *   }
+ */
+export function randomProfile(seed = 1) {
+  const random = createRandom(seed);
+  const deliveries = random.pick([1, 2, 2, 2, 3, 3, 4]);
+
+  // Deliveries spaced 18 months to 4 years apart, the last one 1-4 years ago
+  let date = `${random.integer(2021, 2024)}-${pad(random.integer(1, 12))}-${pad(random.integer(1, 28))}`;
+  const pregnancies = [];
+  for (let i = 0; i < deliveries; i++) {
+    pregnancies.unshift({ date });
+    date = addDays(date, -random.integer(540, 1460));
+  }
+
+  let hadCesarean = false;
+  pregnancies.forEach(pregnancy => {
+    pregnancy.complications = Object.keys(PREGNANCY_COMPLICATIONS)
+      .filter(key => random.chance(PREGNANCY_COMPLICATIONS[key].rate));
+    pregnancy.weeks = random.chance(0.12) ? random.integer(32, 36) : random.integer(37, 41);
+    pregnancy.days = random.integer(0, 6);
+
+    if (pregnancy.complications.includes('placenta_previa') || (!hadCesarean && random.chance(0.2))) {
+      pregnancy.mode = DELIVERY_MODES.CESAREAN;
+    } else if (hadCesarean) {
+      pregnancy.mode = random.chance(0.4) ? DELIVERY_MODES.VBAC : DELIVERY_MODES.CESAREAN;
+    } else {
+      pregnancy.mode = DELIVERY_MODES.VAGINAL;
+    }
+    hadCesarean = hadCesarean || pregnancy.mode === DELIVERY_MODES.CESAREAN;
+  });
+
+  const conditions = Object.keys(MEDICAL_CONDITIONS).filter(key => random.chance(MEDICAL_CONDITIONS[key].rate));
+  const depressionHistory = random.chance(0.12);
+  const medications = [
+    ...conditions.map(key => MEDICAL_CONDITIONS[key].medication),
+    ...(depressionHistory && random.chance(0.5) ? ['sertraline'] : []),
+    ...(random.chance(0.6) ? ['folic-acid'] : []),
+    ...(random.chance(0.1) ? ['cetirizine'] : [])
+  ];
+
+  const hadDiabetes = pregnancies.some(pregnancy => pregnancy.complications.includes('gestational_diabetes'));
+  const labs = Object.fromEntries(
+    Object.entries(LAB_TESTS)
+      .filter(([key]) => key !== 'tsh' || conditions.includes('thyroid_disorder') || random.chance(0.5))
+      .map(([key, test]) => [key, random.between(key === 'hba1c' && hadDiabetes ? 5.3 : test.min, test.max, test.decimals)])
+  );
+
+  // Old enough to have been at least 19 at the first delivery
+  const yearsOfDeliveries = Number(pregnancies[pregnancies.length - 1].date.slice(0, 4)) - Number(pregnancies[0].date.slice(0, 4));
+  const minimumAge = Math.max(21, 19 + yearsOfDeliveries);
+
+  return {
+    name: `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`,
+    age: random.integer(minimumAge, Math.max(minimumAge, 42)),
+    bmi: random.between(19, 35, 1),
+    pregnancies,
+    miscarriages: random.chance(0.2) ? 1 : 0,
+    conditions,
+    medications,
+    labs,
+    bloodPressures: Array.from({ length: random.integer(1, 3) }, () => ({
+      systolic: random.integer(104, 134),
+      diastolic: random.integer(64, 84)
+    })),
+    smoker: random.chance(0.05),
+    depressionHistory,
+    anxietyHistory: random.chance(0.12)
+  };
+}
+
+// "G3P2012" - gravida, then term, preterm, abortions, living
+function formatObstetricHistory(profile) {
+  const term = profile.pregnancies.filter(pregnancy => !isPreterm(pregnancy)).length;
+  const preterm = profile.pregnancies.length - term;
+  const gravida = profile.pregnancies.length + profile.miscarriages;
+  return `G${gravida}P${term}${preterm}${profile.miscarriages}${profile.pregnancies.length}`;
+}
+
+function describeDelivery(pregnancy, index, pregnancies) {
+  const hadCesarean = pregnancies.slice(0, index).some(earlier => earlier.mode === DELIVERY_MODES.CESAREAN);
+  if (pregnancy.mode === DELIVERY_MODES.VBAC) return 'Vaginal birth after cesarean';
+  if (pregnancy.mode === DELIVERY_MODES.CESAREAN) return hadCesarean ? 'Repeat cesarean section' : 'Primary cesarean section';
+  return 'Spontaneous vaginal delivery';
+}
+
+function describeComplications(pregnancy) {
+  const complications = pregnancy.complications.map(key => PREGNANCY_COMPLICATIONS[key].text);
+  if (isPreterm(pregnancy)) complications.push('preterm birth');
+  return complications.length > 0 ? capitalize(`${complications.join('; ')}.`) : 'Uncomplicated.';
+}
+
+// Statements about conditions the candidate doesn't have, for the negations noise
+function getNegations(profile) {
+  const complications = new Set(profile.pregnancies.flatMap(pregnancy => pregnancy.complications));
+  const negations = ['Family history: mother with type 2 diabetes and chronic hypertension.'];
+  if (!profile.depressionHistory && !profile.anxietyHistory) negations.push('Denies history of depression or anxiety.');
+  if (!complications.has('preeclampsia') && !complications.has('gestational_diabetes')) {
+    negations.push('No history of preeclampsia or gestational diabetes in any pregnancy.');
+  }
+  if (!complications.has('placenta_previa')) negations.push('Placenta previa ruled out on repeat ultrasound.');
+  if (!profile.conditions.includes('asthma') && !profile.conditions.includes('thyroid_disorder')) {
+    negations.push('Negative for asthma, thyroid disease or heart disease.');
+  }
+  if (!complications.has('postpartum_hemorrhage')) negations.push('No postpartum hemorrhage after any delivery.');
+  return negations;
+}
+
+function renderPrenatalSummary(profile, random, noise) {
+  const { pregnancies } = profile;
+  const last = pregnancies[pregnancies.length - 1];
+  const negations = getNegations(profile).filter(() => random.chance(noise.negations));
+  const familyHistory = negations.find(statement => statement.startsWith('Family history'));
+  const pertinentNegatives = negations.filter(statement => statement !== familyHistory);
+
+  const history = [
+    ...profile.conditions.map(key => MEDICAL_CONDITIONS[key].text),
+    ...(profile.depressionHistory ? ['History of major depressive disorder, in remission'] : []),
+    ...(profile.anxietyHistory ? ['Generalized anxiety disorder, managed with therapy'] : [])
+  ];
+  const medications = profile.medications.map(id => MEDICATION_SIGS[id] || id);
+  const [firstReading, ...laterReadings] = profile.bloodPressures;
+
+  const lines = [
+    'PRENATAL CARE SUMMARY',
+    '',
+    `Patient: ${profile.name}   Age: ${profile.age}`,
+    `OB History: ${formatObstetricHistory(profile)}`,
+    ''
+  ];
+  pregnancies.forEach((pregnancy, index) => {
+    lines.push(
+      `Pregnancy ${index + 1} (${pregnancy.date.slice(0, 4)}): ${describeDelivery(pregnancy, index, pregnancies)} ` +
+      `at ${formatGestationalAge(pregnancy)} on ${formatDate(pregnancy.date)}. ${describeComplications(pregnancy)}`
+    );
+  });
+  if (profile.miscarriages > 0) lines.push('First-trimester miscarriage, no procedure required.');
+  lines.push(
+    '',
+    `Past Medical History: ${history.length > 0 ? `${history.join('. ')}.` : 'None.'}`,
+    ...(pertinentNegatives.length > 0 ? [`Pertinent negatives: ${pertinentNegatives.join(' ')}`] : []),
+    `Current Medications: ${medications.length > 0 ? medications.join(', ') : 'none'}`,
+    'Allergies: no known drug allergies',
+    `Social History: ${profile.smoker ? 'Current smoker, half a pack per day.' : 'Never smoker.'} No alcohol or drug use.`,
+    familyHistory || 'Family history: Noncontributory.',
+    ''
+  );
+  if (firstReading) {
+    lines.push(`Vitals: BP ${firstReading.systolic}/${firstReading.diastolic}, BMI ${profile.bmi}`);
+  } else {
+    lines.push(`Vitals: BMI ${profile.bmi}`);
+  }
+  if (laterReadings.length > 0) {
+    lines.push(`Later prenatal visits: ${laterReadings.map((reading, index) =>
+      `BP ${reading.systolic}/${reading.diastolic} at ${Math.min(38, 30 + index * 4)} weeks`).join('; ')}`);
+  }
+  lines.push(
+    '',
+    `Assessment: ${profile.age}-year-old ${formatObstetricHistory(profile)}, last delivery ${formatDate(last.date)}.`
+  );
+  return lines.join('\n');
+}
+
+function renderDeliverySummary(profile) {
+  const { pregnancies } = profile;
+  const index = pregnancies.length - 1;
+  const last = pregnancies[index];
+  const cesarean = last.mode === DELIVERY_MODES.CESAREAN;
+  const hemorrhage = last.complications.includes('postpartum_hemorrhage');
+
+  return [
+    'DELIVERY SUMMARY',
+    '',
+    `Delivery date: ${formatDate(last.date)}`,
+    `Gestational age at delivery: ${formatGestationalAge(last)}`,
+    `Mode of delivery: ${describeDelivery(last, index, pregnancies)}`,
+    `Antepartum course: ${describeComplications(last)}`,
+    `Estimated blood loss: ${hemorrhage ? 1200 : cesarean ? 750 : 300} mL`,
+    `Infant: liveborn, Apgars 8 and 9.`,
+    `Postpartum course: ${hemorrhage ? 'Recovered after treatment of hemorrhage; discharged on day 3.' : `Routine; discharged on day ${cesarean ? 3 : 2}.`}`
+  ].join('\n');
+}
+
+function renderOperativeReport(profile) {
+  const { pregnancies } = profile;
+  const index = pregnancies.map(pregnancy => pregnancy.mode).lastIndexOf(DELIVERY_MODES.CESAREAN);
+  const pregnancy = pregnancies[index];
+  const procedure = describeDelivery(pregnancy, index, pregnancies);
+  let indication = 'arrest of dilation';
+  if (pregnancy.complications.includes('placenta_previa')) indication = 'complete placenta previa';
+  else if (procedure.startsWith('Repeat')) indication = 'prior cesarean, declined trial of labor';
+  else if (pregnancy.complications.includes('preeclampsia')) indication = 'preeclampsia with non-reassuring fetal heart tracing';
+
+  return [
+    'OPERATIVE REPORT',
+    '',
+    `Date of surgery: ${formatDate(pregnancy.date)}`,
+    `Preoperative diagnosis: Intrauterine pregnancy at ${formatGestationalAge(pregnancy)}; ${indication}`,
+    `Procedure: ${procedure}, low transverse uterine incision`,
+    'Anesthesia: spinal',
+    'Findings: liveborn infant, normal uterus, tubes and ovaries',
+    `Estimated blood loss: ${pregnancy.complications.includes('postpartum_hemorrhage') ? 1200 : 750} mL`,
+    'Complications: none'
+  ].join('\n');
+}
+
+function renderLabPanel(profile) {
+  const last = profile.pregnancies[profile.pregnancies.length - 1];
+  const collected = addDays(last.date, -7 * (last.weeks - 28));
+  return [
+    'LABORATORY RESULTS',
+    `Collected: ${formatDate(collected)} (28 weeks)`,
+    '',
+    `${'Test'.padEnd(18)}${'Result'.padEnd(9)}${'Units'.padEnd(8)}Reference range`,
+    ...Object.entries(profile.labs).map(([key, value]) => {
+      const test = LAB_TESTS[key];
+      return `${test.name.padEnd(18)}${String(value).padEnd(9)}${test.unit.padEnd(8)}${test.reference}`;
+    })
+  ].join('\n');
+}
+
+const RENDERERS = {
+  [DOCUMENT_TYPES.PRENATAL_SUMMARY]: renderPrenatalSummary,
+  [DOCUMENT_TYPES.DELIVERY_SUMMARY]: renderDeliverySummary,
+  [DOCUMENT_TYPES.OPERATIVE_REPORT]: renderOperativeReport,
+  [DOCUMENT_TYPES.LAB_PANEL]: renderLabPanel
+};
+
+function applyAbbreviations(text, random, rate) {
+  return ABBREVIATIONS.reduce(
+    (result, [pattern, abbreviation]) => result.replace(pattern, match => (random.chance(rate) ? abbreviation : match)),
+    text
+  );
+}
+
+// Swap, drop or double a letter in longer words; numbers and shorthand are left alone
+function applyTypos(text, random, rate) {
+  return text.replace(/\b[a-z]{5,}\b/gi, word => {
+    if (!random.chance(rate)) return word;
+    const at = random.integer(1, word.length - 2);
+    switch (random.integer(0, 2)) {
+      case 0: return word.slice(0, at) + word[at + 1] + word[at] + word.slice(at + 2);
+      case 1: return word.slice(0, at) + word.slice(at + 1);
+      default: return word.slice(0, at) + word[at] + word.slice(at);
+    }
+  });
+}
+
+// Misread letters and lost line breaks; digits are never misread so the values stay recoverable
+function applyOcrArtifacts(text, random, rate) {
+  const misread = text.replace(/[A-Za-z]/g, letter => (OCR_CONFUSIONS[letter] && random.chance(rate) ? OCR_CONFUSIONS[letter] : letter));
+  return misread.replace(/([^\n])\n(?=[^\n])/g, (match, before) => (random.chance(Math.min(1, rate * 20)) ? `${before} ` : match));
+}
+
+function resolveNoise(noise) {
+  const levels = typeof noise === 'string' ? NOISE_PRESETS[noise] : noise;
+  if (!levels) throw new Error(`Unknown noise preset: ${noise}`);
+  return { ...NOISE_PRESETS.none, ...levels };
+}
+
+// What a careful reader would extract from the documents, in the eval/expected format
+function buildExpected(profile, types) {
+  const has = type => types.includes(type);
+  const { pregnancies } = profile;
+  const last = pregnancies[pregnancies.length - 1];
+  const fields = {};
+
+  if (has(DOCUMENT_TYPES.PRENATAL_SUMMARY)) {
+    const complications = pregnancies.flatMap(pregnancy => pregnancy.complications);
+    const readings = profile.bloodPressures.map(reading => `${reading.systolic}/${reading.diastolic}`);
+    Object.assign(fields, {
+      age: profile.age,
+      'lifestyle.bmi': profile.bmi,
+      'pregnancyHistory.numberOfTermPregnancies': pregnancies.length,
+      'pregnancyHistory.numberOfCesareans': pregnancies.filter(pregnancy => pregnancy.mode === DELIVERY_MODES.CESAREAN).length,
+      deliveryGestationalAges: pregnancies.map(pregnancy => pregnancy.weeks),
+      pregnancySpecificComplications: [...new Set([
+        ...complications.map(key => PREGNANCY_COMPLICATIONS[key].category),
+        ...(pregnancies.some(isPreterm) ? ['preterm'] : [])
+      ])],
+      medicalConditions: [...new Set([
+        ...profile.conditions,
+        ...complications.map(key => PREGNANCY_COMPLICATIONS[key].condition).filter(Boolean)
+      ])],
+      medications: profile.medications,
+      bloodPressureReadings: readings,
+      'psychological.historyOfMajorDepression': profile.depressionHistory,
+      'psychological.historyOfAnxietyDisorder': profile.anxietyHistory,
+      'lifestyle.currentSmoker': profile.smoker
+    });
+  }
+
+  if (has(DOCUMENT_TYPES.PRENATAL_SUMMARY) || has(DOCUMENT_TYPES.DELIVERY_SUMMARY)) {
+    fields['pregnancyHistory.lastDeliveryDate'] = last.date;
+    fields['pregnancyHistory.lastDeliveryMode'] = last.mode === DELIVERY_MODES.CESAREAN ? 'cesarean' : 'vaginal';
+  }
+
+  const labs = [
+    ...(has(DOCUMENT_TYPES.PRENATAL_SUMMARY) ? ['bmi', ...(profile.bloodPressures.length > 0 ? ['bloodPressure'] : [])] : []),
+    ...(has(DOCUMENT_TYPES.LAB_PANEL) ? Object.keys(profile.labs) : [])
+  ];
+  if (labs.length > 0) fields.labValues = labs;
+
+  return fields;
+}
+
+/**
+ * Generate a record for a candidate profile
+ * @param {Object} profile - From randomProfile(), or EXAMPLE_PROFILE
+ * @param {Object} options
+ * @param {Array<string>} options.documents - DOCUMENT_TYPES to include (default: all that apply;
+ *   the operative report only applies when there was a cesarean)
+ * @param {string|Object} options.noise - A NOISE_PRESETS name or { abbreviations, typos, ocrArtifacts, negations }
+ * @param {number} options.seed - Seed for the noise
+ * @param {string} options.id - Prefix for the document names
+ * @returns {Object} { text, documents: [{ type, name, text }], expected: { description, fields }, profile }
+ */
+export function generateSyntheticRecord(profile, options = {}) {
+  const random = createRandom(options.seed ?? 1);
+  const noise = resolveNoise(options.noise ?? 'none');
+  const prefix = options.id || profile.name.toLowerCase().replace(/\s+/g, '-');
+  const hadCesarean = profile.pregnancies.some(pregnancy => pregnancy.mode === DELIVERY_MODES.CESAREAN);
+
+  const types = (options.documents || Object.values(DOCUMENT_TYPES))
+    .filter(type => type !== DOCUMENT_TYPES.OPERATIVE_REPORT || hadCesarean);
+
+  const documents = types.map((type, index) => {
+    let text = RENDERERS[type](profile, random, noise);
+    if (noise.abbreviations > 0) text = applyAbbreviations(text, random, noise.abbreviations);
+    if (noise.typos > 0) text = applyTypos(text, random, noise.typos);
+    if (noise.ocrArtifacts > 0) text = `--- Page ${index + 1} ---\n${applyOcrArtifacts(text, random, noise.ocrArtifacts)}`;
+    return { type, name: `${prefix}-${type.replace(/_/g, '-')}.pdf`, text };
+  });
+
+  const text = documents.length === 1
+    ? documents[0].text
+    : documents.map(document => `=== FILE: ${document.name} ===\n${document.text}`).join('\n\n');
+
+  const noiseApplied = Object.entries(noise).filter(([, rate]) => rate > 0).map(([type]) => type);
+  const description = `Synthetic: ${profile.pregnancies.length} deliveries, ` +
+    `${types.map(type => DOCUMENT_TYPE_LABELS[type].toLowerCase()).join(', ')}` +
+    (noiseApplied.length > 0 ? `; noise: ${noiseApplied.join(', ')}` : '');
+
+  return { text, documents, expected: { description, fields: buildExpected(profile, types) }, profile };
+}
+
+/**
+ * Generate records for random profiles
+ * @param {number} count - How many records
+ * @param {Object} options - As for generateSyntheticRecord(); seed is the first record's seed
+ * @returns {Array<Object>} [{ id, text, documents, expected, profile }]
+ */
+export function generateSyntheticRecords(count, options = {}) {
+  const firstSeed = options.seed ?? 1;
+  return Array.from({ length: count }, (_, index) => {
+    const seed = firstSeed + index;
+    const id = `synthetic-${String(seed).padStart(4, '0')}`;
+    return { id, ...generateSyntheticRecord(randomProfile(seed), { ...options, seed, id }) };
+  });
+}
@@ -1,31 +1,68 @@
 /**
  * Natural Language Parser for Surrogacy Candidate Information
  * Extracts structured data from free-text descriptions
+ *
+ * Conditions, complications and psychological history only count when the
+ * text affirms them for the candidate (see clinicalContext.js); negated,
+ * hypothetical, family-member and rule-out mentions are logged with the
+ * citation recorder instead.
  */
 
 import { CONDITION_SYNONYMS } from './medicalGlossary.js';
+import { extractMedications } from './medicationExtractor.js';
+import { createCitationRecorder, PARSER_LAYERS } from './provenance.js';
+import { findMentions, isAffirmed } from './clinicalContext.js';
+import { PAST_EVENT_CONDITIONS } from '../data/clinicalCodes.js';
+import { scoreFieldConfidence } from './fieldConfidence.js';
 
 /**
  * Parse text input and extract candidate information
+ * @param {Object} options
+ * @param {Object} options.recorder - Citation recorder (see provenance.js) to collect
+ *   where each field was found
  */
-export function parseTextInput(text) {
+export function parseTextInput(text, options = {}) {
+  const recorder = options.recorder || createCitationRecorder(text, PARSER_LAYERS.GENERAL);
   const candidateData = {
-    age: extractAge(text),
-    pregnancyHistory: extractPregnancyHistory(text),
-    medicalConditions: extractMedicalConditions(text),
-    infectiousDiseaseTests: extractInfectiousDiseaseInfo(text),
-    psychological: extractPsychologicalInfo(text),
-    lifestyle: extractLifestyleInfo(text),
-    environmental: extractEnvironmentalInfo(text)
+    age: extractAge(text, recorder),
+    pregnancyHistory: extractPregnancyHistory(text, recorder),
+    medicalConditions: extractMedicalConditions(text, recorder),
+    infectiousDiseaseTests: extractInfectiousDiseaseInfo(text, recorder),
+    psychological: extractPsychologicalInfo(text, recorder),
+    medications: extractMedications(text, { recorder }),
+    lifestyle: extractLifestyleInfo(text, recorder),
+    environmental: extractEnvironmentalInfo(text, recorder)
   };
 
   return candidateData;
 }
 
+/**
+ * Mentions of the keywords that the text affirms for the candidate
+ * The others are logged as suppressed under path.
+ * @param {Object} options
+ * @param {boolean} options.allowHistorical - Count resolved/past mentions
+ * @returns {Array} Affirmed mentions (see clinicalContext.js findMentions())
+ */
+function findAffirmedMentions(text, recorder, path, keywords, options = {}) {
+  const mentions = findMentions(text, keywords);
+  mentions.filter(mention => !isAffirmed(mention, options)).forEach(mention => recorder.suppress(path, mention));
+  return mentions.filter(mention => isAffirmed(mention, options));
+}
+
+// Whether any keyword is affirmed; the first affirmed mention becomes path's citation
+function affirms(text, recorder, path, keywords, options = {}) {
+  const [first] = findAffirmedMentions(text, recorder, path, keywords, options);
+  if (!first) return false;
+  recorder.clear(path);
+  recorder.cite(path, first.start, first.end - first.start);
+  return true;
+}
+
 /**
  * Extract age from text
  */
-function extractAge(text) {
+function extractAge(text, recorder) {
   const patterns = [
     /(\d{2})\s*(?:years?\s*old|yo|y\/o)/i,
     /age[:\s]+(\d{2})/i,
@@ -38,6 +75,7 @@ function extractAge(text) {
       const age = parseInt(match[1], 10);
       // Validate age is reasonable for surrogacy (21-43 per ASRM guidelines)
       if (age >= 21 && age <= 43) {
+        recorder.citeMatch('age', match);
         return age;
       } else {
         console.warn(`Invalid age extracted: ${age}. Must be 21-43 for surrogacy. Ignoring.`);
@@ -52,7 +90,7 @@ function extractAge(text) {
 /**
  * Extract pregnancy history information
  */
-function extractPregnancyHistory(text) {
+function extractPregnancyHistory(text, recorder) {
   const history = {
     hasCompletedPregnancy: false,
     numberOfTermPregnancies: 0,
@@ -84,6 +122,9 @@ function extractPregnancyHistory(text) {
   for (const pattern of pregnancyPatterns) {
     const match = text.match(pattern);
     if (match) {
+      ['hasCompletedPregnancy', 'numberOfTermPregnancies', 'totalDeliveries'].forEach(field =>
+        recorder.citeMatch(`pregnancyHistory.${field}`, match)
+      );
       if (match[1]) {
         const count = parseInt(match[1], 10);
         history.hasCompletedPregnancy = count > 0;
@@ -114,6 +155,7 @@ function extractPregnancyHistory(text) {
     const match = text.match(pattern);
     if (match) {
       explicitCount = parseInt(match[1]);
+      recorder.citeMatch('pregnancyHistory.numberOfComplications', match);
       break;
     }
   }
@@ -140,11 +182,10 @@ function extractPregnancyHistory(text) {
     const foundCategories = new Set();
 
     for (const [category, keywords] of Object.entries(complicationCategories)) {
-      for (const keyword of keywords) {
-        if (lowerText.includes(keyword.toLowerCase())) {
-          foundCategories.add(category);
-          break; // Found this category, move to next
-        }
+      const [mention] = findAffirmedMentions(text, recorder, 'pregnancyHistory.numberOfComplications', keywords, { allowHistorical: true });
+      if (mention) {
+        foundCategories.add(category);
+        recorder.cite('pregnancyHistory.numberOfComplications', mention.start, mention.end - mention.start);
       }
     }
 
@@ -172,19 +213,21 @@ function extractPregnancyHistory(text) {
     const match = text.match(pattern);
     if (match) {
       history.numberOfCesareans = parseInt(match[1], 10);
+      recorder.citeMatch('pregnancyHistory.numberOfCesareans', match);
       break;
     }
   }
 
   // Check for VBAC mention (implies previous C-section)
-  if ((lowerText.includes('vbac') || lowerText.includes('vaginal birth after cesarean')) &&
-      history.numberOfCesareans === 0) {
+  if (history.numberOfCesareans === 0 &&
+      recorder.mentions('pregnancyHistory.numberOfCesareans', ['vbac', 'vaginal birth after cesarean'])) {
     history.numberOfCesareans = 1;
   }
 
   if (text.toLowerCase().includes('vaginal') && !text.toLowerCase().includes('c-section') &&
       !text.toLowerCase().includes('vbac')) {
     history.numberOfCesareans = 0;
+    recorder.mentions('pregnancyHistory.numberOfCesareans', ['vaginal']);
   }
 
   // If C-sections mentioned, assume they've had pregnancies
@@ -192,6 +235,11 @@ function extractPregnancyHistory(text) {
     history.hasCompletedPregnancy = true;
     history.numberOfTermPregnancies = history.numberOfCesareans;
     history.totalDeliveries = history.numberOfCesareans;
+    ['hasCompletedPregnancy', 'numberOfTermPregnancies', 'totalDeliveries'].forEach(field =>
+      (recorder.citations['pregnancyHistory.numberOfCesareans'] || []).forEach(citation =>
+        recorder.cite(`pregnancyHistory.${field}`, citation.start, citation.end - citation.start)
+      )
+    );
   }
 
   return history;
@@ -200,13 +248,16 @@ function extractPregnancyHistory(text) {
 /**
  * Extract medical conditions - using medical glossary for better recognition
  */
-function extractMedicalConditions(text) {
+function extractMedicalConditions(text, recorder) {
   const conditions = [];
   const lowerText = text.toLowerCase();
+  const hasCondition = (condition, keywords) => affirms(text, recorder, `medicalConditions[${condition}]`, keywords, {
+    allowHistorical: PAST_EVENT_CONDITIONS.includes(condition)
+  });
 
   // Check for gestational diabetes FIRST (to avoid confusing with regular diabetes)
   const gestationalDiabetesKeywords = CONDITION_SYNONYMS.gestational_diabetes || ['gdm', 'gestational diabetes', 'diabetes during pregnancy', 'pregnancy diabetes'];
-  const hasGestationalDiabetes = gestationalDiabetesKeywords.some(keyword => lowerText.includes(keyword.toLowerCase()));
+  const hasGestationalDiabetes = hasCondition('gestational_diabetes', gestationalDiabetesKeywords);
 
   if (hasGestationalDiabetes) {
     conditions.push('gestational_diabetes');
@@ -218,7 +269,7 @@ function extractMedicalConditions(text) {
 
   // Check for explicit chronic hypertension (rare in this context)
   const chronicHtnKeywords = ['chronic hypertension', 'essential hypertension', 'pre-existing hypertension'];
-  const hasChronicHTN = chronicHtnKeywords.some(keyword => lowerText.includes(keyword.toLowerCase()));
+  const hasChronicHTN = hasCondition('hypertension', chronicHtnKeywords);
 
   // Check for any hypertension mentions (will be treated as PIH unless chronic is specified)
   const anyHypertensionKeywords = [
@@ -232,7 +283,7 @@ function extractMedicalConditions(text) {
     'pregnancy related hypertension',
     'hypertension' // Generic hypertension = assume PIH in surrogacy context
   ];
-  const hasAnyHypertension = anyHypertensionKeywords.some(keyword => lowerText.includes(keyword.toLowerCase()));
+  const hasAnyHypertension = !hasChronicHTN && hasCondition('pregnancy_hypertension', anyHypertensionKeywords);
 
   // Add the appropriate condition
   if (hasChronicHTN) {
@@ -256,7 +307,7 @@ function extractMedicalConditions(text) {
     'roux-en-y',
     'gastric banding'
   ];
-  const hasGastricBypass = gastricBypassKeywords.some(keyword => lowerText.includes(keyword.toLowerCase()));
+  const hasGastricBypass = hasCondition('bariatric_surgery', gastricBypassKeywords);
   if (hasGastricBypass) {
     conditions.push('bariatric_surgery');
   }
@@ -286,48 +337,10 @@ function extractMedicalConditions(text) {
     'gastritis': ['gastritis']
   };
 
-  // Helper function to check if a condition mention is a negative/denial
-  const isNegativeMention = (text, keyword) => {
-    const keywordIndex = text.indexOf(keyword.toLowerCase());
-    if (keywordIndex === -1) return false;
-
-    // Get context around the keyword (50 chars before and after)
-    const start = Math.max(0, keywordIndex - 50);
-    const end = Math.min(text.length, keywordIndex + keyword.length + 50);
-    const context = text.substring(start, end);
-
-    // Check for negative indicators
-    const negativePatterns = [
-      'no history of',
-      'denies',
-      'denied',
-      'negative for',
-      'rule out',
-      'r/o',
-      'family history',
-      'mother has',
-      'father has',
-      'sister has',
-      'brother has',
-      'screened for',
-      'monitoring for',
-      'no evidence of',
-      'unremarkable',
-      'within normal limits',
-      'wn'
-    ];
-
-    return negativePatterns.some(pattern => context.includes(pattern));
-  };
-
+  // Only mentions affirmed for the candidate count - not "denies", "r/o",
+  // "mother has", "screened for" (see clinicalContext.js)
   Object.keys(conditionMap).forEach(condition => {
-    // Check if any keyword matches
-    const matchedKeyword = conditionMap[condition].find(keyword =>
-      lowerText.includes(keyword.toLowerCase())
-    );
-
-    // Only add if matched AND not a negative mention AND not already in the array
-    if (matchedKeyword && !isNegativeMention(lowerText, matchedKeyword) && !conditions.includes(condition)) {
+    if (!conditions.includes(condition) && hasCondition(condition, conditionMap[condition])) {
       conditions.push(condition);
     }
   });
@@ -349,7 +362,7 @@ function extractMedicalConditions(text) {
 /**
  * Extract infectious disease testing information
  */
-function extractInfectiousDiseaseInfo(text) {
+function extractInfectiousDiseaseInfo(text, recorder) {
   const tests = {};
   const lowerText = text.toLowerCase();
 
@@ -377,12 +390,17 @@ function extractInfectiousDiseaseInfo(text) {
         const contextEnd = Math.min(lowerText.length, lowerText.indexOf(keyword) + keyword.length + 20);
         const context = lowerText.substring(contextStart, contextEnd);
 
+        let result = null;
         if (context.includes('negative') || context.includes('clear')) {
-          tests[test] = 'negative';
+          result = 'negative';
         } else if (context.includes('positive')) {
-          tests[test] = 'positive';
+          result = 'positive';
         } else if (stiTestMentioned) {
-          tests[test] = 'negative'; // Assume negative if testing mentioned but no result stated
+          result = 'negative'; // Assume negative if testing mentioned but no result stated
+        }
+        if (result) {
+          tests[test] = result;
+          recorder.mentions(`infectiousDiseaseTests.${test}`, [keyword]);
         }
       }
     });
@@ -394,7 +412,7 @@ function extractInfectiousDiseaseInfo(text) {
 /**
  * Extract psychological information
  */
-function extractPsychologicalInfo(text) {
+function extractPsychologicalInfo(text, recorder) {
   const psychInfo = {
     hasCompletedEvaluation: false,
     currentPsychotropicMedication: false,
@@ -413,82 +431,70 @@ function extractPsychologicalInfo(text) {
   const lowerText = text.toLowerCase();
 
   // Psychological evaluation
-  if (lowerText.includes('psych eval') ||
-      lowerText.includes('psychological evaluation') ||
-      lowerText.includes('mental health evaluation')) {
+  if (recorder.mentions('psychological.hasCompletedEvaluation', ['psych eval', 'psychological evaluation', 'mental health evaluation'])) {
     psychInfo.hasCompletedEvaluation = true;
   }
 
   // Medications
   const medicationKeywords = ['antidepressant', 'ssri', 'antipsychotic', 'mood stabilizer',
                                'psych medication', 'zoloft', 'prozac', 'lexapro', 'wellbutrin'];
-  medicationKeywords.forEach(keyword => {
-    if (lowerText.includes(keyword)) {
-      psychInfo.currentPsychotropicMedication = true;
-    }
-  });
+  if (recorder.mentions('psychological.currentPsychotropicMedication', medicationKeywords)) {
+    psychInfo.currentPsychotropicMedication = true;
+  }
 
   // Mental health history
-  if (lowerText.includes('depression') && !lowerText.includes('no depression')) {
+  if (affirms(text, recorder, 'psychological.historyOfMajorDepression', ['depression'], { allowHistorical: true })) {
     psychInfo.historyOfMajorDepression = true;
   }
 
-  if (lowerText.includes('bipolar')) {
+  if (affirms(text, recorder, 'psychological.historyOfBipolarDisorder', ['bipolar'], { allowHistorical: true })) {
     psychInfo.historyOfBipolarDisorder = true;
   }
 
-  if (lowerText.includes('psychosis') || lowerText.includes('schizophrenia')) {
+  if (affirms(text, recorder, 'psychological.historyOfPsychosis', ['psychosis', 'schizophrenia'], { allowHistorical: true })) {
     psychInfo.historyOfPsychosis = true;
   }
 
-  if (lowerText.includes('anxiety') && !lowerText.includes('no anxiety')) {
+  if (affirms(text, recorder, 'psychological.historyOfAnxietyDisorder', ['anxiety'], { allowHistorical: true })) {
     psychInfo.historyOfAnxietyDisorder = true;
   }
 
-  if (lowerText.includes('eating disorder') || lowerText.includes('anorexia') ||
-      lowerText.includes('bulimia')) {
+  if (affirms(text, recorder, 'psychological.historyOfEatingDisorder', ['eating disorder', 'anorexia', 'bulimia'], { allowHistorical: true })) {
     psychInfo.historyOfEatingDisorder = true;
   }
 
   // Substance use
   const substanceKeywords = ['alcoholic', 'drug abuse', 'addiction', 'substance abuse',
                              'rehab', 'recovery'];
-  substanceKeywords.forEach(keyword => {
-    if (lowerText.includes(keyword)) {
-      psychInfo.historyOfSubstanceAbuse = true;
-    }
-  });
+  if (affirms(text, recorder, 'psychological.historyOfSubstanceAbuse', substanceKeywords, { allowHistorical: true })) {
+    psychInfo.historyOfSubstanceAbuse = true;
+  }
 
   // Abuse history
-  if (lowerText.includes('abuse') &&
-      (lowerText.includes('physical') || lowerText.includes('sexual') ||
-       lowerText.includes('emotional') || lowerText.includes('domestic'))) {
+  if ((lowerText.includes('physical') || lowerText.includes('sexual') ||
+       lowerText.includes('emotional') || lowerText.includes('domestic')) &&
+      affirms(text, recorder, 'psychological.historyOfAbuse', ['abuse'], { allowHistorical: true })) {
     psychInfo.historyOfAbuse = true;
   }
 
   // Coercion
   const coercionKeywords = ['coerced', 'forced', 'pressured', 'desperate for money',
                             'financial hardship'];
-  coercionKeywords.forEach(keyword => {
-    if (lowerText.includes(keyword)) {
-      psychInfo.evidenceOfCoercion = true;
-    }
-  });
+  if (recorder.mentions('psychological.evidenceOfCoercion', coercionKeywords)) {
+    psychInfo.evidenceOfCoercion = true;
+  }
 
   // Support system
-  if (lowerText.includes('no support') || lowerText.includes('lack of support') ||
-      lowerText.includes('unsupportive')) {
+  if (recorder.mentions('psychological.adequateSupportSystem', ['no support', 'lack of support', 'unsupportive'])) {
     psychInfo.adequateSupportSystem = false;
   }
 
-  if (lowerText.includes('supportive') || lowerText.includes('strong support') ||
-      lowerText.includes('family support')) {
+  if (recorder.mentions('psychological.adequateSupportSystem', ['supportive', 'strong support', 'family support'])) {
     psychInfo.adequateSupportSystem = true;
   }
 
   // Stability
-  if (lowerText.includes('unstable') || lowerText.includes('chaotic') ||
-      lowerText.includes('crisis') || lowerText.includes('stressful situation')) {
+  if (recorder.mentions('psychological.stableEnvironment', ['unstable', 'chaotic', 'crisis', 'stressful situation'])) {
     psychInfo.stableEnvironment = false;
   }
 
@@ -498,7 +504,7 @@ function extractPsychologicalInfo(text) {
 /**
  * Extract lifestyle information
  */
-function extractLifestyleInfo(text) {
+function extractLifestyleInfo(text, recorder) {
   const lifestyle = {
     bmi: undefined,
     currentSmoker: false,
@@ -517,6 +523,7 @@ function extractLifestyleInfo(text) {
     // Only accept BMI values in surrogate candidate range (18-37)
     if (parsedBMI >= 18 && parsedBMI <= 37) {
       lifestyle.bmi = parsedBMI;
+      recorder.citeMatch('lifestyle.bmi', bmiMatch);
     }
   }
 
@@ -538,6 +545,8 @@ function extractLifestyleInfo(text) {
     // Only accept BMI values in surrogate candidate range (18-37)
     if (roundedBMI >= 18 && roundedBMI <= 37) {
       lifestyle.bmi = roundedBMI;
+      recorder.citeMatch('lifestyle.bmi', weightMatch);
+      recorder.citeMatch('lifestyle.bmi', heightMatch);
     }
   }
 
@@ -546,26 +555,22 @@ function extractLifestyleInfo(text) {
   // ONLY flag as current smoker if VERY explicitly stated as current/active smoking
   lifestyle.currentSmoker = false; // Default to false
 
-  if (lowerText.includes('current smoker') || lowerText.includes('currently smokes') ||
-      lowerText.includes('active smoker') ||
-      lowerText.includes('smokes daily') || lowerText.includes('smokes regularly') ||
-      (lowerText.includes('tobacco:') && lowerText.includes('yes')) ||
-      (lowerText.includes('tobacco use:') && lowerText.includes('current'))) {
+  if (recorder.mentions('lifestyle.currentSmoker', ['current smoker', 'currently smokes', 'active smoker', 'smokes daily', 'smokes regularly']) ||
+      (lowerText.includes('yes') && recorder.mentions('lifestyle.currentSmoker', ['tobacco:'])) ||
+      (lowerText.includes('current') && recorder.mentions('lifestyle.currentSmoker', ['tobacco use:']))) {
     lifestyle.currentSmoker = true;
   }
 
   // Alcohol
-  if (lowerText.includes('drinks alcohol') || lowerText.includes('social drinker')) {
+  if (recorder.mentions('lifestyle.currentAlcoholUse', ['drinks alcohol', 'social drinker'])) {
     lifestyle.currentAlcoholUse = 'social';
   }
 
-  if (lowerText.includes('heavy drinker') || lowerText.includes('excessive') ||
-      lowerText.includes('alcoholic')) {
+  if (recorder.mentions('lifestyle.currentAlcoholUse', ['heavy drinker', 'excessive', 'alcoholic'])) {
     lifestyle.currentAlcoholUse = 'excessive';
   }
 
-  if (lowerText.includes('no alcohol') || lowerText.includes('doesn\'t drink') ||
-      lowerText.includes('non-drinker')) {
+  if (recorder.mentions('lifestyle.currentAlcoholUse', ['no alcohol', 'doesn\'t drink', 'non-drinker'])) {
     lifestyle.currentAlcoholUse = 'none';
   }
 
@@ -574,17 +579,13 @@ function extractLifestyleInfo(text) {
   // ONLY flag as current drug user if VERY explicitly stated
   lifestyle.currentDrugUse = false; // Default to false
 
-  if (lowerText.includes('current drug use') || lowerText.includes('currently uses drugs') ||
-      lowerText.includes('active drug use') || lowerText.includes('uses marijuana') ||
-      lowerText.includes('recreational drug use') ||
-      (lowerText.includes('drug use:') && lowerText.includes('yes')) ||
-      (lowerText.includes('drug use:') && lowerText.includes('current'))) {
+  if (recorder.mentions('lifestyle.currentDrugUse', ['current drug use', 'currently uses drugs', 'active drug use', 'uses marijuana', 'recreational drug use']) ||
+      ((lowerText.includes('yes') || lowerText.includes('current')) && recorder.mentions('lifestyle.currentDrugUse', ['drug use:']))) {
     lifestyle.currentDrugUse = true;
   }
 
   // Tattoos
-  if (lowerText.includes('recent tattoo') || lowerText.includes('recently tattooed') ||
-      lowerText.includes('new tattoo')) {
+  if (recorder.mentions('lifestyle.recentTattoos', ['recent tattoo', 'recently tattooed', 'new tattoo'])) {
     lifestyle.recentTattoos = true;
   }
 
@@ -594,7 +595,7 @@ function extractLifestyleInfo(text) {
 /**
  * Extract environmental/stability information
  */
-function extractEnvironmentalInfo(text) {
+function extractEnvironmentalInfo(text, recorder) {
   const environmental = {
     stableHousing: true,
     stableEmployment: true,
@@ -607,58 +608,48 @@ function extractEnvironmentalInfo(text) {
   const lowerText = text.toLowerCase();
 
   // Housing
-  if (lowerText.includes('homeless') || lowerText.includes('unstable housing') ||
-      lowerText.includes('moving frequently')) {
+  if (recorder.mentions('environmental.stableHousing', ['homeless', 'unstable housing', 'moving frequently'])) {
     environmental.stableHousing = false;
   }
 
   // Employment
-  if (lowerText.includes('unemployed') || lowerText.includes('no job') ||
-      lowerText.includes('unstable employment')) {
+  if (recorder.mentions('environmental.stableEmployment', ['unemployed', 'no job', 'unstable employment'])) {
     environmental.stableEmployment = false;
   }
 
-  if (lowerText.includes('employed') || lowerText.includes('has a job') ||
-      lowerText.includes('works as')) {
+  if (recorder.mentions('environmental.stableEmployment', ['employed', 'has a job', 'works as'])) {
     environmental.stableEmployment = true;
   }
 
   // Financial
-  if (lowerText.includes('financial hardship') || lowerText.includes('bankruptcy') ||
-      lowerText.includes('desperate for money') || lowerText.includes('financial crisis')) {
+  if (recorder.mentions('environmental.adequateFinancialSituation', ['financial hardship', 'bankruptcy', 'desperate for money', 'financial crisis'])) {
     environmental.adequateFinancialSituation = false;
   }
 
   // Relationship
-  if (lowerText.includes('divorce') || lowerText.includes('separated') ||
-      lowerText.includes('relationship problems') || lowerText.includes('unstable relationship')) {
+  if (recorder.mentions('environmental.stableRelationship', ['divorce', 'separated', 'relationship problems', 'unstable relationship'])) {
     environmental.stableRelationship = false;
   }
 
-  if (lowerText.includes('married') || lowerText.includes('stable relationship') ||
-      lowerText.includes('long-term partner')) {
+  if (recorder.mentions('environmental.stableRelationship', ['married', 'stable relationship', 'long-term partner'])) {
     environmental.stableRelationship = true;
   }
 
   // Partner support
-  if (lowerText.includes('unsupportive partner') || lowerText.includes('partner opposed') ||
-      lowerText.includes('against surrogacy')) {
+  if (recorder.mentions('environmental.supportivePartner', ['unsupportive partner', 'partner opposed', 'against surrogacy'])) {
     environmental.supportivePartner = false;
   }
 
-  if (lowerText.includes('supportive partner') || lowerText.includes('partner supports') ||
-      lowerText.includes('husband supports')) {
+  if (recorder.mentions('environmental.supportivePartner', ['supportive partner', 'partner supports', 'husband supports'])) {
     environmental.supportivePartner = true;
   }
 
   // Legal issues
   const legalKeywords = ['custody dispute', 'legal issues', 'criminal record',
                          'bankruptcy', 'restraining order', 'cps', 'child protective'];
-  legalKeywords.forEach(keyword => {
-    if (lowerText.includes(keyword)) {
-      environmental.legalIssues = true;
-    }
-  });
+  if (recorder.mentions('environmental.legalIssues', legalKeywords)) {
+    environmental.legalIssues = true;
+  }
 
   return environmental;
 }
@@ -667,11 +658,12 @@ function extractEnvironmentalInfo(text) {
  * Extract all information and create a structured summary
  */
 export function extractAndSummarize(text) {
-  const data = parseTextInput(text);
+  const recorder = createCitationRecorder(text, PARSER_LAYERS.GENERAL);
+  const data = parseTextInput(text, { recorder });
 
   const summary = {
     extractedData: data,
-    confidence: calculateConfidence(text, data),
+    confidence: calculateConfidence(text, recorder),
     missingInformation: identifyMissingInfo(data)
   };
 
@@ -680,50 +672,17 @@ export function extractAndSummarize(text) {
 
 /**
  * Calculate confidence in the extraction
+ * Each cited field is scored as in the cascading parser (see fieldConfidence.js)
+ * @returns {Object} { overall: mean score as a percentage, details: { path: 'high' | 'medium' | 'low' } }
  */
-function calculateConfidence(text, data) {
-  let confidence = {
-    overall: 0,
-    details: {}
-  };
-
-  let totalFields = 0;
-  let extractedFields = 0;
-
-  // Check each major field
-  if (data.age !== undefined) {
-    extractedFields++;
-    confidence.details.age = 'high';
-  }
-  totalFields++;
+function calculateConfidence(text, recorder) {
+  const fields = scoreFieldConfidence(text, { citationLayers: [recorder.citations] });
+  const scores = Object.values(fields).map(field => field.score);
 
-  if (data.pregnancyHistory.hasCompletedPregnancy) {
-    extractedFields++;
-    confidence.details.pregnancyHistory = 'medium';
-  }
-  totalFields++;
-
-  if (data.medicalConditions.length > 0 || text.toLowerCase().includes('healthy')) {
-    extractedFields++;
-    confidence.details.medicalConditions = 'medium';
-  }
-  totalFields++;
-
-  if (Object.keys(data.infectiousDiseaseTests).length > 0) {
-    extractedFields++;
-    confidence.details.infectiousDiseaseTests = 'low';
-  }
-  totalFields++;
-
-  if (data.lifestyle.bmi !== undefined) {
-    extractedFields++;
-    confidence.details.lifestyle = 'high';
-  }
-  totalFields++;
-
-  confidence.overall = (extractedFields / totalFields) * 100;
-
-  return confidence;
+  return {
+    overall: scores.length > 0 ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) : 0,
+    details: Object.fromEntries(Object.entries(fields).map(([path, field]) => [path, field.level]))
+  };
 }
 
 /**